@@ -0,0 +1,290 @@
+/**
+ * Producer Onboarding - ShelterPoint
+ * Saves each onboarding step to localStorage, restores it when the producer
+ * comes back to the step, and builds the masked review summary of step 6.
+ * Fields are checked with the 'producer-onboarding' rules shared with the
+ * submission service.
+ * Depends on ../StateApplications/shared/application-rules.js,
+ * ../StateApplications/shared/form-validation.js and, on the review step,
+ * ../StateApplications/shared/producer-profile.js. Uploaded documents can be
+ * previewed and replaced from the review when
+ * ../StateApplications/shared/document-upload.js is loaded.
+ */
+
+// Onboarding answers, one flat object for all steps (submitted as the packet data)
+const ONBOARDING_STORAGE_KEY = 'brokerOnboardingData';
+// Pages the producer has saved at least once
+const ONBOARDING_PROGRESS_KEY = 'brokerOnboardingProgress';
+
+const LICENSE_TYPE_LABELS = { individual: 'Individual License', business: 'Corporation or LLC License' };
+const TAX_CLASSIFICATION_LABELS = {
+    individual: 'Individual/sole proprietor or single-member LLC',
+    'c-corp': 'C Corporation',
+    's-corp': 'S Corporation',
+    partnership: 'Partnership',
+    llc: 'Limited Liability Company'
+};
+const DIRECT_DEPOSIT_LABELS = { yes: 'Direct deposit', no: 'Paper checks (quarterly)' };
+
+// Step 6 review: one section per step. 'mask' shows only the last four digits;
+// 'list' names each code of a comma-separated list; 'document' is the document
+// type whose stored file the row names.
+const ONBOARDING_REVIEW_SECTIONS = [
+    {
+        title: 'Personal Information',
+        page: 'step1-personal.html',
+        fields: [
+            { key: 'nipr', label: 'NIPR Number' },
+            { key: 'firstName', label: 'First Name' },
+            { key: 'lastName', label: 'Last Name' },
+            { key: 'title', label: 'Title / Position' },
+            { key: 'workEmail', label: 'Work Email' },
+            { key: 'officePhone', label: 'Office Phone' },
+            { key: 'extension', label: 'Extension' },
+            { key: 'street1', label: 'Street Address' },
+            { key: 'street2', label: 'Suite, Unit, or Building' },
+            { key: 'city', label: 'City' },
+            { key: 'state', label: 'State' },
+            { key: 'zip', label: 'ZIP Code' }
+        ]
+    },
+    {
+        title: 'Business Information',
+        page: 'step2-business.html',
+        fields: [
+            { key: 'licenseType', label: 'License Type', labels: LICENSE_TYPE_LABELS },
+            { key: 'businessName', label: 'Business Name' },
+            { key: 'dbaName', label: 'Trade Name / DBA' },
+            { key: 'taxId', label: 'Tax ID / SSN', mask: true },
+            { key: 'sameAddress', label: 'Commission Address Same as Physical', checkbox: true },
+            { key: 'commStreet1', label: 'Commission Street Address' },
+            { key: 'commStreet2', label: 'Commission Suite, Unit, or Building' },
+            { key: 'commCity', label: 'Commission City' },
+            { key: 'commState', label: 'Commission State' },
+            { key: 'commZip', label: 'Commission ZIP Code' }
+        ]
+    },
+    {
+        title: 'Required Documents',
+        page: 'step3-documents.html',
+        fields: [
+            { key: 'licensedStates', label: 'Licensed States', list: LICENSE_STATES },
+            ...Object.keys(LICENSE_STATES).flatMap(code => [
+                { key: 'licenseNumber' + code, label: LICENSE_STATES[code] + ' License Number' },
+                { key: 'licenseResidency' + code, label: LICENSE_STATES[code] + ' Residency', labels: LICENSE_RESIDENCY_LABELS },
+                { key: 'licenseLines' + code, label: LICENSE_STATES[code] + ' Lines of Authority', list: LINES_OF_AUTHORITY },
+                { key: 'licenseExpires' + code, label: LICENSE_STATES[code] + ' License Expires' }
+            ]),
+            { key: 'insuranceLicenseName', label: 'Insurance License', document: 'insuranceLicense' },
+            { key: 'applicationBorName', label: 'Application or BOR', document: 'applicationBor' },
+            { key: 'eoCoverageName', label: 'Proof of E&O Coverage', document: 'eoCoverage' },
+            { key: 'eoCarrier', label: 'E&O Carrier' },
+            { key: 'eoLimit', label: 'E&O Limit', labels: EO_LIMITS },
+            { key: 'eoExpires', label: 'E&O Expires' }
+        ]
+    },
+    {
+        title: 'Agreements & W-9',
+        page: 'step4-agreements.html',
+        fields: [
+            { key: 'agreeProducer', label: 'Producer Agreement', checkbox: true },
+            { key: 'w9Name', label: 'W-9 Name' },
+            { key: 'w9BusinessName', label: 'W-9 Business Name' },
+            { key: 'taxClassification', label: 'Federal Tax Classification', labels: TAX_CLASSIFICATION_LABELS },
+            { key: 'w9TIN', label: 'Taxpayer Identification Number', mask: true },
+            { key: 'signatureName', label: 'Signature' },
+            { key: 'signatureDate', label: 'Signature Date' },
+            { key: 'certifyW9', label: 'W-9 Certification', checkbox: true }
+        ]
+    },
+    {
+        title: 'Banking Information',
+        page: 'step5-banking.html',
+        fields: [
+            { key: 'directDeposit', label: 'Commission Payments', labels: DIRECT_DEPOSIT_LABELS },
+            { key: 'bankName', label: 'Bank Name' },
+            { key: 'routingNumber', label: 'Routing Number', mask: true },
+            { key: 'accountNumber', label: 'Account Number', mask: true },
+            { key: 'bankCity', label: 'Bank City' },
+            { key: 'bankState', label: 'Bank State' },
+            { key: 'bankZip', label: 'Bank ZIP Code' },
+            { key: 'authorizeACH', label: 'ACH Authorization', checkbox: true }
+        ]
+    }
+];
+
+/** @returns {Object} Stored onboarding answers */
+function loadOnboardingData() {
+    return JSON.parse(localStorage.getItem(ONBOARDING_STORAGE_KEY) || '{}');
+}
+
+/** @returns {string[]} Pages saved so far */
+function onboardingProgress() {
+    return JSON.parse(localStorage.getItem(ONBOARDING_PROGRESS_KEY) || '[]');
+}
+
+/** Remove the stored answers (after the packet is submitted) */
+function clearOnboardingData() {
+    localStorage.removeItem(ONBOARDING_STORAGE_KEY);
+    localStorage.removeItem(ONBOARDING_PROGRESS_KEY);
+}
+
+// True when the input sits in a section the page has hidden (e.g. business name for individual licenses)
+function isInHiddenSection(input, form) {
+    for (let el = input.parentElement; el && el !== form; el = el.parentElement) {
+        if (el.style.display === 'none') return true;
+    }
+    return false;
+}
+
+/**
+ * Save a step's fields; fields in hidden sections are removed
+ * @param {HTMLFormElement} form - Step form
+ * @param {string} page - Step page file name
+ */
+function saveOnboardingStep(form, page) {
+    const data = formValues(form, loadOnboardingData());
+    form.querySelectorAll('input, select, textarea').forEach(input => {
+        if (input.name && isInHiddenSection(input, form)) delete data[input.name];
+    });
+    localStorage.setItem(ONBOARDING_STORAGE_KEY, JSON.stringify(data));
+    const progress = onboardingProgress();
+    if (!progress.includes(page)) {
+        progress.push(page);
+        localStorage.setItem(ONBOARDING_PROGRESS_KEY, JSON.stringify(progress));
+    }
+}
+
+/**
+ * Fill a step's fields from the stored answers
+ * Checkboxes keep their default state until the step has been saved once,
+ * since an unchecked box is not stored.
+ * @param {HTMLFormElement} form - Step form
+ * @param {string} page - Step page file name
+ */
+function restoreOnboardingStep(form, page) {
+    const data = loadOnboardingData();
+    const saved = onboardingProgress().includes(page);
+    form.querySelectorAll('input, select, textarea').forEach(input => {
+        if (!input.name || input.type === 'file') return;
+        if (input.type === 'checkbox') {
+            if (saved) input.checked = data[input.name] === 'on';
+        } else if (input.type === 'radio') {
+            input.checked = data[input.name] === input.value;
+        } else if (data[input.name] !== undefined) {
+            input.value = data[input.name];
+        }
+    });
+}
+
+/**
+ * Restore, validate and save an onboarding step
+ * The form's submit button validates the step, saves it and goes to nextPage.
+ * @param {HTMLFormElement} form - Step form
+ * @param {string} page - Step page file name
+ * @param {string} nextPage - Page to go to once the step is valid
+ * @param {Function} afterRestore - Called once the stored answers are filled in (e.g. to show toggled sections)
+ */
+function attachOnboardingStep(form, page, nextPage, afterRestore) {
+    restoreOnboardingStep(form, page);
+    if (afterRestore) afterRestore();
+    const validateStep = attachFormValidation(form, 'producer-onboarding', page);
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        if (!validateStep()) return;
+        saveOnboardingStep(form, page);
+        window.location.href = nextPage;
+    });
+}
+
+/**
+ * Mask all but the last four digits of a number
+ * @param {string} value - SSN, Tax ID or bank number
+ * @returns {string} e.g. •••-••-6789
+ */
+function maskDigits(value) {
+    const text = String(value || '');
+    const digits = text.replace(/\D/g, '').length;
+    let seen = 0;
+    return text.replace(/\d/g, digit => (++seen > digits - 4 ? digit : '•'));
+}
+
+function onboardingReviewValue(field, data) {
+    const value = data[field.key];
+    if (field.checkbox) return value === 'on' ? 'Yes' : 'No';
+    if (value === undefined || value === null || value === '') return null;
+    if (field.mask) return maskDigits(value);
+    if (field.list) return parseCodeList(value).map(code => field.list[code] || code).join(', ');
+    if (field.labels) return field.labels[value] || value;
+    return value;
+}
+
+/**
+ * Render the review summary of the stored answers into #reviewList
+ * Empty optional fields are left out; each section links back to its step.
+ * @param {Object} data - Stored onboarding answers
+ */
+function renderOnboardingReview(data) {
+    const list = document.getElementById('reviewList');
+    if (!list) return;
+    list.innerHTML = '';
+    ONBOARDING_REVIEW_SECTIONS.forEach(section => {
+        const wrap = document.createElement('div');
+        wrap.className = 'review-section';
+        const heading = document.createElement('h3');
+        heading.textContent = section.title + ' ';
+        const edit = document.createElement('a');
+        edit.href = section.page;
+        edit.className = 'edit-link';
+        edit.textContent = 'Edit';
+        heading.appendChild(edit);
+        wrap.appendChild(heading);
+
+        const shown = section.fields.filter(field => !field.checkbox || onboardingProgress().includes(section.page))
+            .map(field => ({
+                label: field.label,
+                value: onboardingReviewValue(field, data),
+                documentType: field.document,
+                documentId: field.document ? data[field.document + 'DocumentId'] : null
+            }))
+            .filter(row => row.value !== null);
+        if (shown.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'help-text';
+            empty.textContent = 'Not completed yet.';
+            wrap.appendChild(empty);
+        }
+        shown.forEach(row => {
+            const item = document.createElement('div');
+            item.className = 'review-item';
+            const label = document.createElement('span');
+            label.className = 'review-label';
+            label.textContent = row.label;
+            const value = document.createElement('span');
+            value.className = 'review-value';
+            value.textContent = row.value;
+            if (row.documentId && typeof documentActions === 'function') {
+                value.appendChild(documentActions({ documentId: row.documentId, documentType: row.documentType }, stored => {
+                    const current = loadOnboardingData();
+                    current[row.documentType + 'DocumentId'] = stored.documentId;
+                    current[row.documentType + 'Name'] = stored.filename;
+                    localStorage.setItem(ONBOARDING_STORAGE_KEY, JSON.stringify(current));
+                    renderOnboardingReview(current);
+                }));
+            }
+            item.appendChild(label);
+            item.appendChild(value);
+            wrap.appendChild(item);
+        });
+        list.appendChild(wrap);
+    });
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.loadOnboardingData = loadOnboardingData;
+    window.clearOnboardingData = clearOnboardingData;
+    window.attachOnboardingStep = attachOnboardingStep;
+    window.maskDigits = maskDigits;
+    window.renderOnboardingReview = renderOnboardingReview;
+}
@@ -1,31 +1,253 @@
-// NJ Temporary Disability Benefits Quote Calculator
-function calculateNJQuote(params) {
-  // NJ TDI rates are typically based on employee contributions
-  // This is a placeholder structure - adjust rates as needed
-  const employeeCount = Number(params.employeeCount || 0);
-  const billingOption = params.billingOption === 'quarterly' ? 'quarterly' : 'annual';
-
-  // Placeholder calculation - adjust based on actual NJ TDI rates
-  const monthlyRatePerEmployee = 1.50; // Placeholder rate
-  const annualTotal = employeeCount * monthlyRatePerEmployee * 12;
-  const displayAmount = billingOption === 'quarterly' ? (annualTotal / 4) : annualTotal;
-
-  return {
-    displayAmount: displayAmount,
-    billingPeriod: billingOption === 'quarterly' ? 'quarter' : 'year',
-    breakdown: {
-      totalEmployees: employeeCount,
-      monthlyRate: monthlyRatePerEmployee,
-      totalCost: displayAmount,
-    },
-  };
+/**
+ * NJ TDB Private Plan Rating - ShelterPoint State Quotes
+ * Rates a New Jersey Temporary Disability Benefits private plan against the
+ * State Plan. Premium and contributions apply to each employee's wages up to
+ * the taxable wage base. Employees may be asked to pay up to the statutory
+ * worker contribution; the employer pays the rest of the private plan
+ * premium, and under the State Plan pays its own TDI employer rate.
+ * Depends on shared/rating-engine.js (resolveCensus, formatCurrency),
+ * shared/census-parser.js and, on the application steps,
+ * shared/form-validation.js.
+ */
+
+// Plan years in effective-date order. A plan year applies from its
+// effectiveDate until the next one starts.
+//   wageBase               - annual wages per employee subject to TDI contributions
+//   employeeRate           - statutory worker TDI contribution
+//   statePlanEmployerRate  - State Plan employer TDI rate for new employers (experience-rated
+//                            employers are assigned 0.10% to 0.75% on their rate notice)
+//   shelterPointRate       - ShelterPoint premium for statutory benefits, as a share of capped payroll
+//   benefitLoads           - premium loads for enhanced Category D (duration) and E (commencement) benefits
+// Cards published through the rate card admin (shared/rate-cards.js) are
+// added to these plan years when the portal loads.
+const NJ_TDB_RATE_TABLE = {
+    name: 'New Jersey TDB Private Plan',
+    planYears: [
+        {
+            effectiveDate: '2025-01-01',
+            wageBase: 165400,
+            employeeRate: 0.0023,
+            statePlanEmployerRate: 0.005,
+            shelterPointRate: 0.0058,
+            benefitLoads: { duration: 0.10, commencement: 0.15 }
+        },
+        {
+            effectiveDate: '2026-01-01',
+            wageBase: 171100,
+            employeeRate: 0.0019,
+            statePlanEmployerRate: 0.005,
+            shelterPointRate: 0.0055,
+            benefitLoads: { duration: 0.10, commencement: 0.15 }
+        }
+    ]
+};
+
+const NJ_CONTRIBUTION_LABELS = {
+    statutory: 'Statutory percentage of taxable wages',
+    other: 'Other percentage of the statutory contribution',
+    none: 'None'
+};
+
+const NJ_BENEFIT_LABELS = {
+    categoryD: { statutory: 'Statutory duration', enhanced: '26 weeks for each period of disability', other: 'Other (rated as statutory)' },
+    categoryE: { statutory: 'Statutory waiting period', enhanced: 'Benefits from the first day of disability', other: 'Other (rated as statutory)' }
+};
+
+/**
+ * Find the plan year in force on a given date
+ * Dates before the first plan year use the first plan year.
+ * @param {string} effectiveDate - Requested effective date (YYYY-MM-DD); defaults to the latest plan year
+ * @returns {Object} Plan year rate record
+ */
+function getNJPlanYear(effectiveDate) {
+    const planYears = NJ_TDB_RATE_TABLE.planYears;
+    if (!effectiveDate) return planYears[planYears.length - 1];
+
+    let selected = planYears[0];
+    planYears.forEach(planYear => {
+        if (planYear.effectiveDate <= effectiveDate) selected = planYear;
+    });
+    return selected;
+}
+
+/**
+ * Worker contribution rate for the step 3 contribution election
+ * An 'other' election withholds that percentage of the statutory contribution.
+ * @param {Object} planYear - Plan year rate record
+ * @param {string} contributionType - 'statutory', 'other' or 'none'
+ * @param {number|string} otherPercentValue - Percentage for the 'other' election
+ * @returns {number} Contribution as a share of capped payroll
+ */
+function njEmployeeContributionRate(planYear, contributionType, otherPercentValue) {
+    if (contributionType === 'none') return 0;
+    if (contributionType === 'other') {
+        const percent = Math.min(Math.max(Number(otherPercentValue) || 0, 0), 100);
+        return planYear.employeeRate * percent / 100;
+    }
+    return planYear.employeeRate;
+}
+
+/**
+ * Rate an NJ TDB private plan quote
+ * Options use the application's field names, so the stored application data
+ * can be passed as the options once steps 3 and 5 are filled in.
+ * @param {Array|Object} census - Employee records, a parsed census result, or a census summary
+ * @param {Object} options - { effectiveDate, billingOption: 'annual' | 'quarterly',
+ *   contributionType, otherPercentValue, categoryD, categoryE,
+ *   stateEmployerRate (State Plan employer rate in percent, from the rate notice) }
+ * @returns {Object} Quote in the shape of rateQuote, with the employer's cost as the quoted amount
+ */
+function calculateNJQuote(census, options = {}) {
+    const resolve = typeof resolveCensus === 'function'
+        ? resolveCensus
+        : require('../shared/rating-engine.js').resolveCensus;
+
+    const planYear = getNJPlanYear(options.effectiveDate);
+    const summary = resolve(census, planYear.wageBase);
+    const billingOption = options.billingOption === 'quarterly' ? 'quarterly' : 'annual';
+    const periodsPerYear = billingOption === 'quarterly' ? 4 : 1;
+
+    const contributionType = NJ_CONTRIBUTION_LABELS[options.contributionType] ? options.contributionType : 'statutory';
+    const enhancedDuration = options.categoryD === 'enhanced';
+    const enhancedCommencement = options.categoryE === 'enhanced';
+    const stateEmployerRate = Number(options.stateEmployerRate) > 0
+        ? Number(options.stateEmployerRate) / 100
+        : planYear.statePlanEmployerRate;
+
+    const shelterPointRate = planYear.shelterPointRate * (1
+        + (enhancedDuration ? planYear.benefitLoads.duration : 0)
+        + (enhancedCommencement ? planYear.benefitLoads.commencement : 0));
+    const employeeRate = njEmployeeContributionRate(planYear, contributionType, options.otherPercentValue);
+
+    // Contributions and premium apply to payroll up to the wage base for each employee
+    const cappedPayroll = (summary.employeesOverCap * planYear.wageBase) + summary.payrollBelowCap;
+
+    // Private plan: worker contributions fund the premium first, the employer pays the rest
+    const premium = cappedPayroll * shelterPointRate / periodsPerYear;
+    const employeeContributions = Math.min(cappedPayroll * employeeRate / periodsPerYear, premium);
+    const displayAmount = premium - employeeContributions;
+
+    // State Plan: workers pay the statutory contribution to the State, the employer its TDI rate
+    const statePlanPrice = cappedPayroll * stateEmployerRate / periodsPerYear;
+
+    return {
+        state: 'NJ',
+        planYear: planYear.effectiveDate,
+        displayAmount: displayAmount,
+        billingPeriod: billingOption === 'quarterly' ? 'quarter' : 'year',
+        breakdown: {
+            base: 0,
+            totalEmployees: summary.totalEmployees,
+            employeesOverCap: summary.employeesOverCap,
+            payrollBelowCap: summary.payrollBelowCap,
+            wageBase: planYear.wageBase,
+            shelterPointRate: shelterPointRate,
+            statePlanRate: stateEmployerRate,
+            employeeRate: employeeRate,
+            premium: premium,
+            employeeContributions: employeeContributions,
+            totalCost: displayAmount,
+            statePlanPrice: statePlanPrice,
+            savings: statePlanPrice - displayAmount
+        },
+        benefits: {
+            contributionType,
+            duration: enhancedDuration ? 'enhanced' : 'statutory',
+            commencement: enhancedCommencement ? 'enhanced' : 'statutory'
+        },
+        census: summary
+    };
 }
 
-function formatCurrency(value) {
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value || 0);
+/**
+ * Plan selections of a quote, as label/value rows for the quote proposal
+ * @param {Object} options - Options the quote was rated with (see calculateNJQuote)
+ * @returns {Array<Array<string>>} Rows
+ */
+function njQuoteSelections(options) {
+    const contribution = options.contributionType === 'other'
+        ? (Number(options.otherPercentValue) || 0) + '% of the statutory contribution'
+        : NJ_CONTRIBUTION_LABELS[options.contributionType] || NJ_CONTRIBUTION_LABELS.statutory;
+    return [
+        ['Employee Contributions', contribution],
+        ['Maximum Duration', NJ_BENEFIT_LABELS.categoryD[options.categoryD] || NJ_BENEFIT_LABELS.categoryD.statutory],
+        ['Benefit Commencement', NJ_BENEFIT_LABELS.categoryE[options.categoryE] || NJ_BENEFIT_LABELS.categoryE.statutory]
+    ];
+}
+
+/**
+ * Show the employer cost of the quote on an NJ application step
+ * The census saved with the quote is re-rated with the step's contribution
+ * and benefit choices as they change. Nothing is shown when the application
+ * was not started from a quote.
+ * @param {HTMLFormElement} form - Step form
+ * @param {HTMLElement} box - Element the quote is shown in
+ */
+function attachNJApplicationQuote(form, box) {
+    const quoteData = JSON.parse(sessionStorage.getItem('njQuoteData') || '{}');
+    if (!Number(quoteData.totalEmployees)) return;
+    const census = {
+        maleEmployees: quoteData.coveredMales,
+        femaleEmployees: quoteData.coveredFemales,
+        totalEmployees: quoteData.totalEmployees,
+        employeesOverCap: quoteData.employeesOverCap,
+        payrollBelowCap: quoteData.payrollBelowCap
+    };
+
+    function render() {
+        const stored = JSON.parse(sessionStorage.getItem('njApplicationData') || '{}');
+        const options = formValues(form, Object.assign({ stateEmployerRate: quoteData.stateEmployerRate }, stored));
+        options.effectiveDate = stored.effectiveDate || quoteData.effectiveDate;
+        options.billingOption = 'quarterly';
+        const quote = calculateNJQuote(census, options);
+        const per = ' per ' + quote.billingPeriod;
+        box.innerHTML = '';
+        const heading = document.createElement('p');
+        heading.style.fontWeight = '600';
+        heading.textContent = 'Employer cost with these choices: ' + formatCurrency(quote.displayAmount) + per;
+        box.appendChild(heading);
+        [
+            ['ShelterPoint Premium', quote.breakdown.premium],
+            ['Employee Contributions', -quote.breakdown.employeeContributions],
+            ['State Plan Price', quote.breakdown.statePlanPrice],
+            ['Your Savings', quote.breakdown.savings]
+        ].forEach(([label, amount]) => {
+            const row = document.createElement('div');
+            row.className = 'review-item';
+            const name = document.createElement('span');
+            name.className = 'review-label';
+            name.textContent = label;
+            const value = document.createElement('span');
+            value.className = 'review-value';
+            value.textContent = formatCurrency(amount) + per;
+            row.appendChild(name);
+            row.appendChild(value);
+            box.appendChild(row);
+        });
+        box.style.display = '';
+    }
+
+    form.addEventListener('change', render);
+    form.addEventListener('input', render);
+    render();
 }
 
 // Expose globals for non-module usage
-window.calculateNJQuote = calculateNJQuote;
-window.formatCurrency = formatCurrency;
+if (typeof window !== 'undefined') {
+    window.NJ_TDB_RATE_TABLE = NJ_TDB_RATE_TABLE;
+    window.getNJPlanYear = getNJPlanYear;
+    window.calculateNJQuote = calculateNJQuote;
+    window.njQuoteSelections = njQuoteSelections;
+    window.attachNJApplicationQuote = attachNJApplicationQuote;
+}
 
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NJ_TDB_RATE_TABLE,
+        getNJPlanYear,
+        njEmployeeContributionRate,
+        calculateNJQuote,
+        njQuoteSelections
+    };
+}
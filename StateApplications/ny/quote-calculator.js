@@ -2,6 +2,7 @@
  * Quote Calculator for NY DBL & PFL Insurance - ShelterPoint 2026
  * Based on ShelterPoint Life's DBL/PFL & Enriched Options Rate Card
  * Rates effective 01/2021 for DBL, updated for 2026
+ * Rates are versioned by effective period - see RATE_PERIODS
  */
 
 // Per capita monthly rates from ShelterPoint 2026 rate card
@@ -104,6 +105,13 @@ const DBL_RATES = {
     }
 };
 
+// Paid Family Leave (PFL) rate - effective 2025
+const PFL_RATE_2025 = {
+    percentOfPayroll: 0.00388, // 0.388% of annualized wages
+    annualCapPerEmployee: 354.53, // Maximum annual PFL contribution per employee
+    nysaww: 91373.88 // NY State Average Weekly Wage annualized for 2025
+};
+
 // Paid Family Leave (PFL) rate - effective 2026
 const PFL_RATE = {
     percentOfPayroll: 0.00432, // 0.432% of annualized wages
@@ -111,6 +119,13 @@ const PFL_RATE = {
     nysaww: 95348.76 // NY State Average Weekly Wage annualized for 2026
 };
 
+// Most an employer may withhold from an employee for DBL: 0.5% of wages,
+// up to $0.60 a week. PFL may be withheld in full, up to the PFL rate and cap.
+const DBL_EMPLOYEE_CONTRIBUTION = {
+    percentOfWages: 0.005,
+    weeklyCap: 0.60
+};
+
 // Minimum premiums
 const MINIMUMS = {
     annualDBL: 125.00,
@@ -129,6 +144,28 @@ const OPTIONAL_BENEFITS = {
     nurseHelpline: 54 / 12
 };
 
+// Rate cards by effective period, oldest first. Each card applies from its
+// effectiveDate until the next card starts; the newest card applies onward.
+// Add a new period here when the DBL card, PFL rate/cap or NYSAWW changes.
+// Cards published through the rate card admin (shared/rate-cards.js) are
+// added to this list when the portal loads.
+const RATE_PERIODS = [
+    {
+        effectiveDate: '2025-01-01',
+        dblRates: DBL_RATES,
+        pflRate: PFL_RATE_2025,
+        minimums: MINIMUMS,
+        optionalBenefits: OPTIONAL_BENEFITS
+    },
+    {
+        effectiveDate: '2026-01-01',
+        dblRates: DBL_RATES,
+        pflRate: PFL_RATE,
+        minimums: MINIMUMS,
+        optionalBenefits: OPTIONAL_BENEFITS
+    }
+];
+
 /**
  * Calculate DBL premium based on employee gender mix
  * @param {number} maleCount - Number of male employees
@@ -136,18 +173,25 @@ const OPTIONAL_BENEFITS = {
  * @param {string} benefitTier - DBL benefit tier (statutory, enriched1.5x, etc.)
  * @param {string} billingType - Billing frequency (annual, quarterly)
  * @param {boolean} includeHospital - Whether to include In-Hospital rider
+ * @param {Object} dblRates - DBL rate card to use (defaults to the current card)
+ * @param {Object} rateOverride - Underwriter's per capita monthly rates for a large group,
+ *   { dblMaleRate, dblFemaleRate }, used for every tier and rider (optional)
  * @returns {number} Monthly DBL premium
  */
-function calculateDBLPremium(maleCount, femaleCount, benefitTier, billingType, includeHospital) {
+function calculateDBLPremium(maleCount, femaleCount, benefitTier, billingType, includeHospital, dblRates = DBL_RATES, rateOverride = null) {
     const tier = benefitTier || 'statutory';
     const billing = billingType === 'quarterly' ? 'quarterly' : 'annual';
     
-    if (!DBL_RATES[tier]) {
+    if (rateOverride && Number(rateOverride.dblMaleRate) > 0 && Number(rateOverride.dblFemaleRate) > 0) {
+        return (maleCount * Number(rateOverride.dblMaleRate)) + (femaleCount * Number(rateOverride.dblFemaleRate));
+    }
+    
+    if (!dblRates[tier]) {
         console.error('Invalid benefit tier:', tier);
         return 0;
     }
     
-    const rates = DBL_RATES[tier][billing];
+    const rates = dblRates[tier][billing];
     
     let monthlyPremium = 0;
     
@@ -167,15 +211,16 @@ function calculateDBLPremium(maleCount, femaleCount, benefitTier, billingType, i
  * @param {number} employeesOverNYSAWW - Number of employees over NYSAWW ($95,348.76)
  * @param {number} payrollBelowNYSAWW - Total annual payroll of employees below NYSAWW
  * @param {number} employeeCount - Total number of covered employees (for per-employee calculations)
+ * @param {Object} pflRate - PFL rate, cap and NYSAWW to use (defaults to the current rate)
  * @returns {Object} PFL premium breakdown (monthly, annual, perEmployee)
  */
-function calculatePFLPremium(employeesOverNYSAWW, payrollBelowNYSAWW, employeeCount) {
-    // Employees over NYSAWW: each pays the capped amount ($411.91 annually)
-    const pflFromOverCap = (employeesOverNYSAWW || 0) * PFL_RATE.annualCapPerEmployee;
+function calculatePFLPremium(employeesOverNYSAWW, payrollBelowNYSAWW, employeeCount, pflRate = PFL_RATE) {
+    // Employees over NYSAWW: each pays the capped amount
+    const pflFromOverCap = (employeesOverNYSAWW || 0) * pflRate.annualCapPerEmployee;
     
-    // Employees below NYSAWW: 0.432% of their total annual payroll
+    // Employees below NYSAWW: percentage of their total annual payroll
     const payrollBelow = payrollBelowNYSAWW || 0;
-    const pflFromBelowCap = payrollBelow * PFL_RATE.percentOfPayroll;
+    const pflFromBelowCap = payrollBelow * pflRate.percentOfPayroll;
     
     // Total annual PFL
     const annualPFL = pflFromOverCap + pflFromBelowCap;
@@ -196,29 +241,45 @@ function calculatePFLPremium(employeesOverNYSAWW, payrollBelowNYSAWW, employeeCo
     };
 }
 
+/**
+ * Most the employer may withhold from one employee in a year
+ * For the whole group, calculateQuote also keeps DBL withholding within the DBL premium.
+ * @param {number} annualWages - The employee's annual wages
+ * @param {string} effectiveDate - Policy effective date (YYYY-MM-DD), for the PFL rate
+ * @returns {Object} { dbl, pfl, total } annual contributions
+ */
+function nyEmployeeContribution(annualWages, effectiveDate) {
+    const wages = Math.max(Number(annualWages) || 0, 0);
+    const pflRate = getRatePeriod(effectiveDate).pflRate;
+    const dbl = Math.min(wages * DBL_EMPLOYEE_CONTRIBUTION.percentOfWages, DBL_EMPLOYEE_CONTRIBUTION.weeklyCap * 52);
+    const pfl = Math.min(wages * pflRate.percentOfPayroll, pflRate.annualCapPerEmployee);
+    return { dbl, pfl, total: dbl + pfl };
+}
+
 /**
  * Calculate optional benefits cost
  * @param {number} employeeCount - Total number of employees
  * @param {Object} selections - Object with boolean flags for each optional benefit
+ * @param {Object} optionalRates - Optional benefit rates to use (defaults to the current rates)
  * @returns {number} Monthly cost for optional benefits
  */
-function calculateOptionalBenefits(employeeCount, selections) {
+function calculateOptionalBenefits(employeeCount, selections, optionalRates = OPTIONAL_BENEFITS) {
     let monthlyTotal = 0;
     
     if (selections.termLife15k) {
-        monthlyTotal += employeeCount * OPTIONAL_BENEFITS.termLife15k;
+        monthlyTotal += employeeCount * optionalRates.termLife15k;
     }
     if (selections.eap) {
-        monthlyTotal += employeeCount * OPTIONAL_BENEFITS.eap;
+        monthlyTotal += employeeCount * optionalRates.eap;
     }
     if (selections.nurseHelpline) {
-        monthlyTotal += employeeCount * OPTIONAL_BENEFITS.nurseHelpline;
+        monthlyTotal += employeeCount * optionalRates.nurseHelpline;
     }
     if (selections.addd50k) {
-        monthlyTotal += employeeCount * OPTIONAL_BENEFITS.addd50k;
+        monthlyTotal += employeeCount * optionalRates.addd50k;
     }
     if (selections.addd100k) {
-        monthlyTotal += employeeCount * OPTIONAL_BENEFITS.addd100k;
+        monthlyTotal += employeeCount * optionalRates.addd100k;
     }
     
     return monthlyTotal;
@@ -228,26 +289,104 @@ function calculateOptionalBenefits(employeeCount, selections) {
  * Apply minimum premium requirements
  * @param {number} monthlyPremium - Calculated monthly DBL premium
  * @param {string} billingType - Billing frequency (annual, quarterly)
+ * @param {Object} minimums - Minimum premiums to apply (defaults to the current minimums)
  * @returns {number} Adjusted monthly premium after applying minimums
  */
-function applyMinimums(monthlyPremium, billingType) {
+function applyMinimums(monthlyPremium, billingType, minimums = MINIMUMS) {
     if (billingType === 'annual') {
         const annualPremium = monthlyPremium * 12;
-        if (annualPremium < MINIMUMS.annualDBL) {
-            return MINIMUMS.annualDBL / 12;
+        if (annualPremium < minimums.annualDBL) {
+            return minimums.annualDBL / 12;
         }
     } else if (billingType === 'quarterly') {
         const quarterlyPremium = monthlyPremium * 3;
-        if (quarterlyPremium < MINIMUMS.quarterlyDBL) {
-            return MINIMUMS.quarterlyDBL / 3;
+        if (quarterlyPremium < minimums.quarterlyDBL) {
+            return minimums.quarterlyDBL / 3;
         }
     }
     
     return monthlyPremium;
 }
 
+function parseISODate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+function addYears(time, years) {
+    const d = new Date(time);
+    return Date.UTC(d.getUTCFullYear() + years, d.getUTCMonth(), d.getUTCDate());
+}
+
+function toISODate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the rate card in force on a given date
+ * @param {string} date - Date (YYYY-MM-DD); defaults to the newest card
+ * @returns {Object} Rate period
+ */
+function getRatePeriod(date) {
+    const time = parseISODate(date);
+    if (time === null) return RATE_PERIODS[RATE_PERIODS.length - 1];
+
+    let selected = RATE_PERIODS[0];
+    RATE_PERIODS.forEach(period => {
+        if (parseISODate(period.effectiveDate) <= time) selected = period;
+    });
+    return selected;
+}
+
+/**
+ * Split a one-year policy term into the rate periods it spans
+ * @param {string} effectiveDate - Policy effective date (YYYY-MM-DD)
+ * @returns {Array<Object>} Segments with period, startDate, endDate and fraction of the term
+ */
+function getRateSegments(effectiveDate) {
+    const start = parseISODate(effectiveDate);
+    if (start === null) {
+        return [{ period: getRatePeriod(), startDate: null, endDate: null, fraction: 1 }];
+    }
+
+    const end = addYears(start, 1);
+    const termLength = end - start;
+    const segments = [];
+    let cursor = start;
+
+    while (cursor < end) {
+        const period = getRatePeriod(toISODate(cursor));
+        const next = RATE_PERIODS.find(p => parseISODate(p.effectiveDate) > cursor);
+        const segmentEnd = next ? Math.min(parseISODate(next.effectiveDate), end) : end;
+        segments.push({
+            period: period,
+            startDate: toISODate(cursor),
+            endDate: toISODate(segmentEnd),
+            fraction: (segmentEnd - cursor) / termLength
+        });
+        cursor = segmentEnd;
+    }
+
+    return segments;
+}
+
+/**
+ * Check whether a policy term runs past the plan year of the newest rate card,
+ * in which case the newest published rates are used for the remainder
+ * @param {string} effectiveDate - Policy effective date (YYYY-MM-DD)
+ * @returns {boolean} True when rates for part of the term are not yet published
+ */
+function hasUnpublishedRates(effectiveDate) {
+    const start = parseISODate(effectiveDate);
+    if (start === null) return false;
+    const newest = RATE_PERIODS[RATE_PERIODS.length - 1];
+    return addYears(start, 1) > addYears(parseISODate(newest.effectiveDate), 1);
+}
+
 /**
  * Calculate complete quote based on form inputs
+ * Groups referred to large-group underwriting pass the underwriter's DBL
+ * rates as formData.rateOverride; PFL stays at the community rate.
  * @param {Object} formData - Object containing all form field values
  * @returns {Object} Complete quote breakdown
  */
@@ -281,25 +420,10 @@ function calculateQuote(formData) {
     const includeHospital = formData.inHospitalRider === 'on' || formData.inHospitalRider === true;
     const annualPayroll = parseFloat(formData.annualPayroll) || 0;
     
-    // Calculate DBL premium
-    let dblMonthly = calculateDBLPremium(
-        maleCount,
-        femaleCount,
-        benefitTier,
-        billingType,
-        includeHospital
-    );
-    
-    // Apply minimum premiums to DBL
-    dblMonthly = applyMinimums(dblMonthly, billingType);
-    
-    // Calculate PFL premium
     const employeesOverNYSAWW = parseInt(formData.employeesOverNYSAWW) || 0;
     const payrollBelowNYSAWW = parseFloat(formData.payrollBelowNYSAWW) || 0;
-    const pfl = calculatePFLPremium(employeesOverNYSAWW, payrollBelowNYSAWW, totalEmployees);
-    const pflMonthly = pfl.monthlyTotal;
     
-    // Calculate optional benefits
+    // Optional benefit selections
     const optionalSelections = {
         termLife15k: formData.termLife15k === 'on' || formData.termLife15k === true,
         eap: formData.eap === 'on' || formData.eap === true,
@@ -307,7 +431,33 @@ function calculateQuote(formData) {
         addd50k: formData.adddBenefit === '50000',
         addd100k: formData.adddBenefit === '100000'
     };
-    const optionalMonthly = calculateOptionalBenefits(totalEmployees, optionalSelections);
+    
+    // Rate each part of the policy term on the card in force for it and
+    // prorate by the share of the term each card covers
+    const segments = getRateSegments(formData.effectiveDate);
+    let dblMonthly = 0;
+    let pflMonthly = 0;
+    let optionalMonthly = 0;
+    segments.forEach(segment => {
+        const period = segment.period;
+        
+        // Calculate DBL premium, applying minimum premiums
+        const segmentDBL = applyMinimums(
+            calculateDBLPremium(maleCount, femaleCount, benefitTier, billingType, includeHospital, period.dblRates, formData.rateOverride),
+            billingType,
+            period.minimums
+        );
+        
+        // Calculate PFL premium
+        const segmentPFL = calculatePFLPremium(employeesOverNYSAWW, payrollBelowNYSAWW, totalEmployees, period.pflRate);
+        
+        // Optional benefits are priced on the same cards
+        const segmentOptional = calculateOptionalBenefits(totalEmployees, optionalSelections, period.optionalBenefits);
+        
+        dblMonthly += segmentDBL * segment.fraction;
+        pflMonthly += segmentPFL.monthlyTotal * segment.fraction;
+        optionalMonthly += segmentOptional * segment.fraction;
+    });
     
     // Calculate totals
     const totalMonthly = dblMonthly + pflMonthly + optionalMonthly;
@@ -315,7 +465,25 @@ function calculateQuote(formData) {
     const periodMultiplier = billingPeriod === 'year' ? 12 : 3;
     const displayAmount = totalMonthly * periodMultiplier;
     
-    return {
+    // Contributory plans withhold the most the law allows: DBL at 0.5% of
+    // wages up to $0.60 a week (and no more than the DBL premium), PFL in full
+    let employeeContributions = null;
+    if (formData.dblContribution === 'contributory') {
+        const employeesBelowNYSAWW = Math.max(totalEmployees - employeesOverNYSAWW, 0);
+        const weeklyCapAnnual = DBL_EMPLOYEE_CONTRIBUTION.weeklyCap * 52;
+        const dblWithheld = Math.min(
+            employeesOverNYSAWW * weeklyCapAnnual
+                + Math.min(payrollBelowNYSAWW * DBL_EMPLOYEE_CONTRIBUTION.percentOfWages, employeesBelowNYSAWW * weeklyCapAnnual),
+            dblMonthly * 12
+        ) / 12;
+        employeeContributions = {
+            dbl: dblWithheld * periodMultiplier,
+            pfl: pflMonthly * periodMultiplier,
+            total: (dblWithheld + pflMonthly) * periodMultiplier
+        };
+    }
+    
+    const quote = {
         dblMonthly: dblMonthly,
         pflMonthly: pflMonthly,
         optionalMonthly: optionalMonthly,
@@ -339,8 +507,22 @@ function calculateQuote(formData) {
             male: maleCount,
             female: femaleCount,
             total: totalEmployees
-        }
+        },
+        ratePeriods: segments.map(segment => ({
+            effectiveDate: segment.period.effectiveDate,
+            startDate: segment.startDate,
+            endDate: segment.endDate,
+            fraction: segment.fraction
+        })),
+        unpublishedRates: hasUnpublishedRates(formData.effectiveDate)
     };
+    if (employeeContributions) {
+        quote.breakdown.employeeContributions = employeeContributions.total;
+        quote.breakdown.dblEmployeeContributions = employeeContributions.dbl;
+        quote.breakdown.pflEmployeeContributions = employeeContributions.pfl;
+        quote.breakdown.employerCost = displayAmount - employeeContributions.total;
+    }
+    return quote;
 }
 
 /**
@@ -399,6 +581,7 @@ function getBenefitDescription(benefitTier) {
         statutory: {
             name: 'Statutory DBL',
             maxWeekly: 170,
+            maxWithHospital: 340,
             description: '50% of salary up to $170/week'
         },
         'enriched1.5x': {
@@ -436,6 +619,91 @@ function getBenefitDescription(benefitTier) {
     return descriptions[benefitTier] || descriptions.statutory;
 }
 
+/**
+ * Rate every DBL benefit option for the same census and selections
+ * Runs calculateQuote for each tier, billing type and In-Hospital rider
+ * choice. Costs are annual so annual and quarterly billing compare directly;
+ * upgradeCost is the added annual cost over the tier below with the same
+ * billing and rider, and riderCost the added cost of the rider on the tier.
+ * @param {Object} formData - calculateQuote inputs (the tier, billing and rider are replaced)
+ * @returns {Object[]} Options, by billing type, rider and tier; empty when there are no employees
+ */
+function compareBenefitTiers(formData) {
+    const totalEmployees = (parseInt(formData.maleEmployees) || 0) + (parseInt(formData.femaleEmployees) || 0);
+    if (totalEmployees === 0) return [];
+    
+    const options = [];
+    ['annual', 'quarterly'].forEach(billingOption => {
+        const withoutRider = {};
+        [false, true].forEach(inHospitalRider => {
+            let previous = null;
+            Object.keys(DBL_RATES).forEach(dblBenefits => {
+                const quote = calculateQuote({ ...formData, dblBenefits, billingOption, inHospitalRider });
+                const tier = getBenefitDescription(dblBenefits);
+                const annualCost = quote.totalMonthly * 12;
+                options.push({
+                    dblBenefits,
+                    billingOption,
+                    inHospitalRider,
+                    name: tier.name,
+                    maxWeeklyBenefit: inHospitalRider ? tier.maxWithHospital : tier.maxWeekly,
+                    annualCost,
+                    perEmployeeAnnual: annualCost / totalEmployees,
+                    upgradeCost: previous === null ? null : annualCost - previous,
+                    riderCost: inHospitalRider ? annualCost - withoutRider[dblBenefits] : null
+                });
+                if (!inHospitalRider) withoutRider[dblBenefits] = annualCost;
+                previous = annualCost;
+            });
+        });
+    });
+    return options;
+}
+
+/**
+ * Whether two benefit options are the same tier, billing type and rider choice
+ * @param {Object} a - { dblBenefits, billingOption, inHospitalRider }
+ * @param {Object} b - { dblBenefits, billingOption, inHospitalRider }
+ * @returns {boolean} True when they match
+ */
+function isSameBenefitOption(a, b) {
+    return a.dblBenefits === b.dblBenefits
+        && (a.billingOption || 'annual') === (b.billingOption || 'annual')
+        && Boolean(a.inHospitalRider) === Boolean(b.inHospitalRider);
+}
+
+/**
+ * Describe a benefit option for display
+ * @param {Object} option - { dblBenefits, billingOption, inHospitalRider }
+ * @returns {string} Description
+ */
+function describeBenefitOption(option) {
+    return getBenefitDescription(option.dblBenefits).name
+        + (option.inHospitalRider ? ' with In-Hospital Rider' : '')
+        + ', ' + (option.billingOption === 'quarterly' ? 'quarterly' : 'annual') + ' billing';
+}
+
+/**
+ * Proposal rows for the alternatives a broker chose to include with the quote
+ * Alternatives that are not a known benefit option are left out.
+ * @param {Object} formData - calculateQuote inputs of the quoted option
+ * @param {Object[]} alternatives - Chosen { dblBenefits, billingOption, inHospitalRider } options
+ * @returns {Array[]} [label, value] rows
+ */
+function benefitAlternativeRows(formData, alternatives) {
+    if (!Array.isArray(alternatives) || alternatives.length === 0) return [];
+    const options = compareBenefitTiers(formData);
+    return alternatives
+        .map(alternative => options.find(option => isSameBenefitOption(option, alternative || {})))
+        .filter(Boolean)
+        .map(option => [
+            option.name + (option.inHospitalRider ? ' + Hospital Rider' : '') + ', '
+                + (option.billingOption === 'quarterly' ? 'quarterly' : 'annual')
+                + ', max ' + formatCurrency(option.maxWeeklyBenefit).replace('.00', '') + '/wk',
+            formatCurrency(option.annualCost) + ' (' + formatCurrency(option.perEmployeeAnnual) + '/employee)'
+        ]);
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -444,11 +712,20 @@ if (typeof module !== 'undefined' && module.exports) {
         calculateDBLPremium,
         calculatePFLPremium,
         calculateOptionalBenefits,
+        nyEmployeeContribution,
         formatCurrency,
         getBenefitDescription,
+        compareBenefitTiers,
+        isSameBenefitOption,
+        describeBenefitOption,
+        benefitAlternativeRows,
+        getRatePeriod,
+        getRateSegments,
         DBL_RATES,
         PFL_RATE,
         MINIMUMS,
-        OPTIONAL_BENEFITS
+        DBL_EMPLOYEE_CONTRIBUTION,
+        OPTIONAL_BENEFITS,
+        RATE_PERIODS
     };
 }
@@ -0,0 +1,195 @@
+/**
+ * API Client - ShelterPoint Portal
+ * Thin wrapper around fetch for the portal's JSON API (server/).
+ * Failed requests reject with an Error carrying the HTTP status and any
+ * field errors returned by the server. Staff-only requests ask for the staff
+ * access token, which is kept for the browser session. Access keys the API
+ * returns for records this browser created are kept in localStorage and sent
+ * with requests for those records. Links marked data-api-download are
+ * downloaded with the same credentials.
+ */
+
+const API_BASE = '/api';
+const STAFF_TOKEN_KEY = 'shelterpointStaffToken';
+const ACCESS_KEYS_KEY = 'shelterpointAccessKeys';
+
+function storedAccessKeys() {
+    if (typeof localStorage === 'undefined') return {};
+    try {
+        return JSON.parse(localStorage.getItem(ACCESS_KEYS_KEY) || '{}');
+    } catch (err) {
+        return {};
+    }
+}
+
+/**
+ * Keep the access key the API returned for a record this browser created
+ * @param {string} recordPath - Record path below /api (e.g. '/referrals/LG-12345678')
+ * @param {string} accessKey - Access key from the API response
+ */
+function rememberAccessKey(recordPath, accessKey) {
+    if (!accessKey || typeof localStorage === 'undefined') return;
+    const keys = storedAccessKeys();
+    keys[recordPath] = accessKey;
+    localStorage.setItem(ACCESS_KEYS_KEY, JSON.stringify(keys));
+}
+
+/**
+ * Paths of the records this browser holds access keys for
+ * @param {string} prefix - Collection path (e.g. '/referrals/')
+ * @returns {string[]} Record paths
+ */
+function rememberedRecordPaths(prefix) {
+    return Object.keys(storedAccessKeys()).filter(key => key.startsWith(prefix));
+}
+
+/**
+ * Whether a staff access token has been entered in this browser session
+ * @returns {boolean}
+ */
+function hasStaffToken() {
+    return typeof sessionStorage !== 'undefined' && !!sessionStorage.getItem(STAFF_TOKEN_KEY);
+}
+
+/**
+ * Access key for a path: the key of the record it names or belongs to
+ * @param {string} path - Path below /api (e.g. '/referrals/LG-12345678/files/1')
+ * @returns {string|null} Access key
+ */
+function accessKeyFor(path) {
+    const keys = storedAccessKeys();
+    const recordPath = String(path).split('?')[0];
+    const match = Object.keys(keys).find(key => recordPath === key || recordPath.startsWith(key + '/'));
+    return match ? keys[match] : null;
+}
+
+async function readJsonResponse(response) {
+    try {
+        return await response.json();
+    } catch (err) {
+        return null;
+    }
+}
+
+function responseError(response, data) {
+    const error = new Error((data && data.error) || ('Request failed (' + response.status + ')'));
+    error.status = response.status;
+    error.fieldErrors = (data && data.fieldErrors) || {};
+    return error;
+}
+
+/**
+ * Send a request with the staff token and the record's access key
+ * A 401 asks for the staff token once and sends the request again.
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api
+ * @param {Object|FormData} body - JSON body or multipart form data (optional)
+ * @param {string} accessKey - Access key to send instead of the path's own (optional)
+ * @param {boolean} askedForToken - The staff access token was just entered
+ * @returns {Promise<Response>} Response
+ */
+async function sendApiRequest(method, path, body, accessKey, askedForToken = false) {
+    const options = { method, headers: {} };
+    const staffToken = typeof sessionStorage !== 'undefined' ? sessionStorage.getItem(STAFF_TOKEN_KEY) : null;
+    if (staffToken) options.headers.Authorization = 'Bearer ' + staffToken;
+    const key = accessKey || accessKeyFor(path);
+    if (key) options.headers['X-Access-Key'] = key;
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        options.body = body;
+    } else if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    let response;
+    try {
+        response = await fetch(API_BASE + path, options);
+    } catch (err) {
+        const error = new Error('Could not reach the ShelterPoint service. Please check your connection and try again.');
+        error.status = 0;
+        error.fieldErrors = {};
+        throw error;
+    }
+
+    if (response.status === 401 && !askedForToken && typeof window !== 'undefined') {
+        // Another request may have asked for the token while this one was waiting
+        if (sessionStorage.getItem(STAFF_TOKEN_KEY) !== staffToken) {
+            return sendApiRequest(method, path, body, accessKey, true);
+        }
+        const data = await readJsonResponse(response.clone());
+        const token = window.prompt((data && data.error) || 'Please enter the staff access token.');
+        if (token && token.trim()) {
+            sessionStorage.setItem(STAFF_TOKEN_KEY, token.trim());
+            return sendApiRequest(method, path, body, accessKey, true);
+        }
+    }
+    return response;
+}
+
+/**
+ * Call the portal API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api (e.g. '/quotes')
+ * @param {Object|FormData} body - JSON body or multipart form data (optional)
+ * @param {string} accessKey - Access key of the record the request is for, when it is not the path's own (optional)
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function apiRequest(method, path, body, accessKey) {
+    const response = await sendApiRequest(method, path, body, accessKey);
+    const data = await readJsonResponse(response);
+    if (!response.ok) throw responseError(response, data);
+    return data;
+}
+
+/**
+ * Download a file from the API and save it under the server's file name
+ * Plain links cannot send the staff token, so links to staff files carry a
+ * data-api-download attribute with their path and are fetched here instead.
+ * @param {string} path - Path below /api (e.g. '/commissions/runs/CR-12345678/ach')
+ * @returns {Promise<void>}
+ */
+async function apiDownload(path) {
+    const response = await sendApiRequest('GET', path);
+    if (!response.ok) throw responseError(response, await readJsonResponse(response));
+    const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : path.split('/').pop();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('click', event => {
+        const link = event.target.closest ? event.target.closest('a[data-api-download]') : null;
+        if (!link) return;
+        event.preventDefault();
+        apiDownload(link.getAttribute('data-api-download')).catch(err => window.alert(err.message));
+    });
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.apiRequest = apiRequest;
+    window.apiDownload = apiDownload;
+    window.rememberAccessKey = rememberAccessKey;
+    window.accessKeyFor = accessKeyFor;
+    window.rememberedRecordPaths = rememberedRecordPaths;
+    window.hasStaffToken = hasStaffToken;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        apiRequest,
+        apiDownload,
+        rememberAccessKey,
+        accessKeyFor,
+        rememberedRecordPaths,
+        hasStaffToken,
+        API_BASE
+    };
+}
@@ -0,0 +1,146 @@
+/**
+ * Application Drafts - ShelterPoint State Applications
+ * Keeps a copy of every in-flight application in localStorage so the broker
+ * dashboard can list it and resume it at the step the broker last reached.
+ * Application pages record their progress when they load; the application
+ * data itself still lives in each state's sessionStorage key.
+ * Depends on shared/quote-store.js.
+ */
+
+const APPLICATION_DRAFTS_KEY = 'applicationDrafts';
+
+const DRAFT_STATUS = {
+    IN_PROGRESS: 'in-progress',
+    SUBMITTED: 'submitted'
+};
+
+/**
+ * Describe an application page from its path
+ * @param {string} pathname - Page path, e.g. /StateApplications/or/OR-app-step3.html
+ * @returns {Object|null} { state, page, step } or null for non-application pages
+ */
+function applicationPageInfo(pathname) {
+    const match = /\/(co|ct|de|ma|me|mn|nj|ny|or)\/([A-Z]{2}-app-([a-z0-9-]+)\.html)$/i.exec(pathname || '');
+    if (!match) return null;
+    return { state: match[1].toUpperCase(), page: match[2], step: match[3].toLowerCase() };
+}
+
+/**
+ * Human-readable name of an application step
+ * @param {string} step - Step part of the page name (e.g. 'step5-docs')
+ * @returns {string} Label such as 'Step 5 - Docs'
+ */
+function applicationStepLabel(step) {
+    if (step === 'requirements') return 'Requirements';
+    if (step === 'review') return 'Review';
+    if (step === 'complete') return 'Submitted';
+    const match = /^step(\d+)(?:-([a-z]+))?$/.exec(step);
+    if (!match) return step;
+    return 'Step ' + match[1] + (match[2] ? ' - ' + match[2].charAt(0).toUpperCase() + match[2].slice(1) : '');
+}
+
+function readDrafts() {
+    return JSON.parse(localStorage.getItem(APPLICATION_DRAFTS_KEY) || '{}');
+}
+
+function writeDrafts(drafts) {
+    localStorage.setItem(APPLICATION_DRAFTS_KEY, JSON.stringify(drafts));
+}
+
+/**
+ * Record the current application page as the draft's last step
+ * Runs on every application page; pages before any data is entered are skipped.
+ */
+function recordApplicationProgress() {
+    const info = applicationPageInfo(location.pathname);
+    if (!info) return;
+    const keys = STATE_STORAGE_KEYS[info.state];
+    if (!keys || !keys.applicationData) return;
+
+    const data = JSON.parse(sessionStorage.getItem(keys.applicationData) || '{}');
+    if (Object.keys(data).length === 0) return;
+    const quoteData = keys.quoteData ? JSON.parse(sessionStorage.getItem(keys.quoteData) || '{}') : {};
+
+    if (!data.draftId) {
+        data.draftId = info.state + '-' + Date.now().toString(36);
+        sessionStorage.setItem(keys.applicationData, JSON.stringify(data));
+    }
+
+    const drafts = readDrafts();
+    drafts[data.draftId] = {
+        draftId: data.draftId,
+        state: info.state,
+        quoteId: data.quoteId || quoteData.quoteId || null,
+        businessName: data.businessName || quoteData.businessName || data.employerName || data.policyholderName || '',
+        premium: quoteData.finalQuote || quoteData.quoteAmount || '',
+        lastPage: info.page,
+        lastStep: applicationStepLabel(info.step),
+        status: info.step === 'complete' ? DRAFT_STATUS.SUBMITTED : DRAFT_STATUS.IN_PROGRESS,
+        updatedAt: new Date().toISOString(),
+        data,
+        quoteData
+    };
+    writeDrafts(drafts);
+}
+
+/**
+ * All application drafts, most recently updated first
+ * @returns {Object[]} Drafts
+ */
+function listApplicationDrafts() {
+    return Object.values(readDrafts()).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Restore a draft into the browser session and open the step it was left on
+ * @param {string} draftId - Draft ID
+ * @param {string} basePath - Path from the current page to the state directories
+ */
+function resumeApplicationDraft(draftId, basePath = '') {
+    const draft = readDrafts()[draftId];
+    if (!draft) return;
+    const keys = STATE_STORAGE_KEYS[draft.state];
+    sessionStorage.setItem(keys.applicationData, JSON.stringify(draft.data));
+    if (keys.quoteData) {
+        sessionStorage.setItem(keys.quoteData, JSON.stringify(draft.quoteData || {}));
+    }
+    window.location.href = basePath + draft.state.toLowerCase() + '/' + draft.lastPage;
+}
+
+/**
+ * Delete a draft, including the live session copy when it is the same application
+ * @param {string} draftId - Draft ID
+ */
+function deleteApplicationDraft(draftId) {
+    const drafts = readDrafts();
+    const draft = drafts[draftId];
+    if (!draft) return;
+    const key = STATE_STORAGE_KEYS[draft.state].applicationData;
+    const live = JSON.parse(sessionStorage.getItem(key) || '{}');
+    if (live.draftId === draftId) {
+        sessionStorage.removeItem(key);
+    }
+    delete drafts[draftId];
+    writeDrafts(drafts);
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', recordApplicationProgress);
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.listApplicationDrafts = listApplicationDrafts;
+    window.resumeApplicationDraft = resumeApplicationDraft;
+    window.deleteApplicationDraft = deleteApplicationDraft;
+    window.DRAFT_STATUS = DRAFT_STATUS;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        applicationPageInfo,
+        applicationStepLabel,
+        DRAFT_STATUS
+    };
+}
@@ -0,0 +1,606 @@
+/**
+ * Application Rules - ShelterPoint State Applications
+ * Required fields and format checks for each application, grouped by the
+ * step page where the field is entered. The submission service validates
+ * submitted applications with these rules, and review pages use the step
+ * pages to show each error next to the matching section's Edit link.
+ * Step applications with a schema (StateApplications/schemas/) take their
+ * rules from it; see rulesFromSchema.
+ * Depends on shared/quote-email.js (isValidEmail), shared/sic-codes.js
+ * (lookupSicCode), shared/application-schema.js and, for the NJ DP-1,
+ * shared/nj-private-plan-rules.js.
+ */
+
+const ENTITY_TYPES_WITH_ESTABLISHED_DATE = ['soleProprietor', 'llc', 'llp'];
+
+// Unemployment insurance employer account numbers by state: digit counts, ignoring separators
+const UI_ACCOUNT_FORMATS = {
+    CO: { digits: [9], example: '123456.00-0' },
+    CT: { digits: [7], example: '1234567' },
+    MA: { digits: [8], example: '12345678' },
+    ME: { digits: [10], example: '1234567890' },
+    MN: { digits: [7, 8], example: '1234567' },
+    NY: { digits: [7], example: '12-34567' },
+    OR: { digits: [8], example: '1234567-8' }
+};
+
+// States ShelterPoint writes business in; producers record a license for each state they sell in
+const LICENSE_STATES = {
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', MA: 'Massachusetts', ME: 'Maine',
+    MN: 'Minnesota', NJ: 'New Jersey', NY: 'New York', OR: 'Oregon'
+};
+
+// Lines of authority a producer license can carry
+const LINES_OF_AUTHORITY = { health: 'Accident & Health', life: 'Life', property: 'Property', casualty: 'Casualty' };
+
+const LICENSE_RESIDENCY_LABELS = { resident: 'Resident', 'non-resident': 'Non-resident' };
+
+// Errors & omissions coverage limits accepted at onboarding
+const EO_LIMITS = {
+    250000: '$250,000', 500000: '$500,000', 1000000: '$1,000,000',
+    2000000: '$2,000,000', 3000000: '$3,000,000', 5000000: '$5,000,000'
+};
+
+/**
+ * Split a stored list of codes (e.g. 'NJ,NY' or 'health,life')
+ * @param {string} value - Comma-separated codes
+ * @returns {string[]} Codes
+ */
+function parseCodeList(value) {
+    return String(value || '').split(',').map(code => code.trim()).filter(Boolean);
+}
+
+const SSN_PATTERN = /^(?!000|666|9\d\d)\d{3}-?(?!00)\d{2}-?(?!0000)\d{4}$/;
+const EIN_PATTERN = /^\d{2}-?\d{7}$/;
+
+/**
+ * Check an ABA routing number: 9 digits whose weighted sum (3, 7, 1, repeating) is a multiple of 10
+ * @param {string} value - Routing number
+ * @returns {boolean} True when the checksum is valid
+ */
+function isValidRoutingNumber(value) {
+    if (!/^\d{9}$/.test(value)) return false;
+    const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+    const sum = weights.reduce((total, weight, i) => total + weight * Number(value[i]), 0);
+    return sum % 10 === 0;
+}
+
+/**
+ * Check a YYYY-MM-DD date is on the calendar (no February 30th)
+ * @param {string} value - Date string
+ * @returns {boolean} True for a real date
+ */
+function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return false;
+    const date = new Date(value + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function njPlanRules() {
+    return typeof njNoticeError === 'function'
+        ? { njElectionRequired, njContributorsError, njMajorityError, njElectionDateError, njNoticeError }
+        : require('./nj-private-plan-rules.js');
+}
+
+// Format checks: each returns an error message, or null when the value is acceptable.
+// Checks that depend on the application receive { state, values } as a second argument.
+const FIELD_FORMATS = {
+    ein: value => /^\d{2}-?\d{7}$/.test(value) ? null : 'Federal ID must be 9 digits (XX-XXXXXXX).',
+    zip: value => /^\d{5}(-?\d{4})?$/.test(value) ? null : 'ZIP must be 5 or 9 digits.',
+    phone: value => /^1?\d{10}$/.test(value.replace(/\D/g, '')) ? null : 'Phone number must have 10 digits.',
+    email: value => (typeof isValidEmail === 'function' ? isValidEmail : require('./quote-email.js').isValidEmail)(value)
+        ? null
+        : 'Please enter a valid email address.',
+    date: value => isCalendarDate(value)
+        ? null
+        : 'Please enter a valid date.',
+    njEmployerId: value => /^\d{9}[-/ ]?\d{3}$/.test(value) ? null : 'NJ Employer ID must be 12 digits (9-digit ID and 3-digit suffix).',
+    count: value => /^\d+$/.test(value) && parseInt(value, 10) > 0 ? null : 'Please enter a whole number greater than zero.',
+    wholeNumber: value => /^\d+$/.test(value) ? null : 'Please enter a whole number.',
+    amount: value => /^\$?\d[\d,]*(\.\d{1,2})?$/.test(value) ? null : 'Please enter a dollar amount.',
+    // Large-group underwriter rates: PFML as a percentage of capped payroll, NY DBL per employee per month
+    payrollRatePercent: value => /^\d*\.?\d+$/.test(value) && Number(value) > 0 && Number(value) <= 5
+        ? null
+        : 'Rate must be a percentage of payroll greater than 0 and no more than 5.',
+    perCapitaRate: value => /^\d*\.?\d+$/.test(value) && Number(value) > 0 && Number(value) < 100
+        ? null
+        : 'Rate must be a monthly amount per employee greater than $0 and less than $100.',
+    // NJ private plan contributions below the statutory rate, as a percentage of it
+    contributionPercent: value => /^\d+(\.\d+)?$/.test(value) && Number(value) > 0 && Number(value) < 100
+        ? null
+        : 'Contribution percentage must be more than 0 and less than 100 (the statutory contribution).',
+    // NJ private plan employee election and notice (shared/nj-private-plan-rules.js)
+    njContributors: (value, context = {}) => njPlanRules().njContributorsError(value, context.values || {}),
+    njElectionMajority: (value, context = {}) => njPlanRules().njMajorityError(value, context.values || {}),
+    njElectionDate: (value, context = {}) => njPlanRules().njElectionDateError(value, context.values || {}),
+    njNoticePeriod: (value, context = {}) => njPlanRules().njNoticeError(value, context.values || {}),
+    sic: value => (typeof lookupSicCode === 'function' ? lookupSicCode : require('./sic-codes.js').lookupSicCode)(value)
+        ? null
+        : 'Please enter a valid 4-digit SIC code.',
+    uiAccount: (value, context = {}) => {
+        const format = UI_ACCOUNT_FORMATS[context.state];
+        if (!format) return null;
+        const digits = value.replace(/[\s./-]/g, '');
+        return /^\d+$/.test(digits) && format.digits.includes(digits.length)
+            ? null
+            : 'Unemployment insurance account number must be ' + format.digits.join(' or ') + ' digits (e.g. ' + format.example + ').';
+    },
+    // Producer Tax ID: an SSN for individual licenses, an EIN for corporation/LLC licenses
+    taxId: (value, context = {}) => {
+        const licenseType = (context.values || {}).licenseType;
+        if (licenseType === 'individual') {
+            return SSN_PATTERN.test(value) ? null : 'Please enter a valid Social Security Number (XXX-XX-XXXX).';
+        }
+        if (licenseType === 'business') {
+            return EIN_PATTERN.test(value) ? null : 'Tax ID must be 9 digits (XX-XXXXXXX).';
+        }
+        return SSN_PATTERN.test(value) || EIN_PATTERN.test(value) ? null : 'Please enter a valid Tax ID (XX-XXXXXXX) or Social Security Number (XXX-XX-XXXX).';
+    },
+    tin: value => SSN_PATTERN.test(value) || EIN_PATTERN.test(value)
+        ? null
+        : 'Taxpayer Identification Number must be an SSN (XXX-XX-XXXX) or EIN (XX-XXXXXXX).',
+    routingNumber: value => {
+        if (!/^\d{9}$/.test(value)) return 'Routing number must be 9 digits.';
+        return isValidRoutingNumber(value) ? null : 'This is not a valid routing number. Please check the number on your check.';
+    },
+    bankAccount: value => /^\d{4,17}$/.test(value) ? null : 'Account number must be 4 to 17 digits.',
+    // Comma-separated license state codes, e.g. 'NJ,NY'
+    stateList: value => parseCodeList(value).every(code => LICENSE_STATES[code])
+        ? null
+        : 'Please select the states where you hold a license.',
+    linesOfAuthority: value => parseCodeList(value).every(line => LINES_OF_AUTHORITY[line])
+        ? null
+        : 'Please select the lines of authority on this license.',
+    // Only one of the producer's licenses can be a resident license
+    residency: (value, context = {}) => {
+        if (value !== 'resident') return null;
+        const values = context.values || {};
+        const residents = parseCodeList(values.licensedStates).filter(code => values['licenseResidency' + code] === 'resident');
+        return residents.length > 1 ? 'Only one license can be your resident license.' : null;
+    }
+};
+
+/**
+ * Resolve a date bound: an ISO date, 'today', or an offset from today such as '-1y', '+6m' or '+30d'
+ * @param {string} bound - Date bound
+ * @param {Date} today - Current date (defaults to now)
+ * @returns {string} ISO date (YYYY-MM-DD)
+ */
+function resolveDateBound(bound, today = new Date()) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(bound)) return bound;
+    const date = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+    const match = /^([+-]\d+)([dmy])$/.exec(bound);
+    if (match) {
+        const amount = parseInt(match[1], 10);
+        if (match[2] === 'd') date.setUTCDate(date.getUTCDate() + amount);
+        if (match[2] === 'm') date.setUTCMonth(date.getUTCMonth() + amount);
+        if (match[2] === 'y') date.setUTCFullYear(date.getUTCFullYear() + amount);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function displayDate(iso) {
+    const [year, month, day] = iso.split('-');
+    return parseInt(month, 10) + '/' + parseInt(day, 10) + '/' + year;
+}
+
+/**
+ * Check that a date falls within a range
+ * @param {string} value - ISO date
+ * @param {Object} range - { min, max } date bounds (see resolveDateBound)
+ * @returns {string|null} Error message
+ */
+function checkDateRange(value, range) {
+    const min = range.min ? resolveDateBound(range.min) : null;
+    const max = range.max ? resolveDateBound(range.max) : null;
+    if ((min && value < min) || (max && value > max)) {
+        if (range.min === 'today' && !max) return 'Date cannot be in the past.';
+        if (range.max === 'today' && !min) return 'Date cannot be in the future.';
+        if (min && max) return 'Please enter a date between ' + displayDate(min) + ' and ' + displayDate(max) + '.';
+        return min ? 'Please enter a date on or after ' + displayDate(min) + '.' : 'Please enter a date on or before ' + displayDate(max) + '.';
+    }
+    return null;
+}
+
+function isChecked(value) {
+    return value === true || value === 'on' || value === 'true' || value === 'yes';
+}
+
+/**
+ * Rules of a schema-based step application
+ * Every field with a required setting, format check or date range becomes a rule; hidden
+ * fields are skipped. Repeat blocks are free-form and are not checked.
+ * @param {Object} schema - Application schema (StateApplications/schemas/<STATE>.json)
+ * @returns {Object[]} Steps
+ */
+function rulesFromSchema(schema) {
+    const helpers = typeof schemaFields === 'function'
+        ? { schemaFields, isFieldVisible, isFieldRequired, fieldFormat, fieldLabel }
+        : require('./application-schema.js');
+    return schema.steps.map(step => ({
+        page: step.page,
+        fields: helpers.schemaFields(step)
+            .filter(field => field.type !== 'repeat' && (field.required || helpers.fieldFormat(field) || field.minDate || field.maxDate))
+            .map(field => ({
+                key: field.key,
+                label: helpers.fieldLabel(field),
+                required: data => helpers.isFieldRequired(field, data),
+                format: helpers.fieldFormat(field),
+                range: field.minDate || field.maxDate ? { min: field.minDate, max: field.maxDate } : null,
+                checkbox: field.type === 'checkbox',
+                when: data => helpers.isFieldVisible(field, data)
+            }))
+    }));
+}
+
+const NJ_STEPS = [
+    {
+        page: 'NJ-app-step1.html',
+        fields: [
+            { key: 'njEmployerId', label: 'NJ Employer ID', required: true, format: 'njEmployerId' },
+            { key: 'applicationType', label: 'Application Type', required: true },
+            { key: 'effectiveDate', label: 'Effective Date', required: true, format: 'date', range: { min: '-3m', max: '+1y' } },
+            { key: 'employerName', label: 'Employer Name', required: true },
+            { key: 'employerAddress', label: 'Employer Address', required: true },
+            { key: 'employerPhone', label: 'Employer Phone', required: true, format: 'phone' }
+        ]
+    },
+    {
+        page: 'NJ-app-step2.html',
+        fields: [
+            { key: 'repName', label: 'Representative Name', required: true },
+            { key: 'repEmail', label: 'Representative Email', format: 'email' },
+            { key: 'repTitle', label: 'Representative Title', required: true },
+            { key: 'deptEmail', label: 'Department Email', format: 'email' },
+            { key: 'repAddress', label: 'Representative Address', required: true },
+            { key: 'repPhone', label: 'Representative Phone', required: true, format: 'phone' }
+        ]
+    },
+    {
+        page: 'NJ-app-step3.html',
+        fields: [
+            { key: 'planCoverage', label: 'Plan Coverage', required: true },
+            { key: 'excludedClasses', label: 'Excluded Classes', required: data => data.planCoverage === 'other' },
+            { key: 'njEmployeeCount', label: 'Number of NJ Employees', required: true, format: 'count' },
+            { key: 'contributionType', label: 'Employee Contributions', required: true },
+            { key: 'otherPercentValue', label: 'Contribution Percentage', required: true, format: 'contributionPercent', when: data => data.contributionType === 'other' },
+            { key: 'informedDate', label: 'Date Employees Were Informed', required: true, format: 'njNoticePeriod', when: data => data.contributionType === 'none' }
+        ]
+    },
+    {
+        // Only contributory plans need the employees' election
+        page: 'NJ-app-step4.html',
+        fields: [
+            { key: 'electionDate', label: 'Election Date', required: true, format: 'njElectionDate', range: { max: 'today' }, when: data => njPlanRules().njElectionRequired(data) },
+            { key: 'totalRequired', label: 'Total Number Required to Contribute', required: true, format: 'njContributors', when: data => njPlanRules().njElectionRequired(data) },
+            { key: 'numberAgreeing', label: 'Number Agreeing to the Private Plan', required: true, format: 'njElectionMajority', when: data => njPlanRules().njElectionRequired(data) }
+        ]
+    },
+    {
+        page: 'NJ-app-step5.html',
+        fields: ['A', 'B', 'C', 'D', 'E'].map(category => ({
+            key: 'category' + category,
+            label: 'Benefit Category ' + category,
+            required: true
+        }))
+    }
+    // Step 6 (employer agreement and signature) is signed by the employer through employer/authorize.html
+];
+
+// Single-page NY DBL/PFL application (ny/NY-application.html)
+const NY_DBL_PFL_STEPS = [
+    {
+        page: 'NY-application.html',
+        fields: [
+            { key: 'businessName', label: 'Full Legal Business Name', required: true },
+            { key: 'businessAddress', label: 'Business Address', required: true },
+            { key: 'businessCity', label: 'City', required: true },
+            { key: 'businessState', label: 'State', required: true },
+            { key: 'businessZip', label: 'ZIP', required: true, format: 'zip' },
+            { key: 'mailingZip', label: 'Mailing ZIP', format: 'zip' },
+            { key: 'applicantEmail', label: 'Applicant E-mail', required: true, format: 'email' },
+            { key: 'applicantPhone', label: 'Applicant Phone', required: true, format: 'phone' },
+            { key: 'entityType', label: 'Legal Entity Type', required: true },
+            {
+                key: 'entityEstablishedDate',
+                label: 'Date Established',
+                required: data => ENTITY_TYPES_WITH_ESTABLISHED_DATE.includes(data.entityType),
+                format: 'date',
+                range: { max: 'today' }
+            },
+            { key: 'natureOfBusiness', label: 'Nature of Business', required: true },
+            { key: 'sicCode', label: 'SIC Code', format: 'sic' },
+            { key: 'federalId', label: 'Federal ID #', required: true, format: 'ein' },
+            { key: 'unemploymentInsurance', label: 'Unemployment Insurance #', format: 'uiAccount' },
+            { key: 'effectiveDate', label: 'Requested Effective Date', required: true, format: 'date', range: { min: 'today', max: '+1y' } },
+            { key: 'dblBenefits', label: 'DBL and PFL Benefits', required: true },
+            { key: 'billingOption', label: 'Billing Option', required: true },
+            { key: 'agencyPhone', label: 'Agency Phone', format: 'phone' },
+            { key: 'applicantName', label: 'Applicant Name', required: true },
+            { key: 'applicantDate', label: 'Date', required: true, format: 'date', range: { max: 'today' } },
+            { key: 'applicantSignature', label: 'Applicant Signature', required: true },
+            { key: 'certifyApplication', label: 'Certification', required: true, checkbox: true }
+        ]
+    }
+];
+
+// Producer onboarding (BrokerOnboarding/)
+const usesDirectDeposit = data => data.directDeposit === 'yes';
+const commissionAddressDiffers = data => !isChecked(data.sameAddress);
+
+const holdsLicense = code => data => parseCodeList(data.licensedStates).includes(code);
+
+// Details of the producer's license in one state, entered when the state is checked
+function licenseRules(code) {
+    const name = LICENSE_STATES[code];
+    return [
+        { key: 'licenseNumber' + code, label: name + ' License Number', required: true, when: holdsLicense(code) },
+        {
+            key: 'licenseResidency' + code,
+            label: name + ' Residency',
+            required: true,
+            options: Object.keys(LICENSE_RESIDENCY_LABELS),
+            format: 'residency',
+            when: holdsLicense(code)
+        },
+        { key: 'licenseLines' + code, label: name + ' Lines of Authority', required: true, format: 'linesOfAuthority', when: holdsLicense(code) },
+        {
+            key: 'licenseExpires' + code,
+            label: name + ' License Expiration Date',
+            required: true,
+            format: 'date',
+            range: { min: 'today' },
+            when: holdsLicense(code)
+        }
+    ];
+}
+
+const PRODUCER_ONBOARDING_STEPS = [
+    {
+        page: 'step1-personal.html',
+        fields: [
+            { key: 'firstName', label: 'First Name', required: true },
+            { key: 'lastName', label: 'Last Name', required: true },
+            { key: 'workEmail', label: 'Work Email Address', required: true, format: 'email' },
+            { key: 'officePhone', label: 'Office Phone', required: true, format: 'phone' },
+            { key: 'street1', label: 'Street Address', required: true },
+            { key: 'city', label: 'City', required: true },
+            { key: 'state', label: 'State', required: true },
+            { key: 'zip', label: 'ZIP Code', required: true, format: 'zip' }
+        ]
+    },
+    {
+        page: 'step2-business.html',
+        fields: [
+            { key: 'licenseType', label: 'License Type', required: true, options: ['individual', 'business'] },
+            { key: 'businessName', label: 'Business Name', required: true, when: data => data.licenseType === 'business' },
+            { key: 'taxId', label: 'Tax ID / Social Security Number', required: true, format: 'taxId' },
+            { key: 'commStreet1', label: 'Commission Street Address', required: true, when: commissionAddressDiffers },
+            { key: 'commCity', label: 'Commission City', required: true, when: commissionAddressDiffers },
+            { key: 'commState', label: 'Commission State', required: true, when: commissionAddressDiffers },
+            { key: 'commZip', label: 'Commission ZIP Code', required: true, format: 'zip', when: commissionAddressDiffers }
+        ]
+    },
+    {
+        page: 'step3-documents.html',
+        fields: [
+            { key: 'licensedStates', label: 'Licensed states', required: true, format: 'stateList' },
+            ...Object.keys(LICENSE_STATES).flatMap(licenseRules),
+            { key: 'insuranceLicenseName', label: 'Insurance License', required: true },
+            { key: 'applicationBorName', label: 'Application or Broker of Record', required: true },
+            { key: 'eoCoverageName', label: 'Proof of E&O Coverage', required: true },
+            { key: 'eoCarrier', label: 'E&O Carrier', required: true },
+            { key: 'eoLimit', label: 'E&O Limit', required: true, options: Object.keys(EO_LIMITS) },
+            { key: 'eoExpires', label: 'E&O Expiration Date', required: true, format: 'date', range: { min: 'today' } }
+        ]
+    },
+    {
+        page: 'step4-agreements.html',
+        fields: [
+            { key: 'agreeProducer', label: 'Producer Agreement acceptance', required: true, checkbox: true },
+            { key: 'w9Name', label: 'W-9 Name', required: true },
+            { key: 'taxClassification', label: 'Federal tax classification', required: true },
+            { key: 'w9TIN', label: 'Taxpayer Identification Number', required: true, format: 'tin' },
+            { key: 'signatureName', label: 'Full Name (Signature)', required: true },
+            { key: 'signatureDate', label: 'Signature Date', required: true, format: 'date', range: { max: 'today' } },
+            { key: 'certifyW9', label: 'W-9 certification', required: true, checkbox: true }
+        ]
+    },
+    {
+        page: 'step5-banking.html',
+        fields: [
+            { key: 'directDeposit', label: 'Direct deposit choice', options: ['yes', 'no'] },
+            { key: 'bankName', label: 'Bank Name', required: true, when: usesDirectDeposit },
+            { key: 'routingNumber', label: 'Routing Number', required: true, format: 'routingNumber', when: usesDirectDeposit },
+            { key: 'accountNumber', label: 'Account Number', required: true, format: 'bankAccount', when: usesDirectDeposit },
+            { key: 'confirmAccount', label: 'Confirm Account Number', required: true, matches: 'accountNumber', when: usesDirectDeposit },
+            { key: 'bankZip', label: 'Bank ZIP Code', format: 'zip', when: usesDirectDeposit },
+            { key: 'authorizeACH', label: 'ACH authorization', required: true, checkbox: true, when: usesDirectDeposit }
+        ]
+    },
+    {
+        page: 'step6-review.html',
+        fields: [
+            { key: 'certifyAccurate', label: 'Certification of accuracy', required: true, checkbox: true },
+            { key: 'agreeTerms', label: 'Agreement to terms and conditions', required: true, checkbox: true }
+        ]
+    }
+];
+
+// Employer authorization signing page (employer/authorize.html)
+const EMPLOYER_AUTHORIZATION_STEPS = [
+    {
+        page: 'authorize.html',
+        fields: [
+            { key: 'signerName', label: 'Printed Name', required: true },
+            { key: 'signerTitle', label: 'Title', required: true },
+            { key: 'signature', label: 'Signature', required: true },
+            { key: 'consent', label: 'Consent to sign electronically', required: true, checkbox: true }
+        ]
+    }
+];
+
+const isNYReferral = data => data.state === 'NY';
+
+// Large-group underwriting request (referrals/large-group.html) and the
+// underwriter's rate or decline (referrals/underwriting.html)
+const LARGE_GROUP_REFERRAL_STEPS = [
+    {
+        page: 'large-group.html',
+        fields: [
+            { key: 'businessName', label: 'Business Name', required: true },
+            { key: 'effectiveDate', label: 'Requested Effective Date', required: true, format: 'date' },
+            { key: 'totalEmployees', label: 'Total Employees', required: true, format: 'count' },
+            { key: 'censusFileName', label: 'Employee Census', required: true },
+            { key: 'currentCarrier', label: 'Current Carrier', required: true },
+            { key: 'currentPolicyExpires', label: 'Current Policy Expiration', format: 'date' },
+            { key: 'currentPremium', label: 'Current Annual Premium', format: 'amount' },
+            { key: 'claimCount', label: 'Claims in the Last 3 Years', required: true, format: 'wholeNumber' },
+            { key: 'paidLosses', label: 'Paid Losses in the Last 3 Years', required: true, format: 'amount' },
+            { key: 'openClaims', label: 'Open Claims', format: 'wholeNumber' },
+            { key: 'brokerName', label: 'Broker Name', required: true },
+            { key: 'brokerEmail', label: 'Broker Email', required: true, format: 'email' }
+        ]
+    }
+];
+
+const LARGE_GROUP_RATING_STEPS = [
+    {
+        page: 'underwriting.html',
+        fields: [
+            { key: 'underwriterName', label: 'Underwriter', required: true },
+            { key: 'shelterPointRate', label: 'ShelterPoint Rate', required: true, format: 'payrollRatePercent', when: data => !isNYReferral(data) },
+            { key: 'dblMaleRate', label: 'DBL Rate (Male)', required: true, format: 'perCapitaRate', when: isNYReferral },
+            { key: 'dblFemaleRate', label: 'DBL Rate (Female)', required: true, format: 'perCapitaRate', when: isNYReferral }
+        ]
+    }
+];
+
+const LARGE_GROUP_DECLINE_STEPS = [
+    {
+        page: 'underwriting.html',
+        fields: [
+            { key: 'underwriterName', label: 'Underwriter', required: true },
+            { key: 'declineReason', label: 'Reason for Declining', required: true }
+        ]
+    }
+];
+
+// Rules by state code, or by form name for applications that are not step-based
+const APPLICATION_RULES = {
+    NJ: NJ_STEPS,
+    'NY-DBL-PFL': NY_DBL_PFL_STEPS,
+    'producer-onboarding': PRODUCER_ONBOARDING_STEPS,
+    'employer-authorization': EMPLOYER_AUTHORIZATION_STEPS,
+    'large-group-referral': LARGE_GROUP_REFERRAL_STEPS,
+    'large-group-rating': LARGE_GROUP_RATING_STEPS,
+    'large-group-decline': LARGE_GROUP_DECLINE_STEPS
+};
+
+// States whose step pages are generated from a schema. In the browser their
+// rules are added by loadApplicationSchema once the page has fetched the schema.
+const SCHEMA_STATES = ['CO', 'CT', 'MA', 'ME', 'MN', 'NY', 'OR'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    SCHEMA_STATES.forEach(state => {
+        APPLICATION_RULES[state] = rulesFromSchema(require('../schemas/' + state + '.json'));
+    });
+}
+
+/**
+ * Check one field of an application
+ * @param {Object} field - Rule { key, label, required, format, range, checkbox, options, matches, when }
+ * @param {Object} values - Application data
+ * @param {string} ruleset - State code or form name, for state-specific formats
+ * @returns {string|null} Error message, or null when the field is acceptable
+ */
+function validateField(field, values, ruleset) {
+    const raw = values[field.key];
+    const value = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (field.when && !field.when(values)) return null;
+    const required = typeof field.required === 'function' ? field.required(values) : !!field.required;
+
+    if (field.checkbox) {
+        return required && !isChecked(raw) ? field.label + ' is required.' : null;
+    }
+    if (!value) {
+        return required ? field.label + ' is required.' : null;
+    }
+    if (field.options && !field.options.includes(value)) {
+        return 'Please select a valid ' + field.label + '.';
+    }
+    if (field.matches && value !== String(values[field.matches] === undefined ? '' : values[field.matches]).trim()) {
+        return field.label + ' does not match.';
+    }
+    const message = field.format ? FIELD_FORMATS[field.format](value, { state: ruleset, values }) : null;
+    if (message) return message;
+    return field.range ? checkDateRange(value, field.range) : null;
+}
+
+/**
+ * Validate application data against a set of rules
+ * @param {string} ruleset - State code or form name (key of APPLICATION_RULES)
+ * @param {Object} data - Application data as stored by the step pages
+ * @returns {Object} Field key to error message map (empty when valid)
+ */
+function validateApplication(ruleset, data) {
+    const steps = APPLICATION_RULES[ruleset];
+    if (!steps) throw new Error('Unknown application: ' + ruleset);
+    const values = data || {};
+    const errors = {};
+
+    steps.forEach(step => {
+        step.fields.forEach(field => {
+            const message = validateField(field, values, ruleset);
+            if (message) errors[field.key] = message;
+        });
+    });
+    return errors;
+}
+
+/**
+ * Step page where a field is entered
+ * @param {string} ruleset - State code or form name
+ * @param {string} key - Field key
+ * @returns {string|null} Page file name
+ */
+function applicationFieldPage(ruleset, key) {
+    const step = (APPLICATION_RULES[ruleset] || []).find(s => s.fields.some(f => f.key === key));
+    return step ? step.page : null;
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.APPLICATION_RULES = APPLICATION_RULES;
+    window.LICENSE_STATES = LICENSE_STATES;
+    window.LINES_OF_AUTHORITY = LINES_OF_AUTHORITY;
+    window.LICENSE_RESIDENCY_LABELS = LICENSE_RESIDENCY_LABELS;
+    window.EO_LIMITS = EO_LIMITS;
+    window.isCalendarDate = isCalendarDate;
+    window.parseCodeList = parseCodeList;
+    window.rulesFromSchema = rulesFromSchema;
+    window.resolveDateBound = resolveDateBound;
+    window.validateField = validateField;
+    window.validateApplication = validateApplication;
+    window.applicationFieldPage = applicationFieldPage;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APPLICATION_RULES,
+        FIELD_FORMATS,
+        LICENSE_STATES,
+        LINES_OF_AUTHORITY,
+        LICENSE_RESIDENCY_LABELS,
+        EO_LIMITS,
+        isCalendarDate,
+        parseCodeList,
+        SCHEMA_STATES,
+        resolveDateBound,
+        rulesFromSchema,
+        validateField,
+        validateApplication,
+        applicationFieldPage
+    };
+}
@@ -0,0 +1,675 @@
+/**
+ * Application Schema - ShelterPoint State Applications
+ * Builds the step forms and review summary of the state applications from
+ * their declarative schemas (StateApplications/schemas/<STATE>.json). A step
+ * page only provides the header, an #applicationProgress container and an
+ * #applicationStep container; the fields, conditional sections and
+ * load/save of the session data all come from the schema. When
+ * shared/form-validation.js is loaded, a step cannot be left while it has errors.
+ * Steps marked producerProfile are pre-filled from the onboarded producer's
+ * profile when shared/producer-profile.js is loaded. Fields marked
+ * payrollDeductions show the contributory plan withholding when
+ * shared/payroll-deductions.js is loaded. File fields upload their document
+ * as soon as it is chosen, and the review page offers to preview and replace
+ * it, when shared/document-upload.js is loaded.
+ * Depends on shared/quote-store.js (STATE_STORAGE_KEYS, stateFromPath).
+ */
+
+// Loaded schemas by state code
+const APPLICATION_SCHEMAS = {};
+
+const SCHEMA_BASE_PATH = '../schemas/';
+
+// Input types that imply a FIELD_FORMATS check
+const TYPE_FORMATS = { email: 'email', tel: 'phone', date: 'date' };
+
+/**
+ * Load a state's application schema (cached per page)
+ * Also registers the schema's rules so submission errors can be matched to steps.
+ * @param {string} state - Two-letter state code
+ * @returns {Promise<Object>} Schema
+ */
+async function loadApplicationSchema(state) {
+    if (!APPLICATION_SCHEMAS[state]) {
+        const response = await fetch(SCHEMA_BASE_PATH + state + '.json');
+        if (!response.ok) throw new Error('The ' + state + ' application could not be loaded.');
+        APPLICATION_SCHEMAS[state] = await response.json();
+        if (typeof APPLICATION_RULES !== 'undefined' && typeof rulesFromSchema === 'function') {
+            APPLICATION_RULES[state] = rulesFromSchema(APPLICATION_SCHEMAS[state]);
+        }
+    }
+    return APPLICATION_SCHEMAS[state];
+}
+
+/**
+ * Input fields of a step in display order
+ * Rows and groups are flattened; a field inside a conditional group inherits
+ * the group's condition. Repeat blocks are returned as a single entry.
+ * @param {Object} step - Schema step
+ * @returns {Object[]} Fields
+ */
+function schemaFields(step) {
+    const fields = [];
+    function collect(nodes, conditions) {
+        nodes.forEach(node => {
+            const own = conditions.concat(node.visibleWhen ? [node.visibleWhen] : []);
+            if (node.type === 'row' || node.type === 'group') {
+                collect(node.fields, own);
+            } else {
+                fields.push(Object.assign({}, node, { visibleWhen: own }));
+            }
+        });
+    }
+    step.sections.forEach(section => collect(section.fields, []));
+    return fields;
+}
+
+/**
+ * Whether a condition holds for the data
+ * @param {Object} condition - { field, equals } or { field, in: [...] }
+ * @param {Object} data - Application data
+ * @returns {boolean}
+ */
+function conditionMatches(condition, data) {
+    const value = data[condition.field];
+    if (Array.isArray(condition.in)) return condition.in.includes(value);
+    return value === condition.equals;
+}
+
+/**
+ * Whether a field is shown for the data (all of its visibleWhen conditions hold)
+ * @param {Object} field - Schema field
+ * @param {Object} data - Application data
+ * @returns {boolean}
+ */
+function isFieldVisible(field, data) {
+    return [].concat(field.visibleWhen || []).every(condition => conditionMatches(condition, data));
+}
+
+/**
+ * Whether a field must be filled in; hidden fields are never required
+ * @param {Object} field - Schema field with required true or a condition
+ * @param {Object} data - Application data
+ * @returns {boolean}
+ */
+function isFieldRequired(field, data) {
+    if (!field.required || !isFieldVisible(field, data)) return false;
+    return field.required === true || conditionMatches(field.required, data);
+}
+
+/**
+ * FIELD_FORMATS check for a field, from its format or its input type
+ * @param {Object} field - Schema field
+ * @returns {string|null} Format name
+ */
+function fieldFormat(field) {
+    return field.format || TYPE_FORMATS[field.type] || null;
+}
+
+/**
+ * Label used in the review summary and error messages
+ * @param {Object} field - Schema field
+ * @returns {string}
+ */
+function fieldLabel(field) {
+    return field.shortLabel || field.label;
+}
+
+function capitalize(value) {
+    return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+}
+
+// Element id of a radio option, e.g. allEmployeesYes
+function optionId(key, value) {
+    return key + capitalize(value);
+}
+
+// Number of stored instances of a repeat block (at least one)
+function repeatCount(repeat, data) {
+    let count = 1;
+    Object.keys(data).forEach(key => {
+        repeat.fields.forEach(function collect(field) {
+            if (field.type === 'row') return field.fields.forEach(collect);
+            const match = new RegExp('^' + field.key + '(\\d+)$').exec(key);
+            if (match) count = Math.max(count, parseInt(match[1], 10));
+        });
+    });
+    return count;
+}
+
+// Leaf fields of a repeat block
+function repeatFields(repeat) {
+    return schemaFields({ sections: [{ fields: repeat.fields }] });
+}
+
+function createElement(tag, props = {}, children = []) {
+    const el = document.createElement(tag);
+    Object.keys(props).forEach(name => {
+        const value = props[name];
+        if (value === undefined || value === null || value === false) return;
+        if (name === 'className') el.className = value;
+        else if (name === 'text') el.textContent = value;
+        else if (name === 'style') el.style.cssText = value;
+        else el.setAttribute(name, value === true ? '' : value);
+    });
+    children.forEach(child => child && el.appendChild(child));
+    return el;
+}
+
+function fieldLabelElement(field, id) {
+    const label = createElement('label', { for: id, text: field.label });
+    if (field.required === true) {
+        label.appendChild(document.createTextNode(' '));
+        label.appendChild(createElement('span', { className: 'required', text: '*' }));
+    }
+    return label;
+}
+
+function helpText(field) {
+    return field.help ? createElement('span', { className: 'help-text', text: field.help }) : null;
+}
+
+/**
+ * Build the markup of one input field
+ * @param {Object} field - Schema field
+ * @param {string} key - Field key, with the instance number inside repeat blocks
+ * @returns {HTMLElement}
+ */
+function renderField(field, key) {
+    switch (field.type) {
+    case 'checkbox':
+        return createElement('div', { className: 'checkbox-item', style: 'margin: 0.5rem 0 1rem 0;' }, [
+            createElement('input', { type: 'checkbox', id: key, name: key }),
+            createElement('label', { for: key, text: field.label })
+        ]);
+
+    case 'checkboxes':
+        return createElement('div', { className: 'form-group' }, [
+            createElement('label', { text: field.label }),
+            createElement('div', { className: 'checkbox-group' }, field.options.map(option =>
+                createElement('div', { className: 'checkbox-item' }, [
+                    createElement('input', { type: 'checkbox', id: option.key, name: option.key }),
+                    createElement('label', { for: option.key, text: option.label })
+                ])
+            )),
+            helpText(field)
+        ]);
+
+    case 'radio':
+        return createElement('div', { className: 'form-group' }, [
+            fieldLabelElement(field, null),
+            createElement('div', { className: 'radio-group' + (field.inline ? ' inline' : '') }, field.options.map(option =>
+                createElement('div', { className: 'radio-item' }, [
+                    createElement('input', { type: 'radio', id: optionId(key, option.value), name: key, value: option.value }),
+                    createElement('label', { for: optionId(key, option.value), text: option.label })
+                ])
+            )),
+            helpText(field)
+        ]);
+
+    case 'select':
+        return createElement('div', { className: 'form-group' }, [
+            fieldLabelElement(field, key),
+            createElement('select', { id: key, name: key, required: field.required === true },
+                [createElement('option', { value: '', text: 'Select...' })].concat(field.options.map(option =>
+                    createElement('option', { value: option.value, text: option.label })
+                ))
+            ),
+            helpText(field)
+        ]);
+
+    case 'textarea':
+        return createElement('div', { className: 'form-group' }, [
+            fieldLabelElement(field, key),
+            createElement('textarea', { id: key, name: key, rows: field.rows || 3, placeholder: field.placeholder }),
+            helpText(field)
+        ]);
+
+    case 'file': {
+        const input = createElement('input', { type: 'file', id: key, name: key, accept: field.accept, style: 'display: none;' });
+        const zone = createElement('div', { className: 'dropzone' }, [
+            createElement('img', { src: '../assets/images/upload.png', alt: 'Upload' }),
+            createElement('span', { text: 'Drag & drop files or click to upload' })
+        ]);
+        const documentId = createElement('input', { type: 'hidden', id: key + 'DocumentId', name: key + 'DocumentId' });
+        const note = createElement('div', { className: 'file-note', id: key + 'Note' });
+        const show = files => {
+            note.textContent = files && files.length ? Array.from(files).map(f => f.name).join(', ') : '';
+        };
+        zone.addEventListener('click', () => input.click());
+        zone.addEventListener('dragover', e => { e.preventDefault(); zone.classList.add('dragover'); });
+        zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+        zone.addEventListener('drop', e => {
+            e.preventDefault();
+            zone.classList.remove('dragover');
+            if (e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files.length) {
+                input.files = e.dataTransfer.files;
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        });
+        input.addEventListener('change', () => show(input.files));
+        return createElement('div', { className: 'form-group' }, [
+            fieldLabelElement(field, key), input, documentId, zone, note, helpText(field)
+        ]);
+    }
+
+    default:
+        return createElement('div', { className: 'form-group' }, [
+            fieldLabelElement(field, key),
+            createElement('input', {
+                type: field.type || 'text',
+                id: key,
+                name: key,
+                placeholder: field.placeholder,
+                maxlength: field.maxlength,
+                required: field.required === true
+            }),
+            helpText(field)
+        ]);
+    }
+}
+
+/**
+ * Build the markup of a list of schema nodes
+ * @param {Object[]} nodes - Fields, rows, groups and repeat blocks
+ * @param {Object[]} conditional - Collects { element, condition } for visibility updates
+ * @param {number} instance - Instance number inside a repeat block
+ * @returns {HTMLElement[]}
+ */
+function renderNodes(nodes, conditional, instance) {
+    return nodes.map(node => {
+        let el;
+        if (node.type === 'row') {
+            el = createElement('div', { className: 'form-row' }, renderNodes(node.fields, conditional, instance));
+        } else if (node.type === 'group') {
+            el = createElement('div', { className: node.boxed ? 'info-box' : null, style: node.boxed ? 'margin-top: 1rem;' : null },
+                renderNodes(node.fields, conditional, instance));
+        } else if (node.type === 'repeat') {
+            el = renderRepeat(node, conditional);
+        } else {
+            el = renderField(node, instance ? node.key + instance : node.key);
+        }
+        if (node.visibleWhen) conditional.push({ element: el, condition: node.visibleWhen });
+        return el;
+    });
+}
+
+function renderRepeatItem(repeat, instance, conditional) {
+    const children = renderNodes(repeat.fields, conditional, instance);
+    if (!repeat.boxed) return createElement('div', { className: 'repeat-item-plain' }, children);
+    const remove = createElement('button', { type: 'button', className: 'btn-secondary repeat-remove', text: 'Remove' });
+    remove.addEventListener('click', () => {
+        const container = remove.closest('.repeat-container');
+        if (container.children.length > 1) remove.closest('.repeat-item').remove();
+    });
+    return createElement('div', { className: 'repeat-item' }, [remove].concat(children));
+}
+
+function renderRepeat(repeat, conditional) {
+    const container = createElement('div', { className: 'repeat-container', id: repeat.key + 'Container' });
+    container.appendChild(renderRepeatItem(repeat, 1, conditional));
+    // Instance numbers only keep ids unique; saving renumbers the instances
+    let instances = 1;
+    const add = createElement('button', { type: 'button', className: 'btn-secondary', text: repeat.addLabel, style: 'margin-top: 1rem;' });
+    add.addEventListener('click', () => {
+        instances++;
+        container.appendChild(renderRepeatItem(repeat, instances, conditional));
+    });
+    return createElement('div', {}, [container, add]);
+}
+
+// Read the current values of the rendered inputs into a data object
+function readFormValues(form, data) {
+    form.querySelectorAll('input, select, textarea').forEach(input => {
+        if (!input.name || input.type === 'file') return;
+        if (input.type === 'radio') {
+            if (input.checked) data[input.name] = input.value;
+        } else if (input.type === 'checkbox') {
+            if (input.checked) data[input.name] = 'on';
+            else delete data[input.name];
+        } else {
+            data[input.name] = input.value;
+        }
+    });
+    return data;
+}
+
+function updateVisibility(form, conditional) {
+    const values = readFormValues(form, {});
+    conditional.forEach(({ element, condition }) => {
+        element.style.display = conditionMatches(condition, values) ? '' : 'none';
+    });
+}
+
+// Put stored values into the rendered inputs
+function fillForm(form, step, data) {
+    schemaFields(step).forEach(field => {
+        if (field.type === 'repeat') {
+            const container = form.querySelector('#' + field.key + 'Container');
+            const add = container.nextElementSibling;
+            for (let i = container.children.length; i < repeatCount(field, data); i++) add.click();
+            repeatFields(field).forEach(sub => {
+                for (let i = 1; i <= container.children.length; i++) {
+                    const input = form.querySelector('#' + sub.key + i);
+                    if (input && data[sub.key + i] !== undefined) input.value = data[sub.key + i];
+                }
+            });
+            return;
+        }
+        if (field.type === 'checkboxes') {
+            field.options.forEach(option => {
+                form.querySelector('#' + option.key).checked = data[option.key] === 'on';
+            });
+            return;
+        }
+        const value = data[field.key];
+        if (field.type === 'file') {
+            if (data[field.key + 'Name']) form.querySelector('#' + field.key + 'Note').textContent = data[field.key + 'Name'];
+            form.querySelector('#' + field.key + 'DocumentId').value = data[field.key + 'DocumentId'] || '';
+        } else if (field.type === 'radio') {
+            const radio = form.querySelector('#' + optionId(field.key, value));
+            if (radio) radio.checked = true;
+        } else if (field.type === 'checkbox') {
+            form.querySelector('#' + field.key).checked = value === 'on';
+        } else if (value !== undefined && value !== null) {
+            form.querySelector('#' + field.key).value = value;
+        }
+    });
+}
+
+/**
+ * Save the step's inputs into the application data
+ * Fields hidden by their conditions are removed, and repeat blocks are
+ * renumbered from 1 so removed instances leave no gaps.
+ * @param {HTMLFormElement} form - Rendered step form
+ * @param {Object} step - Schema step
+ * @param {Object} data - Application data (updated in place)
+ * @returns {Object} Application data
+ */
+function saveStepData(form, step, data) {
+    readFormValues(form, data);
+    schemaFields(step).forEach(field => {
+        if (field.type === 'repeat') {
+            const items = Array.from(form.querySelector('#' + field.key + 'Container').children);
+            const subFields = repeatFields(field);
+            const pattern = sub => new RegExp('^' + sub.key + '\\d+$');
+            const values = items.map(item => subFields.map(sub =>
+                Array.from(item.querySelectorAll('[name]')).find(input => pattern(sub).test(input.name)).value
+            ));
+            Object.keys(data).forEach(key => {
+                if (subFields.some(sub => pattern(sub).test(key))) delete data[key];
+            });
+            values.forEach((row, index) => {
+                subFields.forEach((sub, i) => { data[sub.key + (index + 1)] = row[i]; });
+            });
+            return;
+        }
+        if (field.type === 'file') {
+            const input = form.querySelector('#' + field.key);
+            if (input.files && input.files.length) data[field.key + 'Name'] = input.files[0].name;
+            if (!data[field.key + 'DocumentId']) delete data[field.key + 'DocumentId'];
+            return;
+        }
+        if (!isFieldVisible(field, data)) delete data[field.key];
+    });
+    return data;
+}
+
+/**
+ * Upload the documents of a step's file fields as soon as they are chosen
+ * The document is stored against the Quote ID the application was started
+ * from; its ID and file name are saved to the session data right away.
+ * @param {HTMLFormElement} form - Rendered step form
+ * @param {Object} step - Schema step
+ * @param {string} state - Two-letter state code
+ * @param {string} storageKey - Session storage key of the application data
+ */
+function attachDocumentUploads(form, step, state, storageKey) {
+    schemaFields(step).filter(field => field.type === 'file' && DOCUMENT_TYPES[field.key]).forEach(field => {
+        const input = form.querySelector('#' + field.key);
+        const documentId = form.querySelector('#' + field.key + 'DocumentId');
+        const note = form.querySelector('#' + field.key + 'Note');
+        const showError = message => {
+            if (typeof setFieldError === 'function') setFieldError(form, field.key, message);
+            else if (message) alert(message);
+        };
+        input.addEventListener('change', async () => {
+            if (!input.files || !input.files.length) return;
+            const file = input.files[0];
+            const data = JSON.parse(sessionStorage.getItem(storageKey) || '{}');
+            const owner = { kind: DOCUMENT_OWNER.APPLICATION, state, ownerId: getLinkedQuoteId(state) };
+            showError(null);
+            note.textContent = 'Uploading ' + file.name + '...';
+            try {
+                const stored = await uploadDocument(owner, field.key, file);
+                documentId.value = stored.documentId;
+                note.textContent = stored.filename;
+                data[field.key + 'DocumentId'] = stored.documentId;
+                data[field.key + 'Name'] = stored.filename;
+                sessionStorage.setItem(storageKey, JSON.stringify(data));
+            } catch (err) {
+                // Keep the document that was stored before, if any
+                input.value = '';
+                note.textContent = data[field.key + 'Name'] || '';
+                showError(err.fieldErrors && err.fieldErrors[field.key + 'Name'] || err.message);
+            }
+        });
+    });
+}
+
+function renderProgress(container, index, total, title) {
+    const percent = Math.round(((index + 1) / total) * 10000) / 100;
+    container.innerHTML = '';
+    container.appendChild(createElement('div', { className: 'progress-bar' }, [
+        createElement('div', { className: 'progress-fill', style: 'width: ' + percent + '%;' })
+    ]));
+    container.appendChild(createElement('div', { className: 'step-info' }, [
+        createElement('span', { className: 'step-number-display', text: 'Step ' + (index + 1) + ' of ' + total }),
+        createElement('span', { text: title })
+    ]));
+}
+
+/**
+ * Render the current step page from its state's schema
+ * Runs on pages with an #applicationStep container.
+ */
+async function renderApplicationStep() {
+    const container = document.getElementById('applicationStep');
+    if (!container) return;
+    const state = stateFromPath();
+    const schema = await loadApplicationSchema(state);
+    const page = location.pathname.split('/').pop();
+    const index = schema.steps.findIndex(s => s.page === page);
+    if (index < 0) return;
+    const step = schema.steps[index];
+    const storageKey = STATE_STORAGE_KEYS[state].applicationData;
+    const data = JSON.parse(sessionStorage.getItem(storageKey) || '{}');
+
+    // The review page is the final step
+    const progress = document.getElementById('applicationProgress');
+    if (progress) renderProgress(progress, index, schema.steps.length + 1, step.title);
+
+    container.innerHTML = '';
+    const profile = step.producerProfile && typeof loadProducerProfile === 'function' ? loadProducerProfile() : null;
+    if (profile) {
+        container.appendChild(createElement('p', { className: 'step-notice', text: 'Pre-filled from your producer profile. Please check the details before continuing.' }));
+    } else if (step.notice) {
+        container.appendChild(createElement('p', { className: 'step-notice', text: step.notice }));
+    }
+    const heading = createElement('h2', { className: 'section-title', text: step.title });
+    if (step.helpIcon) {
+        heading.appendChild(createElement('img', { src: '../assets/images/question_mark.svg', alt: 'Help', className: 'section-help-icon' }));
+    }
+    container.appendChild(heading);
+
+    const conditional = [];
+    const form = createElement('form', { id: 'applicationStepForm' });
+    step.sections.forEach(section => {
+        form.appendChild(createElement('div', { className: 'form-panel' }, [
+            section.title ? createElement('h3', { text: section.title }) : null,
+            section.description ? createElement('p', { className: 'form-panel-description', text: section.description }) : null
+        ].concat(renderNodes(section.fields, conditional, 0))));
+    });
+
+    const isLast = index === schema.steps.length - 1;
+    const back = createElement('button', { type: 'button', className: 'btn-secondary', text: '← Back' });
+    const next = createElement('button', { type: 'button', className: 'btn-primary', text: isLast ? 'Review' : 'Continue →' });
+    back.addEventListener('click', () => {
+        window.location.href = index === 0 ? schema.startPage : schema.steps[index - 1].page;
+    });
+    next.addEventListener('click', () => {
+        if (!validateStep()) return;
+        if (licenseAlert) {
+            licenseAlert.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+        const current = JSON.parse(sessionStorage.getItem(storageKey) || '{}');
+        sessionStorage.setItem(storageKey, JSON.stringify(saveStepData(form, step, current)));
+        window.location.href = isLast ? schema.reviewPage : schema.steps[index + 1].page;
+    });
+    form.appendChild(createElement('div', { className: 'button-group' }, [back, next]));
+    container.appendChild(form);
+
+    fillForm(form, step, data);
+    // The producer must be licensed in the application's state
+    const producer = profile ? applyProducerProfile(form, state) : null;
+    const licenseAlert = producer && producer.licenseError
+        ? createElement('div', { className: 'alert-box error', text: producer.licenseError })
+        : null;
+    if (licenseAlert) form.insertBefore(licenseAlert, form.firstChild);
+    if (typeof uploadDocument === 'function') attachDocumentUploads(form, step, state, storageKey);
+    if (typeof attachPayrollDeductions === 'function') {
+        schemaFields(step).filter(field => field.payrollDeductions).forEach(field => attachPayrollDeductions(form, state, field.key));
+    }
+    updateVisibility(form, conditional);
+    form.addEventListener('change', () => updateVisibility(form, conditional));
+    const validateStep = typeof attachFormValidation === 'function'
+        ? attachFormValidation(form, state, step.page, () => readFormValues(form, JSON.parse(sessionStorage.getItem(storageKey) || '{}')))
+        : () => true;
+}
+
+// Display text of a stored value
+function reviewValue(field, data, key) {
+    const value = field.type === 'file' ? data[key + 'Name'] : data[key];
+    if (field.type === 'checkbox') return value === 'on' ? 'Yes' : 'No';
+    if (field.type === 'checkboxes') {
+        const checked = field.options.filter(option => data[option.key] === 'on').map(option => option.label);
+        return checked.length ? checked.join(', ') : '—';
+    }
+    if (value === undefined || value === null || value === '') return '—';
+    if (field.options) {
+        const option = field.options.find(o => o.value === value);
+        if (option) return option.label;
+    }
+    return value;
+}
+
+/**
+ * Review rows of a step: visible fields, plus every filled-in repeat instance
+ * @param {Object} step - Schema step
+ * @param {Object} data - Application data
+ * @returns {Object[]} Rows { key, label, value, documentId }
+ */
+function reviewRows(step, data) {
+    const rows = [];
+    schemaFields(step).forEach(field => {
+        if (field.type !== 'repeat') {
+            if (isFieldVisible(field, data)) {
+                rows.push({
+                    key: field.key,
+                    label: fieldLabel(field),
+                    value: reviewValue(field, data, field.key),
+                    documentId: field.type === 'file' ? data[field.key + 'DocumentId'] || null : null
+                });
+            }
+            return;
+        }
+        const subFields = repeatFields(field);
+        const count = repeatCount(field, data);
+        for (let i = 1; i <= count; i++) {
+            const filled = subFields.some(sub => data[sub.key + i]);
+            if (!filled && i > 1) continue;
+            subFields.forEach(sub => {
+                rows.push({
+                    key: sub.key + i,
+                    label: fieldLabel(sub) + (count > 1 ? ' ' + i : ''),
+                    value: reviewValue(sub, data, sub.key + i)
+                });
+            });
+        }
+    });
+    return rows;
+}
+
+/**
+ * Render the review summary of a schema-based application into #reviewList
+ * Uploaded documents can be previewed and replaced when
+ * shared/document-upload.js is loaded.
+ * @param {Object} schema - Application schema
+ */
+function renderApplicationReview(schema) {
+    const list = document.getElementById('reviewList');
+    if (!list) return;
+    const storageKey = STATE_STORAGE_KEYS[schema.state].applicationData;
+    const data = JSON.parse(sessionStorage.getItem(storageKey) || '{}');
+    list.innerHTML = '';
+
+    const keys = schema.steps.flatMap(step => reviewRows(step, {}).map(row => row.key));
+    if (!keys.some(key => key in data)) {
+        list.appendChild(createElement('p', { text: 'No information available yet.' }));
+        return;
+    }
+    schema.steps.forEach(step => {
+        const heading = createElement('h3', {}, [
+            createElement('span', { text: step.reviewTitle || step.title }),
+            createElement('a', { href: step.page, className: 'edit-link', text: 'Edit' })
+        ]);
+        const section = createElement('div', { className: 'review-section' }, [heading]);
+        reviewRows(step, data).forEach(row => {
+            const value = createElement('span', { className: 'review-value', text: row.value });
+            if (row.documentId && typeof documentActions === 'function') {
+                value.appendChild(documentActions({ documentId: row.documentId, documentType: row.key }, stored => {
+                    const current = JSON.parse(sessionStorage.getItem(storageKey) || '{}');
+                    current[row.key + 'DocumentId'] = stored.documentId;
+                    current[row.key + 'Name'] = stored.filename;
+                    sessionStorage.setItem(storageKey, JSON.stringify(current));
+                    renderApplicationReview(schema);
+                }));
+            }
+            section.appendChild(createElement('div', { className: 'review-item' }, [
+                createElement('span', { className: 'review-label', text: row.label }),
+                value
+            ]));
+        });
+        list.appendChild(section);
+    });
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        renderApplicationStep().catch(err => {
+            const container = document.getElementById('applicationStep');
+            if (container) container.appendChild(createElement('div', { className: 'alert-box error', text: err.message }));
+        });
+    });
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.APPLICATION_SCHEMAS = APPLICATION_SCHEMAS;
+    window.loadApplicationSchema = loadApplicationSchema;
+    window.renderApplicationReview = renderApplicationReview;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        schemaFields,
+        conditionMatches,
+        isFieldVisible,
+        isFieldRequired,
+        fieldFormat,
+        fieldLabel,
+        reviewRows
+    };
+}
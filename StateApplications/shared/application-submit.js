@@ -0,0 +1,189 @@
+/**
+ * Application Submission - ShelterPoint State Applications
+ * Sends applications to the portal's submission service and shows the field
+ * errors it returns: on review pages under the Edit link of the step where
+ * each field is entered, and on single-page forms next to the field itself.
+ * Depends on shared/api-client.js, shared/quote-store.js and shared/application-rules.js.
+ */
+
+// Errors from a submission started outside the review page (e.g. NJ step 6), shown when the review page loads
+const SUBMISSION_ERRORS_KEY = 'applicationSubmissionErrors';
+
+/**
+ * Post a submission, as multipart form data when files are attached
+ * @param {Object} payload - { kind, state, form, quoteId, data, quoteData, employerContact }
+ * @param {Object} files - Field name to File map (optional)
+ * @returns {Promise<Object>} Submission record with its submissionNumber
+ */
+async function submitApplication(payload, files = {}) {
+    const attached = Object.entries(files).filter(([, file]) => file);
+    if (attached.length === 0) {
+        return apiRequest('POST', '/submissions', payload);
+    }
+    const formData = new FormData();
+    formData.append('payload', JSON.stringify(payload));
+    attached.forEach(([field, file]) => formData.append(field, file, file.name));
+    return apiRequest('POST', '/submissions', formData);
+}
+
+/**
+ * Submit the state application stored in the browser session
+ * On success the submission number is saved with the application data. When
+ * the service rejects the application its errors are kept for the review page.
+ * @param {string} state - Two-letter state code
+ * @param {Object} employerContact - Employer authorization contact { name, email }
+ * @returns {Promise<Object>} Submission record
+ */
+async function submitStateApplication(state, employerContact) {
+    const keys = STATE_STORAGE_KEYS[state];
+    const data = JSON.parse(sessionStorage.getItem(keys.applicationData) || '{}');
+    const quoteData = keys.quoteData ? JSON.parse(sessionStorage.getItem(keys.quoteData) || '{}') : {};
+
+    try {
+        const record = await submitApplication({
+            kind: 'application',
+            state,
+            quoteId: data.quoteId || quoteData.quoteId || null,
+            data,
+            quoteData,
+            employerContact
+        });
+        data.submissionNumber = record.submissionNumber;
+        sessionStorage.setItem(keys.applicationData, JSON.stringify(data));
+        sessionStorage.removeItem(SUBMISSION_ERRORS_KEY);
+        return record;
+    } catch (err) {
+        sessionStorage.setItem(SUBMISSION_ERRORS_KEY, JSON.stringify({
+            state,
+            message: err.message,
+            fieldErrors: err.fieldErrors || {}
+        }));
+        throw err;
+    }
+}
+
+function errorList(messages) {
+    const list = document.createElement('ul');
+    list.className = 'review-errors';
+    list.style.cssText = 'color: var(--error-color); margin: 0 0 1rem 1.25rem;';
+    messages.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    });
+    return list;
+}
+
+/**
+ * Show submission errors on a review page
+ * Errors for fields entered on a step with a review section are listed under
+ * that section's heading; everything else is listed in an alert above the review.
+ * @param {string} ruleset - State code or form name used by the submission service
+ * @param {string} message - Summary message
+ * @param {Object} fieldErrors - Field key to message map
+ */
+function showReviewErrors(ruleset, message, fieldErrors) {
+    const list = document.getElementById('reviewList');
+    if (!list) return;
+    list.querySelectorAll('.review-errors, .review-errors-summary').forEach(el => el.remove());
+
+    const unmatched = [];
+    const bySection = new Map();
+    Object.keys(fieldErrors || {}).forEach(key => {
+        const page = applicationFieldPage(ruleset, key);
+        const link = page ? list.querySelector('.review-section a.edit-link[href="' + page + '"]') : null;
+        if (!link) {
+            unmatched.push(fieldErrors[key]);
+            return;
+        }
+        const section = link.closest('.review-section');
+        if (!bySection.has(section)) bySection.set(section, []);
+        bySection.get(section).push(fieldErrors[key]);
+    });
+
+    bySection.forEach((messages, section) => {
+        section.querySelector('h3').insertAdjacentElement('afterend', errorList(messages));
+    });
+
+    const summary = document.createElement('div');
+    summary.className = 'alert-box error review-errors-summary';
+    const heading = document.createElement('strong');
+    heading.textContent = message || 'Please correct the highlighted information before submitting.';
+    summary.appendChild(heading);
+    if (unmatched.length > 0) {
+        const extra = errorList(unmatched);
+        extra.style.margin = '0.5rem 0 0 1.25rem';
+        summary.appendChild(extra);
+    }
+    list.insertBefore(summary, list.firstChild);
+    summary.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Show errors saved by a submission made from another page (shown once)
+ * @param {string} state - Two-letter state code of the review page
+ */
+function showStoredReviewErrors(state) {
+    const stored = JSON.parse(sessionStorage.getItem(SUBMISSION_ERRORS_KEY) || 'null');
+    if (!stored || stored.state !== state) return;
+    sessionStorage.removeItem(SUBMISSION_ERRORS_KEY);
+    showReviewErrors(state, stored.message, stored.fieldErrors);
+}
+
+/**
+ * Show submission errors next to the matching fields of a form
+ * @param {HTMLFormElement} form - Form whose field names match the error keys
+ * @param {Object} fieldErrors - Field key to message map
+ * @returns {string[]} Messages for keys without a matching field
+ */
+function showFormErrors(form, fieldErrors) {
+    form.querySelectorAll('.submission-error').forEach(el => el.remove());
+    form.querySelectorAll('.error').forEach(el => el.classList.remove('error'));
+
+    const unmatched = [];
+    let first = null;
+    Object.keys(fieldErrors || {}).forEach(key => {
+        const inputs = form.querySelectorAll('[name="' + key + '"]');
+        if (inputs.length === 0) {
+            unmatched.push(fieldErrors[key]);
+            return;
+        }
+        inputs.forEach(input => input.classList.add('error'));
+        const message = document.createElement('div');
+        message.className = 'error-message submission-error';
+        message.style.display = 'block';
+        message.textContent = fieldErrors[key];
+        const anchor = inputs[0].closest('.radio-group, .checkbox-item, .form-group') || inputs[0];
+        anchor.insertAdjacentElement('afterend', message);
+        first = first || anchor;
+    });
+    if (first) first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return unmatched;
+}
+
+/**
+ * Fill the complete page's submission number line from the stored application
+ */
+function showSubmissionNumber() {
+    const line = document.getElementById('submissionNumberLine');
+    if (!line) return;
+    const keys = STATE_STORAGE_KEYS[stateFromPath()];
+    if (!keys || !keys.applicationData) return;
+    const data = JSON.parse(sessionStorage.getItem(keys.applicationData) || '{}');
+    if (!data.submissionNumber) return;
+    document.getElementById('submissionNumberText').textContent = data.submissionNumber;
+    line.style.display = '';
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', showSubmissionNumber);
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.submitApplication = submitApplication;
+    window.submitStateApplication = submitStateApplication;
+    window.showReviewErrors = showReviewErrors;
+    window.showStoredReviewErrors = showStoredReviewErrors;
+    window.showFormErrors = showFormErrors;
+}
@@ -0,0 +1,133 @@
+/**
+ * Application Summary - ShelterPoint State Applications
+ * The read-only summary of an application, section by section, as shown to
+ * the employer before they sign the authorization. Step applications use the
+ * review rows of their schema; the NJ DP-1 uses its review sections below.
+ * Depends on shared/application-rules.js and shared/application-schema.js.
+ */
+
+// Review sections of the NJ DP-1 application (nj/NJ-app-review.html)
+const NJ_REVIEW_SECTIONS = [
+    {
+        title: 'Application Details',
+        page: 'NJ-app-step1.html',
+        fields: [
+            { key: 'njEmployerId', label: 'New Jersey Employer Identification Number' },
+            { key: 'privatePlanNumber', label: 'Private Plan Number' },
+            { key: 'approval', label: 'Approval Requested' },
+            { key: 'modification', label: 'Modification Requested' },
+            { key: 'effectiveDate', label: 'Effective Date' },
+            { key: 'employerName', label: 'Name of Employer' },
+            { key: 'employerAddress', label: 'Employer\'s Address' },
+            { key: 'employerPhone', label: 'Employer\'s Phone Number' },
+            { key: 'policyholderName', label: 'Policyholder\'s Name' },
+            { key: 'policyholderAddress', label: 'Policyholder\'s Address' }
+        ]
+    },
+    {
+        title: 'Contact Information',
+        page: 'NJ-app-step2.html',
+        fields: [
+            { key: 'repName', label: 'Representative\'s Name' },
+            { key: 'repEmail', label: 'Representative\'s Email' },
+            { key: 'repTitle', label: 'Representative\'s Title' },
+            { key: 'deptEmail', label: 'Department Email' },
+            { key: 'repAddress', label: 'Authorized Mailing Address' },
+            { key: 'repPhone', label: 'Representative\'s Phone Number' }
+        ]
+    },
+    {
+        title: 'Plan Coverage & Employee Contributions',
+        page: 'NJ-app-step3.html',
+        fields: [
+            { key: 'allEmployees', label: 'All covered employees of the employer' },
+            { key: 'otherClasses', label: 'Other (describe classes covered)' },
+            { key: 'njEmployeeCount', label: 'Number of New Jersey Employees' },
+            { key: 'excludedClasses', label: 'Describe Classes Covered' },
+            { key: 'statutory', label: 'Statutory percentage of taxable wages' },
+            { key: 'otherPercent', label: 'Other % of statutory taxable wage base' },
+            { key: 'noneContrib', label: 'None (no deductions)' },
+            { key: 'otherPercentValue', label: 'Percentage of Statutory Taxable Wage Base' },
+            { key: 'informedDate', label: 'Date Employees Were Informed' },
+            { key: 'writtenNotice', label: 'Written Notice' },
+            { key: 'verbalNotice', label: 'Verbal Notice' },
+            { key: 'bulletinBoard', label: 'Bulletin Board Notice' },
+            { key: 'otherMethod', label: 'Other Method' }
+        ]
+    },
+    {
+        title: 'Employees\' Election',
+        page: 'NJ-app-step4.html',
+        fields: [
+            { key: 'electionDate', label: 'Date Election Was Held' },
+            { key: 'totalRequired', label: 'Total Number Required to Contribute' },
+            { key: 'numberAgreeing', label: 'Number Agreeing to the Private Plan' }
+        ]
+    },
+    {
+        title: 'Benefits Provided',
+        page: 'NJ-app-step5.html',
+        fields: [
+            { key: 'catA_statutory', label: 'Category A: Statutory' },
+            { key: 'catA_other', label: 'Category A: Other' },
+            { key: 'catB_statutory', label: 'Category B: Statutory' },
+            { key: 'catB_other', label: 'Category B: Other' },
+            { key: 'catC_statutory', label: 'Category C: Statutory' },
+            { key: 'catC_other', label: 'Category C: Other' },
+            { key: 'catD_statutory', label: 'Category D: Statutory' },
+            { key: 'catD_enhanced', label: 'Category D: Enhanced' },
+            { key: 'catD_other', label: 'Category D: Other' },
+            { key: 'catE_statutory', label: 'Category E: Statutory' },
+            { key: 'catE_enhanced', label: 'Category E: Enhanced' },
+            { key: 'catE_other', label: 'Category E: Other' }
+        ]
+    }
+];
+
+/**
+ * Summarize an application for display
+ * @param {string} state - Two-letter state code
+ * @param {Object} data - Application data
+ * @param {Object} schema - Application schema (loaded from the schema file when omitted under Node)
+ * @returns {Object[]} Sections { title, page, rows: [{ key, label, value }] }
+ */
+function applicationSummary(state, data, schema) {
+    const values = data || {};
+    if (!schema && typeof module !== 'undefined' && module.exports) {
+        const { SCHEMA_STATES } = require('./application-rules.js');
+        if (SCHEMA_STATES.includes(state)) schema = require('../schemas/' + state + '.json');
+    }
+    if (schema) {
+        const rows = typeof reviewRows === 'function' ? reviewRows : require('./application-schema.js').reviewRows;
+        return schema.steps.map(step => ({
+            title: step.reviewTitle || step.title,
+            page: step.page,
+            rows: rows(step, values)
+        }));
+    }
+    if (state === 'NJ') {
+        return NJ_REVIEW_SECTIONS.map(section => ({
+            title: section.title,
+            page: section.page,
+            rows: section.fields.map(field => {
+                const value = values[field.key];
+                return { key: field.key, label: field.label, value: value === undefined || value === null || value === '' ? '—' : String(value) };
+            })
+        }));
+    }
+    return [];
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.NJ_REVIEW_SECTIONS = NJ_REVIEW_SECTIONS;
+    window.applicationSummary = applicationSummary;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NJ_REVIEW_SECTIONS,
+        applicationSummary
+    };
+}
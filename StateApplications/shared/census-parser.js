@@ -0,0 +1,493 @@
+/**
+ * Census File Parser - ShelterPoint State Quotes
+ * Reads an uploaded employee census (.csv or .xlsx) in the browser and
+ * summarizes it into the inputs the state quote calculators expect. A census
+ * with a Work State column can be split by state for a multi-state quote.
+ */
+
+// Required census columns and the header spellings accepted for each.
+// Headers are compared lowercased with spaces and punctuation removed.
+const CENSUS_COLUMNS = {
+    firstName: {
+        label: 'First Name',
+        aliases: ['firstname', 'first', 'fname', 'employeefirstname']
+    },
+    lastName: {
+        label: 'Last Name',
+        aliases: ['lastname', 'last', 'lname', 'surname', 'employeelastname']
+    },
+    age: {
+        label: 'Age',
+        aliases: ['age', 'employeeage']
+    },
+    gender: {
+        label: 'Gender',
+        aliases: ['gender', 'sex']
+    },
+    salary: {
+        label: 'Annualized Salary',
+        aliases: ['annualizedsalary', 'annualsalary', 'salary', 'annualizedwages', 'annualwages', 'wages', 'annualpay']
+    }
+};
+
+// Columns read when the census has them
+const CENSUS_OPTIONAL_COLUMNS = {
+    workState: {
+        label: 'Work State',
+        aliases: ['workstate', 'state', 'worklocation', 'workstatecode', 'stateofemployment']
+    }
+};
+
+const CENSUS_AGE_RANGE = { min: 14, max: 100 };
+
+// Number of row errors listed before the report collapses the rest
+const CENSUS_ERROR_DISPLAY_LIMIT = 10;
+
+function normalizeHeader(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split CSV text into rows of cell strings
+ * Handles quoted cells, escaped quotes, embedded newlines and CRLF line endings.
+ * @param {string} text - Raw CSV file contents
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function decodeXmlEntities(value) {
+    return String(value || '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function readXmlAttribute(attributes, name) {
+    const match = new RegExp('\\b' + name + '="([^"]*)"').exec(attributes || '');
+    return match ? decodeXmlEntities(match[1]) : null;
+}
+
+/**
+ * Read the file entries of a ZIP archive (an .xlsx workbook is a ZIP of XML parts)
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {Object} Entries keyed by path with compression method, size and offset
+ */
+function readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new Error('The file is not a valid .xlsx workbook.');
+    }
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = {};
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        entries[name] = {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localHeaderOffset: view.getUint32(offset + 42, true)
+        };
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Extract one ZIP entry as text, inflating it with the browser's DecompressionStream
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @param {Object} entry - Entry from readZipDirectory
+ * @returns {Promise<string>} Entry contents decoded as UTF-8
+ */
+async function readZipEntryText(buffer, entry) {
+    const view = new DataView(buffer);
+    const header = entry.localHeaderOffset;
+    const nameLength = view.getUint16(header + 26, true);
+    const extraLength = view.getUint16(header + 28, true);
+    const start = header + 30 + nameLength + extraLength;
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+    if (entry.method === 0) {
+        return new TextDecoder().decode(data);
+    }
+    if (entry.method !== 8 || typeof DecompressionStream === 'undefined') {
+        throw new Error('This .xlsx workbook uses a format the browser cannot read. Please save it as .csv and upload again.');
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+/**
+ * Read the first worksheet of an .xlsx workbook into rows of cell strings
+ * @param {ArrayBuffer} buffer - Workbook contents
+ * @returns {Promise<Array<Array<string>>>} Rows of cells
+ */
+async function parseXlsx(buffer) {
+    const entries = readZipDirectory(buffer);
+    const readPart = (path) => entries[path] ? readZipEntryText(buffer, entries[path]) : Promise.resolve('');
+
+    // Resolve the first sheet listed in the workbook to its part path
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const workbookXml = await readPart('xl/workbook.xml');
+    const relsXml = await readPart('xl/_rels/workbook.xml.rels');
+    const firstSheet = /<sheet\b([^>]*)\/?>/.exec(workbookXml);
+    const sheetRelId = firstSheet ? readXmlAttribute(firstSheet[1], 'r:id') : null;
+    if (sheetRelId) {
+        const relPattern = /<Relationship\b([^>]*)\/?>/g;
+        let rel;
+        while ((rel = relPattern.exec(relsXml))) {
+            if (readXmlAttribute(rel[1], 'Id') === sheetRelId) {
+                const target = readXmlAttribute(rel[1], 'Target') || '';
+                sheetPath = target.startsWith('/') ? target.slice(1) : 'xl/' + target.replace(/^\.\//, '');
+                break;
+            }
+        }
+    }
+
+    const sharedStrings = [];
+    const sharedXml = await readPart('xl/sharedStrings.xml');
+    const siPattern = /<si\b[^>]*>([\s\S]*?)<\/si>/g;
+    let si;
+    while ((si = siPattern.exec(sharedXml))) {
+        const texts = si[1].match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || [];
+        sharedStrings.push(texts.map(t => decodeXmlEntities(t.replace(/<[^>]+>/g, ''))).join(''));
+    }
+
+    const sheetXml = await readPart(sheetPath);
+    if (!sheetXml) {
+        throw new Error('The workbook does not contain a worksheet.');
+    }
+
+    const rows = [];
+    const rowPattern = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let rowMatch;
+    while ((rowMatch = rowPattern.exec(sheetXml))) {
+        const row = [];
+        let cellMatch;
+        let nextColumn = 0;
+        while ((cellMatch = cellPattern.exec(rowMatch[1]))) {
+            const ref = readXmlAttribute(cellMatch[1], 'r');
+            const type = readXmlAttribute(cellMatch[1], 't');
+            const body = cellMatch[2] || '';
+            let column = nextColumn;
+            if (ref) {
+                const letters = ref.replace(/[0-9]/g, '');
+                column = 0;
+                for (let i = 0; i < letters.length; i++) {
+                    column = column * 26 + (letters.charCodeAt(i) - 64);
+                }
+                column -= 1;
+            }
+
+            let value = '';
+            if (type === 'inlineStr') {
+                value = decodeXmlEntities(body.replace(/<[^>]+>/g, ''));
+            } else {
+                const v = /<v>([\s\S]*?)<\/v>/.exec(body);
+                value = v ? decodeXmlEntities(v[1]) : '';
+                if (type === 's') value = sharedStrings[parseInt(value, 10)] || '';
+            }
+
+            while (row.length < column) row.push('');
+            row[column] = value;
+            nextColumn = column + 1;
+        }
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function parseSalary(value) {
+    const clean = String(value || '').replace(/[$,\s]/g, '');
+    if (!/^\d+(\.\d+)?$/.test(clean)) return NaN;
+    return parseFloat(clean);
+}
+
+function parseGender(value) {
+    const g = String(value || '').trim().toLowerCase();
+    if (g === 'm' || g === 'male') return 'male';
+    if (g === 'f' || g === 'female') return 'female';
+    return null;
+}
+
+/**
+ * Map raw census rows onto employee records and collect row-level errors
+ * Employees get a workState (two-letter code) when the census has a Work State column.
+ * @param {Array<Array<string>>} table - Rows of cells, header row first
+ * @returns {Object} { employees, errors, missingColumns, hasWorkState }
+ */
+function mapCensusRows(table) {
+    const headerIndex = table.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+    const header = headerIndex >= 0 ? table[headerIndex].map(normalizeHeader) : [];
+
+    const columnIndex = {};
+    const missingColumns = [];
+    Object.keys(CENSUS_COLUMNS).forEach(key => {
+        const index = header.findIndex(h => CENSUS_COLUMNS[key].aliases.includes(h));
+        if (index < 0) {
+            missingColumns.push(CENSUS_COLUMNS[key].label);
+        } else {
+            columnIndex[key] = index;
+        }
+    });
+
+    const workStateIndex = header.findIndex(h => CENSUS_OPTIONAL_COLUMNS.workState.aliases.includes(h));
+    const hasWorkState = workStateIndex >= 0;
+
+    if (missingColumns.length) {
+        return {
+            employees: [],
+            errors: [{ row: null, message: 'Missing required column' + (missingColumns.length > 1 ? 's' : '') + ': ' + missingColumns.join(', ') }],
+            missingColumns,
+            hasWorkState
+        };
+    }
+
+    const employees = [];
+    const errors = [];
+    for (let i = headerIndex + 1; i < table.length; i++) {
+        const cells = table[i];
+        if (!cells.some(cell => String(cell).trim() !== '')) continue;
+
+        // Spreadsheet row numbers are 1-based and include the header
+        const rowNumber = i + 1;
+        const cell = key => String(cells[columnIndex[key]] || '').trim();
+        const rowErrors = [];
+
+        const firstName = cell('firstName');
+        const lastName = cell('lastName');
+        if (!firstName) rowErrors.push(CENSUS_COLUMNS.firstName.label + ' is missing');
+        if (!lastName) rowErrors.push(CENSUS_COLUMNS.lastName.label + ' is missing');
+
+        const age = Number(cell('age'));
+        if (!cell('age')) {
+            rowErrors.push('Age is missing');
+        } else if (!Number.isInteger(age) || age < CENSUS_AGE_RANGE.min || age > CENSUS_AGE_RANGE.max) {
+            rowErrors.push('Age must be a whole number between ' + CENSUS_AGE_RANGE.min + ' and ' + CENSUS_AGE_RANGE.max);
+        }
+
+        const gender = parseGender(cell('gender'));
+        if (!gender) rowErrors.push('Gender must be M or F');
+
+        const salary = parseSalary(cell('salary'));
+        if (!cell('salary')) {
+            rowErrors.push('Annualized Salary is missing');
+        } else if (isNaN(salary) || salary <= 0) {
+            rowErrors.push('Annualized Salary must be a positive amount');
+        }
+
+        const workState = hasWorkState ? String(cells[workStateIndex] || '').trim().toUpperCase() : null;
+        if (hasWorkState && !/^[A-Z]{2}$/.test(workState)) {
+            rowErrors.push(CENSUS_OPTIONAL_COLUMNS.workState.label + ' must be a two-letter state code');
+        }
+
+        if (rowErrors.length) {
+            errors.push({ row: rowNumber, name: [firstName, lastName].filter(Boolean).join(' '), message: rowErrors.join('; ') });
+        } else {
+            const employee = { row: rowNumber, firstName, lastName, age, gender, salary };
+            if (hasWorkState) employee.workState = workState;
+            employees.push(employee);
+        }
+    }
+
+    return { employees, errors, missingColumns, hasWorkState };
+}
+
+/**
+ * Summarize valid census employees into calculator inputs
+ * @param {Array<Object>} employees - Employee records from mapCensusRows
+ * @param {number} wageLimit - State wage base; salaries above it are capped
+ * @returns {Object} Totals in the shape the state quote calculators read
+ */
+function summarizeCensus(employees, wageLimit) {
+    const summary = {
+        totalEmployees: 0,
+        maleEmployees: 0,
+        femaleEmployees: 0,
+        employeesOverCap: 0,
+        payrollBelowCap: 0,
+        totalPayroll: 0
+    };
+
+    (employees || []).forEach(emp => {
+        summary.totalEmployees++;
+        if (emp.gender === 'male') summary.maleEmployees++;
+        if (emp.gender === 'female') summary.femaleEmployees++;
+        summary.totalPayroll += emp.salary;
+        if (wageLimit && emp.salary > wageLimit) {
+            summary.employeesOverCap++;
+        } else {
+            summary.payrollBelowCap += emp.salary;
+        }
+    });
+
+    return summary;
+}
+
+/**
+ * Parse an uploaded census file and summarize it against the state wage limit
+ * Unreadable files are reported as an error rather than thrown.
+ * @param {File} file - The uploaded .csv or .xlsx file
+ * @param {Object} options - { wageLimit }
+ * @returns {Promise<Object>} { fileName, employees, errors, missingColumns, hasWorkState, summary }
+ */
+async function parseCensusFile(file, options = {}) {
+    const wageLimit = options.wageLimit || 0;
+    const result = {
+        fileName: file ? file.name : '',
+        employees: [],
+        errors: [],
+        missingColumns: [],
+        hasWorkState: false,
+        summary: summarizeCensus([], wageLimit)
+    };
+    if (!file) return result;
+
+    try {
+        const extension = file.name.split('.').pop().toLowerCase();
+        let table;
+        if (extension === 'csv') {
+            table = parseCsv(await file.text());
+        } else if (extension === 'xlsx') {
+            table = await parseXlsx(await file.arrayBuffer());
+        } else {
+            throw new Error('Census files must be .csv or .xlsx.');
+        }
+
+        const mapped = mapCensusRows(table);
+        result.employees = mapped.employees;
+        result.errors = mapped.errors;
+        result.missingColumns = mapped.missingColumns;
+        result.hasWorkState = mapped.hasWorkState;
+        result.summary = summarizeCensus(mapped.employees, wageLimit);
+
+        if (!mapped.missingColumns.length && !mapped.employees.length && !mapped.errors.length) {
+            result.errors.push({ row: null, message: 'The census file does not contain any employees.' });
+        }
+    } catch (err) {
+        result.errors.push({ row: null, message: err.message || 'The census file could not be read.' });
+    }
+
+    return result;
+}
+
+/**
+ * Render the census error report under the upload dropzone
+ * @param {HTMLElement} el - Report container
+ * @param {Object|null} census - Result from parseCensusFile, or null to clear
+ */
+function renderCensusReport(el, census) {
+    if (!el) return;
+    el.innerHTML = '';
+    if (!census || !census.errors.length) {
+        el.style.display = 'none';
+        return;
+    }
+
+    const heading = document.createElement('p');
+    heading.style.fontWeight = '600';
+    heading.style.marginBottom = '0.5rem';
+    const rowErrors = census.errors.filter(e => e.row !== null);
+    heading.textContent = rowErrors.length
+        ? rowErrors.length + ' row' + (rowErrors.length > 1 ? 's were' : ' was') + ' excluded from the quote:'
+        : 'We could not use this census file:';
+    el.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.style.margin = '0 0 0 1.25rem';
+    census.errors.slice(0, CENSUS_ERROR_DISPLAY_LIMIT).forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error.row !== null
+            ? 'Row ' + error.row + (error.name ? ' (' + error.name + ')' : '') + ': ' + error.message
+            : error.message;
+        list.appendChild(item);
+    });
+    if (census.errors.length > CENSUS_ERROR_DISPLAY_LIMIT) {
+        const more = document.createElement('li');
+        more.textContent = 'and ' + (census.errors.length - CENSUS_ERROR_DISPLAY_LIMIT) + ' more';
+        list.appendChild(more);
+    }
+    el.appendChild(list);
+    el.style.display = 'block';
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.parseCensusFile = parseCensusFile;
+    window.summarizeCensus = summarizeCensus;
+    window.renderCensusReport = renderCensusReport;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseCensusFile,
+        parseCsv,
+        parseXlsx,
+        mapCensusRows,
+        summarizeCensus,
+        CENSUS_COLUMNS,
+        CENSUS_OPTIONAL_COLUMNS
+    };
+}
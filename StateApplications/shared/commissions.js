@@ -0,0 +1,246 @@
+/**
+ * Producer Commissions - ShelterPoint State Quotes
+ * Commission schedules per state and product, and the commission on each
+ * premium installment of a bound case. A bound case's premium is split by
+ * product (NY DBL, PFL and optional benefits; NJ TDB; PFML and its optional
+ * benefits) and billed over each policy year: once on the effective date, or
+ * every three months for quarterly billing. Policies renew on their effective
+ * date, so renewal years are billed in the same months. Commission is earned
+ * on the installments billed in a month, at the schedule's rate for the product.
+ * When a case is cancelled, the commission on the part of the installment in
+ * force that falls after the cancellation date is clawed back, by days.
+ * Depends on nothing; takes quotes as rated by the state calculators.
+ */
+
+const COMMISSION_PRODUCTS = {
+    DBL: 'Disability Benefits (DBL)',
+    PFL: 'Paid Family Leave (PFL)',
+    TDB: 'Temporary Disability Benefits (TDB)',
+    PFML: 'Paid Family & Medical Leave (PFML)',
+    OPTIONAL: 'Optional Benefits'
+};
+
+// Commission as a share of the premium billed, per state and product
+const COMMISSION_SCHEDULES = {
+    CO: { PFML: 0.06, OPTIONAL: 0.15 },
+    CT: { PFML: 0.06, OPTIONAL: 0.15 },
+    DE: { PFML: 0.06, OPTIONAL: 0.15 },
+    MA: { PFML: 0.06, OPTIONAL: 0.15 },
+    ME: { PFML: 0.06, OPTIONAL: 0.15 },
+    MN: { PFML: 0.06, OPTIONAL: 0.15 },
+    NJ: { TDB: 0.08 },
+    NY: { DBL: 0.10, PFL: 0.05, OPTIONAL: 0.15 },
+    OR: { PFML: 0.06, OPTIONAL: 0.15 }
+};
+
+// Non-roster life and EAP on PFML policies, per covered person per quarter
+// (the price shown on the PFML quote pages)
+const PFML_OPTIONAL_QUARTERLY_PREMIUM = 9;
+
+const INSTALLMENTS_PER_YEAR = { year: 1, quarter: 4 };
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isSelected(value) {
+    return value === true || value === 'on' || value === 'true';
+}
+
+/**
+ * Annual premium of a rated quote by commission product
+ * The full premium is used, including what employees contribute through
+ * payroll withholding.
+ * @param {string} state - Two-letter state code
+ * @param {Object} quote - Quote from the state's calculator
+ * @param {Object} saved - Saved quote payload (for the PFML optional benefit selections)
+ * @returns {Object} Annual premium keyed by product
+ */
+function annualPremiumByProduct(state, quote, saved = {}) {
+    state = String(state || '').toUpperCase();
+    if (state === 'NY') {
+        return {
+            DBL: quote.dblMonthly * 12,
+            PFL: quote.pflMonthly * 12,
+            OPTIONAL: quote.optionalMonthly * 12
+        };
+    }
+    const perYear = INSTALLMENTS_PER_YEAR[quote.billingPeriod] || 1;
+    const premium = (quote.breakdown.premium !== undefined ? quote.breakdown.premium : quote.displayAmount) * perYear;
+    if (state === 'NJ') return { TDB: premium };
+
+    const optionalCount = ['termLife15k', 'eap'].filter(key => isSelected(saved[key])).length;
+    return {
+        PFML: premium,
+        OPTIONAL: optionalCount * quote.breakdown.totalEmployees * PFML_OPTIONAL_QUARTERLY_PREMIUM * 4
+    };
+}
+
+function monthsSince(effectiveDate, month) {
+    const start = /^(\d{4})-(\d{2})/.exec(String(effectiveDate || ''));
+    const target = /^(\d{4})-(\d{2})$/.exec(String(month || ''));
+    if (!start || !target) return -1;
+    return (Number(target[1]) - Number(start[1])) * 12 + Number(target[2]) - Number(start[2]);
+}
+
+// Date a number of months after another (YYYY-MM-DD), on the same day or the month's last
+function addMonths(date, months) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+    if (!match) return '';
+    const monthIndex = Number(match[1]) * 12 + Number(match[2]) - 1 + months;
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex % 12 + 1;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const day = Math.min(Number(match[3]), lastDay);
+    return year + '-' + String(month).padStart(2, '0') + '-' + String(day).padStart(2, '0');
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / 86400000);
+}
+
+/**
+ * Which policy year a month falls in
+ * @param {string} effectiveDate - Policy effective date (YYYY-MM-DD)
+ * @param {string} month - Statement month (YYYY-MM)
+ * @returns {number} Policy year from 1 (2 is the first renewal year), or 0 before the effective date
+ */
+function policyYearInMonth(effectiveDate, month) {
+    const monthsIn = monthsSince(effectiveDate, month);
+    return monthsIn < 0 ? 0 : Math.floor(monthsIn / 12) + 1;
+}
+
+/**
+ * Which installment of its policy year is billed in a month
+ * @param {string} effectiveDate - Policy effective date (YYYY-MM-DD)
+ * @param {string} billingPeriod - 'year' or 'quarter'
+ * @param {string} month - Statement month (YYYY-MM)
+ * @returns {number} Installment number from 1, or 0 when none is billed that month
+ */
+function installmentInMonth(effectiveDate, billingPeriod, month) {
+    const monthsIn = monthsSince(effectiveDate, month);
+    const perYear = INSTALLMENTS_PER_YEAR[billingPeriod] || 1;
+    const spacing = 12 / perYear;
+    if (monthsIn < 0 || monthsIn % spacing !== 0) return 0;
+    return (monthsIn % 12) / spacing + 1;
+}
+
+/**
+ * The date the installment billed in a month starts
+ * @param {string} effectiveDate - Policy effective date (YYYY-MM-DD)
+ * @param {string} month - Statement month (YYYY-MM)
+ * @returns {string} YYYY-MM-DD, on the effective date's day of the month
+ */
+function installmentStartDate(effectiveDate, month) {
+    return addMonths(effectiveDate, monthsSince(effectiveDate, month));
+}
+
+/**
+ * The installment in force on a date
+ * @param {string} effectiveDate - Policy effective date (YYYY-MM-DD)
+ * @param {string} billingPeriod - 'year' or 'quarter'
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} { policyYear, installment, start, end } (end is when the next one starts), or null before the effective date
+ */
+function installmentOnDate(effectiveDate, billingPeriod, date) {
+    const monthsIn = monthsSince(effectiveDate, String(date || '').slice(0, 7));
+    if (monthsIn < 0 || date < effectiveDate) return null;
+    const spacing = 12 / (INSTALLMENTS_PER_YEAR[billingPeriod] || 1);
+    let index = Math.floor(monthsIn / spacing);
+    if (addMonths(effectiveDate, index * spacing) > date) index--;
+    return {
+        policyYear: Math.floor(index * spacing / 12) + 1,
+        installment: index % (12 / spacing) + 1,
+        start: addMonths(effectiveDate, index * spacing),
+        end: addMonths(effectiveDate, (index + 1) * spacing)
+    };
+}
+
+/**
+ * Commission taken back when a case is cancelled part way through an installment
+ * Each line keeps the share of its premium and commission after the
+ * cancellation date, as negative amounts.
+ * @param {Array<Object>} lines - From commissionLines, for the installment in force
+ * @param {Object} installment - From installmentOnDate
+ * @param {string} cancellationDate - YYYY-MM-DD
+ * @returns {Array<Object>} Lines { product, label, premium, rate, commission }, empty when nothing is unearned
+ */
+function clawbackLines(lines, installment, cancellationDate) {
+    const unearned = daysBetween(cancellationDate, installment.end) / daysBetween(installment.start, installment.end);
+    if (!(unearned > 0)) return [];
+    return lines.map(line => ({
+        ...line,
+        premium: -roundCents(line.premium * unearned),
+        // Products with no commission rate take nothing back
+        commission: -roundCents(line.commission * unearned) || 0
+    }));
+}
+
+/**
+ * Commission on one installment of a case
+ * Products without a rate on the state's schedule earn no commission.
+ * @param {string} state - Two-letter state code
+ * @param {Object} annualPremiums - From annualPremiumByProduct
+ * @param {string} billingPeriod - 'year' or 'quarter'
+ * @returns {Array<Object>} Lines { product, label, premium, rate, commission } for the installment
+ */
+function commissionLines(state, annualPremiums, billingPeriod) {
+    const schedule = COMMISSION_SCHEDULES[String(state || '').toUpperCase()] || {};
+    const perYear = INSTALLMENTS_PER_YEAR[billingPeriod] || 1;
+    return Object.keys(COMMISSION_PRODUCTS)
+        .filter(product => annualPremiums[product] > 0)
+        .map(product => {
+            const premium = roundCents(annualPremiums[product] / perYear);
+            const rate = schedule[product] || 0;
+            return {
+                product,
+                label: COMMISSION_PRODUCTS[product],
+                premium,
+                rate,
+                commission: roundCents(premium * rate)
+            };
+        });
+}
+
+/**
+ * Add up statement lines
+ * @param {Array<Object>} lines - Lines with premium and commission
+ * @returns {Object} { premium, commission }
+ */
+function commissionTotals(lines) {
+    return lines.reduce((totals, line) => ({
+        premium: roundCents(totals.premium + line.premium),
+        commission: roundCents(totals.commission + line.commission)
+    }), { premium: 0, commission: 0 });
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.COMMISSION_PRODUCTS = COMMISSION_PRODUCTS;
+    window.COMMISSION_SCHEDULES = COMMISSION_SCHEDULES;
+    window.annualPremiumByProduct = annualPremiumByProduct;
+    window.policyYearInMonth = policyYearInMonth;
+    window.installmentInMonth = installmentInMonth;
+    window.installmentStartDate = installmentStartDate;
+    window.installmentOnDate = installmentOnDate;
+    window.clawbackLines = clawbackLines;
+    window.commissionLines = commissionLines;
+    window.commissionTotals = commissionTotals;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMMISSION_PRODUCTS,
+        COMMISSION_SCHEDULES,
+        PFML_OPTIONAL_QUARTERLY_PREMIUM,
+        annualPremiumByProduct,
+        policyYearInMonth,
+        installmentInMonth,
+        installmentStartDate,
+        installmentOnDate,
+        clawbackLines,
+        commissionLines,
+        commissionTotals
+    };
+}
@@ -0,0 +1,219 @@
+/**
+ * Document Upload - ShelterPoint State Applications
+ * The documents of the application docs steps and of producer onboarding are
+ * uploaded to the portal's document service as soon as they are chosen, so
+ * they are kept when the broker moves between pages. Each document type lists
+ * the file types it accepts; the service checks them, the size limit and the
+ * file's leading bytes, records a SHA-256 hash and runs its scan hook before
+ * it stores the file against the application (by Quote ID) or the onboarding
+ * packet (by its draft ID). Pages store the returned document ID as
+ * <key>DocumentId next to the file name (<key>Name), and the submission
+ * service attaches the documents named that way.
+ * Depends on shared/api-client.js in the browser.
+ */
+
+const DOCUMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+const DOCUMENT_OWNER = {
+    APPLICATION: 'application',
+    PRODUCER_ONBOARDING: 'producer-onboarding'
+};
+
+// Content type each accepted file extension is stored and previewed as
+const DOCUMENT_FILE_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.csv': 'text/csv',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Leading bytes of each content type (CSV is checked as text instead)
+const DOCUMENT_SIGNATURES = {
+    'application/pdf': [0x25, 0x50, 0x44, 0x46],
+    'image/jpeg': [0xFF, 0xD8, 0xFF],
+    'image/png': [0x89, 0x50, 0x4E, 0x47],
+    'application/vnd.ms-excel': [0xD0, 0xCF, 0x11, 0xE0],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [0x50, 0x4B, 0x03, 0x04]
+};
+
+// Document types: the schema file field keys and the onboarding documents
+const DOCUMENT_TYPES = {
+    docPriorCarrier: { label: 'Prior Carrier Letter', owner: DOCUMENT_OWNER.APPLICATION, extensions: ['.pdf'] },
+    docPayroll: { label: 'Payroll Report', owner: DOCUMENT_OWNER.APPLICATION, extensions: ['.pdf', '.xls', '.xlsx', '.csv'] },
+    docOrg: { label: 'Organizational Documents', owner: DOCUMENT_OWNER.APPLICATION, extensions: ['.pdf'] },
+    insuranceLicense: { label: 'Insurance License', owner: DOCUMENT_OWNER.PRODUCER_ONBOARDING, extensions: ['.pdf', '.jpg', '.jpeg', '.png'] },
+    applicationBor: { label: 'Application or Broker of Record', owner: DOCUMENT_OWNER.PRODUCER_ONBOARDING, extensions: ['.pdf', '.jpg', '.jpeg', '.png'] },
+    eoCoverage: { label: 'Proof of E&O Coverage', owner: DOCUMENT_OWNER.PRODUCER_ONBOARDING, extensions: ['.pdf', '.jpg', '.jpeg', '.png'] }
+};
+
+/**
+ * Lower-case extension of a file name
+ * @param {string} filename - File name
+ * @returns {string} e.g. '.pdf', or '' when there is none
+ */
+function documentExtension(filename) {
+    const match = /\.[A-Za-z0-9]+$/.exec(String(filename || ''));
+    return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Check a file's type and size for a document type
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @param {string} filename - File name
+ * @param {number} size - File size in bytes
+ * @returns {string|null} Error message, or null when the file is accepted
+ */
+function checkDocumentFile(documentType, filename, size) {
+    const type = DOCUMENT_TYPES[documentType];
+    if (!type) return 'Unknown document type.';
+    if (!type.extensions.includes(documentExtension(filename))) {
+        return type.label + ' must be a ' + type.extensions.map(ext => ext.slice(1).toUpperCase()).join(', ') + ' file.';
+    }
+    if (!size) return 'The file is empty.';
+    if (size > DOCUMENT_MAX_BYTES) {
+        return 'The file is larger than ' + (DOCUMENT_MAX_BYTES / (1024 * 1024)) + ' MB.';
+    }
+    return null;
+}
+
+/**
+ * Whether a file's content matches the type its extension claims
+ * @param {string} filename - File name
+ * @param {Uint8Array} bytes - File content
+ * @returns {boolean}
+ */
+function documentContentMatches(filename, bytes) {
+    const contentType = DOCUMENT_FILE_TYPES[documentExtension(filename)];
+    if (contentType === 'text/csv') {
+        // Text has no NUL bytes
+        return !bytes.slice(0, 4096).includes(0);
+    }
+    const signature = DOCUMENT_SIGNATURES[contentType];
+    return Boolean(signature) && signature.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Upload a document
+ * Application documents are sent with their quote's access key. The
+ * document's own access key is kept for previewing and replacing it.
+ * @param {Object} owner - { kind, state, ownerId }: the application's Quote ID or the onboarding draft ID
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @param {File} file - Chosen file
+ * @returns {Promise<Object>} Document record
+ */
+async function uploadDocument(owner, documentType, file) {
+    const error = checkDocumentFile(documentType, file.name, file.size);
+    if (error) throw new Error(error);
+    const formData = new FormData();
+    formData.append('documentType', documentType);
+    formData.append('ownerKind', owner.kind);
+    formData.append('state', owner.state || '');
+    formData.append('ownerId', owner.ownerId || '');
+    formData.append('file', file, file.name);
+    const quoteKey = owner.kind === DOCUMENT_OWNER.APPLICATION ? accessKeyFor('/quotes/' + owner.ownerId) : null;
+    const record = await apiRequest('POST', '/documents', formData, quoteKey);
+    rememberAccessKey('/documents/' + record.documentId, record.accessKey);
+    return record;
+}
+
+/**
+ * Upload a new file in place of a stored document
+ * @param {Object} stored - Document record (or { documentId, documentType })
+ * @param {File} file - Chosen file
+ * @returns {Promise<Object>} Record of the new document
+ */
+async function replaceDocument(stored, file) {
+    const error = checkDocumentFile(stored.documentType, file.name, file.size);
+    if (error) throw new Error(error);
+    const formData = new FormData();
+    formData.append('file', file, file.name);
+    const record = await apiRequest('POST', '/documents/' + encodeURIComponent(stored.documentId) + '/replace', formData);
+    rememberAccessKey('/documents/' + record.documentId, record.accessKey);
+    return record;
+}
+
+/**
+ * Address the browser opens to preview a stored document
+ * The link carries the document's access key, as the browser cannot add headers to it.
+ * @param {string} documentId - DOC- document ID
+ * @returns {string} URL
+ */
+function documentPreviewUrl(documentId) {
+    const path = '/documents/' + encodeURIComponent(documentId);
+    const accessKey = accessKeyFor(path);
+    return API_BASE + path + '/content' + (accessKey ? '?key=' + encodeURIComponent(accessKey) : '');
+}
+
+/**
+ * Preview and Replace actions for a stored document on a review page
+ * Replacing uploads the new file and passes its record to onReplaced, which
+ * stores the new document ID and file name.
+ * @param {Object} stored - { documentId, documentType }
+ * @param {Function} onReplaced - (record) => void
+ * @returns {HTMLElement} Actions element
+ */
+function documentActions(stored, onReplaced) {
+    const actions = document.createElement('span');
+    actions.className = 'document-actions';
+    actions.style.cssText = 'display: inline-flex; gap: 0.75rem; margin-left: 0.75rem;';
+
+    const preview = document.createElement('a');
+    preview.href = documentPreviewUrl(stored.documentId);
+    preview.target = '_blank';
+    preview.rel = 'noopener';
+    preview.textContent = 'Preview';
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = DOCUMENT_TYPES[stored.documentType].extensions.join(',');
+    input.style.display = 'none';
+    const replace = document.createElement('a');
+    replace.href = '#';
+    replace.textContent = 'Replace';
+    replace.addEventListener('click', event => {
+        event.preventDefault();
+        input.click();
+    });
+    input.addEventListener('change', async () => {
+        if (!input.files.length) return;
+        replace.textContent = 'Uploading...';
+        try {
+            onReplaced(await replaceDocument(stored, input.files[0]));
+        } catch (err) {
+            alert('The document could not be replaced. ' + err.message);
+            replace.textContent = 'Replace';
+        }
+    });
+
+    actions.appendChild(preview);
+    actions.appendChild(replace);
+    actions.appendChild(input);
+    return actions;
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.DOCUMENT_OWNER = DOCUMENT_OWNER;
+    window.DOCUMENT_TYPES = DOCUMENT_TYPES;
+    window.checkDocumentFile = checkDocumentFile;
+    window.uploadDocument = uploadDocument;
+    window.replaceDocument = replaceDocument;
+    window.documentPreviewUrl = documentPreviewUrl;
+    window.documentActions = documentActions;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DOCUMENT_MAX_BYTES,
+        DOCUMENT_OWNER,
+        DOCUMENT_FILE_TYPES,
+        DOCUMENT_TYPES,
+        documentExtension,
+        checkDocumentFile,
+        documentContentMatches
+    };
+}
@@ -0,0 +1,98 @@
+/**
+ * Employer Authorization - ShelterPoint State Applications
+ * What the employer agrees to when signing an application through the emailed
+ * authorization link (employer/authorize.html), and the checks applied to the
+ * typed signature. The submission service uses the same text and checks, so
+ * the audit record holds exactly what the employer was shown.
+ * Depends on shared/application-rules.js.
+ */
+
+// Consent shown next to the signature and stored with the audit record
+const AUTHORIZATION_CONSENT = 'I agree to sign this application electronically. My typed name is my signature and has the same effect as a handwritten signature. '
+    + 'I am authorized to sign on behalf of the employer, and the information in this application is accurate and complete.';
+
+// State-specific agreements shown above the signature
+const AUTHORIZATION_AGREEMENTS = {
+    NJ: [
+        'The undersigned employer agrees to the establishment of the above Private Plan in accordance with the New Jersey Temporary Disability Benefits Law.',
+        'Pursuant to the NJAC 12:18-2.9(b), if an employer provides disability benefits through a multi-benefit plan that does not comply with the New Jersey Temporary Disability Benefits Law, '
+            + 'the employer shall establish a separate plan, maintained solely for the purpose of complying with the provisions of the Law.'
+    ]
+};
+
+// Titles the State of New Jersey accepts for the DP-1 employer signature
+const NJ_SIGNATORY_TITLES = ['Owner', 'Partner', 'President', 'Vice President', 'Secretary', 'Treasurer'];
+
+// Application fields filled in from the employer's signature, by state
+const SIGNED_APPLICATION_FIELDS = {
+    NJ: {
+        signature: 'employerSignature',
+        signerName: 'employerPrintedName',
+        signerTitle: 'employerTitle',
+        signedDate: 'employerSignDate',
+        consent: 'certifyEmployer'
+    }
+};
+
+function normalizeName(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Check the employer's signature
+ * @param {string} state - Two-letter state code of the application
+ * @param {Object} values - { signerName, signerTitle, signature, consent }
+ * @returns {Object} Field key to error message map (empty when valid)
+ */
+function validateEmployerSignature(state, values) {
+    const validate = typeof validateApplication === 'function'
+        ? validateApplication
+        : require('./application-rules.js').validateApplication;
+    const errors = validate('employer-authorization', values);
+    if (!errors.signature && !errors.signerName && normalizeName(values.signature) !== normalizeName(values.signerName)) {
+        errors.signature = 'Please type your name exactly as printed above to sign.';
+    }
+    if (state === 'NJ' && !errors.signerTitle && !NJ_SIGNATORY_TITLES.includes(values.signerTitle)) {
+        errors.signerTitle = 'The signatory must be an Owner, Partner or Corporate Officer (President, Vice President, Secretary or Treasurer).';
+    }
+    return errors;
+}
+
+/**
+ * Application data with the employer's signature filled in
+ * @param {string} state - Two-letter state code
+ * @param {Object} data - Application data
+ * @param {Object} signed - { signerName, signerTitle, signature, signedAt }
+ * @returns {Object} Copy of the data (unchanged for states without signature fields)
+ */
+function signedApplicationData(state, data, signed) {
+    const fields = SIGNED_APPLICATION_FIELDS[state];
+    const result = Object.assign({}, data);
+    if (!fields) return result;
+    result[fields.signature] = signed.signature;
+    result[fields.signerName] = signed.signerName;
+    result[fields.signerTitle] = signed.signerTitle;
+    result[fields.signedDate] = signed.signedAt.slice(0, 10);
+    result[fields.consent] = 'on';
+    return result;
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.AUTHORIZATION_CONSENT = AUTHORIZATION_CONSENT;
+    window.AUTHORIZATION_AGREEMENTS = AUTHORIZATION_AGREEMENTS;
+    window.NJ_SIGNATORY_TITLES = NJ_SIGNATORY_TITLES;
+    window.validateEmployerSignature = validateEmployerSignature;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AUTHORIZATION_CONSENT,
+        AUTHORIZATION_AGREEMENTS,
+        NJ_SIGNATORY_TITLES,
+        SIGNED_APPLICATION_FIELDS,
+        validateEmployerSignature,
+        signedApplicationData
+    };
+}
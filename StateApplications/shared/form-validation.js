@@ -0,0 +1,162 @@
+/**
+ * Form Validation - ShelterPoint State Applications
+ * Checks application forms against the shared application rules while the
+ * broker fills them in. Each field is checked when it loses focus, a step
+ * cannot be left while it has errors, and review pages list every unresolved
+ * error before the employer authorization modal opens.
+ * Depends on shared/application-rules.js, shared/sic-codes.js and, on review
+ * pages, shared/quote-store.js and shared/application-submit.js.
+ */
+
+/**
+ * Rules for the fields entered on one page
+ * @param {string} ruleset - State code or form name (key of APPLICATION_RULES)
+ * @param {string} page - Page file name
+ * @returns {Object[]} Field rules
+ */
+function pageRules(ruleset, page) {
+    return (APPLICATION_RULES[ruleset] || [])
+        .filter(step => step.page === page)
+        .flatMap(step => step.fields);
+}
+
+/**
+ * Current form values laid over the stored application data
+ * Unchecked checkboxes are removed, matching what the step pages save.
+ * @param {HTMLFormElement} form - Form
+ * @param {Object} base - Stored application data
+ * @returns {Object} Values
+ */
+function formValues(form, base = {}) {
+    const values = Object.assign({}, base);
+    form.querySelectorAll('input, select, textarea').forEach(input => {
+        if (!input.name || input.type === 'file') return;
+        if (input.type === 'radio') {
+            if (input.checked) values[input.name] = input.value;
+        } else if (input.type === 'checkbox') {
+            if (input.checked) values[input.name] = 'on';
+            else delete values[input.name];
+        } else {
+            values[input.name] = input.value;
+        }
+    });
+    return values;
+}
+
+function fieldAnchor(form, key) {
+    const input = form.querySelector('[name="' + key + '"]');
+    return input ? input.closest('.form-group, .checkbox-item') || input : null;
+}
+
+/**
+ * Show or clear the inline message of a field
+ * @param {HTMLFormElement} form - Form
+ * @param {string} key - Field key
+ * @param {string|null} message - Error message, or null to clear it
+ */
+function setFieldError(form, key, message) {
+    const anchor = fieldAnchor(form, key);
+    if (!anchor) return;
+    const existing = form.querySelector('.field-error[data-field="' + key + '"]');
+    if (existing) existing.remove();
+    form.querySelectorAll('[name="' + key + '"]').forEach(input => {
+        input.classList[message ? 'add' : 'remove']('error');
+    });
+    if (!message) return;
+    const error = document.createElement('div');
+    error.className = 'error-message field-error';
+    error.dataset.field = key;
+    error.style.display = 'block';
+    error.textContent = message;
+    anchor.insertAdjacentElement('afterend', error);
+}
+
+// Industry of a valid SIC code, shown under the field
+function setSicHint(form, key, value) {
+    const anchor = fieldAnchor(form, key);
+    if (!anchor) return;
+    let hint = anchor.querySelector('.sic-hint');
+    const match = lookupSicCode(value);
+    if (!match) {
+        if (hint) hint.remove();
+        return;
+    }
+    if (!hint) {
+        hint = document.createElement('span');
+        hint.className = 'help-text sic-hint';
+        anchor.appendChild(hint);
+    }
+    hint.textContent = match.industry;
+}
+
+/**
+ * Validate a form's fields as they are filled in
+ * @param {HTMLFormElement} form - Form whose field names match the rule keys
+ * @param {string} ruleset - State code or form name
+ * @param {string} page - Page file name the rules belong to
+ * @param {Function} readValues - Returns the values to validate (defaults to the form's own values)
+ * @returns {Function} Validates every field, shows the errors and returns true when the form is valid
+ */
+function attachFormValidation(form, ruleset, page, readValues = () => formValues(form)) {
+    const rules = pageRules(ruleset, page);
+
+    function check(rule, values) {
+        const message = validateField(rule, values, ruleset);
+        setFieldError(form, rule.key, message);
+        if (rule.format === 'sic') setSicHint(form, rule.key, message ? '' : values[rule.key]);
+        return message;
+    }
+
+    function checkInput(event) {
+        const rule = rules.find(r => r.key === event.target.name);
+        if (!rule) return;
+        const values = readValues();
+        check(rule, values);
+        // A changed answer can make another field required or hidden
+        rules.filter(r => r !== rule && form.querySelector('.field-error[data-field="' + r.key + '"]'))
+            .forEach(r => check(r, values));
+    }
+
+    form.addEventListener('focusout', checkInput);
+    form.addEventListener('change', checkInput);
+
+    return function validateForm() {
+        const values = readValues();
+        const invalid = rules.filter(rule => check(rule, values));
+        if (invalid.length > 0) {
+            fieldAnchor(form, invalid[0].key).scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        return invalid.length === 0;
+    };
+}
+
+/**
+ * Check the stored application before the employer authorization modal opens
+ * Every unresolved error is listed on the review page under its step; from
+ * any other page the broker is sent to the review page to see them.
+ * @param {string} state - Two-letter state code
+ * @returns {boolean} True when the application has no errors
+ */
+function reviewBeforeAuthorization(state) {
+    const data = JSON.parse(sessionStorage.getItem(STATE_STORAGE_KEYS[state].applicationData) || '{}');
+    const errors = validateApplication(state, data);
+    if (Object.keys(errors).length === 0) {
+        document.querySelectorAll('.review-errors, .review-errors-summary').forEach(el => el.remove());
+        return true;
+    }
+    const message = 'Please resolve the following before sending for employer authorization.';
+    if (!document.getElementById('reviewList')) {
+        sessionStorage.setItem(SUBMISSION_ERRORS_KEY, JSON.stringify({ state, message, fieldErrors: errors }));
+        window.location.href = state + '-app-review.html';
+        return false;
+    }
+    showReviewErrors(state, message, errors);
+    return false;
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.formValues = formValues;
+    window.attachFormValidation = attachFormValidation;
+    window.reviewBeforeAuthorization = reviewBeforeAuthorization;
+}
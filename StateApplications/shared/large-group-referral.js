@@ -0,0 +1,184 @@
+/**
+ * Large-Group Referral - ShelterPoint State Applications
+ * Groups at or over a quote page's HEADCOUNT_CAP cannot be rated from the
+ * rate card. The quote page hands the quote to the referral request page
+ * (referrals/large-group.html), which sends the census, current carrier and
+ * loss history to large-group underwriting. The underwriter returns a custom
+ * rate (referrals/underwriting.html); the quote page then loads the rated
+ * referral and uses that rate as an override, so the broker can continue to
+ * the application. The portal server re-rates saved quotes with the rate
+ * stored on the referral, never with the one sent by the browser.
+ * Depends on shared/application-rules.js and, in the browser,
+ * shared/api-client.js.
+ */
+
+const REFERRAL_STATUS = {
+    REQUESTED: 'requested',
+    RATED: 'rated',
+    DECLINED: 'declined'
+};
+
+const REFERRAL_STATUS_LABELS = {
+    requested: 'With underwriting',
+    rated: 'Rate returned',
+    declined: 'Declined'
+};
+
+// Quote handed from a quote page to the referral request page
+const LARGE_GROUP_REFERRAL_KEY = 'largeGroupReferral';
+
+function referralValidator() {
+    return typeof validateApplication === 'function'
+        ? validateApplication
+        : require('./application-rules.js').validateApplication;
+}
+
+/**
+ * Check a referral request
+ * @param {Object} values - Request form values
+ * @returns {Object} Field key to error message map (empty when valid)
+ */
+function validateReferralRequest(values) {
+    return referralValidator()('large-group-referral', values);
+}
+
+/**
+ * Check the underwriter's rate and convert it to a rate override
+ * PFML rates are entered as a percentage of capped payroll and stored as a
+ * share of it; NY DBL rates are monthly amounts per employee.
+ * @param {string} state - Two-letter state code of the referral
+ * @param {Object} values - { underwriterName, shelterPointRate | dblMaleRate, dblFemaleRate }
+ * @returns {Object} { fieldErrors, rateOverride }
+ */
+function referralRateOverride(state, values) {
+    const fieldErrors = referralValidator()('large-group-rating', Object.assign({}, values, { state }));
+    if (Object.keys(fieldErrors).length > 0) return { fieldErrors, rateOverride: null };
+    const rateOverride = state === 'NY'
+        ? { dblMaleRate: Number(values.dblMaleRate), dblFemaleRate: Number(values.dblFemaleRate) }
+        : { shelterPointRate: Math.round(Number(values.shelterPointRate) * 1e6) / 1e8 };
+    return { fieldErrors, rateOverride };
+}
+
+/**
+ * Describe a rate override for the broker and the proposal
+ * @param {string} state - Two-letter state code
+ * @param {Object} rateOverride - Rate override from the referral decision
+ * @returns {string} Description
+ */
+function describeRateOverride(state, rateOverride) {
+    if (!rateOverride) return '';
+    if (state === 'NY') {
+        return 'DBL $' + Number(rateOverride.dblMaleRate).toFixed(2) + ' per male and $'
+            + Number(rateOverride.dblFemaleRate).toFixed(2) + ' per female employee per month';
+    }
+    return (Math.round(rateOverride.shelterPointRate * 1e6) / 1e4) + '% of capped payroll';
+}
+
+/**
+ * Page of a state's quote, relative to StateApplications
+ * @param {string} state - Two-letter state code
+ * @returns {string} Path
+ */
+function quotePagePath(state) {
+    return state.toLowerCase() + '/' + state + '-quote.html';
+}
+
+/**
+ * Send the quote on the page to the referral request page
+ * @param {string} state - Two-letter state code
+ * @param {Object} quoteData - Quote page values and census summary
+ * @param {number} headcountCap - The quote page's HEADCOUNT_CAP
+ */
+function requestLargeGroupReferral(state, quoteData, headcountCap) {
+    sessionStorage.setItem(LARGE_GROUP_REFERRAL_KEY, JSON.stringify({ state, quoteData, headcountCap }));
+    window.location.href = '../referrals/large-group.html';
+}
+
+/**
+ * Load the rated referral named in the quote page's ?referral= parameter
+ * @param {string} state - Two-letter state code of the quote page
+ * @returns {Promise<Object|null>} Referral record, or null when the page was not opened from one
+ */
+async function loadQuoteReferral(state) {
+    const referralId = new URLSearchParams(window.location.search).get('referral');
+    if (!referralId) return null;
+    const referral = await apiRequest('GET', '/referrals/' + encodeURIComponent(referralId));
+    if (referral.state !== state) {
+        throw new Error('Referral ' + referralId + ' is for ' + referral.state + ', not ' + state + '.');
+    }
+    if (referral.status !== REFERRAL_STATUS.RATED) {
+        throw new Error('Underwriting has not returned a rate for referral ' + referralId + ' yet.');
+    }
+    return referral;
+}
+
+/**
+ * Put the referred quote's values back on the quote form
+ * The business name, effective date and headcount are the ones sent to
+ * underwriting; the server only applies the rate to that business and census.
+ * File inputs are left empty; the referral's census summary stands in for the file.
+ * @param {HTMLFormElement} form - Quote form
+ * @param {Object} referral - Rated referral
+ */
+function restoreReferralQuote(form, referral) {
+    const quoteData = Object.assign({}, referral.quoteData, {
+        businessName: referral.businessName,
+        effectiveDate: referral.effectiveDate,
+        totalEmployees: referral.census.totalEmployees
+    });
+    Object.keys(quoteData).forEach(key => {
+        form.querySelectorAll('[name="' + key + '"]').forEach(input => {
+            if (input.type === 'file' || input.readOnly) return;
+            const value = quoteData[key];
+            if (input.type === 'checkbox' && input.value === 'on') {
+                input.checked = value === true || value === 'on' || value === 'true';
+            } else if (input.type === 'checkbox' || input.type === 'radio') {
+                input.checked = input.value === String(value);
+            } else {
+                input.value = value;
+            }
+        });
+    });
+}
+
+/**
+ * Show which referral's rate the quote uses
+ * @param {HTMLElement} box - Notice element
+ * @param {Object} referral - Rated referral
+ */
+function showReferralRateNotice(box, referral) {
+    box.innerHTML = '';
+    const title = document.createElement('strong');
+    title.textContent = 'Large-group rate: ';
+    box.appendChild(title);
+    box.appendChild(document.createTextNode('This quote uses the rate underwriting returned for referral '
+        + referral.referralId + ' (' + describeRateOverride(referral.state, referral.decision.rateOverride) + ').'));
+    box.style.display = 'block';
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.REFERRAL_STATUS = REFERRAL_STATUS;
+    window.REFERRAL_STATUS_LABELS = REFERRAL_STATUS_LABELS;
+    window.LARGE_GROUP_REFERRAL_KEY = LARGE_GROUP_REFERRAL_KEY;
+    window.validateReferralRequest = validateReferralRequest;
+    window.referralRateOverride = referralRateOverride;
+    window.describeRateOverride = describeRateOverride;
+    window.quotePagePath = quotePagePath;
+    window.requestLargeGroupReferral = requestLargeGroupReferral;
+    window.loadQuoteReferral = loadQuoteReferral;
+    window.restoreReferralQuote = restoreReferralQuote;
+    window.showReferralRateNotice = showReferralRateNotice;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REFERRAL_STATUS,
+        REFERRAL_STATUS_LABELS,
+        validateReferralRequest,
+        referralRateOverride,
+        describeRateOverride,
+        quotePagePath
+    };
+}
@@ -0,0 +1,301 @@
+/**
+ * Multi-State Quote - ShelterPoint State Quotes
+ * Quotes an employer with employees in several states from one census. The
+ * census needs a Work State column; its employees are split by work state and
+ * each state group is rated with that state's own calculator, the same way the
+ * state's quote page rates it. Each group becomes its own saved quote (so the
+ * portal re-rates and stores it like any other quote) and its own application,
+ * seeded from business information entered once.
+ * Depends on shared/census-parser.js, shared/rating-engine.js,
+ * nj/NJ-quote-calculator.js and ny/quote-calculator.js.
+ */
+
+// Products quoted per work state, with the headcount at which the state's
+// quote page sends the group to large-group underwriting (null = never) and
+// the pages, relative to StateApplications/, that quote and apply for it.
+// Delaware quotes are submitted as the request; it has no application steps.
+const MULTI_STATE_PRODUCTS = {
+    CO: { headcountCap: 25, quotePage: 'co/CO-quote.html', applicationPage: 'co/CO-app-requirements.html' },
+    CT: { headcountCap: 11, quotePage: 'ct/CT-quote.html', applicationPage: 'ct/CT-app-requirements.html' },
+    DE: { headcountCap: 25, quotePage: 'de/DE-quote.html', applicationPage: 'de/DE-app-complete.html' },
+    MA: { headcountCap: 25, quotePage: 'ma/MA-quote.html', applicationPage: 'ma/MA-app-requirements.html' },
+    ME: { headcountCap: 25, quotePage: 'me/ME-quote.html', applicationPage: 'me/ME-app-requirements.html' },
+    MN: { headcountCap: 25, quotePage: 'mn/MN-quote.html', applicationPage: 'mn/MN-app-requirements.html' },
+    NJ: { headcountCap: null, quotePage: 'nj/NJ-quote.html', applicationPage: 'nj/NJ-app-step1.html' },
+    NY: { headcountCap: 50, quotePage: 'ny/NY-quote.html', applicationPage: 'ny/NY-app-requirements.html' },
+    OR: { headcountCap: 25, quotePage: 'or/OR-quote.html', applicationPage: 'or/OR-app-requirements.html' }
+};
+
+// Business information entered once and copied into each state's application
+const MULTI_STATE_BUSINESS_FIELDS = [
+    'businessAddress', 'businessCity', 'businessState', 'businessZip',
+    'applicantEmail', 'applicantPhone', 'websiteAddress',
+    'entityType', 'natureOfBusiness', 'sicCode', 'federalId'
+];
+
+function multiStateCalculators() {
+    if (typeof rateQuote === 'function') {
+        return {
+            summarizeCensus,
+            rateQuote,
+            getPlanYear,
+            PFML_RATE_TABLE,
+            calculateNJQuote,
+            getNJPlanYear,
+            NJ_TDB_RATE_TABLE,
+            calculateQuote,
+            getRatePeriod
+        };
+    }
+    return {
+        ...require('./census-parser.js'),
+        ...require('./rating-engine.js'),
+        ...require('../nj/NJ-quote-calculator.js'),
+        ...require('../ny/quote-calculator.js')
+    };
+}
+
+function multiStateChecked(value) {
+    return value === true || value === 'on' || value === 'true';
+}
+
+/**
+ * Group census employees by work state
+ * @param {Array<Object>} employees - Employee records from mapCensusRows, with workState
+ * @returns {Object} Employee lists keyed by state code, in state code order
+ */
+function splitCensusByState(employees) {
+    const groups = {};
+    (employees || []).slice()
+        .sort((a, b) => String(a.workState).localeCompare(String(b.workState)))
+        .forEach(emp => {
+            const state = String(emp.workState || '').toUpperCase();
+            (groups[state] = groups[state] || []).push(emp);
+        });
+    return groups;
+}
+
+/**
+ * Saved quote payload of one state group, in the fields that state's quote page saves
+ * @param {string} state - Two-letter state code
+ * @param {Array<Object>} employees - The state's employees
+ * @param {Object} shared - { businessName, effectiveDate, termLife15k, eap, censusFileName, workStates,
+ *   ny: { dblBenefits, billingOption, inHospitalRider, addBenefit },
+ *   nj: { contributionType, otherPercentValue, categoryD, categoryE, stateEmployerRate } }
+ * @returns {Object} Saved quote payload
+ */
+function multiStateQuoteData(state, employees, shared) {
+    const calc = multiStateCalculators();
+    const data = {
+        businessName: shared.businessName || '',
+        effectiveDate: shared.effectiveDate || ''
+    };
+
+    let wageLimit;
+    if (state === 'NY') {
+        wageLimit = calc.getRatePeriod(shared.effectiveDate).pflRate.nysaww;
+    } else if (state === 'NJ') {
+        wageLimit = calc.getNJPlanYear(shared.effectiveDate).wageBase;
+    } else {
+        wageLimit = calc.getPlanYear(state, shared.effectiveDate).wageBase;
+    }
+    const summary = calc.summarizeCensus(employees, wageLimit);
+    data.coveredMales = summary.maleEmployees;
+    data.coveredFemales = summary.femaleEmployees;
+    data.totalEmployees = summary.totalEmployees;
+
+    if (state === 'NY') {
+        const ny = shared.ny || {};
+        data.totalPayroll = summary.totalPayroll;
+        data.employeesOverNYSAWW = summary.employeesOverCap;
+        data.payrollBelowNYSAWW = summary.payrollBelowCap;
+        data.dblBenefits = ny.dblBenefits || 'statutory';
+        data.billingOption = ny.billingOption === 'quarterly' ? 'quarterly' : 'annual';
+        if (multiStateChecked(ny.inHospitalRider)) data.inHospitalRider = 'on';
+        if (ny.addBenefit) data.addBenefit = ny.addBenefit;
+    } else {
+        data.employeesOverCap = summary.employeesOverCap;
+        data.payrollBelowCap = summary.payrollBelowCap;
+    }
+    if (state === 'NJ') {
+        const nj = shared.nj || {};
+        data.contributionType = nj.contributionType || 'statutory';
+        if (data.contributionType === 'other') data.otherPercentValue = nj.otherPercentValue;
+        data.categoryD = nj.categoryD || 'statutory';
+        data.categoryE = nj.categoryE || 'statutory';
+        if (nj.stateEmployerRate) data.stateEmployerRate = nj.stateEmployerRate;
+    } else {
+        if (multiStateChecked(shared.termLife15k)) data.termLife15k = 'on';
+        if (multiStateChecked(shared.eap)) data.eap = 'on';
+    }
+
+    if (shared.censusFileName) data.censusFileName = shared.censusFileName;
+    data.workStates = (shared.workStates || []).slice();
+    return data;
+}
+
+/**
+ * Rate one state's saved quote payload with the state's calculator
+ * @param {string} state - Two-letter state code
+ * @param {Object} data - Payload from multiStateQuoteData
+ * @returns {Object} { productName, quote, premium, billingPeriod, annualPremium }
+ */
+function rateMultiStateGroup(state, data) {
+    const calc = multiStateCalculators();
+    if (state === 'NY') {
+        const quote = calc.calculateQuote({
+            effectiveDate: data.effectiveDate,
+            maleEmployees: data.coveredMales,
+            femaleEmployees: data.coveredFemales,
+            employeesOverNYSAWW: data.employeesOverNYSAWW,
+            payrollBelowNYSAWW: data.payrollBelowNYSAWW,
+            dblBenefits: data.dblBenefits,
+            billingOption: data.billingOption,
+            inHospitalRider: multiStateChecked(data.inHospitalRider),
+            adddBenefit: data.addBenefit || null,
+            termLife15k: multiStateChecked(data.termLife15k),
+            eap: multiStateChecked(data.eap)
+        });
+        return {
+            productName: 'New York DBL & PFL',
+            quote,
+            premium: quote.displayAmount,
+            billingPeriod: quote.billingPeriod,
+            annualPremium: quote.totalMonthly * 12
+        };
+    }
+
+    const census = {
+        maleEmployees: data.coveredMales,
+        femaleEmployees: data.coveredFemales,
+        totalEmployees: data.totalEmployees,
+        employeesOverCap: data.employeesOverCap,
+        payrollBelowCap: data.payrollBelowCap
+    };
+    const quote = state === 'NJ'
+        ? calc.calculateNJQuote(census, {
+            effectiveDate: data.effectiveDate,
+            billingOption: 'quarterly',
+            contributionType: data.contributionType,
+            otherPercentValue: data.otherPercentValue,
+            categoryD: data.categoryD,
+            categoryE: data.categoryE,
+            stateEmployerRate: data.stateEmployerRate
+        })
+        : calc.rateQuote(state, census, { effectiveDate: data.effectiveDate, billingOption: 'quarterly' });
+    return {
+        productName: state === 'NJ' ? calc.NJ_TDB_RATE_TABLE.name : calc.PFML_RATE_TABLE[state].name,
+        quote,
+        premium: quote.displayAmount,
+        billingPeriod: quote.billingPeriod,
+        annualPremium: quote.displayAmount * (quote.billingPeriod === 'quarter' ? 4 : 1)
+    };
+}
+
+/**
+ * Split a census by work state and rate every state group
+ * Groups at their state's headcount cap need large-group underwriting on the
+ * state's own quote page, so they are listed but left out of the totals, as
+ * are employees in states ShelterPoint does not quote.
+ * @param {Array<Object>} employees - Employee records from mapCensusRows, with workState
+ * @param {Object} shared - Quote details shared by every state (see multiStateQuoteData)
+ * @returns {Object} { states: [{ state, productName, data, quote, totalEmployees, premium, billingPeriod,
+ *   annualPremium, needsReferral }], unsupported: [{ state, totalEmployees }],
+ *   totals: { totalEmployees, quotedEmployees, annualPremium } }
+ */
+function rateMultiStateQuote(employees, shared = {}) {
+    const groups = splitCensusByState(employees);
+    const workStates = Object.keys(groups);
+    const result = {
+        states: [],
+        unsupported: [],
+        totals: { totalEmployees: 0, quotedEmployees: 0, annualPremium: 0 }
+    };
+
+    workStates.forEach(state => {
+        const group = groups[state];
+        result.totals.totalEmployees += group.length;
+        const product = MULTI_STATE_PRODUCTS[state];
+        if (!product) {
+            result.unsupported.push({ state, totalEmployees: group.length });
+            return;
+        }
+
+        const data = multiStateQuoteData(state, group, { ...shared, workStates });
+        const rated = rateMultiStateGroup(state, data);
+        const needsReferral = product.headcountCap !== null && group.length >= product.headcountCap;
+        result.states.push({ state, data, totalEmployees: group.length, needsReferral, ...rated });
+        if (!needsReferral) {
+            result.totals.quotedEmployees += group.length;
+            result.totals.annualPremium += rated.annualPremium;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Fill a state's application data from the quote and the shared business information
+ * Business fields only fill fields the application has left empty; the
+ * quoted NJ plan choices replace the application's, as on the NJ quote page.
+ * @param {string} state - Two-letter state code
+ * @param {Object} applicationData - The state's stored application data
+ * @param {Object} quoteData - The state's saved quote payload (multiStateQuoteData)
+ * @param {Object} business - Shared business information (MULTI_STATE_BUSINESS_FIELDS)
+ * @returns {Object} The updated application data
+ */
+function seedMultiStateApplication(state, applicationData, quoteData, business) {
+    const fill = (key, value) => {
+        if (value !== undefined && value !== null && value !== '' && !applicationData[key]) {
+            applicationData[key] = value;
+        }
+    };
+
+    if (state === 'NJ') {
+        const street = [business.businessAddress, business.businessCity,
+            [business.businessState, business.businessZip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+        fill('employerName', quoteData.businessName);
+        fill('employerAddress', street);
+        fill('employerPhone', business.applicantPhone);
+        applicationData.effectiveDate = quoteData.effectiveDate;
+        if (quoteData.totalEmployees) applicationData.njEmployeeCount = String(quoteData.totalEmployees);
+        applicationData.contributionType = quoteData.contributionType;
+        if (quoteData.contributionType === 'other') applicationData.otherPercentValue = quoteData.otherPercentValue;
+        applicationData.categoryD = quoteData.categoryD;
+        applicationData.categoryE = quoteData.categoryE;
+        return applicationData;
+    }
+
+    MULTI_STATE_BUSINESS_FIELDS.forEach(key => {
+        // The Minnesota application asks for an office phone instead
+        fill(state === 'MN' && key === 'applicantPhone' ? 'officePhone' : key, business[key]);
+    });
+    if (state === 'NY') {
+        const otherStates = (quoteData.workStates || []).filter(code => code !== 'NY');
+        fill('outOfState', otherStates.length ? 'yes' : 'no');
+        fill('outOfStateList', otherStates.join(', '));
+    }
+    return applicationData;
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.MULTI_STATE_PRODUCTS = MULTI_STATE_PRODUCTS;
+    window.MULTI_STATE_BUSINESS_FIELDS = MULTI_STATE_BUSINESS_FIELDS;
+    window.splitCensusByState = splitCensusByState;
+    window.rateMultiStateQuote = rateMultiStateQuote;
+    window.seedMultiStateApplication = seedMultiStateApplication;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MULTI_STATE_PRODUCTS,
+        MULTI_STATE_BUSINESS_FIELDS,
+        splitCensusByState,
+        multiStateQuoteData,
+        rateMultiStateGroup,
+        rateMultiStateQuote,
+        seedMultiStateApplication
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * NJ Private Plan Rules - ShelterPoint State Applications
+ * Checks the DP-1 contribution election against the NJ Temporary Disability
+ * Benefits private plan rules. A plan that takes employee contributions needs
+ * the agreement of a majority of the employees required to contribute (step
+ * 4); a plan without contributions needs employees told of it far enough
+ * before the effective date (step 3). The checks are used as
+ * application-rules.js formats, so the step pages, the review page and the
+ * submission service all apply them.
+ */
+
+// Days employees must be informed before the plan's effective date
+const NJ_NOTICE_DAYS = 30;
+
+function parseIsoDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? Date.parse(value + 'T00:00:00Z') : NaN;
+}
+
+function displayIsoDate(time) {
+    const date = new Date(time);
+    return (date.getUTCMonth() + 1) + '/' + date.getUTCDate() + '/' + date.getUTCFullYear();
+}
+
+function wholeNumber(value) {
+    return /^\d+$/.test(String(value === undefined || value === null ? '' : value).trim())
+        ? parseInt(value, 10)
+        : NaN;
+}
+
+/**
+ * Whether the contribution election requires the employees' election (step 4)
+ * @param {Object} values - Application data
+ * @returns {boolean} True when employees contribute to the plan
+ */
+function njElectionRequired(values) {
+    return values.contributionType === 'statutory' || values.contributionType === 'other';
+}
+
+/**
+ * Smallest number of employees that is a majority of those required to contribute
+ * @param {number} totalRequired - Employees required to contribute
+ * @returns {number} Majority
+ */
+function njElectionMajority(totalRequired) {
+    return Math.floor(totalRequired / 2) + 1;
+}
+
+/**
+ * Check the number of employees required to contribute
+ * @param {string} value - totalRequired
+ * @param {Object} values - Application data (njEmployeeCount)
+ * @returns {string|null} Error message
+ */
+function njContributorsError(value, values) {
+    const total = wholeNumber(value);
+    if (!(total > 0)) return 'Please enter a whole number greater than zero.';
+    const employees = wholeNumber(values.njEmployeeCount);
+    if (employees > 0 && total > employees) {
+        return 'The number required to contribute cannot be more than the ' + employees + ' New Jersey employees on step 3.';
+    }
+    return null;
+}
+
+/**
+ * Check that a majority of the employees required to contribute agreed
+ * @param {string} value - numberAgreeing
+ * @param {Object} values - Application data (totalRequired)
+ * @returns {string|null} Error message
+ */
+function njMajorityError(value, values) {
+    const agreeing = wholeNumber(value);
+    if (isNaN(agreeing)) return 'Please enter a whole number.';
+    const total = wholeNumber(values.totalRequired);
+    if (!(total > 0)) return null;
+    if (agreeing > total) {
+        return 'The number agreeing cannot be more than the ' + total + ' employees required to contribute.';
+    }
+    const majority = njElectionMajority(total);
+    if (agreeing < majority) {
+        return 'A majority of the ' + total + ' employees required to contribute (at least ' + majority
+            + ') must agree before a contributory private plan can be approved.';
+    }
+    return null;
+}
+
+/**
+ * Check that the election was held before the effective date
+ * @param {string} value - electionDate
+ * @param {Object} values - Application data (effectiveDate)
+ * @returns {string|null} Error message
+ */
+function njElectionDateError(value, values) {
+    const held = parseIsoDate(value);
+    if (isNaN(held)) return 'Please enter a valid date.';
+    const effective = parseIsoDate(values.effectiveDate);
+    if (!isNaN(effective) && held > effective) {
+        return 'The election must be held on or before the effective date (' + displayIsoDate(effective) + ').';
+    }
+    return null;
+}
+
+/**
+ * Check that employees were informed at least NJ_NOTICE_DAYS before the effective date
+ * @param {string} value - informedDate
+ * @param {Object} values - Application data (effectiveDate)
+ * @returns {string|null} Error message
+ */
+function njNoticeError(value, values) {
+    const informed = parseIsoDate(value);
+    if (isNaN(informed)) return 'Please enter a valid date.';
+    const effective = parseIsoDate(values.effectiveDate);
+    if (isNaN(effective)) return null;
+    const latest = effective - NJ_NOTICE_DAYS * 86400000;
+    if (informed > latest) {
+        return 'Employees must be informed at least ' + NJ_NOTICE_DAYS + ' days before the effective date ('
+            + displayIsoDate(effective) + '), on or before ' + displayIsoDate(latest) + '.';
+    }
+    return null;
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.NJ_NOTICE_DAYS = NJ_NOTICE_DAYS;
+    window.njElectionRequired = njElectionRequired;
+    window.njElectionMajority = njElectionMajority;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NJ_NOTICE_DAYS,
+        njElectionRequired,
+        njElectionMajority,
+        njContributorsError,
+        njMajorityError,
+        njElectionDateError,
+        njNoticeError
+    };
+}
@@ -0,0 +1,557 @@
+/**
+ * Official State Forms - ShelterPoint State Applications
+ * Fills an application into the layout of the official state form it was
+ * taken from: the New Jersey DP-1 private plan application and the New York
+ * DB-120 DBL/PFL application. The form package is one PDF with the filled
+ * form, then a page listing the documents sent with the application and the
+ * record of the employer's signature. The submission service builds the
+ * package when the employer signs.
+ * Depends on shared/pdf-writer.js.
+ */
+
+const FORM_MARGIN = 40;
+const FORM_ROW_HEIGHT = 26;
+const FORM_CHECK_HEIGHT = 16;
+
+// Supporting documents an application can name or upload, by field
+const FORM_DOCUMENT_LABELS = {
+    docPriorCarrier: 'Prior Carrier Letter',
+    docPayroll: 'Payroll Report',
+    docOrg: 'Organizational Documents',
+    csvCensusFile: 'Employee Census'
+};
+
+const NY_ENTITY_TYPE_LABELS = {
+    soleProprietor: 'Sole Proprietor',
+    partnership: 'Partnership',
+    corporation: 'Corporation',
+    association: 'Association',
+    limitedPartnerLP: 'Limited Partner (LP)',
+    jointVenture: 'Joint Venture (JV)',
+    llc: 'Limited Liability Co. (LLC)',
+    trustEstate: 'Trust or Estate',
+    executorTrustee: 'Executor or Trustee',
+    llp: 'LLP or LLLP',
+    other: 'Other'
+};
+
+const NY_BENEFIT_LABELS = {
+    statutory: 'Statutory DBL and PFL',
+    'enriched1.5x': '1.5x Enriched DBL',
+    enriched2x: '2x Enriched DBL',
+    enriched3x: '3x Enriched DBL',
+    enriched4x: '4x Enriched DBL',
+    enriched5x: '5x Enriched DBL'
+};
+
+const NY_BILLING_LABELS = {
+    annual: 'Annual',
+    quarterly: 'Quarterly',
+    quarterlyPayroll: 'Quarterly on payroll report'
+};
+
+function formDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+    return match ? match[2] + '/' + match[3] + '/' + match[1] : (value || '');
+}
+
+// Cell builders for the form layouts below
+function formBox(label, key, width) {
+    return { label, value: data => data[key], width };
+}
+
+function formDateBox(label, key, width) {
+    return { label, value: data => formDate(data[key]), width };
+}
+
+function formLabelBox(label, key, labels, width) {
+    return { label, value: data => labels[data[key]] || data[key], width };
+}
+
+function formChoice(key, value, label) {
+    return { label, checked: data => data[key] === value };
+}
+
+function formFlag(key, label) {
+    return { label, checked: data => data[key] === 'on' };
+}
+
+/**
+ * Numbered instances of a repeated block (proprietor1, proprietor2, ...)
+ * @param {Object} data - Application data
+ * @param {string} key - Key of the first field of the block, without its number
+ * @returns {number[]} Instance numbers that have a value, or [1] when none do
+ */
+function formInstances(data, key) {
+    const numbers = Object.keys(data)
+        .map(name => new RegExp('^' + key + '(\\d+)$').exec(name))
+        .filter(match => match && data[match[0]])
+        .map(match => Number(match[1]))
+        .sort((a, b) => a - b);
+    return numbers.length ? numbers : [1];
+}
+
+// Form layouts. Each item is a numbered block of the official form; its rows
+// are lists of text boxes, a { checks } line of check boxes, a { lines } box for
+// longer answers, or a { note } of form text. rows may be a function of the data.
+const OFFICIAL_FORM_LAYOUTS = {
+    'DP-1': {
+        code: 'DP-1',
+        agency: 'State of New Jersey - Department of Labor and Workforce Development - Division of Temporary Disability and Family Leave Insurance',
+        title: 'Application for Approval of a Private Plan for the Payment of Disability Benefits',
+        items: [
+            {
+                title: 'Identification Numbers',
+                rows: [
+                    [formBox('New Jersey Employer Identification Number', 'njEmployerId'), formBox('Private Plan Number', 'privatePlanNumber')],
+                    { checks: [
+                        formChoice('applicationType', 'approval', 'Approval is requested for an insured Private Plan'),
+                        formChoice('applicationType', 'modification', 'Modification is requested for the insured Private Plan indicated above')
+                    ] },
+                    [formDateBox('Effective Date', 'effectiveDate', 0.3)]
+                ]
+            },
+            {
+                title: 'Employer',
+                rows: [
+                    [formBox('Name of Employer (exactly as registered with the NJ Department of Labor)', 'employerName')],
+                    [formBox('Employer\'s Address', 'employerAddress', 0.7), formBox('Employer\'s Phone Number', 'employerPhone')]
+                ]
+            },
+            {
+                title: 'Policyholder (if different than employer)',
+                rows: [[formBox('Policyholder\'s Name', 'policyholderName'), formBox('Policyholder\'s Address', 'policyholderAddress')]]
+            },
+            {
+                title: 'Employer Representative',
+                rows: [
+                    [formBox('Representative\'s Name', 'repName'), formBox('Title', 'repTitle')],
+                    [formBox('Email', 'repEmail'), formBox('Department Email', 'deptEmail')],
+                    [formBox('Authorized Mailing Address', 'repAddress', 0.7), formBox('Phone Number', 'repPhone')]
+                ]
+            },
+            {
+                title: 'The Plan Will Cover',
+                rows: [
+                    { checks: [
+                        formChoice('planCoverage', 'all', '(a) All covered employees of the employer'),
+                        formChoice('planCoverage', 'other', '(b) Other (describe classes covered; attach Form DP-1A)')
+                    ] },
+                    [formBox('Number of New Jersey Employees', 'njEmployeeCount', 0.3)],
+                    { label: 'Classes Covered', lines: 2, value: data => data.excludedClasses }
+                ]
+            },
+            {
+                title: 'Employee Contributions',
+                rows: [
+                    { checks: [
+                        formChoice('contributionType', 'statutory', 'Statutory percentage of taxable wages'),
+                        formChoice('contributionType', 'other', 'Other % of statutory taxable wage base'),
+                        formChoice('contributionType', 'none', 'None (no deductions)')
+                    ] },
+                    [
+                        { label: 'Other Percentage', value: data => (data.contributionType === 'other' && data.otherPercentValue ? data.otherPercentValue + '%' : '') },
+                        { label: 'Date Employees Were Informed (no deductions)', value: data => (data.contributionType === 'none' ? formDate(data.informedDate) : '') }
+                    ],
+                    { checks: [
+                        formFlag('writtenNotice', 'Written notice'),
+                        formFlag('verbalNotice', 'Verbal notice'),
+                        formFlag('bulletinBoard', 'Bulletin board'),
+                        formFlag('otherMethod', 'Other')
+                    ] },
+                    [formBox('Other Method of Notification', 'otherMethodDesc')]
+                ]
+            },
+            {
+                title: 'Employees\' Election (contributory plans)',
+                rows: [[formDateBox('Date Election Was Held', 'electionDate'), formBox('Total Number Required to Contribute', 'totalRequired'), formBox('Number Agreeing to the Private Plan', 'numberAgreeing')]]
+            },
+            {
+                title: 'Benefits Provided',
+                rows: [
+                    ['A', 'Weekly Benefit Amount', false],
+                    ['B', 'Limitations', false],
+                    ['C', 'Eligibility Requirement', false],
+                    ['D', 'Maximum Duration of Benefits', true],
+                    ['E', 'Benefit Commencement', true]
+                ].flatMap(([category, title, enhanced]) => [
+                    { checks: [
+                        { label: 'Category ' + category + ' - ' + title + ':', heading: true },
+                        formChoice('category' + category, 'statutory', 'Statutory'),
+                        ...(enhanced ? [formChoice('category' + category, 'enhanced', 'Enhanced')] : []),
+                        formChoice('category' + category, 'other', 'Other')
+                    ] },
+                    [{ label: 'Category ' + category + ' - Other (explain)', value: data => (data['category' + category] === 'other' ? data['cat' + category + '_otherExplain'] : '') }]
+                ]).concat([
+                    { note: 'Guaranteed minimum benefits: the benefits payable to any employee for any period of disability commencing while insured shall not be '
+                        + 'less than the employee would have been entitled to receive under Article III of the NJ Temporary Disability Benefits Law.' }
+                ])
+            },
+            {
+                title: 'Employer Agreement and Signature',
+                rows: [
+                    { note: 'The undersigned employer agrees to the establishment of the above Private Plan in accordance with the New Jersey Temporary Disability Benefits Law.' },
+                    [formBox('Signature of Employer', 'employerSignature'), formBox('Printed Name', 'employerPrintedName')],
+                    [formBox('Title (Owner, Partner or Corporate Officer)', 'employerTitle'), formDateBox('Date', 'employerSignDate')]
+                ]
+            }
+        ]
+    },
+    'DB-120': {
+        code: 'DB-120',
+        agency: 'New York State Workers\' Compensation Board - Disability and Paid Family Leave Benefits',
+        title: 'Application for New York State Disability and Paid Family Leave Benefits Insurance',
+        items: [
+            {
+                title: 'Employer',
+                rows: [
+                    [formBox('Full Legal Business Name', 'businessName')],
+                    [formBox('Business Address', 'businessAddress', 0.45), formBox('City', 'businessCity'), formBox('State', 'businessState', 0.1), formBox('ZIP', 'businessZip', 0.15)],
+                    [formBox('Mailing Address (if different)', 'mailingAddress', 0.45), formBox('City', 'mailingCity'), formBox('State', 'mailingState', 0.1), formBox('ZIP', 'mailingZip', 0.15)],
+                    [formBox('Applicant E-mail', 'applicantEmail'), formBox('Applicant Phone', 'applicantPhone')],
+                    [formBox('Attention/Care of', 'attentionCareOf'), formBox('Website Address', 'websiteAddress')]
+                ]
+            },
+            {
+                title: 'Legal Entity Type',
+                rows: [
+                    { checks: Object.keys(NY_ENTITY_TYPE_LABELS).map(value => formChoice('entityType', value, NY_ENTITY_TYPE_LABELS[value])) },
+                    [formBox('Other Entity Type', 'legalEntityOther'), formDateBox('Date Established (Proprietorship, LLC or LLP)', 'entityEstablishedDate')]
+                ]
+            },
+            {
+                title: 'Business Details',
+                rows: [
+                    [formBox('Nature of Business', 'natureOfBusiness', 0.5), formBox('SIC Code', 'sicCode'), formLabelBox('Public Employer', 'publicEmployer', { yes: 'Yes', no: 'No' })],
+                    [formBox('Federal ID #', 'federalId'), formBox('Unemployment Insurance #', 'unemploymentInsurance'), formDateBox('Requested Effective Date', 'effectiveDate')],
+                    [formBox('Current Workers\' Compensation Carrier', 'wcCarrier'), formBox('Current DBL Carrier', 'currentDblCarrier')]
+                ]
+            },
+            {
+                title: 'Covered Employees',
+                rows: [
+                    [formLabelBox('Cover Out-of-State Employees for DBL', 'outOfState', { yes: 'Yes', no: 'No' }, 0.3), formBox('States', 'outOfStateList')],
+                    [formLabelBox('All Employees Covered (Article 9, Section 204)', 'allEmployees', { yes: 'Yes', no: 'No' })],
+                    { label: 'Excluded Classes of Employees', lines: 2, value: data => data.excludedClasses },
+                    [formBox('Covered Males', 'coveredMales'), formBox('Covered Females', 'coveredFemales'), formBox('Total Employees', 'totalEmployees')],
+                    [formBox('Monthly Covered Payroll - Males', 'payrollMales'), formBox('Monthly Covered Payroll - Females', 'payrollFemales'), formBox('Total Monthly Covered Payroll', 'totalPayroll')]
+                ]
+            },
+            {
+                title: 'Employee Contribution and Organization',
+                rows: [
+                    { checks: [
+                        { label: 'DBL:', heading: true },
+                        formChoice('dblContribution', 'noncontributory', 'Noncontributory'),
+                        formChoice('dblContribution', 'contributory', 'Contributory'),
+                        { label: 'Organization:', heading: true },
+                        formChoice('orgType', 'profit', 'Profit'),
+                        formChoice('orgType', 'nonprofit', 'Non-Profit'),
+                        { label: 'Coverage Includes:', heading: true },
+                        formFlag('teachers', 'Teachers'),
+                        formFlag('clergy', 'Clergy')
+                    ] },
+                    { label: 'Voluntary Coverage: Additional Classes of Employees', lines: 2, value: data => data.voluntaryCoverage }
+                ]
+            },
+            {
+                title: 'Benefits and Billing',
+                rows: [
+                    [formLabelBox('DBL and PFL Benefits', 'dblBenefits', NY_BENEFIT_LABELS), formLabelBox('Billing Option', 'billingOption', NY_BILLING_LABELS)],
+                    { checks: [
+                        formFlag('inHospitalRider', 'In-Hospital Rider'),
+                        formFlag('termLife15k', '$15,000 Term Life'),
+                        formFlag('eap', 'Employer & Employee Assistance Program'),
+                        formFlag('nurseHelpline', 'Nurse Helpline')
+                    ] },
+                    [{ label: 'AD&D Benefit Rider', value: data => (data.addBenefit ? '$' + Number(data.addBenefit).toLocaleString('en-US') : ''), width: 0.3 }]
+                ]
+            },
+            {
+                title: 'Proprietors and Additional Entities/Locations',
+                rows: data => formInstances(data, 'proprietor').map(n => [formBox('Proprietor Name', 'proprietor' + n)])
+                    .concat(formInstances(data, 'entityName').map(n => [
+                        formBox('Entity Name', 'entityName' + n),
+                        formBox('Address', 'entityAddress' + n),
+                        formBox('Federal ID #', 'entityFederalId' + n, 0.18),
+                        formBox('Unemployment Insurance #', 'entityUnemployment' + n, 0.2)
+                    ]))
+            },
+            {
+                title: 'Authorization',
+                rows: [
+                    { checks: [formFlag('certifyApplication', 'I certify that all information provided is true, complete, and accurate')] },
+                    [formBox('Applicant Name', 'applicantName'), formBox('Applicant Signature', 'applicantSignature'), formDateBox('Date', 'applicantDate', 0.2)]
+                ]
+            },
+            {
+                title: 'Producer Information (if applicable)',
+                rows: [
+                    [formBox('Producer Name', 'producerName'), formBox('Producer Signature', 'producerSignature'), formDateBox('Date', 'producerDate', 0.2)],
+                    [formBox('Agency Name', 'agencyName'), formBox('Agency #', 'agencyNumber', 0.15), formBox('Agency Address', 'agencyAddress'), formBox('Phone #', 'agencyPhone', 0.18)]
+                ]
+            }
+        ]
+    }
+};
+
+// Official form of each application: the form name when given, otherwise the state
+const OFFICIAL_FORMS = {
+    NJ: 'DP-1',
+    NY: 'DB-120',
+    'NY-DBL-PFL': 'DB-120'
+};
+
+/**
+ * Official form layout for a submission
+ * @param {Object} record - Submission record { state, form }
+ * @returns {Object|null} Layout from OFFICIAL_FORM_LAYOUTS, or null when the state has no official form
+ */
+function officialFormFor(record) {
+    const code = OFFICIAL_FORMS[record.form] || OFFICIAL_FORMS[record.state];
+    return code ? OFFICIAL_FORM_LAYOUTS[code] : null;
+}
+
+function fitFormText(text, width, size) {
+    const measure = typeof measurePdfText === 'function' ? measurePdfText : require('./pdf-writer.js').measurePdfText;
+    let value = String(text === undefined || text === null ? '' : text).replace(/\s+/g, ' ');
+    if (measure(value, size) <= width) return value;
+    while (value && measure(value + '...', size) > width) value = value.slice(0, -1);
+    return value + '...';
+}
+
+/**
+ * Documents sent with an application: the uploaded files and stored
+ * documents, then documents the application names that were not uploaded
+ * @param {Object} record - Submission record { files, documents, data }
+ * @returns {Object[]} { label, filename, size, uploaded }
+ */
+function formDocumentList(record) {
+    const files = (record.files || []).concat((record.documents || []).map(document => ({
+        field: document.documentType,
+        filename: document.filename,
+        size: document.size
+    })));
+    const data = record.data || {};
+    const uploaded = files.map(file => ({
+        label: FORM_DOCUMENT_LABELS[file.field] || file.field,
+        filename: file.filename,
+        size: file.size,
+        uploaded: true
+    }));
+    const named = Object.keys(FORM_DOCUMENT_LABELS)
+        .filter(field => data[field + 'Name'] && !files.some(file => file.field === field))
+        .map(field => ({ label: FORM_DOCUMENT_LABELS[field], filename: data[field + 'Name'], size: null, uploaded: false }));
+    return uploaded.concat(named);
+}
+
+/**
+ * Build the official form package for a submission
+ * @param {Object} record - Submission record { submissionNumber, state, form, data, quoteData, files, authorization }
+ * @returns {Uint8Array} PDF file contents
+ */
+function buildOfficialFormPackage(record) {
+    const layout = officialFormFor(record);
+    if (!layout) throw new Error('There is no official form for ' + (record.form || record.state) + ' applications.');
+    const createDocument = typeof createPdfDocument === 'function'
+        ? createPdfDocument
+        : require('./pdf-writer.js').createPdfDocument;
+    const doc = createDocument();
+    const left = FORM_MARGIN;
+    const right = doc.pageWidth - FORM_MARGIN;
+    const bottom = doc.pageHeight - 50;
+    // Step applications keep the business details from the quote
+    const data = Object.assign({}, record.quoteData, record.data);
+    let y;
+
+    function pageFooter() {
+        doc.line(left, bottom + 14, right, bottom + 14, { color: '#000000', lineWidth: 0.5 });
+        doc.text(layout.code + '  |  Submission ' + (record.submissionNumber || ''), left, bottom + 26, { size: 7 });
+        doc.text('Page ' + doc.pageCount(), right, bottom + 26, { size: 7, align: 'right' });
+    }
+
+    function newPage() {
+        doc.addPage();
+        pageFooter();
+        doc.text(layout.code + ' (continued)', left, 50, { size: 9, bold: true });
+        y = 64;
+    }
+
+    function ensureRoom(height) {
+        if (y + height > bottom) newPage();
+    }
+
+    function drawCells(cells) {
+        const fixed = cells.reduce((sum, cell) => sum + (cell.width || 0), 0);
+        const flexible = cells.filter(cell => !cell.width).length;
+        const shared = flexible ? (1 - fixed) / flexible : 0;
+        let x = left;
+        ensureRoom(FORM_ROW_HEIGHT);
+        cells.forEach((cell, i) => {
+            const width = i === cells.length - 1 ? right - x : (right - left) * (cell.width || shared);
+            doc.rect(x, y, width, FORM_ROW_HEIGHT, { stroke: '#000000', lineWidth: 0.5 });
+            doc.text(fitFormText(cell.label, width - 6, 6.5), x + 3, y + 8, { size: 6.5 });
+            doc.text(fitFormText(cell.value(data), width - 8, 9), x + 4, y + 21, { size: 9 });
+            x += width;
+        });
+        y += FORM_ROW_HEIGHT;
+    }
+
+    // The box grows when the answer needs more than its lines
+    function drawLines(row) {
+        let height = 12 + row.lines * 12;
+        ensureRoom(height);
+        doc.text(row.label, left + 3, y + 8, { size: 6.5 });
+        const value = String(row.value(data) || '');
+        if (value) {
+            const last = doc.paragraph(value, left + 4, y + 20, right - left - 8, { size: 9, lineHeight: 12 });
+            height = Math.max(height, last - y + 6);
+        }
+        doc.rect(left, y, right - left, height, { stroke: '#000000', lineWidth: 0.5 });
+        y += height;
+    }
+
+    function drawChecks(checks) {
+        const measure = typeof measurePdfText === 'function' ? measurePdfText : require('./pdf-writer.js').measurePdfText;
+        ensureRoom(FORM_CHECK_HEIGHT);
+        let x = left + 4;
+        checks.forEach(check => {
+            const width = (check.heading ? 0 : 12) + measure(check.label, 8, check.heading) + 12;
+            if (x + width > right && x > left + 4) {
+                y += FORM_CHECK_HEIGHT;
+                ensureRoom(FORM_CHECK_HEIGHT);
+                x = left + 4;
+            }
+            if (check.heading) {
+                doc.text(check.label, x, y + 11, { size: 8, bold: true });
+            } else {
+                doc.rect(x, y + 4, 8, 8, { stroke: '#000000', lineWidth: 0.5 });
+                if (check.checked(data)) doc.text('X', x + 4, y + 11, { size: 8, bold: true, align: 'center' });
+                doc.text(check.label, x + 12, y + 11, { size: 8 });
+            }
+            x += width;
+        });
+        y += FORM_CHECK_HEIGHT + 2;
+    }
+
+    // Form header
+    pageFooter();
+    doc.text(layout.code, left, 52, { size: 18, bold: true });
+    doc.paragraph(layout.agency, left + 90, 44, right - left - 90, { size: 8, lineHeight: 10 });
+    doc.text(layout.title, doc.pageWidth / 2, 84, { size: 12, bold: true, align: 'center' });
+    doc.line(left, 94, right, 94, { color: '#000000', lineWidth: 1 });
+    y = 104;
+
+    layout.items.forEach((item, index) => {
+        ensureRoom(16 + FORM_ROW_HEIGHT);
+        doc.rect(left, y, right - left, 14, { fill: '#E6E6E6', stroke: '#000000', lineWidth: 0.5 });
+        doc.text((index + 1) + '. ' + item.title.toUpperCase(), left + 4, y + 10, { size: 8, bold: true });
+        y += 14;
+        const rows = typeof item.rows === 'function' ? item.rows(data) : item.rows;
+        rows.forEach(row => {
+            if (Array.isArray(row)) {
+                drawCells(row);
+            } else if (row.checks) {
+                drawChecks(row.checks);
+            } else if (row.lines) {
+                drawLines(row);
+            } else if (row.note) {
+                ensureRoom(30);
+                y = doc.paragraph(row.note, left + 4, y + 11, right - left - 8, { size: 7.5, lineHeight: 10 }) + 6;
+            }
+        });
+        y += 8;
+    });
+
+    // Attachments and signature record
+    doc.addPage();
+    pageFooter();
+    doc.text(layout.code + ' - Attached Documents and Signature Record', left, 52, { size: 12, bold: true });
+    doc.line(left, 60, right, 60, { color: '#000000', lineWidth: 1 });
+    y = 80;
+
+    doc.text('Documents', left, y, { size: 10, bold: true });
+    y += 16;
+    const documents = formDocumentList(record);
+    if (documents.length === 0) {
+        doc.text('No supporting documents were sent with this application.', left, y, { size: 9 });
+        y += 14;
+    }
+    documents.forEach(entry => {
+        ensureRoom(14);
+        doc.text(entry.label, left, y, { size: 9, bold: true });
+        doc.text(fitFormText(entry.filename, 250, 9), left + 150, y, { size: 9 });
+        const status = entry.uploaded ? Math.max(1, Math.round(entry.size / 1024)) + ' KB, attached' : 'Named on the application, not uploaded';
+        doc.text(status, right, y, { size: 9, align: 'right' });
+        y += 14;
+    });
+    if (data.docNotes) {
+        y = doc.paragraph('Notes: ' + data.docNotes, left, y + 4, right - left, { size: 9 }) + 14;
+    }
+
+    y += 16;
+    ensureRoom(140);
+    doc.text('Employer Signature', left, y, { size: 10, bold: true });
+    y += 16;
+    const signed = record.authorization && record.authorization.signature;
+    if (!signed && !data.applicantSignature) {
+        doc.text('The application was submitted without an employer signature.', left, y, { size: 9 });
+        return doc.toBytes();
+    }
+    const facts = signed
+        ? [
+            ['Signed By', signed.signerName + (signed.signerTitle ? ', ' + signed.signerTitle : '')],
+            ['Typed Signature', signed.signature],
+            ['Signed At', signed.signedAt],
+            ['IP Address', signed.ipAddress || ''],
+            ['Application Hash (SHA-256)', signed.documentHash]
+        ]
+        : [
+            ['Signed By', data.applicantName || ''],
+            ['Typed Signature', data.applicantSignature || ''],
+            ['Signed On', formDate(data.applicantDate)],
+            ['Method', 'Signed on the application form when it was submitted']
+        ];
+    facts.forEach(([label, value]) => {
+        doc.text(label, left, y, { size: 9, color: '#555555' });
+        doc.text(fitFormText(value, right - left - 150, 9), left + 150, y, { size: 9 });
+        y += 14;
+    });
+    if (signed) {
+        y = doc.paragraph('Consent: ' + signed.consent, left, y + 6, right - left, { size: 8, lineHeight: 11 }) + 11;
+        (signed.agreements || []).forEach(agreement => {
+            ensureRoom(30);
+            y = doc.paragraph(agreement, left, y + 4, right - left, { size: 8, lineHeight: 11 }) + 11;
+        });
+    }
+
+    return doc.toBytes();
+}
+
+/**
+ * File name for a form package
+ * @param {Object} record - Submission record
+ * @returns {string} e.g. DP-1-SP-12345678.pdf
+ */
+function officialFormFileName(record) {
+    const layout = officialFormFor(record);
+    return (layout ? layout.code : 'Application') + '-' + (record.submissionNumber || 'draft') + '.pdf';
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.officialFormFor = officialFormFor;
+    window.buildOfficialFormPackage = buildOfficialFormPackage;
+    window.officialFormFileName = officialFormFileName;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OFFICIAL_FORM_LAYOUTS,
+        officialFormFor,
+        formDocumentList,
+        buildOfficialFormPackage,
+        officialFormFileName
+    };
+}
@@ -0,0 +1,213 @@
+/**
+ * Payroll Deductions - ShelterPoint State Applications
+ * What an employer with a contributory plan withholds from each paycheck.
+ * Employees pay the most the state allows (employeeShare in PFML_RATE_TABLE;
+ * for NY, DBL_EMPLOYEE_CONTRIBUTION and the PFL rate), spread over the
+ * employer's pay periods. The application step where the employer chooses a
+ * contributory plan shows the withholding for the quoted census and for an
+ * employee's wages.
+ * Depends on shared/rating-engine.js or, for NY, ny/quote-calculator.js, and
+ * on shared/quote-store.js (STATE_STORAGE_KEYS) for the step display.
+ */
+
+const PAY_FREQUENCIES = {
+    weekly: { label: 'Weekly', periods: 52 },
+    biweekly: { label: 'Biweekly', periods: 26 },
+    semimonthly: { label: 'Semimonthly', periods: 24 },
+    monthly: { label: 'Monthly', periods: 12 }
+};
+
+/**
+ * Spread an annual contribution over each pay frequency
+ * Amounts are rounded down to the cent so the withholding never goes over
+ * the legal maximum.
+ * @param {number} annualAmount - Annual contribution
+ * @returns {Object} { weekly, biweekly, semimonthly, monthly }
+ */
+function payPeriodDeductions(annualAmount) {
+    const deductions = {};
+    Object.keys(PAY_FREQUENCIES).forEach(frequency => {
+        deductions[frequency] = Math.floor((annualAmount || 0) / PAY_FREQUENCIES[frequency].periods * 100 + 1e-6) / 100;
+    });
+    return deductions;
+}
+
+/**
+ * Employer and employee shares of a contributory plan for the quoted census
+ * @param {string} state - Two-letter state code
+ * @param {Object} quoteData - Quote data saved when the application was started
+ * @param {string} effectiveDate - Policy effective date (defaults to the quote's)
+ * @returns {Object|null} Annual { premium, employeeContributions, employerCost, totalEmployees,
+ *   perEmployee (average payPeriodDeductions) }, or null when the quote has no employees
+ */
+function contributoryPlanSplit(state, quoteData, effectiveDate) {
+    const date = effectiveDate || quoteData.effectiveDate;
+    let premium;
+    let employeeContributions;
+    let totalEmployees;
+    if (state === 'NY') {
+        const rateNY = typeof calculateQuote === 'function'
+            ? calculateQuote
+            : require('../ny/quote-calculator.js').calculateQuote;
+        const quote = rateNY(Object.assign({}, quoteData, {
+            maleEmployees: quoteData.coveredMales,
+            femaleEmployees: quoteData.coveredFemales,
+            adddBenefit: quoteData.addBenefit,
+            billingOption: 'annual',
+            effectiveDate: date,
+            dblContribution: 'contributory'
+        }));
+        totalEmployees = quote.employeeInfo ? quote.employeeInfo.total : 0;
+        premium = quote.breakdown.totalCost;
+        employeeContributions = quote.breakdown.employeeContributions || 0;
+    } else {
+        const rate = typeof rateQuote === 'function' ? rateQuote : require('./rating-engine.js').rateQuote;
+        const quote = rate(state, {
+            maleEmployees: quoteData.coveredMales,
+            femaleEmployees: quoteData.coveredFemales,
+            totalEmployees: quoteData.totalEmployees,
+            employeesOverCap: quoteData.employeesOverCap,
+            payrollBelowCap: quoteData.payrollBelowCap
+        }, { effectiveDate: date, billingOption: 'annual', contributory: true, rateOverride: quoteData.rateOverride });
+        totalEmployees = quote.breakdown.totalEmployees;
+        premium = quote.breakdown.premium;
+        employeeContributions = quote.breakdown.employeeContributions;
+    }
+    if (!totalEmployees) return null;
+    return {
+        premium,
+        employeeContributions,
+        employerCost: premium - employeeContributions,
+        totalEmployees,
+        perEmployee: payPeriodDeductions(employeeContributions / totalEmployees)
+    };
+}
+
+/**
+ * Withholding for one employee
+ * @param {string} state - Two-letter state code
+ * @param {number} annualWages - The employee's annual wages
+ * @param {Object} options - { effectiveDate, totalEmployees (employer headcount), rateOverride (PFML underwriter's rate) }
+ * @returns {Object} { annual, ...payPeriodDeductions }
+ */
+function employeeDeductions(state, annualWages, options = {}) {
+    let annual;
+    if (state === 'NY') {
+        const contribution = typeof nyEmployeeContribution === 'function'
+            ? nyEmployeeContribution
+            : require('../ny/quote-calculator.js').nyEmployeeContribution;
+        annual = contribution(annualWages, options.effectiveDate).total;
+    } else {
+        const contribution = typeof pfmlEmployeeContribution === 'function'
+            ? pfmlEmployeeContribution
+            : require('./rating-engine.js').pfmlEmployeeContribution;
+        annual = contribution(state, annualWages, options);
+    }
+    return Object.assign({ annual }, payPeriodDeductions(annual));
+}
+
+function deductionRows(box, deductions) {
+    Object.keys(PAY_FREQUENCIES).forEach(frequency => {
+        const row = document.createElement('div');
+        row.className = 'review-item';
+        const label = document.createElement('span');
+        label.className = 'review-label';
+        label.textContent = PAY_FREQUENCIES[frequency].label + ' payroll';
+        const value = document.createElement('span');
+        value.className = 'review-value';
+        value.textContent = formatCurrency(deductions[frequency]) + ' per paycheck';
+        row.appendChild(label);
+        row.appendChild(value);
+        box.appendChild(row);
+    });
+}
+
+/**
+ * Show the payroll deductions under a contribution choice while it is 'contributory'
+ * The average comes from the census saved with the quote; the broker can also
+ * enter an employee's annual wages to see that employee's withholding.
+ * @param {HTMLFormElement} form - Step form
+ * @param {string} state - Two-letter state code
+ * @param {string} key - Name of the contribution radio field
+ */
+function attachPayrollDeductions(form, state, key) {
+    const input = form.querySelector('[name="' + key + '"]');
+    if (!input) return;
+    const keys = STATE_STORAGE_KEYS[state];
+    const quoteData = JSON.parse(sessionStorage.getItem(keys.quoteData) || '{}');
+    const panel = input.closest('.form-panel') || input.parentElement;
+
+    const box = document.createElement('div');
+    box.className = 'info-box';
+    box.style.display = 'none';
+    const heading = document.createElement('p');
+    heading.style.fontWeight = '600';
+    heading.textContent = 'What to withhold from employees';
+    const average = document.createElement('div');
+    const wagesLabel = document.createElement('label');
+    wagesLabel.htmlFor = key + 'DeductionWages';
+    wagesLabel.textContent = 'Employee\'s annual wages';
+    const wages = document.createElement('input');
+    wages.type = 'number';
+    wages.id = key + 'DeductionWages';
+    wages.min = '0';
+    wages.step = '0.01';
+    wages.placeholder = 'e.g. 52000';
+    const employee = document.createElement('div');
+    [heading, average, wagesLabel, wages, employee].forEach(el => box.appendChild(el));
+    panel.parentNode.insertBefore(box, panel.nextSibling);
+
+    function render() {
+        const selected = form.querySelector('[name="' + key + '"]:checked');
+        box.style.display = selected && selected.value === 'contributory' ? '' : 'none';
+        if (box.style.display === 'none') return;
+        const stored = JSON.parse(sessionStorage.getItem(keys.applicationData) || '{}');
+        const effectiveDate = stored.effectiveDate || quoteData.effectiveDate;
+
+        average.innerHTML = '';
+        const split = contributoryPlanSplit(state, quoteData, effectiveDate);
+        if (split) {
+            const summary = document.createElement('p');
+            summary.textContent = 'Employees pay ' + formatCurrency(split.employeeContributions) + ' of the '
+                + formatCurrency(split.premium) + ' annual premium; the employer pays ' + formatCurrency(split.employerCost)
+                + '. Average withholding per employee:';
+            average.appendChild(summary);
+            deductionRows(average, split.perEmployee);
+        }
+
+        employee.innerHTML = '';
+        if (Number(wages.value) > 0) {
+            const deductions = employeeDeductions(state, wages.value, {
+                effectiveDate,
+                totalEmployees: quoteData.totalEmployees,
+                rateOverride: quoteData.rateOverride
+            });
+            const summary = document.createElement('p');
+            summary.textContent = 'Most that may be withheld from this employee: ' + formatCurrency(deductions.annual) + ' a year.';
+            employee.appendChild(summary);
+            deductionRows(employee, deductions);
+        }
+    }
+
+    form.addEventListener('change', render);
+    wages.addEventListener('input', render);
+    render();
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.PAY_FREQUENCIES = PAY_FREQUENCIES;
+    window.payPeriodDeductions = payPeriodDeductions;
+    window.employeeDeductions = employeeDeductions;
+    window.attachPayrollDeductions = attachPayrollDeductions;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAY_FREQUENCIES,
+        payPeriodDeductions,
+        contributoryPlanSplit,
+        employeeDeductions
+    };
+}
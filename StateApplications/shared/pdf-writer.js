@@ -0,0 +1,304 @@
+/**
+ * Minimal PDF Writer - ShelterPoint Portal
+ * Builds simple PDF documents (text, boxes, lines and JPEG images) entirely
+ * in the browser or in Node, with no external libraries or services.
+ * Coordinates are in points from the top-left corner of a US Letter page.
+ */
+
+const PDF_PAGE_WIDTH = 612;
+const PDF_PAGE_HEIGHT = 792;
+
+// Standard Helvetica advance widths (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Standard Helvetica-Bold advance widths (1/1000 em) for characters 32-126
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that commonly appear in portal text
+const PDF_CHAR_REPLACEMENTS = {
+    '–': '-', '—': '-', '‘': "'", '’': "'",
+    '“': '"', '”': '"', '•': '*', '…': '...',
+    '✓': 'x', '→': '->', '←': '<-'
+};
+
+function toPdfText(value) {
+    return Array.from(String(value === undefined || value === null ? '' : value)).map(ch => {
+        if (PDF_CHAR_REPLACEMENTS[ch]) return PDF_CHAR_REPLACEMENTS[ch];
+        return ch.charCodeAt(0) < 256 ? ch : '?';
+    }).join('');
+}
+
+function escapePdfString(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)').replace(/\r?\n/g, ' ');
+}
+
+function hexToPdfColor(hex) {
+    const clean = String(hex || '#000000').replace('#', '');
+    return [0, 2, 4].map(i => (parseInt(clean.substr(i, 2), 16) / 255).toFixed(3)).join(' ');
+}
+
+function latin1Bytes(value) {
+    const bytes = new Uint8Array(value.length);
+    for (let i = 0; i < value.length; i++) bytes[i] = value.charCodeAt(i) & 0xff;
+    return bytes;
+}
+
+/**
+ * Measure text width in points for the built-in Helvetica fonts
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Whether Helvetica-Bold is used
+ * @returns {number} Width in points
+ */
+function measurePdfText(text, size, bold) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const ch of toPdfText(text)) {
+        const code = ch.charCodeAt(0);
+        total += (code >= 32 && code <= 126) ? widths[code - 32] : 556;
+    }
+    return total * size / 1000;
+}
+
+/**
+ * Read the pixel size and color components of a JPEG image
+ * @param {Uint8Array} bytes - JPEG file contents
+ * @returns {Object} { width, height, components }
+ */
+function readJpegInfo(bytes) {
+    let offset = 2;
+    while (offset < bytes.length) {
+        if (bytes[offset] !== 0xff) {
+            offset++;
+            continue;
+        }
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        // SOF0-SOF3 frame headers carry the image dimensions
+        if (marker >= 0xc0 && marker <= 0xc3) {
+            return {
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                components: bytes[offset + 9]
+            };
+        }
+        offset += 2 + length;
+    }
+    throw new Error('Unsupported JPEG image');
+}
+
+/**
+ * Create a PDF document builder
+ * @returns {Object} Builder with drawing methods and toBytes()
+ */
+function createPdfDocument() {
+    const pages = [];
+    const images = [];
+    let current = null;
+
+    const doc = {
+        pageWidth: PDF_PAGE_WIDTH,
+        pageHeight: PDF_PAGE_HEIGHT,
+
+        addPage() {
+            current = [];
+            pages.push(current);
+            return doc;
+        },
+
+        /**
+         * Draw a single line of text
+         * @param {string} text - Text to draw
+         * @param {number} x - Left edge (or right edge when align is 'right')
+         * @param {number} y - Baseline, from the top of the page
+         * @param {Object} options - { size, bold, color, align: 'left' | 'right' | 'center' }
+         */
+        text(text, x, y, options = {}) {
+            const size = options.size || 10;
+            const bold = !!options.bold;
+            const value = toPdfText(text);
+            let left = x;
+            if (options.align === 'right') left = x - measurePdfText(value, size, bold);
+            if (options.align === 'center') left = x - measurePdfText(value, size, bold) / 2;
+            current.push(
+                'BT /' + (bold ? 'F2' : 'F1') + ' ' + size + ' Tf ' + hexToPdfColor(options.color) + ' rg ' +
+                left.toFixed(2) + ' ' + (PDF_PAGE_HEIGHT - y).toFixed(2) + ' Td (' + escapePdfString(value) + ') Tj ET'
+            );
+            return doc;
+        },
+
+        /**
+         * Draw text wrapped to a maximum width
+         * @returns {number} Baseline of the last line drawn
+         */
+        paragraph(text, x, y, maxWidth, options = {}) {
+            const size = options.size || 10;
+            const lineHeight = options.lineHeight || size * 1.4;
+            const words = toPdfText(text).split(/\s+/).filter(Boolean);
+            let line = '';
+            let baseline = y;
+            words.forEach(word => {
+                const candidate = line ? line + ' ' + word : word;
+                if (line && measurePdfText(candidate, size, options.bold) > maxWidth) {
+                    doc.text(line, x, baseline, options);
+                    baseline += lineHeight;
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            if (line) doc.text(line, x, baseline, options);
+            return baseline;
+        },
+
+        rect(x, y, width, height, options = {}) {
+            const path = x.toFixed(2) + ' ' + (PDF_PAGE_HEIGHT - y - height).toFixed(2) + ' ' + width.toFixed(2) + ' ' + height.toFixed(2) + ' re';
+            if (options.fill) current.push(hexToPdfColor(options.fill) + ' rg ' + path + ' f');
+            if (options.stroke) current.push(hexToPdfColor(options.stroke) + ' RG ' + (options.lineWidth || 1) + ' w ' + path + ' S');
+            return doc;
+        },
+
+        line(x1, y1, x2, y2, options = {}) {
+            current.push(
+                hexToPdfColor(options.color || '#E0E0E0') + ' RG ' + (options.lineWidth || 1) + ' w ' +
+                x1.toFixed(2) + ' ' + (PDF_PAGE_HEIGHT - y1).toFixed(2) + ' m ' +
+                x2.toFixed(2) + ' ' + (PDF_PAGE_HEIGHT - y2).toFixed(2) + ' l S'
+            );
+            return doc;
+        },
+
+        /**
+         * Place a JPEG image; height defaults to keep the aspect ratio
+         * @param {Uint8Array} bytes - JPEG file contents
+         */
+        jpeg(bytes, x, y, width, height) {
+            const info = readJpegInfo(bytes);
+            const h = height || (width * info.height / info.width);
+            const name = 'Im' + (images.length + 1);
+            images.push({ name, bytes, info });
+            current.push('q ' + width.toFixed(2) + ' 0 0 ' + h.toFixed(2) + ' ' + x.toFixed(2) + ' ' + (PDF_PAGE_HEIGHT - y - h).toFixed(2) + ' cm /' + name + ' Do Q');
+            return doc;
+        },
+
+        pageCount() {
+            return pages.length;
+        },
+
+        /**
+         * Serialize the document
+         * @returns {Uint8Array} PDF file contents
+         */
+        toBytes() {
+            const chunks = [];
+            const offsets = [];
+            let length = 0;
+            const push = (bytes) => {
+                chunks.push(bytes);
+                length += bytes.length;
+            };
+            const writeObject = (id, body, stream) => {
+                offsets[id] = length;
+                push(latin1Bytes(id + ' 0 obj\n' + body + (stream ? '\nstream\n' : '\nendobj\n')));
+                if (stream) {
+                    push(stream);
+                    push(latin1Bytes('\nendstream\nendobj\n'));
+                }
+            };
+
+            // Object numbering: 1 catalog, 2 page tree, 3-4 fonts, then images, then page/content pairs
+            const imageIds = images.map((img, i) => 5 + i);
+            const firstPageId = 5 + images.length;
+            const pageIds = pages.map((p, i) => firstPageId + i * 2);
+
+            push(latin1Bytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n'));
+            writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+            writeObject(2, '<< /Type /Pages /Kids [' + pageIds.map(id => id + ' 0 R').join(' ') + '] /Count ' + pages.length + ' >>');
+            writeObject(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            writeObject(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+            images.forEach((img, i) => {
+                const colorSpace = img.info.components === 1 ? '/DeviceGray' : img.info.components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+                writeObject(imageIds[i],
+                    '<< /Type /XObject /Subtype /Image /Width ' + img.info.width + ' /Height ' + img.info.height +
+                    ' /ColorSpace ' + colorSpace + ' /BitsPerComponent 8 /Filter /DCTDecode /Length ' + img.bytes.length + ' >>',
+                    img.bytes);
+            });
+
+            const xObjects = images.length
+                ? ' /XObject << ' + images.map((img, i) => '/' + img.name + ' ' + imageIds[i] + ' 0 R').join(' ') + ' >>'
+                : '';
+            pages.forEach((ops, i) => {
+                const content = latin1Bytes(ops.join('\n'));
+                writeObject(pageIds[i],
+                    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + PDF_PAGE_WIDTH + ' ' + PDF_PAGE_HEIGHT + '] ' +
+                    '/Resources << /Font << /F1 3 0 R /F2 4 0 R >>' + xObjects + ' >> /Contents ' + (pageIds[i] + 1) + ' 0 R >>');
+                writeObject(pageIds[i] + 1, '<< /Length ' + content.length + ' >>', content);
+            });
+
+            const objectCount = firstPageId + pages.length * 2;
+            const xrefOffset = length;
+            let xref = 'xref\n0 ' + objectCount + '\n0000000000 65535 f \n';
+            for (let id = 1; id < objectCount; id++) {
+                xref += String(offsets[id]).padStart(10, '0') + ' 00000 n \n';
+            }
+            xref += 'trailer\n<< /Size ' + objectCount + ' /Root 1 0 R >>\nstartxref\n' + xrefOffset + '\n%%EOF\n';
+            push(latin1Bytes(xref));
+
+            const output = new Uint8Array(length);
+            let position = 0;
+            chunks.forEach(chunk => {
+                output.set(chunk, position);
+                position += chunk.length;
+            });
+            return output;
+        }
+    };
+
+    return doc.addPage();
+}
+
+/**
+ * Save PDF bytes as a file download in the browser
+ * @param {Uint8Array} bytes - PDF file contents
+ * @param {string} fileName - Download file name
+ */
+function downloadPdf(bytes, fileName) {
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.createPdfDocument = createPdfDocument;
+    window.measurePdfText = measurePdfText;
+    window.downloadPdf = downloadPdf;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createPdfDocument,
+        measurePdfText,
+        readJpegInfo
+    };
+}
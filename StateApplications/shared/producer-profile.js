@@ -0,0 +1,212 @@
+/**
+ * Producer Profile - ShelterPoint State Applications
+ * Keeps the profile of the producer who completed BrokerOnboarding in
+ * localStorage, so the Producer Information section of every state
+ * application can be pre-filled from it. The profile holds the producer's
+ * licenses and E&O coverage; the compliance checks below keep an application
+ * from being started in a state where the license is missing or expired, and
+ * list what expires soon on the dashboard.
+ * Depends on shared/application-rules.js (LICENSE_STATES, parseCodeList,
+ * resolveDateBound).
+ */
+
+const PRODUCER_PROFILE_KEY = 'producerProfile';
+
+// Licenses and E&O coverage expiring within this many days are flagged
+const EXPIRY_WARNING_DAYS = 60;
+
+function rulesModule() {
+    return typeof LICENSE_STATES !== 'undefined'
+        ? { LICENSE_STATES, parseCodeList, resolveDateBound }
+        : require('./application-rules.js');
+}
+
+/**
+ * Build the producer profile from completed onboarding answers
+ * The NIPR (national producer) number is used as the agency number.
+ * @param {Object} data - Onboarding answers (BrokerOnboarding/onboarding.js)
+ * @param {string} submissionNumber - Submission number of the onboarding packet
+ * @returns {Object} Profile
+ */
+function producerProfileFromOnboarding(data, submissionNumber) {
+    const { parseCodeList } = rulesModule();
+    const producerName = [data.firstName, data.lastName].filter(Boolean).join(' ');
+    const street = [data.street1, data.street2].filter(Boolean).join(', ');
+    return {
+        producerName,
+        email: data.workEmail || '',
+        agencyName: (data.licenseType === 'business' && data.businessName) || data.dbaName || producerName,
+        agencyNumber: data.nipr || '',
+        agencyAddress: [street, data.city, [data.state, data.zip].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+        agencyPhone: data.officePhone || '',
+        licenses: parseCodeList(data.licensedStates).map(state => ({
+            state,
+            number: data['licenseNumber' + state] || '',
+            residency: data['licenseResidency' + state] || '',
+            lines: parseCodeList(data['licenseLines' + state]),
+            expires: data['licenseExpires' + state] || ''
+        })),
+        eo: { carrier: data.eoCarrier || '', limit: data.eoLimit || '', expires: data.eoExpires || '' },
+        submissionNumber: submissionNumber || null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/** @param {Object} profile - Profile to store */
+function saveProducerProfile(profile) {
+    localStorage.setItem(PRODUCER_PROFILE_KEY, JSON.stringify(profile));
+}
+
+/** @returns {Object|null} Stored profile, or null before onboarding is completed */
+function loadProducerProfile() {
+    return JSON.parse(localStorage.getItem(PRODUCER_PROFILE_KEY) || 'null');
+}
+
+function displayExpiry(iso) {
+    const [year, month, day] = iso.split('-');
+    return parseInt(month, 10) + '/' + parseInt(day, 10) + '/' + year;
+}
+
+/**
+ * Whether a license or policy has expired or expires soon
+ * @param {string} expires - ISO expiration date
+ * @param {string} today - ISO date to check against
+ * @returns {Object} { status: 'expired' | 'expiring' | 'current', daysLeft }
+ */
+function expiryStatus(expires, today) {
+    const daysLeft = Math.round((Date.parse(expires + 'T00:00:00Z') - Date.parse(today + 'T00:00:00Z')) / 86400000);
+    if (!(daysLeft >= 0)) return { status: 'expired', daysLeft };
+    return { status: daysLeft <= EXPIRY_WARNING_DAYS ? 'expiring' : 'current', daysLeft };
+}
+
+/**
+ * Expiration status of each license and the E&O coverage in a profile
+ * @param {Object} profile - Producer profile
+ * @param {string} today - ISO date to check against (defaults to today)
+ * @returns {Object[]} Items { label, expires, status, daysLeft }, soonest first
+ */
+function producerComplianceItems(profile, today) {
+    const { LICENSE_STATES, resolveDateBound } = rulesModule();
+    const asOf = today || resolveDateBound('today');
+    const items = profile.licenses.map(license => Object.assign({
+        label: (LICENSE_STATES[license.state] || license.state) + ' license ' + license.number,
+        expires: license.expires
+    }, expiryStatus(license.expires, asOf)));
+    if (profile.eo.expires) {
+        items.push(Object.assign({
+            label: 'E&O coverage' + (profile.eo.carrier ? ' (' + profile.eo.carrier + ')' : ''),
+            expires: profile.eo.expires
+        }, expiryStatus(profile.eo.expires, asOf)));
+    }
+    return items.sort((a, b) => a.expires.localeCompare(b.expires));
+}
+
+/**
+ * Check that the producer holds a current license in a state
+ * @param {Object} profile - Producer profile
+ * @param {string} state - Two-letter state code of the application
+ * @param {string} today - ISO date to check against (defaults to today)
+ * @returns {string|null} Error message, or null when licensed
+ */
+function producerLicenseError(profile, state, today) {
+    const { LICENSE_STATES, resolveDateBound } = rulesModule();
+    const name = LICENSE_STATES[state] || state;
+    const license = profile.licenses.find(l => l.state === state);
+    if (!license) {
+        return 'Your producer profile has no ' + name + ' license. A producer must be licensed in ' + name
+            + ' to submit this application. Call our Sales Team at 800-365-4999 to add a license to your profile.';
+    }
+    if (expiryStatus(license.expires, today || resolveDateBound('today')).status === 'expired') {
+        return 'Your ' + name + ' license expired on ' + displayExpiry(license.expires) + '. A producer must hold a current ' + name
+            + ' license to submit this application. Call our Sales Team at 800-365-4999 to update your license.';
+    }
+    return null;
+}
+
+/**
+ * Why the stored producer may not start an application in a state
+ * Brokers who have not completed onboarding are not checked.
+ * @param {string} state - Two-letter state code
+ * @returns {string|null} Error message, or null when the application can be started
+ */
+function applicationStartBlock(state) {
+    const profile = loadProducerProfile();
+    return profile ? producerLicenseError(profile, state) : null;
+}
+
+/**
+ * Disable a page's start-application button when the producer is not licensed in the state
+ * The reason is shown above the button's group.
+ * @param {string} state - Two-letter state code
+ * @param {HTMLButtonElement} button - Button that starts the application
+ * @returns {boolean} True when the application can be started
+ */
+function guardApplicationStart(state, button) {
+    const reason = applicationStartBlock(state);
+    if (!reason) return true;
+    const alert = document.createElement('div');
+    alert.className = 'alert-box error';
+    alert.textContent = reason;
+    (button.closest('.button-group') || button).insertAdjacentElement('beforebegin', alert);
+    button.disabled = true;
+    return false;
+}
+
+/**
+ * Application values of the Producer Information section
+ * The producer signature and date are left for the producer to fill in.
+ * @param {Object} profile - Producer profile
+ * @returns {Object} Field key to value map
+ */
+function producerStepValues(profile) {
+    return {
+        producerName: profile.producerName,
+        agencyName: profile.agencyName,
+        agencyNumber: profile.agencyNumber,
+        agencyAddress: profile.agencyAddress,
+        agencyPhone: profile.agencyPhone
+    };
+}
+
+/**
+ * Pre-fill a form's producer fields from the stored profile
+ * Fields that already have a value are left as entered.
+ * @param {HTMLFormElement} form - Form with the Producer Information inputs
+ * @param {string} state - Two-letter state code of the application
+ * @returns {Object|null} { profile, licenseError }, or null when no profile is stored
+ */
+function applyProducerProfile(form, state) {
+    const profile = loadProducerProfile();
+    if (!profile) return null;
+    const values = producerStepValues(profile);
+    Object.keys(values).forEach(key => {
+        const input = form.querySelector('[name="' + key + '"]');
+        if (input && !input.value && values[key]) input.value = values[key];
+    });
+    return { profile, licenseError: producerLicenseError(profile, state) };
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.EXPIRY_WARNING_DAYS = EXPIRY_WARNING_DAYS;
+    window.producerProfileFromOnboarding = producerProfileFromOnboarding;
+    window.saveProducerProfile = saveProducerProfile;
+    window.loadProducerProfile = loadProducerProfile;
+    window.producerComplianceItems = producerComplianceItems;
+    window.producerLicenseError = producerLicenseError;
+    window.applicationStartBlock = applicationStartBlock;
+    window.guardApplicationStart = guardApplicationStart;
+    window.applyProducerProfile = applyProducerProfile;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPIRY_WARNING_DAYS,
+        producerProfileFromOnboarding,
+        expiryStatus,
+        producerComplianceItems,
+        producerLicenseError,
+        producerStepValues
+    };
+}
@@ -0,0 +1,79 @@
+/**
+ * Quote Email - ShelterPoint State Quotes
+ * Sends a saved quote to an email address from the Save/Send Quote modal.
+ * The server re-rates the saved quote, attaches the PDF proposal and sends it.
+ * Depends on shared/api-client.js.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Check an email address is plausibly deliverable
+ * @param {string} email - Email address
+ * @returns {boolean} True when the address is well formed
+ */
+function isValidEmail(email) {
+    const value = String(email || '').trim();
+    return value.length <= 254 && EMAIL_PATTERN.test(value);
+}
+
+function showQuoteEmailStatus(type, message) {
+    const status = document.getElementById('quoteEmailStatus');
+    if (!status) return;
+    status.className = 'alert-box ' + type;
+    status.textContent = message;
+    status.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Email the saved quote for a state to the address in the modal
+ * @param {string} state - Two-letter state code
+ * @param {string} storageKey - localStorage key of the saved quote (e.g. 'coSavedQuote')
+ */
+async function sendSavedQuoteEmail(state, storageKey) {
+    const input = document.getElementById('quoteEmailInput');
+    const button = document.getElementById('sendQuoteButton');
+    const email = input.value.trim();
+
+    if (!isValidEmail(email)) {
+        showQuoteEmailStatus('error', 'Please enter a valid email address.');
+        input.focus();
+        return;
+    }
+
+    const savedQuote = JSON.parse(localStorage.getItem(storageKey) || 'null');
+    if (!savedQuote) {
+        showQuoteEmailStatus('error', 'Please save the quote before sending it.');
+        return;
+    }
+
+    showQuoteEmailStatus('', '');
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Sending...';
+    }
+    try {
+        await apiRequest('POST', '/quotes/email', { state, email, quote: savedQuote });
+        showQuoteEmailStatus('success', 'Quote sent to ' + email + '.');
+    } catch (err) {
+        showQuoteEmailStatus('error', (err.fieldErrors && err.fieldErrors.email) || err.message);
+    } finally {
+        if (button) {
+            button.disabled = false;
+            button.textContent = 'Send Quote';
+        }
+    }
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.isValidEmail = isValidEmail;
+    window.sendSavedQuoteEmail = sendSavedQuoteEmail;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isValidEmail
+    };
+}
@@ -0,0 +1,289 @@
+/**
+ * Quote Proposal PDF - ShelterPoint State Quotes
+ * Lays out a branded quote proposal from a calculated quote. Works with the
+ * NY calculateQuote result and the PFML rateQuote result.
+ * Depends on shared/pdf-writer.js.
+ */
+
+const PROPOSAL_COLORS = {
+    primary: '#003B5C',
+    secondary: '#0066A1',
+    success: '#00AA55',
+    text: '#2C3E50',
+    light: '#7F8C8D',
+    border: '#E0E0E0',
+    background: '#F7F9FA',
+    white: '#FFFFFF'
+};
+
+const PROPOSAL_LOGO_PATH = '../assets/images/ShelterPoint.jpg';
+
+const PROPOSAL_DISCLAIMER = 'This proposal is an estimate based on the information provided and the rates in effect for the ' +
+    'requested effective date. Final premium is subject to underwriting review of the completed application and census.';
+
+function proposalCurrency(value) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value || 0);
+}
+
+function proposalPercent(rate) {
+    return (rate * 100).toFixed(3).replace(/\.?0+$/, '') + '%';
+}
+
+function formatProposalDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    return match ? match[2] + '/' + match[3] + '/' + match[1] : (value || '—');
+}
+
+/**
+ * Build the proposal sections for a quote
+ * @param {Object} proposal - Proposal details (see buildQuoteProposal)
+ * @returns {Object} { highlight, sections }
+ */
+function describeProposalQuote(proposal) {
+    const quote = proposal.quote || {};
+    const breakdown = quote.breakdown || {};
+    const period = quote.billingPeriod || 'year';
+    const sections = [];
+    let highlight;
+
+    if (typeof quote.dblMonthly === 'number') {
+        // NY DBL & PFL quote
+        const perEmployee = quote.perEmployeeBreakdown || {};
+        const employees = quote.employeeInfo || {};
+        highlight = {
+            label: 'Total Premium',
+            value: proposalCurrency(breakdown.totalCost) + ' per ' + period
+        };
+        sections.push({
+            title: 'Premium Breakdown (per ' + period + ')',
+            rows: [
+                ['DBL Premium', proposalCurrency(breakdown.dblPremium)],
+                ['PFL Premium', proposalCurrency(breakdown.pflPremium)],
+                ['Optional Benefits', proposalCurrency(breakdown.optionalCost)],
+                ['Total', proposalCurrency(breakdown.totalCost)]
+            ]
+        });
+        if (typeof breakdown.employeeContributions === 'number') {
+            sections.push({
+                title: 'Employee Contributions (per ' + period + ')',
+                rows: [
+                    ['DBL Withheld from Employees', proposalCurrency(breakdown.dblEmployeeContributions)],
+                    ['PFL Withheld from Employees', proposalCurrency(breakdown.pflEmployeeContributions)],
+                    ['Employer Cost', proposalCurrency(breakdown.employerCost)]
+                ]
+            });
+        }
+        sections.push({
+            title: 'Per Employee (per month)',
+            rows: [
+                ['DBL', proposalCurrency(perEmployee.dblPerEmployee)],
+                ['PFL', proposalCurrency(perEmployee.pflPerEmployee)],
+                ['Optional Benefits', proposalCurrency(perEmployee.optionalPerEmployee)],
+                ['Total', proposalCurrency(perEmployee.totalPerEmployee)]
+            ]
+        });
+        sections.push({
+            title: 'Covered Employees',
+            rows: [
+                ['Male', String(employees.male || 0)],
+                ['Female', String(employees.female || 0)],
+                ['Total', String(employees.total || 0)]
+            ]
+        });
+        if (quote.ratePeriods && quote.ratePeriods.length > 1) {
+            sections.push({
+                title: 'Rate Periods',
+                rows: quote.ratePeriods.map(p => [
+                    'Rates effective ' + formatProposalDate(p.effectiveDate),
+                    Math.round(p.fraction * 100) + '% of policy term'
+                ])
+            });
+        }
+    } else {
+        // PFML quote from the rating engine, or an NJ TDB quote, where the
+        // quoted amount is the employer's share after employee contributions
+        const contributory = typeof breakdown.employeeContributions === 'number';
+        highlight = {
+            label: contributory ? 'Employer Cost' : 'ShelterPoint Premium',
+            value: proposalCurrency(breakdown.totalCost) + ' per ' + period,
+            savings: breakdown.savings > 0
+                ? 'Saves ' + proposalCurrency(breakdown.savings) + ' per ' + period + ' compared with the State Plan'
+                : ''
+        };
+        const rows = contributory
+            ? [
+                ['ShelterPoint Premium', proposalCurrency(breakdown.premium)],
+                ['Employee Contributions', proposalCurrency(breakdown.employeeContributions)],
+                ['Employer Cost', proposalCurrency(breakdown.totalCost)]
+            ]
+            : [['ShelterPoint Premium', proposalCurrency(breakdown.totalCost)]];
+        rows.push(['State Plan Price', proposalCurrency(breakdown.statePlanPrice)]);
+        rows.push(['Your Savings', proposalCurrency(breakdown.savings)]);
+        sections.push({ title: 'Premium Comparison (per ' + period + ')', rows });
+
+        const rating = [
+            ['Total Employees', String(breakdown.totalEmployees || 0)],
+            ['Employees Over Wage Base', String(breakdown.employeesOverCap || 0)],
+            ['Payroll Below Wage Base', proposalCurrency(breakdown.payrollBelowCap)]
+        ];
+        if (breakdown.wageBase) rating.push(['Wage Base', proposalCurrency(breakdown.wageBase)]);
+        if (breakdown.shelterPointRate) rating.push(['ShelterPoint Rate', proposalPercent(breakdown.shelterPointRate)]);
+        if (breakdown.statePlanRate) rating.push(['State Plan Rate', proposalPercent(breakdown.statePlanRate)]);
+        if (contributory) rating.push(['Employee Contribution Rate', proposalPercent(breakdown.employeeRate)]);
+        if (breakdown.totalEmployees) {
+            rating.push([(contributory ? 'Employer Cost' : 'Premium') + ' per Employee (per ' + period + ')', proposalCurrency(breakdown.totalCost / breakdown.totalEmployees)]);
+        }
+        sections.push({ title: 'Rating Details', rows: rating });
+    }
+
+    if (proposal.selections && proposal.selections.length) {
+        sections.push({ title: 'Plan Selections', rows: proposal.selections });
+    }
+    if (proposal.alternatives && proposal.alternatives.length) {
+        sections.push({ title: 'Alternative Options (annual cost)', rows: proposal.alternatives });
+    }
+
+    return { highlight, sections };
+}
+
+/**
+ * Build a quote proposal PDF
+ * @param {Object} proposal - { productName, state, businessName, effectiveDate, quoteId, quote, selections, alternatives }
+ *   selections is an optional list of [label, value] rows describing the chosen benefits;
+ *   alternatives optionally lists other benefit options quoted alongside them the same way.
+ *   Other documents laid out as a proposal (e.g. renewal notices) may also give a title,
+ *   leadSections placed before the quote's own sections, and their own disclaimer.
+ * @param {Uint8Array} logoBytes - ShelterPoint logo JPEG (optional)
+ * @returns {Uint8Array} PDF file contents
+ */
+function buildQuoteProposal(proposal, logoBytes) {
+    const createDocument = typeof createPdfDocument === 'function'
+        ? createPdfDocument
+        : require('./pdf-writer.js').createPdfDocument;
+    const doc = createDocument();
+    const left = 50;
+    const right = doc.pageWidth - 50;
+    const quote = proposal.quote || {};
+    const content = describeProposalQuote(proposal);
+
+    // Header band with logo
+    doc.rect(0, 0, doc.pageWidth, 96, { fill: PROPOSAL_COLORS.primary });
+    if (logoBytes) {
+        doc.rect(left - 8, 24, 166, 48, { fill: PROPOSAL_COLORS.white });
+        doc.jpeg(logoBytes, left, 32, 150);
+    } else {
+        doc.text('ShelterPoint Life Insurance Company', left, 54, { size: 14, bold: true, color: PROPOSAL_COLORS.white });
+    }
+    doc.text(proposal.title || 'Quote Proposal', right, 46, { size: 20, bold: true, color: PROPOSAL_COLORS.white, align: 'right' });
+    doc.text(proposal.productName || '', right, 66, { size: 11, color: PROPOSAL_COLORS.white, align: 'right' });
+
+    // Prepared for
+    let y = 130;
+    doc.text('Prepared for', left, y, { size: 9, color: PROPOSAL_COLORS.light });
+    doc.text(proposal.businessName || '—', left, y + 18, { size: 16, bold: true, color: PROPOSAL_COLORS.primary });
+    const facts = [
+        ['Effective Date', formatProposalDate(proposal.effectiveDate)],
+        ['Billing', quote.billingPeriod === 'quarter' ? 'Quarterly' : 'Annual'],
+        ['Quote ID', proposal.quoteId || '—'],
+        ['Prepared', formatProposalDate(new Date().toISOString().slice(0, 10))]
+    ];
+    y += 44;
+    facts.forEach((fact, i) => {
+        const x = left + i * ((right - left) / facts.length);
+        doc.text(fact[0], x, y, { size: 9, color: PROPOSAL_COLORS.light });
+        doc.text(fact[1], x, y + 14, { size: 11, bold: true, color: PROPOSAL_COLORS.text });
+    });
+
+    // Highlighted premium
+    y += 36;
+    const highlightHeight = content.highlight.savings ? 74 : 56;
+    doc.rect(left, y, right - left, highlightHeight, { fill: PROPOSAL_COLORS.background, stroke: PROPOSAL_COLORS.border });
+    doc.text(content.highlight.label, left + 16, y + 22, { size: 10, color: PROPOSAL_COLORS.light });
+    doc.text(content.highlight.value, left + 16, y + 44, { size: 20, bold: true, color: PROPOSAL_COLORS.primary });
+    if (content.highlight.savings) {
+        doc.text(content.highlight.savings, left + 16, y + 64, { size: 10, bold: true, color: PROPOSAL_COLORS.success });
+    }
+    y += highlightHeight + 30;
+
+    // Detail sections
+    (proposal.leadSections || []).concat(content.sections).forEach(section => {
+        const needed = 24 + section.rows.length * 20;
+        if (y + needed > doc.pageHeight - 110) {
+            doc.addPage();
+            y = 60;
+        }
+        doc.text(section.title, left, y, { size: 12, bold: true, color: PROPOSAL_COLORS.primary });
+        y += 8;
+        doc.line(left, y, right, y, { color: PROPOSAL_COLORS.secondary, lineWidth: 1.5 });
+        section.rows.forEach((row, i) => {
+            y += 18;
+            const isTotal = row[0] === 'Total' && i === section.rows.length - 1;
+            doc.text(row[0], left, y, { size: 10, bold: isTotal, color: PROPOSAL_COLORS.text });
+            doc.text(row[1], right, y, { size: 10, bold: isTotal, color: PROPOSAL_COLORS.text, align: 'right' });
+            y += 6;
+            doc.line(left, y, right, y, { color: PROPOSAL_COLORS.border, lineWidth: 0.5 });
+        });
+        y += 28;
+    });
+
+    // Footer on the last page
+    const footerTop = doc.pageHeight - 90;
+    doc.paragraph(proposal.disclaimer || PROPOSAL_DISCLAIMER, left, footerTop, right - left, { size: 8, color: PROPOSAL_COLORS.light });
+    doc.line(left, footerTop + 28, right, footerTop + 28, { color: PROPOSAL_COLORS.border });
+    doc.text('ShelterPoint Life Insurance Company  |  1225 Franklin Ave. Ste. 475, Garden City, NY 11530', left, footerTop + 44, { size: 8, color: PROPOSAL_COLORS.text });
+    doc.text('Sales: 800-365-4999  |  sales@shelterpoint.com', left, footerTop + 56, { size: 8, color: PROPOSAL_COLORS.text });
+
+    return doc.toBytes();
+}
+
+/**
+ * File name for a proposal download
+ * @param {Object} proposal - Proposal details
+ * @returns {string} File name
+ */
+function proposalFileName(proposal) {
+    const business = String(proposal.businessName || 'Quote').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return 'ShelterPoint-' + (proposal.state || '') + '-Quote-' + (business || 'Quote') + '.pdf';
+}
+
+/**
+ * Load the logo for proposals; resolves to null when the image cannot be fetched
+ * (for example when the portal is opened directly from disk)
+ * @returns {Promise<Uint8Array|null>} Logo JPEG bytes
+ */
+async function loadProposalLogo() {
+    try {
+        const response = await fetch(PROPOSAL_LOGO_PATH);
+        if (!response.ok) return null;
+        return new Uint8Array(await response.arrayBuffer());
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Build a proposal and start the download in the browser
+ * @param {Object} proposal - Proposal details (see buildQuoteProposal)
+ */
+async function downloadQuoteProposal(proposal) {
+    const logo = await loadProposalLogo();
+    downloadPdf(buildQuoteProposal(proposal, logo), proposalFileName(proposal));
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.buildQuoteProposal = buildQuoteProposal;
+    window.downloadQuoteProposal = downloadQuoteProposal;
+    window.loadProposalLogo = loadProposalLogo;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildQuoteProposal,
+        describeProposalQuote,
+        proposalFileName,
+        PROPOSAL_COLORS,
+        PROPOSAL_DISCLAIMER
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * Quote Store Client - ShelterPoint State Quotes
+ * Saves quotes to the portal's quote repository, links applications to the
+ * quote they were started from and shows the linked Quote ID in page headers.
+ * Depends on shared/api-client.js.
+ */
+
+// Browser storage keys used by each state's quote and application pages
+const STATE_STORAGE_KEYS = {
+    CO: { savedQuote: 'coSavedQuote', quoteData: 'coQuoteData', applicationData: 'coApplicationData' },
+    CT: { savedQuote: 'ctSavedQuote', quoteData: 'ctQuoteData', applicationData: 'ctApplicationData' },
+    DE: { savedQuote: 'deSavedQuote', quoteData: 'deQuoteData', applicationData: null },
+    MA: { savedQuote: 'maSavedQuote', quoteData: 'maQuoteData', applicationData: 'maApplicationData' },
+    ME: { savedQuote: 'meSavedQuote', quoteData: 'meQuoteData', applicationData: 'meApplicationData' },
+    MN: { savedQuote: 'mnSavedQuote', quoteData: 'mnQuoteData', applicationData: 'mnApplicationData' },
+    NJ: { savedQuote: 'njSavedQuote', quoteData: 'njQuoteData', applicationData: 'njApplicationData' },
+    NY: { savedQuote: 'nySavedQuote', quoteData: 'quoteData', applicationData: 'applicationData' },
+    OR: { savedQuote: 'orSavedQuote', quoteData: 'orQuoteData', applicationData: 'orApplicationData' }
+};
+
+/**
+ * State code for the current page, from its state directory (e.g. /or/)
+ * @param {string} pathname - Page path (defaults to the current location)
+ * @returns {string|null} Two-letter state code
+ */
+function stateFromPath(pathname) {
+    const path = pathname || (typeof location !== 'undefined' ? location.pathname : '');
+    const match = /\/(co|ct|de|ma|me|mn|nj|ny|or)\/[^/]*$/i.exec(path);
+    return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Save a quote, creating a Quote ID the first time
+ * The new quote's access key is kept for uploading its application documents.
+ * @param {string} state - Two-letter state code
+ * @param {Object} data - Saved quote payload
+ * @param {string} quoteId - Existing Quote ID to update (optional)
+ * @returns {Promise<Object>} Quote record
+ */
+async function saveQuoteRecord(state, data, quoteId) {
+    const payload = { ...data };
+    delete payload.quoteId;
+    if (quoteId) {
+        return apiRequest('PUT', '/quotes/' + encodeURIComponent(quoteId), { quote: payload });
+    }
+    const record = await apiRequest('POST', '/quotes', { state, quote: payload });
+    rememberAccessKey('/quotes/' + record.quoteId, record.accessKey);
+    return record;
+}
+
+/**
+ * Mark a quote as the source of a new application and link the application data to it
+ * Application data left over from a different quote is cleared.
+ * @param {string} state - Two-letter state code
+ * @param {string} quoteId - Quote ID
+ * @returns {Promise<Object>} Quote record
+ */
+async function startApplicationFromQuote(state, quoteId) {
+    const record = await apiRequest('POST', '/quotes/' + encodeURIComponent(quoteId) + '/application');
+    const key = STATE_STORAGE_KEYS[state].applicationData;
+    if (key) {
+        const existing = JSON.parse(sessionStorage.getItem(key) || '{}');
+        const applicationData = existing.quoteId === quoteId ? existing : {};
+        applicationData.quoteId = quoteId;
+        sessionStorage.setItem(key, JSON.stringify(applicationData));
+    }
+    return record;
+}
+
+/**
+ * Quote ID the current application was started from
+ * @param {string} state - Two-letter state code
+ * @returns {string|null} Quote ID
+ */
+function getLinkedQuoteId(state) {
+    const keys = STATE_STORAGE_KEYS[state];
+    if (!keys) return null;
+    const applicationData = keys.applicationData ? JSON.parse(sessionStorage.getItem(keys.applicationData) || '{}') : {};
+    const quoteData = keys.quoteData ? JSON.parse(sessionStorage.getItem(keys.quoteData) || '{}') : {};
+    return applicationData.quoteId || quoteData.quoteId || null;
+}
+
+/**
+ * Fill the header's Quote ID line; it stays hidden when no quote is linked
+ */
+function showLinkedQuoteId() {
+    const tagline = document.getElementById('quoteIdTagline');
+    if (!tagline) return;
+    const quoteId = getLinkedQuoteId(stateFromPath());
+    document.getElementById('quoteIdText').textContent = quoteId || '';
+    tagline.style.display = quoteId ? '' : 'none';
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', showLinkedQuoteId);
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.STATE_STORAGE_KEYS = STATE_STORAGE_KEYS;
+    window.stateFromPath = stateFromPath;
+    window.saveQuoteRecord = saveQuoteRecord;
+    window.startApplicationFromQuote = startApplicationFromQuote;
+    window.getLinkedQuoteId = getLinkedQuoteId;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STATE_STORAGE_KEYS,
+        stateFromPath
+    };
+}
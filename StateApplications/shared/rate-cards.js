@@ -0,0 +1,415 @@
+/**
+ * Rate Cards - ShelterPoint State Quotes
+ * A rate card is one state's rates from one effective date: a PFML plan year
+ * (PFML_RATE_TABLE), a NJ TDB plan year (NJ_TDB_RATE_TABLE) or a NY rate
+ * period (RATE_PERIODS). Cards are imported through the rate card admin as
+ * CSV (field,value rows with dotted field paths) or JSON, checked against the
+ * fields of the state's product, compared with the card in force and, once
+ * published, added to the rate tables so every calculator rates with them.
+ * A published card replaces the plan year with the same effective date.
+ * Depends on shared/rating-engine.js, nj/NJ-quote-calculator.js and
+ * ny/quote-calculator.js; tables a page does not load are skipped.
+ */
+
+// States with a rate card, and the product whose fields the card holds
+const RATE_CARD_STATES = {
+    CO: 'PFML',
+    CT: 'PFML',
+    DE: 'PFML',
+    MA: 'PFML',
+    ME: 'PFML',
+    MN: 'PFML',
+    NJ: 'NJ',
+    NY: 'NY',
+    OR: 'PFML'
+};
+
+// Fields on each product's card, by dotted path into the plan year record
+// (keys gives the path when a key has a dot of its own).
+//   amount - dollars, 0 or more
+//   share  - share of payroll or premium, 0 to 1 (CSV values may be written as 0.45%)
+//   count  - whole number of employees
+// Optional fields may be left blank. smallEmployer fields are required when
+// the card has a small employer threshold and must be blank when it has none.
+const PFML_CARD_FIELDS = [
+    { path: 'wageBase', kind: 'amount', label: 'Annual wage base per employee' },
+    { path: 'smallEmployerThreshold', kind: 'count', optional: true, label: 'Small employer headcount (blank = none)' },
+    { path: 'shelterPointRate.small', kind: 'share', smallEmployer: true, label: 'ShelterPoint rate, small employers' },
+    { path: 'shelterPointRate.standard', kind: 'share', label: 'ShelterPoint rate' },
+    { path: 'statePlanRate.small', kind: 'share', smallEmployer: true, label: 'State plan rate, small employers' },
+    { path: 'statePlanRate.standard', kind: 'share', label: 'State plan rate' },
+    { path: 'employeeShare', kind: 'share', label: 'Most of the state plan premium withheld from employees' }
+];
+
+const NJ_CARD_FIELDS = [
+    { path: 'wageBase', kind: 'amount', label: 'Taxable wage base per employee' },
+    { path: 'employeeRate', kind: 'share', label: 'Worker TDI contribution rate' },
+    { path: 'statePlanEmployerRate', kind: 'share', label: 'State Plan employer rate (new employers)' },
+    { path: 'shelterPointRate', kind: 'share', label: 'ShelterPoint rate, statutory benefits' },
+    { path: 'benefitLoads.duration', kind: 'share', label: 'Load for enhanced Category D (duration)' },
+    { path: 'benefitLoads.commencement', kind: 'share', label: 'Load for enhanced Category E (commencement)' }
+];
+
+const NY_DBL_TIERS = {
+    statutory: 'Statutory',
+    'enriched1.5x': 'Enriched 1.5x',
+    enriched2x: 'Enriched 2x',
+    enriched3x: 'Enriched 3x',
+    enriched4x: 'Enriched 4x',
+    enriched5x: 'Enriched 5x'
+};
+
+const NY_DBL_CLASSES = {
+    male: 'male',
+    female: 'female',
+    maleWithHospital: 'male with in-hospital rider',
+    femaleWithHospital: 'female with in-hospital rider'
+};
+
+const NY_CARD_FIELDS = [
+    ...Object.keys(NY_DBL_TIERS).flatMap(tier => ['annual', 'quarterly'].flatMap(billing =>
+        Object.keys(NY_DBL_CLASSES).map(rateClass => ({
+            path: 'dblRates.' + tier + '.' + billing + '.' + rateClass,
+            keys: ['dblRates', tier, billing, rateClass],
+            kind: 'amount',
+            label: 'DBL ' + NY_DBL_TIERS[tier] + ', ' + billing + ' billing, ' + NY_DBL_CLASSES[rateClass] + ' (per employee per month)'
+        })))),
+    { path: 'pflRate.percentOfPayroll', kind: 'share', label: 'PFL rate' },
+    { path: 'pflRate.annualCapPerEmployee', kind: 'amount', label: 'PFL annual cap per employee' },
+    { path: 'pflRate.nysaww', kind: 'amount', label: 'NYSAWW, annualized' },
+    { path: 'minimums.annualDBL', kind: 'amount', label: 'Minimum annual DBL premium' },
+    { path: 'minimums.quarterlyDBL', kind: 'amount', label: 'Minimum quarterly DBL premium' },
+    { path: 'optionalBenefits.addd50k', kind: 'amount', label: 'AD&D $50,000 (per employee per month)' },
+    { path: 'optionalBenefits.addd100k', kind: 'amount', label: 'AD&D $100,000 (per employee per month)' },
+    { path: 'optionalBenefits.termLife15k', kind: 'amount', label: '$15,000 term life (per employee per month)' },
+    { path: 'optionalBenefits.eap', kind: 'amount', label: 'Employee assistance program (per employee per month)' },
+    { path: 'optionalBenefits.nurseHelpline', kind: 'amount', label: 'Nurse helpline (per employee per month)' }
+];
+
+const RATE_CARD_FIELDS = {
+    PFML: PFML_CARD_FIELDS,
+    NJ: NJ_CARD_FIELDS,
+    NY: NY_CARD_FIELDS
+};
+
+/**
+ * Fields on a state's rate card
+ * @param {string} state - Two-letter state code
+ * @returns {Array<Object>} Field definitions ({ path, kind, label, optional, smallEmployer })
+ */
+function rateCardFields(state) {
+    const product = RATE_CARD_STATES[String(state || '').toUpperCase()];
+    if (!product) throw new Error('No rate card for state: ' + state);
+    return RATE_CARD_FIELDS[product];
+}
+
+/**
+ * The rate table list a state's cards are kept in, oldest first
+ * @param {string} state - Two-letter state code
+ * @returns {Array<Object>|null} Plan years or rate periods; null when the page has not loaded the table
+ */
+function rateCardPlanYears(state) {
+    state = String(state || '').toUpperCase();
+    const product = RATE_CARD_STATES[state];
+    const inNode = typeof window === 'undefined';
+    if (product === 'NY') {
+        if (typeof RATE_PERIODS !== 'undefined') return RATE_PERIODS;
+        return inNode ? require('../ny/quote-calculator.js').RATE_PERIODS : null;
+    }
+    if (product === 'NJ') {
+        if (typeof NJ_TDB_RATE_TABLE !== 'undefined') return NJ_TDB_RATE_TABLE.planYears;
+        return inNode ? require('../nj/NJ-quote-calculator.js').NJ_TDB_RATE_TABLE.planYears : null;
+    }
+    if (product === 'PFML') {
+        const table = typeof PFML_RATE_TABLE !== 'undefined'
+            ? PFML_RATE_TABLE
+            : (inNode ? require('./rating-engine.js').PFML_RATE_TABLE : null);
+        return table && table[state] ? table[state].planYears : null;
+    }
+    throw new Error('No rate card for state: ' + state);
+}
+
+// Tier names such as enriched1.5x contain a dot, so fields may list their keys
+function fieldKeys(field) {
+    return field.keys || field.path.split('.');
+}
+
+function readPath(source, keys) {
+    return keys.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), source);
+}
+
+function writePath(target, keys, value) {
+    const last = keys[keys.length - 1];
+    keys.slice(0, -1).reduce((node, key) => {
+        if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+        return node[key];
+    }, target)[last] = value;
+}
+
+function flattenRates(rates, prefix = '', values = {}) {
+    Object.keys(rates || {}).forEach(key => {
+        const value = rates[key];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenRates(value, prefix + key + '.', values);
+        } else {
+            values[prefix + key] = value;
+        }
+    });
+    return values;
+}
+
+/**
+ * The card in force for a state on a date
+ * @param {string} state - Two-letter state code
+ * @param {string} effectiveDate - Date (YYYY-MM-DD); defaults to the newest card
+ * @returns {Object} Rate card { state, effectiveDate, rates }
+ */
+function currentRateCard(state, effectiveDate) {
+    state = String(state || '').toUpperCase();
+    const planYears = rateCardPlanYears(state);
+    if (!planYears || planYears.length === 0) throw new Error('Rate table for ' + state + ' is not loaded.');
+
+    let selected = planYears[0];
+    planYears.forEach(planYear => {
+        if (!effectiveDate || planYear.effectiveDate <= effectiveDate) selected = planYear;
+    });
+    const rates = {};
+    rateCardFields(state).forEach(field => {
+        const value = readPath(selected, fieldKeys(field));
+        if (value !== undefined) writePath(rates, fieldKeys(field), value);
+    });
+    return { state, effectiveDate: selected.effectiveDate, rates: JSON.parse(JSON.stringify(rates)) };
+}
+
+/**
+ * Read an imported rate card file
+ * CSV files have field,value rows; a header row and a third description
+ * column are allowed. The state and effectiveDate are rows of their own.
+ * JSON files are { state, effectiveDate, rates } with rates nested as in the
+ * rate tables.
+ * @param {string} text - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} { state, effectiveDate, values } with values keyed by field path, unchecked
+ */
+function parseRateCard(text, format) {
+    if (format === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(String(text || ''));
+        } catch (err) {
+            throw new Error('The rate card is not valid JSON: ' + err.message);
+        }
+        if (!parsed || typeof parsed !== 'object' || !parsed.rates || typeof parsed.rates !== 'object') {
+            throw new Error('The rate card JSON needs a rates object.');
+        }
+        return { state: parsed.state, effectiveDate: parsed.effectiveDate, values: flattenRates(parsed.rates) };
+    }
+    if (format !== 'csv') throw new Error('Rate cards can be imported as CSV or JSON.');
+
+    const readCsv = typeof parseCsv === 'function' ? parseCsv : require('./census-parser.js').parseCsv;
+    const card = { state: undefined, effectiveDate: undefined, values: {} };
+    readCsv(text).forEach(row => {
+        const path = String(row[0] || '').trim();
+        const value = String(row[1] === undefined ? '' : row[1]).trim();
+        if (!path || path.toLowerCase() === 'field') return;
+        if (path === 'state' || path === 'effectiveDate') {
+            card[path] = value;
+        } else {
+            card.values[path] = value;
+        }
+    });
+    return card;
+}
+
+function readRateValue(raw, kind) {
+    if (typeof raw === 'number') return raw;
+    let text = String(raw).replace(/[$,\s]/g, '');
+    let divisor = 1;
+    if (kind === 'share' && text.endsWith('%')) {
+        text = text.slice(0, -1);
+        divisor = 100;
+    }
+    if (!/^-?(\d+\.?\d*|\.\d+)$/.test(text)) return NaN;
+    return divisor === 1 ? Number(text) : Number((Number(text) / divisor).toPrecision(15));
+}
+
+/**
+ * Check an imported card against its state's fields
+ * @param {Object} input - { state, effectiveDate, values } from parseRateCard
+ * @returns {Object} { card, errors } - card is null when errors (keyed by field path) has entries
+ */
+function validateRateCard(input) {
+    const errors = {};
+    const state = String(input.state || '').trim().toUpperCase();
+    const effectiveDate = String(input.effectiveDate || '').trim();
+    if (!RATE_CARD_STATES[state]) {
+        errors.state = state ? 'There is no rate card for ' + state + '.' : 'State is required.';
+    }
+    const calendarDate = typeof isCalendarDate === 'function' ? isCalendarDate : require('./application-rules.js').isCalendarDate;
+    if (!calendarDate(effectiveDate)) {
+        errors.effectiveDate = 'Effective date must be a date (YYYY-MM-DD).';
+    }
+    if (errors.state) return { card: null, errors };
+
+    const fields = rateCardFields(state);
+    const values = input.values || {};
+    const rates = {};
+    const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+    Object.keys(values).forEach(path => {
+        if (!fields.some(field => field.path === path)) {
+            errors[path] = 'Not a field on the ' + state + ' rate card.';
+        }
+    });
+
+    const threshold = values.smallEmployerThreshold;
+    const hasSmallRates = !isBlank(threshold);
+    fields.forEach(field => {
+        const raw = values[field.path];
+        if (field.smallEmployer && !hasSmallRates) {
+            if (!isBlank(raw)) errors[field.path] = 'Only used with a small employer headcount.';
+            return;
+        }
+        if (isBlank(raw)) {
+            if (field.optional) {
+                writePath(rates, fieldKeys(field), null);
+            } else {
+                errors[field.path] = 'Required.';
+            }
+            return;
+        }
+        const value = readRateValue(raw, field.kind);
+        if (!isFinite(value) || value < 0) {
+            errors[field.path] = 'Must be a number of 0 or more.';
+        } else if (field.kind === 'share' && value > 1) {
+            errors[field.path] = 'Must be a share from 0 to 1 (e.g. 0.0045 or 0.45%).';
+        } else if (field.kind === 'count' && !Number.isInteger(value)) {
+            errors[field.path] = 'Must be a whole number.';
+        } else {
+            writePath(rates, fieldKeys(field), value);
+        }
+    });
+
+    if (Object.keys(errors).length > 0) return { card: null, errors };
+    return { card: { state, effectiveDate, rates }, errors };
+}
+
+/**
+ * Compare two cards of the same state field by field
+ * @param {Object} current - Card in force
+ * @param {Object} proposed - Imported card
+ * @returns {Array<Object>} Rows { path, label, kind, current, proposed, changed } in field order
+ */
+function diffRateCards(current, proposed) {
+    return rateCardFields(proposed.state).map(field => {
+        const before = readPath(current && current.rates, fieldKeys(field));
+        const after = readPath(proposed.rates, fieldKeys(field));
+        const currentValue = before === undefined ? null : before;
+        const proposedValue = after === undefined ? null : after;
+        return {
+            path: field.path,
+            label: field.label,
+            kind: field.kind,
+            current: currentValue,
+            proposed: proposedValue,
+            changed: currentValue !== proposedValue
+        };
+    });
+}
+
+/**
+ * Add a card to its state's rate table, replacing a card with the same effective date
+ * @param {Object} card - Checked rate card { state, effectiveDate, rates }
+ * @returns {boolean} False when the page has not loaded the state's table
+ */
+function applyRateCard(card) {
+    const planYears = rateCardPlanYears(card.state);
+    if (!planYears) return false;
+
+    const entry = { effectiveDate: card.effectiveDate, ...JSON.parse(JSON.stringify(card.rates)) };
+    const index = planYears.findIndex(planYear => planYear.effectiveDate >= card.effectiveDate);
+    if (index === -1) {
+        planYears.push(entry);
+    } else if (planYears[index].effectiveDate === card.effectiveDate) {
+        planYears[index] = entry;
+    } else {
+        planYears.splice(index, 0, entry);
+    }
+    return true;
+}
+
+/**
+ * Add published cards in the order they were published
+ * @param {Array<Object>} cards - Rate cards
+ */
+function applyRateCards(cards) {
+    (cards || []).forEach(applyRateCard);
+}
+
+/**
+ * Run a function with a card added to the rate tables, then put the tables back
+ * @param {Object} card - Rate card
+ * @param {Function} fn - Work to do with the card in force
+ * @returns {*} The function's result
+ */
+function withRateCard(card, fn) {
+    const planYears = rateCardPlanYears(card.state);
+    const saved = planYears ? planYears.slice() : null;
+    try {
+        applyRateCard(card);
+        return fn();
+    } finally {
+        if (saved) planYears.splice(0, planYears.length, ...saved);
+    }
+}
+
+function csvCell(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Write a card as CSV, in the format parseRateCard reads
+ * @param {Object} card - Rate card
+ * @returns {string} CSV text
+ */
+function rateCardCsv(card) {
+    const rows = [
+        ['field', 'value', 'description'],
+        ['state', card.state, 'Two-letter state code'],
+        ['effectiveDate', card.effectiveDate, 'First day the card applies (YYYY-MM-DD)']
+    ];
+    rateCardFields(card.state).forEach(field => {
+        const value = readPath(card.rates, fieldKeys(field));
+        rows.push([field.path, value === undefined ? '' : value, field.label]);
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.RATE_CARD_STATES = RATE_CARD_STATES;
+    window.rateCardFields = rateCardFields;
+    window.currentRateCard = currentRateCard;
+    window.diffRateCards = diffRateCards;
+    window.applyRateCard = applyRateCard;
+    window.applyRateCards = applyRateCards;
+    window.rateCardCsv = rateCardCsv;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RATE_CARD_STATES,
+        rateCardFields,
+        rateCardPlanYears,
+        currentRateCard,
+        parseRateCard,
+        validateRateCard,
+        diffRateCards,
+        applyRateCard,
+        applyRateCards,
+        withRateCard,
+        rateCardCsv
+    };
+}
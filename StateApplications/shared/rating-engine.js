@@ -0,0 +1,291 @@
+/**
+ * PFML Rating Engine - ShelterPoint State Quotes
+ * One rating formula for every payroll-rated PFML state, driven by a
+ * per-state rate table. Adding a state or a new plan year is a change to
+ * PFML_RATE_TABLE only.
+ */
+
+// Rate table keyed by state, each with plan years in effective-date order.
+// A plan year applies from its effectiveDate until the next one starts.
+//   wageBase                - annual wages per employee subject to premium
+//   smallEmployerThreshold  - employers at or below this headcount get the small rates (null = none)
+//   shelterPointRate        - ShelterPoint premium as a share of capped payroll
+//   statePlanRate           - State plan premium as a share of capped payroll
+//   employeeShare           - Most of the state plan premium the employer may withhold from
+//                             employees; a private plan cannot charge employees more
+// Cards published through the rate card admin (shared/rate-cards.js) are
+// added to these plan years when the portal loads.
+const PFML_RATE_TABLE = {
+    CO: {
+        name: 'Colorado FAMLI',
+        planYears: [
+            {
+                effectiveDate: '2026-01-01',
+                wageBase: 184500,
+                smallEmployerThreshold: 9,
+                shelterPointRate: { small: 0.0045, standard: 0.0081 },
+                statePlanRate: { small: 0.0045, standard: 0.009 },
+                employeeShare: 0.5
+            }
+        ]
+    },
+    CT: {
+        name: 'Connecticut PFML',
+        planYears: [
+            {
+                effectiveDate: '2026-01-01',
+                wageBase: 184500,
+                smallEmployerThreshold: null,
+                shelterPointRate: { standard: 0.004 },
+                statePlanRate: { standard: 0.005 },
+                // Connecticut paid leave is funded entirely by employee contributions
+                employeeShare: 1
+            }
+        ]
+    },
+    // DE rates are TBD - placeholder mirrors CO until the filed rates are available
+    DE: {
+        name: 'Delaware PFML',
+        planYears: [
+            {
+                effectiveDate: '2026-01-01',
+                wageBase: 184500,
+                smallEmployerThreshold: 9,
+                shelterPointRate: { small: 0.0045, standard: 0.0081 },
+                statePlanRate: { small: 0.0045, standard: 0.009 },
+                employeeShare: 0.5
+            }
+        ]
+    },
+    MA: {
+        name: 'Massachusetts PFML',
+        planYears: [
+            {
+                effectiveDate: '2026-01-01',
+                wageBase: 184500,
+                smallEmployerThreshold: null,
+                shelterPointRate: { standard: 0.004 },
+                statePlanRate: { standard: 0.0046 },
+                // All of the family leave part of the 0.88% contribution (0.18%) and 40% of the medical leave part (0.70%)
+                employeeShare: (0.18 + 0.40 * 0.70) / 0.88
+            }
+        ]
+    },
+    ME: {
+        name: 'Maine PFML',
+        planYears: [
+            {
+                effectiveDate: '2026-01-01',
+                wageBase: 184500,
+                smallEmployerThreshold: 14,
+                shelterPointRate: { small: 0.0045, standard: 0.009 },
+                statePlanRate: { small: 0.005, standard: 0.01 },
+                employeeShare: 0.5
+            }
+        ]
+    },
+    MN: {
+        name: 'Minnesota PFML',
+        planYears: [
+            {
+                effectiveDate: '2026-01-01',
+                wageBase: 184500,
+                smallEmployerThreshold: null,
+                shelterPointRate: { standard: 0.0059 },
+                statePlanRate: { standard: 0.0088 },
+                employeeShare: 0.5
+            }
+        ]
+    },
+    OR: {
+        name: 'Oregon PFML',
+        planYears: [
+            {
+                effectiveDate: '2026-01-01',
+                wageBase: 184500,
+                smallEmployerThreshold: null,
+                shelterPointRate: { standard: 0.0054 },
+                statePlanRate: { standard: 0.006 },
+                employeeShare: 0.6
+            }
+        ]
+    }
+};
+
+/**
+ * Find the plan year in force for a state on a given date
+ * Dates before the first plan year use the first plan year.
+ * @param {string} state - Two-letter state code
+ * @param {string} effectiveDate - Requested effective date (YYYY-MM-DD); defaults to the latest plan year
+ * @returns {Object} Plan year rate record
+ */
+function getPlanYear(state, effectiveDate) {
+    const table = PFML_RATE_TABLE[String(state || '').toUpperCase()];
+    if (!table) {
+        throw new Error('No PFML rate table for state: ' + state);
+    }
+
+    const planYears = table.planYears;
+    if (!effectiveDate) return planYears[planYears.length - 1];
+
+    let selected = planYears[0];
+    planYears.forEach(planYear => {
+        if (planYear.effectiveDate <= effectiveDate) selected = planYear;
+    });
+    return selected;
+}
+
+/**
+ * Normalize the census argument to calculator totals
+ * Employee lists are summarized against the plan year's wage base so a wage
+ * base change between plan years re-splits employees over and under the cap.
+ * @param {Array|Object} census - Employee records, a parsed census result, or a census summary
+ * @param {number} wageBase - Plan year wage base
+ * @returns {Object} Census summary
+ */
+function resolveCensus(census, wageBase) {
+    const summarize = typeof summarizeCensus === 'function'
+        ? summarizeCensus
+        : require('./census-parser.js').summarizeCensus;
+
+    if (Array.isArray(census)) return summarize(census, wageBase);
+    if (census && Array.isArray(census.employees)) return summarize(census.employees, wageBase);
+
+    const c = census || {};
+    const maleEmployees = Number(c.maleEmployees || 0);
+    const femaleEmployees = Number(c.femaleEmployees || 0);
+    return {
+        totalEmployees: Number(c.totalEmployees || (maleEmployees + femaleEmployees)),
+        maleEmployees,
+        femaleEmployees,
+        employeesOverCap: Number(c.employeesOverCap || 0),
+        payrollBelowCap: Number(c.payrollBelowCap || 0),
+        totalPayroll: Number(c.totalPayroll || 0)
+    };
+}
+
+/**
+ * Rates of a plan year for an employer of a given size
+ * @param {Object} planYear - Plan year rate record
+ * @param {number} totalEmployees - Employer headcount
+ * @param {Object} rateOverride - Underwriter's rate for a large group, { shelterPointRate } (optional)
+ * @returns {Object} { shelterPointRate, statePlanRate, employeeRate, statePlanEmployeeRate }
+ */
+function planYearRates(planYear, totalEmployees, rateOverride) {
+    const isSmallEmployer = planYear.smallEmployerThreshold !== null
+        && totalEmployees <= planYear.smallEmployerThreshold;
+    const rateKey = isSmallEmployer ? 'small' : 'standard';
+    const shelterPointRate = rateOverride && Number(rateOverride.shelterPointRate) > 0
+        ? Number(rateOverride.shelterPointRate)
+        : planYear.shelterPointRate[rateKey];
+    const statePlanRate = planYear.statePlanRate[rateKey];
+    return {
+        shelterPointRate,
+        statePlanRate,
+        // Employee contributions never exceed the ShelterPoint premium
+        employeeRate: Math.min(statePlanRate * planYear.employeeShare, shelterPointRate),
+        // Under the State Plan employees pay their full share of the state's rate
+        statePlanEmployeeRate: statePlanRate * planYear.employeeShare
+    };
+}
+
+/**
+ * Rate a PFML quote for any state in the rate table
+ * A contributory quote withholds the most the state allows from employees;
+ * the quoted amount is then the employer's cost, and the State Plan price is
+ * what the employer would pay after employees' full share of the State Plan
+ * rate (the private plan's withholding is capped at its own rate). Groups referred to
+ * large-group underwriting are rated with the underwriter's rate instead of
+ * the rate card.
+ * @param {string} state - Two-letter state code
+ * @param {Array|Object} census - Employee records, a parsed census result, or a census summary
+ * @param {Object} options - { effectiveDate, billingOption: 'annual' | 'quarterly', contributory,
+ *   rateOverride (underwriter's { shelterPointRate }) }
+ * @returns {Object} Quote in the same shape for every state
+ */
+function rateQuote(state, census, options = {}) {
+    const planYear = getPlanYear(state, options.effectiveDate);
+    const summary = resolveCensus(census, planYear.wageBase);
+    const billingOption = options.billingOption === 'quarterly' ? 'quarterly' : 'annual';
+    const periodsPerYear = billingOption === 'quarterly' ? 4 : 1;
+
+    const { shelterPointRate, statePlanRate, employeeRate, statePlanEmployeeRate } = planYearRates(planYear, summary.totalEmployees, options.rateOverride);
+
+    // Premium applies to payroll up to the wage base for each employee
+    const cappedPayroll = (summary.employeesOverCap * planYear.wageBase) + summary.payrollBelowCap;
+    const employeeContributions = options.contributory ? cappedPayroll * employeeRate / periodsPerYear : 0;
+
+    // ShelterPoint quote
+    const annualTotal = cappedPayroll * shelterPointRate;
+    const premium = annualTotal / periodsPerYear;
+    const displayAmount = premium - employeeContributions;
+
+    // State plan price
+    const statePlanAnnualTotal = cappedPayroll * statePlanRate;
+    const statePlanEmployeeContributions = options.contributory ? cappedPayroll * statePlanEmployeeRate / periodsPerYear : 0;
+    const statePlanDisplayAmount = statePlanAnnualTotal / periodsPerYear - statePlanEmployeeContributions;
+
+    const quote = {
+        state: String(state).toUpperCase(),
+        planYear: planYear.effectiveDate,
+        displayAmount: displayAmount,
+        billingPeriod: billingOption === 'quarterly' ? 'quarter' : 'year',
+        breakdown: {
+            base: 0,
+            totalEmployees: summary.totalEmployees,
+            employeesOverCap: summary.employeesOverCap,
+            payrollBelowCap: summary.payrollBelowCap,
+            wageBase: planYear.wageBase,
+            shelterPointRate: shelterPointRate,
+            statePlanRate: statePlanRate,
+            totalCost: displayAmount,
+            statePlanPrice: statePlanDisplayAmount,
+            savings: statePlanDisplayAmount - displayAmount
+        },
+        census: summary
+    };
+    if (options.contributory) {
+        Object.assign(quote.breakdown, { premium, employeeContributions, employeeRate });
+    }
+    return quote;
+}
+
+/**
+ * Most the employer may withhold from one employee in a year
+ * @param {string} state - Two-letter state code
+ * @param {number} annualWages - The employee's annual wages
+ * @param {Object} options - { effectiveDate, totalEmployees (employer headcount, for the small employer rates),
+ *   rateOverride (underwriter's { shelterPointRate }) }
+ * @returns {number} Annual employee contribution
+ */
+function pfmlEmployeeContribution(state, annualWages, options = {}) {
+    const planYear = getPlanYear(state, options.effectiveDate);
+    const rates = planYearRates(planYear, Number(options.totalEmployees) || 0, options.rateOverride);
+    return Math.min(Math.max(Number(annualWages) || 0, 0), planYear.wageBase) * rates.employeeRate;
+}
+
+function formatCurrency(value) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value || 0);
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.rateQuote = rateQuote;
+    window.getPlanYear = getPlanYear;
+    window.pfmlEmployeeContribution = pfmlEmployeeContribution;
+    window.resolveCensus = resolveCensus;
+    window.formatCurrency = formatCurrency;
+    window.PFML_RATE_TABLE = PFML_RATE_TABLE;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        rateQuote,
+        getPlanYear,
+        resolveCensus,
+        pfmlEmployeeContribution,
+        formatCurrency,
+        PFML_RATE_TABLE
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * Renewal Notices - ShelterPoint State Quotes
+ * Policy anniversaries of bound cases and the renewal notice sent to the
+ * employer: the renewal premium next to the premium of the term ending, the
+ * rates that changed for the new plan year (wage limits, the NY NYSAWW and
+ * PFL caps) and, for PFML states, what the employer saves compared with the
+ * State Plan. The notice is laid out like a quote proposal.
+ * Depends on shared/quote-proposal.js.
+ */
+
+const RENEWAL_DISCLAIMER = 'This renewal is rated on the census and plan selections of the current policy and the rates in effect ' +
+    'for the renewal date. Let your broker know of any change in headcount or payroll before the renewal date; premium is adjusted to the census reported.';
+
+const RENEWAL_PERIODS_PER_YEAR = { year: 1, quarter: 4 };
+
+function renewalCurrency(value) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value || 0);
+}
+
+function formatRenewalDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    return match ? match[2] + '/' + match[3] + '/' + match[1] : (value || '—');
+}
+
+/**
+ * Date of a policy anniversary
+ * A February 29 effective date renews on February 28 in other years.
+ * @param {string} effectiveDate - Original effective date (YYYY-MM-DD)
+ * @param {number} years - Years after the effective date
+ * @returns {string} Anniversary date (YYYY-MM-DD)
+ */
+function anniversaryDate(effectiveDate, years) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(effectiveDate || ''));
+    if (!match) return '';
+    const year = Number(match[1]) + years;
+    const month = Number(match[2]);
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const day = Math.min(Number(match[3]), lastDay);
+    return year + '-' + match[2] + '-' + String(day).padStart(2, '0');
+}
+
+/**
+ * Which anniversary of a policy falls in a month
+ * @param {string} effectiveDate - Original effective date (YYYY-MM-DD)
+ * @param {string} month - Renewal month (YYYY-MM)
+ * @returns {number} Years since the effective date, or 0 when the policy does not renew that month
+ */
+function anniversaryInMonth(effectiveDate, month) {
+    const start = /^(\d{4})-(\d{2})-\d{2}$/.exec(String(effectiveDate || ''));
+    const target = /^(\d{4})-(\d{2})$/.exec(String(month || ''));
+    if (!start || !target || start[2] !== target[2]) return 0;
+    return Math.max(Number(target[1]) - Number(start[1]), 0);
+}
+
+/**
+ * Annual amount of a premium billed per period
+ * @param {Object} premium - { amount, billingPeriod }
+ * @returns {number} Annual amount
+ */
+function annualPremium(premium) {
+    return Math.round(premium.amount * (RENEWAL_PERIODS_PER_YEAR[premium.billingPeriod] || 1) * 100) / 100;
+}
+
+/**
+ * A rate card value for the notice
+ * @param {*} value - Rate value
+ * @param {string} kind - Field kind from the rate card fields ('share', 'count' or an amount)
+ * @returns {string} Display value
+ */
+function formatRenewalRate(value, kind) {
+    if (value === null || value === undefined) return '—';
+    if (kind === 'share') return Number((value * 100).toPrecision(6)) + '%';
+    if (kind === 'count') return String(value);
+    return renewalCurrency(value);
+}
+
+function signedCurrency(value) {
+    return (value > 0 ? '+' : value < 0 ? '-' : '') + renewalCurrency(Math.abs(value));
+}
+
+/**
+ * Rows comparing the renewal with the term ending
+ * @param {Object} notice - Renewal notice record
+ * @returns {Array<Array<string>>} [label, value] rows
+ */
+function renewalSummaryRows(notice) {
+    const period = notice.premium.billingPeriod || 'year';
+    const rows = [
+        ['Current Term', formatRenewalDate(notice.currentTerm.effectiveDate) + ' – ' + formatRenewalDate(notice.renewalDate)],
+        ['Current Premium (per ' + period + ')', renewalCurrency(notice.currentTerm.premium.amount)],
+        ['Renewal Premium (per ' + period + ')', renewalCurrency(notice.premium.amount)],
+        ['Change (per ' + period + ')', signedCurrency(notice.change.amount)
+            + (notice.change.percent !== null ? ' (' + (notice.change.percent > 0 ? '+' : '') + notice.change.percent + '%)' : '')],
+        ['Annual Premium', renewalCurrency(notice.currentTerm.annualPremium) + ' → ' + renewalCurrency(notice.annualPremium)]
+    ];
+    if (notice.statePlan) {
+        rows.push(['State Plan Price (per year)', renewalCurrency(notice.statePlan.annualPrice)]);
+        rows.push(['Your Savings (per year)', renewalCurrency(notice.statePlan.annualSavings)]);
+    }
+    return rows;
+}
+
+/**
+ * Build a renewal notice PDF
+ * @param {Object} notice - Renewal notice record, with the renewal's proposal
+ * @param {Uint8Array} logoBytes - ShelterPoint logo JPEG (optional)
+ * @returns {Uint8Array} PDF file contents
+ */
+function buildRenewalNotice(notice, logoBytes) {
+    const build = typeof buildQuoteProposal === 'function'
+        ? buildQuoteProposal
+        : require('./quote-proposal.js').buildQuoteProposal;
+    const leadSections = [{ title: 'Your Renewal', rows: renewalSummaryRows(notice) }];
+    if (notice.rateChanges.length > 0) {
+        leadSections.push({
+            title: 'Rate Changes for ' + formatRenewalDate(notice.ratesEffectiveDate),
+            rows: notice.rateChanges.map(change => [
+                change.label,
+                formatRenewalRate(change.current, change.kind) + ' → ' + formatRenewalRate(change.proposed, change.kind)
+            ])
+        });
+    }
+    return build({
+        ...notice.proposal,
+        title: 'Renewal Notice',
+        effectiveDate: notice.renewalDate,
+        leadSections,
+        disclaimer: RENEWAL_DISCLAIMER
+    }, logoBytes);
+}
+
+/**
+ * File name for a renewal notice download
+ * @param {Object} notice - Renewal notice record
+ * @returns {string} File name
+ */
+function renewalNoticeFileName(notice) {
+    const business = String(notice.businessName || '').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return 'ShelterPoint-' + notice.state + '-Renewal-' + (business || notice.quoteId) + '-' + notice.renewalDate + '.pdf';
+}
+
+// Expose globals for non-module usage
+if (typeof window !== 'undefined') {
+    window.anniversaryDate = anniversaryDate;
+    window.anniversaryInMonth = anniversaryInMonth;
+    window.formatRenewalRate = formatRenewalRate;
+    window.renewalSummaryRows = renewalSummaryRows;
+    window.buildRenewalNotice = buildRenewalNotice;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RENEWAL_DISCLAIMER,
+        anniversaryDate,
+        anniversaryInMonth,
+        annualPremium,
+        formatRenewalRate,
+        renewalSummaryRows,
+        buildRenewalNotice,
+        renewalNoticeFileName
+    };
+}
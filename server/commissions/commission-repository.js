@@ -0,0 +1,400 @@
+/**
+ * Commission Repository - ShelterPoint Portal
+ * Monthly producer commission runs with generated CR- run IDs. A bound case
+ * is a submitted application (authorized by the employer, or sent without
+ * asking for authorization) started from a saved quote; its producer is the
+ * onboarded producer whose NIPR number the application gives as its Agency #.
+ * Commission is worked out on the premium the application was submitted at,
+ * split by product, for the installments billed in the month with the
+ * schedules in StateApplications/shared/commissions.js. In renewal years the
+ * premium of the last renewal notice released is used instead.
+ *
+ * A case cancelled by staff earns nothing for installments starting on or
+ * after its cancellation date. In the month it is cancelled, the commission
+ * on the unearned part of the installment in force is clawed back. A
+ * producer left owing money is paid nothing; what they owe is carried
+ * forward and taken off their next statements.
+ *
+ * Closing a month stores each producer's statement, a NACHA ACH file paying
+ * the producers who authorized direct deposit and a list of paper checks for
+ * the rest. A month can only be closed once. Cases that cannot be paid (no
+ * producer, or a quote that was not found) are listed as unassigned.
+ */
+
+const { uniqueNumericId } = require('../store/json-store');
+const { HttpError } = require('../http-utils');
+const { SUBMISSION_KIND } = require('../submissions/submission-repository');
+const { buildAchFile } = require('./nacha');
+const { anniversaryDate } = require('../../StateApplications/shared/renewal-notice.js');
+const { isCalendarDate } = require('../../StateApplications/shared/application-rules.js');
+const {
+    policyYearInMonth,
+    installmentInMonth,
+    installmentStartDate,
+    installmentOnDate,
+    clawbackLines,
+    commissionLines,
+    commissionTotals
+} = require('../../StateApplications/shared/commissions.js');
+
+const PAYMENT_METHOD = {
+    ACH: 'ach',
+    CHECK: 'check'
+};
+
+function isChecked(value) {
+    return value === true || value === 'on' || value === 'true';
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function lastFour(value) {
+    return String(value || '').slice(-4);
+}
+
+function mailingAddress(data) {
+    const own = !isChecked(data.sameAddress);
+    const field = key => data[own ? 'comm' + key : key.charAt(0).toLowerCase() + key.slice(1)] || '';
+    const street = [field('Street1'), field('Street2')].filter(Boolean).join(', ');
+    return [street, field('City'), [field('State'), field('Zip')].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+}
+
+/**
+ * A producer from their onboarding packet
+ * Direct deposit needs the ACH authorization and bank details; everyone else
+ * is paid by check at the commission address.
+ * @param {Object} record - Producer onboarding submission
+ * @returns {Object} Producer, with the bank account in bank (never stored on statements)
+ */
+function producerFromOnboarding(record) {
+    const data = record.data;
+    const producerName = [data.firstName, data.lastName].filter(Boolean).join(' ');
+    const business = data.licenseType === 'business';
+    const payee = (business && data.businessName) || data.w9Name || producerName;
+    const producer = {
+        producerId: String(data.nipr).trim(),
+        producerName,
+        agencyName: (business && data.businessName) || data.dbaName || producerName,
+        email: data.workEmail || '',
+        onboardingSubmission: record.submissionNumber,
+        business,
+        payee
+    };
+    if (data.directDeposit === 'yes' && isChecked(data.authorizeACH) && data.routingNumber && data.accountNumber) {
+        producer.payment = { method: PAYMENT_METHOD.ACH, bankName: data.bankName || '', accountLast4: lastFour(data.accountNumber) };
+        producer.bank = { routingNumber: data.routingNumber, accountNumber: data.accountNumber };
+    } else {
+        producer.payment = { method: PAYMENT_METHOD.CHECK, payee, address: mailingAddress(data) };
+    }
+    return producer;
+}
+
+function validMonth(value) {
+    return /^\d{4}-(0[1-9]|1[0-2])$/.test(String(value || ''));
+}
+
+/**
+ * Create the repository
+ * @param {Object} collection - JSON store collection for commission runs
+ * @param {Object} options - { submissions, quotes, renewals, ach: { odfiRouting, odfiName, companyId, companyName } }
+ * @returns {Object} Repository
+ */
+function createCommissionRepository(collection, options) {
+    const { submissions, quotes, renewals, ach } = options;
+
+    function requireRun(runId) {
+        const record = collection.get(runId);
+        if (!record) throw new HttpError(404, 'Commission run ' + runId + ' was not found.');
+        return record;
+    }
+
+    /** @returns {Map} Producers by NIPR number, from their latest onboarding packet */
+    function producers() {
+        const byId = new Map();
+        submissions.list({ kind: SUBMISSION_KIND.PRODUCER_ONBOARDING }).forEach(summary => {
+            const record = submissions.get(summary.submissionNumber);
+            const nipr = String(record.data.nipr || '').trim();
+            if (nipr && !byId.has(nipr)) byId.set(nipr, producerFromOnboarding(record));
+        });
+        return byId;
+    }
+
+    /**
+     * Commission items of a case in a month: the installment billed in it, and
+     * the clawback when the case was cancelled that month
+     * @param {Object} submission - Bound application
+     * @param {Object} bound - Premium the application was submitted at
+     * @param {string} month - YYYY-MM
+     * @returns {Object[]} Items { effectiveDate, policyYear, renewalId, billingPeriod, installment, lines, totals, clawback }
+     */
+    function caseItems(submission, bound, month) {
+        const cancellationDate = submission.cancellation ? submission.cancellation.cancellationDate : null;
+        const premiumFor = policyYear => (policyYear > 1 && renewals.termPremium(submission.quoteId, policyYear - 1)) || bound;
+        const item = (policyYear, premium, installment, lines) => ({
+            effectiveDate: anniversaryDate(bound.effectiveDate, policyYear - 1),
+            policyYear,
+            renewalId: premium.renewalId || null,
+            billingPeriod: premium.billingPeriod,
+            installment,
+            lines,
+            totals: commissionTotals(lines),
+            clawback: null
+        });
+        const items = [];
+
+        const policyYear = policyYearInMonth(bound.effectiveDate, month);
+        const premium = premiumFor(policyYear);
+        const installment = installmentInMonth(bound.effectiveDate, premium.billingPeriod, month);
+        if (installment && !(cancellationDate && installmentStartDate(bound.effectiveDate, month) >= cancellationDate)) {
+            items.push(item(policyYear, premium, installment, commissionLines(submission.state, premium.annualPremiums, premium.billingPeriod)));
+        }
+
+        if (cancellationDate && cancellationDate.slice(0, 7) === month) {
+            const term = installmentOnDate(bound.effectiveDate, 'year', cancellationDate);
+            const termPremium = term && premiumFor(term.policyYear);
+            const inForce = term && installmentOnDate(bound.effectiveDate, termPremium.billingPeriod, cancellationDate);
+            // An installment starting on the cancellation date was never billed
+            const lines = inForce && inForce.start < cancellationDate
+                ? clawbackLines(commissionLines(submission.state, termPremium.annualPremiums, termPremium.billingPeriod), inForce, cancellationDate)
+                : [];
+            if (lines.length > 0) {
+                items.push({ ...item(inForce.policyYear, termPremium, inForce.installment, lines), clawback: { cancellationDate } });
+            }
+        }
+        return items;
+    }
+
+    /**
+     * What each producer still owes from the last month closed before this one
+     * @param {string} month - YYYY-MM
+     * @returns {Map} Negative balances by NIPR number
+     */
+    function balancesOwed(month) {
+        const latest = new Map();
+        collection.all()
+            .filter(run => run.month < month)
+            .sort((a, b) => b.month.localeCompare(a.month))
+            .forEach(run => run.statements.forEach(statement => {
+                if (!latest.has(statement.producerId)) latest.set(statement.producerId, statement.balance || 0);
+            }));
+        return new Map([...latest].filter(([, balance]) => balance < 0));
+    }
+
+    /**
+     * Work out the statements of a month
+     * @param {string} month - YYYY-MM
+     * @returns {Object} { month, statements, unassigned, totals } with each producer's bank in a bank field
+     */
+    function statementsFor(month) {
+        const byProducer = producers();
+        const statements = new Map();
+        const unassigned = [];
+
+        submissions.bound().forEach(submission => {
+            const base = {
+                submissionNumber: submission.submissionNumber,
+                quoteId: submission.quoteId,
+                state: submission.state,
+                businessName: submission.businessName
+            };
+            let items;
+            try {
+                const bound = submission.premium || quotes.submittedPremium(submission.quoteId);
+                // Applications on schema-driven forms (e.g. CO) name the business only on the quote
+                base.businessName = submission.businessName || bound.businessName;
+                items = caseItems(submission, bound, month).map(item => ({ ...base, ...item }));
+            } catch (err) {
+                unassigned.push({ ...base, agencyNumber: submission.data.agencyNumber || '', reason: err.message });
+                return;
+            }
+            if (items.length === 0) return;
+
+            const agencyNumber = String(submission.data.agencyNumber || '').trim();
+            const producer = byProducer.get(agencyNumber);
+            if (!producer) {
+                items.forEach(item => unassigned.push({
+                    ...item,
+                    agencyNumber,
+                    reason: agencyNumber
+                        ? 'No onboarded producer has NIPR number ' + agencyNumber + '.'
+                        : 'The application does not name the producer (Agency #).'
+                }));
+                return;
+            }
+            if (!statements.has(producer.producerId)) statements.set(producer.producerId, { ...producer, cases: [] });
+            statements.get(producer.producerId).cases.push(...items);
+        });
+
+        const owed = balancesOwed(month);
+        const list = [...statements.values()]
+            .map(statement => {
+                const totals = commissionTotals(statement.cases.map(item => item.totals));
+                const carriedForward = owed.get(statement.producerId) || 0;
+                return { ...statement, totals, carriedForward, balance: roundCents(totals.commission + carriedForward) };
+            })
+            .sort((a, b) => a.agencyName.localeCompare(b.agencyName));
+        return {
+            month,
+            statements: list,
+            unassigned,
+            totals: commissionTotals(list.map(statement => statement.totals))
+        };
+    }
+
+    function withoutBank(statement) {
+        const { bank, ...rest } = statement;
+        return rest;
+    }
+
+    function summarize(record) {
+        const { statements, unassigned, achFile, ...summary } = record;
+        return summary;
+    }
+
+    return {
+        /**
+         * The statements a month would produce, without closing it
+         * @param {string} month - YYYY-MM
+         * @returns {Object} { month, statements, unassigned, totals }
+         */
+        preview(month) {
+            if (!validMonth(month)) throw new HttpError(400, 'Month must be YYYY-MM.');
+            const result = statementsFor(month);
+            return { ...result, statements: result.statements.map(withoutBank) };
+        },
+
+        /**
+         * Close a month: store its statements, ACH file and check list
+         * @param {Object} values - { month, runBy, effectiveEntryDate (YYYY-MM-DD, the ACH settlement date) }
+         * @returns {Promise<Object>} Commission run record
+         */
+        async close(values) {
+            const fieldErrors = {};
+            const month = String(values.month || '').trim();
+            const effectiveEntryDate = String(values.effectiveEntryDate || '').trim();
+            if (!validMonth(month)) fieldErrors.month = 'Month must be YYYY-MM.';
+            if (!String(values.runBy || '').trim()) fieldErrors.runBy = 'Required.';
+            if (!isCalendarDate(effectiveEntryDate)) {
+                fieldErrors.effectiveEntryDate = 'Payment date must be a date (YYYY-MM-DD).';
+            }
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before closing the month.', fieldErrors);
+            }
+            const closed = collection.all().find(r => r.month === month);
+            if (closed) throw new HttpError(409, month + ' was already closed in commission run ' + closed.runId + '.');
+
+            const result = statementsFor(month);
+            const paid = result.statements.filter(statement => statement.balance > 0);
+            const achStatements = paid.filter(statement => statement.payment.method === PAYMENT_METHOD.ACH);
+            const checkStatements = paid.filter(statement => statement.payment.method === PAYMENT_METHOD.CHECK);
+            if (achStatements.length > 0 && !(ach && ach.odfiRouting && ach.companyId)) {
+                throw new HttpError(503, 'Direct deposit is not set up. Set ACH_ODFI_ROUTING and ACH_COMPANY_ID to close a month with direct deposit payments.');
+            }
+
+            const now = new Date();
+            const runId = uniqueNumericId(collection, 8, 'CR-');
+            const achFile = achStatements.length === 0 ? null : {
+                filename: 'commissions-' + month + '.ach',
+                entryCount: achStatements.length,
+                totalCredit: roundCents(achStatements.reduce((total, statement) => total + statement.balance, 0)),
+                content: buildAchFile(ach, achStatements.map(statement => ({
+                    routingNumber: statement.bank.routingNumber,
+                    accountNumber: statement.bank.accountNumber,
+                    amount: statement.balance,
+                    payeeId: statement.producerId,
+                    payeeName: statement.payee,
+                    business: statement.business
+                })), {
+                    effectiveEntryDate,
+                    description: 'COMMISSION',
+                    descriptiveDate: new Date(month + '-01T00:00:00Z').toLocaleString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' }),
+                    createdAt: now
+                })
+            };
+            return collection.put(runId, {
+                runId,
+                month,
+                runBy: String(values.runBy).trim(),
+                createdAt: now.toISOString(),
+                effectiveEntryDate,
+                totals: result.totals,
+                producerCount: result.statements.length,
+                ach: achFile ? { filename: achFile.filename, entryCount: achFile.entryCount, totalCredit: achFile.totalCredit } : null,
+                checks: checkStatements.map(statement => ({
+                    producerId: statement.producerId,
+                    payee: statement.payment.payee,
+                    address: statement.payment.address,
+                    amount: statement.balance
+                })),
+                statements: result.statements.map(withoutBank),
+                unassigned: result.unassigned,
+                achFile
+            });
+        },
+
+        /** @returns {Object} Commission run without its ACH file content */
+        get(runId) {
+            const { achFile, ...record } = requireRun(runId);
+            return record;
+        },
+
+        /**
+         * One producer's statement from a closed month
+         * @param {string} runId - CR- run ID
+         * @param {string} producerId - NIPR number
+         * @returns {Object} Statement with the run's month
+         */
+        statement(runId, producerId) {
+            const record = requireRun(runId);
+            const statement = record.statements.find(s => s.producerId === producerId);
+            if (!statement) throw new HttpError(404, 'Commission run ' + runId + ' has no statement for producer ' + producerId + '.');
+            return { runId, month: record.month, effectiveEntryDate: record.effectiveEntryDate, ...statement };
+        },
+
+        /**
+         * The run's NACHA file
+         * @returns {Object} { filename, contentType, content }
+         */
+        achFile(runId) {
+            const record = requireRun(runId);
+            if (!record.achFile) throw new HttpError(404, 'Commission run ' + runId + ' has no direct deposit payments.');
+            return { filename: record.achFile.filename, contentType: 'text/plain; charset=us-ascii', content: Buffer.from(record.achFile.content, 'ascii') };
+        },
+
+        /**
+         * The run's paper checks as CSV
+         * @returns {Object} { filename, contentType, content }
+         */
+        checkList(runId) {
+            const record = requireRun(runId);
+            const cell = value => {
+                const text = String(value === undefined || value === null ? '' : value);
+                return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+            };
+            const rows = [['Payee', 'NIPR Number', 'Mailing Address', 'Amount', 'Memo']]
+                .concat(record.checks.map(check => [check.payee, check.producerId, check.address, check.amount.toFixed(2), 'Commissions ' + record.month]));
+            return {
+                filename: 'commission-checks-' + record.month + '.csv',
+                contentType: 'text/csv; charset=utf-8',
+                content: Buffer.from(rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n')
+            };
+        },
+
+        /**
+         * List commission runs, newest month first, without their statements
+         * @returns {Object[]} Run summaries
+         */
+        list() {
+            return collection.all()
+                .sort((a, b) => b.month.localeCompare(a.month))
+                .map(summarize);
+        }
+    };
+}
+
+module.exports = {
+    createCommissionRepository,
+    PAYMENT_METHOD
+};
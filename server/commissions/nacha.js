@@ -0,0 +1,127 @@
+/**
+ * NACHA ACH File Writer - ShelterPoint Portal
+ * Builds a credit-only ACH file of fixed-width 94-character records: a file
+ * header, one batch per standard entry class (PPD for individual producers,
+ * CCD for agencies), an entry detail record per payment, batch and file
+ * controls, and 9-filled records padding the file to blocks of ten.
+ */
+
+const RECORD_LENGTH = 94;
+const BLOCKING_FACTOR = 10;
+
+// Credit to a checking account; onboarding authorizes deposits to checking
+const CHECKING_CREDIT = '22';
+// Credits only
+const SERVICE_CLASS_CREDITS = '220';
+
+function alpha(value, length) {
+    return String(value === undefined || value === null ? '' : value)
+        .toUpperCase()
+        .replace(/[^A-Z0-9 .,&'/()-]/g, ' ')
+        .slice(0, length)
+        .padEnd(length, ' ');
+}
+
+function numeric(value, length) {
+    const digits = String(value).replace(/\D/g, '');
+    if (digits.length > length) throw new Error('ACH field too long: ' + value);
+    return digits.padStart(length, '0');
+}
+
+function yymmdd(date) {
+    return date.toISOString().slice(2, 10).replace(/-/g, '');
+}
+
+function entryHash(entries) {
+    const sum = entries.reduce((total, entry) => total + Number(entry.routingNumber.slice(0, 8)), 0);
+    return numeric(String(sum).slice(-10), 10);
+}
+
+function cents(amount) {
+    return Math.round(amount * 100);
+}
+
+/**
+ * Build the ACH file
+ * @param {Object} origin - { odfiRouting, odfiName, companyName, companyId, originName }
+ * @param {Object[]} entries - { routingNumber, accountNumber, amount, payeeId, payeeName, business }
+ * @param {Object} options - { effectiveEntryDate (YYYY-MM-DD), description, descriptiveDate, createdAt (Date) }
+ * @returns {string} File content, records separated by CRLF
+ */
+function buildAchFile(origin, entries, options) {
+    const createdAt = options.createdAt || new Date();
+    const odfi = numeric(origin.odfiRouting, 9);
+    const effectiveDate = options.effectiveEntryDate.replace(/-/g, '').slice(2);
+    const records = [];
+
+    records.push('1' + '01'
+        + ' ' + odfi
+        + alpha(origin.companyId, 10)
+        + yymmdd(createdAt)
+        + createdAt.toISOString().slice(11, 16).replace(':', '')
+        + 'A' + '094' + numeric(BLOCKING_FACTOR, 2) + '1'
+        + alpha(origin.odfiName, 23)
+        + alpha(origin.originName || origin.companyName, 23)
+        + alpha('', 8));
+
+    const batches = [
+        { secCode: 'PPD', entries: entries.filter(entry => !entry.business) },
+        { secCode: 'CCD', entries: entries.filter(entry => entry.business) }
+    ].filter(batch => batch.entries.length > 0);
+
+    let traceSequence = 0;
+    batches.forEach((batch, index) => {
+        const batchNumber = numeric(index + 1, 7);
+        records.push('5' + SERVICE_CLASS_CREDITS
+            + alpha(origin.companyName, 16)
+            + alpha('', 20)
+            + alpha(origin.companyId, 10)
+            + batch.secCode
+            + alpha(options.description || 'COMMISSION', 10)
+            + alpha(options.descriptiveDate || '', 6)
+            + effectiveDate
+            + '   ' + '1'
+            + odfi.slice(0, 8)
+            + batchNumber);
+        batch.entries.forEach(entry => {
+            traceSequence++;
+            records.push('6' + CHECKING_CREDIT
+                + numeric(entry.routingNumber, 9)
+                + alpha(entry.accountNumber, 17)
+                + numeric(cents(entry.amount), 10)
+                + alpha(entry.payeeId, 15)
+                + alpha(entry.payeeName, 22)
+                + '  ' + '0'
+                + odfi.slice(0, 8) + numeric(traceSequence, 7));
+        });
+        const credit = batch.entries.reduce((total, entry) => total + cents(entry.amount), 0);
+        records.push('8' + SERVICE_CLASS_CREDITS
+            + numeric(batch.entries.length, 6)
+            + entryHash(batch.entries)
+            + numeric(0, 12)
+            + numeric(credit, 12)
+            + alpha(origin.companyId, 10)
+            + alpha('', 19) + alpha('', 6)
+            + odfi.slice(0, 8)
+            + batchNumber);
+    });
+
+    const blockCount = Math.ceil((records.length + 1) / BLOCKING_FACTOR);
+    const totalCredit = entries.reduce((total, entry) => total + cents(entry.amount), 0);
+    records.push('9'
+        + numeric(batches.length, 6)
+        + numeric(blockCount, 6)
+        + numeric(entries.length, 8)
+        + entryHash(entries)
+        + numeric(0, 12)
+        + numeric(totalCredit, 12)
+        + alpha('', 39));
+    while (records.length % BLOCKING_FACTOR !== 0) records.push('9'.repeat(RECORD_LENGTH));
+
+    records.forEach(record => {
+        if (record.length !== RECORD_LENGTH) throw new Error('ACH record is ' + record.length + ' characters: ' + record);
+    });
+    return records.join('\r\n') + '\r\n';
+}
+
+module.exports = { buildAchFile };
@@ -0,0 +1,47 @@
+/**
+ * Server Configuration - ShelterPoint Portal
+ * Settings come from environment variables with development defaults.
+ */
+
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const PORT = Number(process.env.PORT || 3000);
+
+module.exports = {
+    port: PORT,
+    // Address of the portal as seen by users, for links sent by email
+    publicUrl: (process.env.PUBLIC_URL || 'http://localhost:' + PORT).replace(/\/+$/, ''),
+    // Take the client address from X-Forwarded-For (only behind a trusted proxy)
+    trustProxy: process.env.TRUST_PROXY === 'true',
+    // Bearer token for staff-only API routes; they are refused while it is unset
+    adminToken: process.env.ADMIN_TOKEN || '',
+    // Static files (the portal pages) are served from the repository root
+    rootDir: ROOT_DIR,
+    dataDir: DATA_DIR,
+    // Files uploaded with submissions, one folder per submission number
+    uploadDir: path.join(DATA_DIR, 'uploads'),
+    mail: {
+        // 'file' writes .eml files to outboxDir; 'smtp' relays to smtpHost:smtpPort
+        transport: process.env.MAIL_TRANSPORT || 'file',
+        from: process.env.MAIL_FROM || 'ShelterPoint Quotes <quotes@shelterpoint.com>',
+        outboxDir: process.env.MAIL_OUTBOX || path.join(DATA_DIR, 'outbox'),
+        smtpHost: process.env.SMTP_HOST || '127.0.0.1',
+        smtpPort: Number(process.env.SMTP_PORT || 1025)
+    },
+    documents: {
+        // 'signature' only flags the EICAR test file; 'command' pipes each file to scanCommand
+        scan: process.env.DOCUMENT_SCAN || 'signature',
+        scanCommand: process.env.DOCUMENT_SCAN_COMMAND || ''
+    },
+    commissions: {
+        // Originator details for the commission ACH file, from the bank that sends it (the ODFI)
+        ach: {
+            odfiRouting: process.env.ACH_ODFI_ROUTING || '',
+            odfiName: process.env.ACH_ODFI_NAME || '',
+            companyId: process.env.ACH_COMPANY_ID || '',
+            companyName: process.env.ACH_COMPANY_NAME || 'SHELTERPOINT LIFE'
+        }
+    }
+};
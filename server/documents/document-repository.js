@@ -0,0 +1,291 @@
+/**
+ * Document Repository - ShelterPoint Portal
+ * Application and producer onboarding documents, uploaded one at a time
+ * while the broker works through the steps and stored with generated DOC-
+ * document IDs. Each upload is checked against its document type (file
+ * type, size limit and leading bytes), hashed with SHA-256 and run through
+ * the scan hook; infected files are not stored. A document is tagged with its
+ * type and its owner: the application's Quote ID or the onboarding packet's
+ * draft ID. A replaced document is kept, marked as replaced by the new one.
+ * When the application or packet is submitted, the submission repository
+ * attaches the documents its data names (<type>DocumentId) and they can no
+ * longer be replaced. The browser that uploads a document gets an access key
+ * to preview and replace it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { uniqueNumericId } = require('../store/json-store');
+const { HttpError, createAccessKey } = require('../http-utils');
+const { SCAN_STATUS } = require('./document-scan');
+const {
+    DOCUMENT_OWNER,
+    DOCUMENT_FILE_TYPES,
+    DOCUMENT_TYPES,
+    documentExtension,
+    checkDocumentFile,
+    documentContentMatches
+} = require('../../StateApplications/shared/document-upload.js');
+
+const DOCUMENT_STATUS = {
+    ACTIVE: 'active',
+    REPLACED: 'replaced',
+    SUBMITTED: 'submitted'
+};
+
+// Onboarding draft IDs are generated by the browser
+const DRAFT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+function safeFileName(name) {
+    return path.basename(String(name)).replace(/[^A-Za-z0-9._-]+/g, '_').slice(-100) || 'upload';
+}
+
+/**
+ * Create the repository
+ * @param {Object} collection - JSON store collection for documents
+ * @param {string} uploadDir - Directory for uploaded files (one folder per document)
+ * @param {Object} options - { scan: scan hook from document-scan.js, quotes: quote repository }
+ * @returns {Object} Repository
+ */
+function createDocumentRepository(collection, uploadDir, options) {
+    const { scan, quotes } = options;
+
+    function requireDocument(documentId) {
+        const record = collection.get(documentId);
+        if (!record) throw new HttpError(404, 'Document ' + documentId + ' was not found.');
+        return record;
+    }
+
+    /**
+     * Check the owner an upload names
+     * @param {string} documentType - Key of DOCUMENT_TYPES
+     * @param {Object} fields - { ownerKind, state, ownerId }
+     * @returns {Object} Owner { kind, state, ownerId }
+     */
+    function resolveOwner(documentType, fields) {
+        const kind = fields.ownerKind;
+        if (kind !== DOCUMENT_TYPES[documentType].owner) {
+            throw new HttpError(400, DOCUMENT_TYPES[documentType].label + ' cannot be uploaded for ' + (kind || 'this record') + '.');
+        }
+        const ownerId = String(fields.ownerId || '').trim();
+        if (kind === DOCUMENT_OWNER.APPLICATION) {
+            const state = String(fields.state || '').toUpperCase();
+            if (!ownerId) {
+                throw new HttpError(400, 'Documents can only be uploaded to an application started from a saved quote.');
+            }
+            const quote = quotes.get(ownerId);
+            if (quote.state !== state) {
+                throw new HttpError(400, 'Quote ' + ownerId + ' is for ' + quote.state + ', not ' + (state || 'this state') + '.');
+            }
+            return { kind, state, ownerId };
+        }
+        if (!DRAFT_ID_PATTERN.test(ownerId)) {
+            throw new HttpError(400, 'Onboarding documents need the onboarding draft ID.');
+        }
+        return { kind, state: null, ownerId };
+    }
+
+    /**
+     * Check, hash, scan and store one file
+     * @param {string} documentType - Key of DOCUMENT_TYPES
+     * @param {Object} owner - { kind, state, ownerId }
+     * @param {Object} file - Uploaded file from readMultipartBody
+     * @param {string} replaces - Document ID the file replaces (optional)
+     * @returns {Promise<Object>} Document record, with its accessKey
+     */
+    async function store(documentType, owner, file, replaces = null) {
+        const fieldKey = documentType + 'Name';
+        const error = checkDocumentFile(documentType, file.filename, file.data.length);
+        if (error) {
+            throw new HttpError(422, error, { [fieldKey]: error });
+        }
+        if (!documentContentMatches(file.filename, file.data)) {
+            const message = 'The content of ' + file.filename + ' does not match its file type.';
+            throw new HttpError(422, message, { [fieldKey]: message });
+        }
+
+        const contentType = DOCUMENT_FILE_TYPES[documentExtension(file.filename)];
+        let result;
+        try {
+            result = await scan.scan({ filename: file.filename, contentType, content: file.data });
+        } catch (err) {
+            console.error('Document scan failed:', err.message);
+            throw new HttpError(502, 'We could not check ' + file.filename + ' for viruses right now. Please try again later.');
+        }
+        if (result.status !== SCAN_STATUS.CLEAN) {
+            const message = file.filename + ' did not pass the virus scan and was not stored.';
+            throw new HttpError(422, message, { [fieldKey]: message });
+        }
+
+        const documentId = uniqueNumericId(collection, 10, 'DOC-');
+        const storedName = safeFileName(file.filename);
+        const dir = path.join(uploadDir, documentId);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, storedName), file.data);
+        const now = new Date().toISOString();
+        const { accessKey, accessKeyHash } = createAccessKey();
+        const record = await collection.put(documentId, {
+            documentId,
+            documentType,
+            label: DOCUMENT_TYPES[documentType].label,
+            owner,
+            status: DOCUMENT_STATUS.ACTIVE,
+            filename: file.filename,
+            contentType,
+            size: file.data.length,
+            sha256: crypto.createHash('sha256').update(file.data).digest('hex'),
+            scan: { status: result.status, scanner: result.scanner, detail: result.detail || '', scannedAt: now },
+            uploadedAt: now,
+            replaces,
+            replacedBy: null,
+            submissionNumber: null,
+            storedName,
+            accessKeyHash
+        });
+        return { ...record, accessKey };
+    }
+
+    function onlyFile(files) {
+        const upload = files.filter(file => file.field === 'file');
+        if (upload.length !== 1) throw new HttpError(400, 'Send exactly one file in the "file" field.');
+        return upload[0];
+    }
+
+    return {
+        /**
+         * Store an uploaded document
+         * @param {Object} fields - { documentType, ownerKind, state, ownerId }
+         * @param {Object[]} files - Uploaded files from readMultipartBody (one, in the 'file' field)
+         * @returns {Promise<Object>} Document record, with its accessKey
+         */
+        async upload(fields, files) {
+            const documentType = fields.documentType;
+            if (!DOCUMENT_TYPES[documentType]) {
+                throw new HttpError(400, 'Unknown document type: ' + (documentType || 'none'));
+            }
+            const owner = resolveOwner(documentType, fields);
+            return store(documentType, owner, onlyFile(files));
+        },
+
+        /**
+         * Store a new file in place of a document that has not been submitted
+         * @param {string} documentId - DOC- document ID
+         * @param {Object[]} files - Uploaded files from readMultipartBody (one, in the 'file' field)
+         * @returns {Promise<Object>} Record of the new document, with its accessKey
+         */
+        async replace(documentId, files) {
+            const record = requireDocument(documentId);
+            if (record.status !== DOCUMENT_STATUS.ACTIVE) {
+                throw new HttpError(409, 'Document ' + documentId + ' has already been ' + record.status + '.');
+            }
+            const replacement = await store(record.documentType, record.owner, onlyFile(files), documentId);
+            record.status = DOCUMENT_STATUS.REPLACED;
+            record.replacedBy = replacement.documentId;
+            await collection.put(documentId, record);
+            return replacement;
+        },
+
+        /**
+         * Check the documents a submission names and describe them for its record
+         * Every document type whose file name (<type>Name) is in the data must
+         * name an uploaded document (<type>DocumentId) of the same owner that
+         * has not been replaced or submitted.
+         * @param {Object} submission - { kind, state, quoteId, data }
+         * @returns {Object[]} Documents for the submission record
+         */
+        forSubmission(submission) {
+            const data = submission.data;
+            const fieldErrors = {};
+            const documents = [];
+            Object.keys(DOCUMENT_TYPES).filter(type => DOCUMENT_TYPES[type].owner === submission.kind).forEach(type => {
+                const documentId = data[type + 'DocumentId'];
+                if (!documentId && !data[type + 'Name']) return;
+                const record = documentId ? collection.get(documentId) : null;
+                const ownerId = submission.kind === DOCUMENT_OWNER.APPLICATION ? submission.quoteId : data.documentDraftId;
+                let error = null;
+                if (!record || record.documentType !== type || record.owner.ownerId !== ownerId
+                    || (record.owner.state && record.owner.state !== submission.state)) {
+                    error = 'Please upload the ' + DOCUMENT_TYPES[type].label + ' again.';
+                } else if (record.status !== DOCUMENT_STATUS.ACTIVE) {
+                    error = DOCUMENT_TYPES[type].label + ' has been ' + record.status + '. Please upload it again.';
+                }
+                if (error) {
+                    fieldErrors[type + 'Name'] = error;
+                    return;
+                }
+                documents.push({
+                    documentId,
+                    documentType: type,
+                    filename: record.filename,
+                    contentType: record.contentType,
+                    size: record.size,
+                    sha256: record.sha256
+                });
+            });
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before submitting.', fieldErrors);
+            }
+            return documents;
+        },
+
+        /**
+         * Mark documents as sent with a submission
+         * @param {Object[]} documents - From forSubmission
+         * @param {string} submissionNumber - SP- submission number
+         * @returns {Promise<void>}
+         */
+        async attach(documents, submissionNumber) {
+            for (const document of documents) {
+                const record = requireDocument(document.documentId);
+                record.status = DOCUMENT_STATUS.SUBMITTED;
+                record.submissionNumber = submissionNumber;
+                await collection.put(record.documentId, record);
+            }
+        },
+
+        /**
+         * The stored file of a document
+         * @param {string} documentId - DOC- document ID
+         * @returns {Promise<Object>} { filename, contentType, content }
+         */
+        async content(documentId) {
+            const record = requireDocument(documentId);
+            const content = await fs.promises.readFile(path.join(uploadDir, documentId, record.storedName));
+            return { filename: record.filename, contentType: record.contentType, content };
+        },
+
+        /** @returns {Object} Document record */
+        get(documentId) {
+            return requireDocument(documentId);
+        },
+
+        /**
+         * Hash of a document's access key, for the owner check
+         * @param {string} documentId - DOC- document ID
+         * @returns {string|null} Hash, or null when there is no such document or it has no key
+         */
+        accessKeyHash(documentId) {
+            const record = collection.get(documentId);
+            return (record && record.accessKeyHash) || null;
+        },
+
+        /**
+         * List an owner's documents, newest first
+         * @param {Object} filter - { ownerKind, ownerId, all } (replaced documents only with all)
+         * @returns {Object[]} Document records
+         */
+        list(filter = {}) {
+            return collection.all()
+                .filter(r => !filter.ownerKind || r.owner.kind === filter.ownerKind)
+                .filter(r => !filter.ownerId || r.owner.ownerId === filter.ownerId)
+                .filter(r => filter.all || r.status !== DOCUMENT_STATUS.REPLACED)
+                .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+        }
+    };
+}
+
+module.exports = {
+    createDocumentRepository,
+    DOCUMENT_STATUS
+};
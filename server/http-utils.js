@@ -0,0 +1,243 @@
+/**
+ * HTTP Helpers - ShelterPoint Portal
+ * JSON request/response helpers, the API error type, the staff and owner
+ * access checks and static file serving.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_JSON_BODY = 10 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Error returned to API clients as { error, fieldErrors }
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Message shown to the user
+     * @param {Object} fieldErrors - Field key to message map (optional)
+     */
+    constructor(status, message, fieldErrors) {
+        super(message);
+        this.status = status;
+        this.fieldErrors = fieldErrors || null;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store'
+    });
+    res.end(payload);
+}
+
+/**
+ * Send a file as a download
+ * With inline, the browser shows the file instead (for previews); its content
+ * type is then never sniffed.
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} file - { filename, contentType, content }
+ * @param {Object} options - { inline }
+ */
+function sendDownload(res, file, options = {}) {
+    const disposition = options.inline ? 'inline' : 'attachment';
+    res.writeHead(200, {
+        'Content-Type': file.contentType || 'application/octet-stream',
+        'Content-Length': file.content.length,
+        'Content-Disposition': disposition + '; filename="' + String(file.filename).replace(/[^A-Za-z0-9._-]+/g, '_') + '"',
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'no-store'
+    });
+    res.end(file.content);
+}
+
+/**
+ * Read the raw request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Buffer>} Body bytes
+ */
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request is too large.'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+async function readJsonBody(req) {
+    const body = await readBody(req, MAX_JSON_BODY);
+    if (body.length === 0) return {};
+    try {
+        return JSON.parse(body.toString('utf8'));
+    } catch (err) {
+        throw new HttpError(400, 'Request body is not valid JSON.');
+    }
+}
+
+/**
+ * IP address of the client that sent a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {boolean} trustProxy - Use the first X-Forwarded-For address when present
+ * @returns {string} Client IP address
+ */
+function clientAddress(req, trustProxy) {
+    const forwarded = trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+    return forwarded || req.socket.remoteAddress || '';
+}
+
+/**
+ * Refuse a staff-only request that does not carry the admin token
+ * The token is sent as "Authorization: Bearer <token>".
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} config - Server configuration (adminToken)
+ * @throws {HttpError} 503 while no token is configured, 401 without the right token
+ */
+function requireAdmin(req, config) {
+    if (!config.adminToken) {
+        throw new HttpError(503, 'Staff access is not set up on this server.');
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ''));
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!match || !crypto.timingSafeEqual(digest(match[1].trim()), digest(config.adminToken))) {
+        throw new HttpError(401, 'Please enter the staff access token.');
+    }
+}
+
+/**
+ * Hash of a record's access key, as kept on the record
+ * @param {string} accessKey - Access key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashAccessKey(accessKey) {
+    return crypto.createHash('sha256').update(String(accessKey)).digest('hex');
+}
+
+/**
+ * A new access key for the browser that creates a record
+ * Only the hash is stored; the key itself is returned to the browser once.
+ * @returns {Object} { accessKey, accessKeyHash }
+ */
+function createAccessKey() {
+    const accessKey = crypto.randomBytes(24).toString('base64url');
+    return { accessKey, accessKeyHash: hashAccessKey(accessKey) };
+}
+
+/**
+ * Refuse a request that carries neither the admin token nor the record's access key
+ * The key is sent as an "X-Access-Key" header, or as a key query parameter
+ * on links the browser opens itself.
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} config - Server configuration (adminToken)
+ * @param {string} accessKeyHash - Hash of the record's access key (records stored before keys were issued have none)
+ * @throws {HttpError} 503 while no token is configured, 401 without the token or key
+ */
+function requireAdminOrOwner(req, config, accessKeyHash) {
+    const accessKey = req.headers['x-access-key'] || new URL(req.url, 'http://localhost').searchParams.get('key');
+    const expected = Buffer.from(String(accessKeyHash || ''));
+    const given = Buffer.from(hashAccessKey(accessKey || ''));
+    if (accessKey && expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+        return;
+    }
+    requireAdmin(req, config);
+}
+
+/**
+ * Serve a file below rootDir for GET/HEAD requests
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} rootDir - Directory to serve
+ * @param {string[]} hiddenDirs - Top-level directories that must not be served
+ */
+function serveStatic(req, res, rootDir, hiddenDirs) {
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (err) {
+        pathname = '';
+    }
+    let filePath = path.normalize(path.join(rootDir, pathname));
+    const relative = path.relative(rootDir, filePath);
+    const topLevel = relative.split(path.sep)[0];
+
+    if (!pathname || relative.startsWith('..') || path.isAbsolute(relative)
+        || topLevel.startsWith('.') || (hiddenDirs || []).includes(topLevel)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
+    fs.stat(filePath, (err, stats) => {
+        if (!err && stats.isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+        fs.readFile(filePath, (readErr, data) => {
+            if (readErr) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(200, {
+                'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+                'Content-Length': data.length
+            });
+            res.end(req.method === 'HEAD' ? undefined : data);
+        });
+    });
+}
+
+module.exports = {
+    HttpError,
+    sendJson,
+    sendDownload,
+    readBody,
+    readJsonBody,
+    clientAddress,
+    requireAdmin,
+    hashAccessKey,
+    createAccessKey,
+    requireAdminOrOwner,
+    serveStatic
+};
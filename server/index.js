@@ -0,0 +1,100 @@
+/**
+ * ShelterPoint Portal Server
+ * Serves the portal pages and the JSON API under /api.
+ * Run with: node server/index.js
+ */
+
+const http = require('http');
+const config = require('./config');
+const { createRouter } = require('./router');
+const { serveStatic } = require('./http-utils');
+const { createTransport } = require('./mail/transport');
+const { createJsonCollection } = require('./store/json-store');
+const { createQuoteRepository } = require('./quotes/quote-repository');
+const { createSubmissionRepository } = require('./submissions/submission-repository');
+const { createReferralRepository } = require('./referrals/referral-repository');
+const { createDocumentRepository } = require('./documents/document-repository');
+const { createDocumentScan } = require('./documents/document-scan');
+const { createRateCardRepository } = require('./rates/rate-card-repository');
+const { createCommissionRepository } = require('./commissions/commission-repository');
+const { createRenewalRepository } = require('./renewals/renewal-repository');
+
+const ROUTES = [
+    require('./routes/quote-email'),
+    require('./routes/quotes'),
+    require('./routes/submissions'),
+    require('./routes/authorizations'),
+    require('./routes/referrals'),
+    require('./routes/documents'),
+    require('./routes/rate-cards'),
+    require('./routes/commissions'),
+    require('./routes/renewals')
+];
+
+/**
+ * Create the portal HTTP server
+ * @param {Object} overrides - Context overrides (e.g. a different mailTransport)
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createServer(overrides = {}) {
+    const referrals = overrides.referrals
+        || createReferralRepository(createJsonCollection(config.dataDir, 'referrals'), config.uploadDir);
+    const quotes = overrides.quotes
+        || createQuoteRepository(createJsonCollection(config.dataDir, 'quotes'), referrals);
+    const documents = overrides.documents
+        || createDocumentRepository(createJsonCollection(config.dataDir, 'documents'), config.uploadDir, {
+            scan: overrides.documentScan || createDocumentScan(config.documents),
+            quotes
+        });
+    const rateCards = overrides.rateCards
+        || createRateCardRepository(createJsonCollection(config.dataDir, 'rateCards'), quotes);
+    const submissions = overrides.submissions
+        || createSubmissionRepository(createJsonCollection(config.dataDir, 'submissions'), config.uploadDir, documents, quotes);
+    const renewals = overrides.renewals
+        || createRenewalRepository(createJsonCollection(config.dataDir, 'renewals'), { submissions, quotes });
+    const commissions = overrides.commissions
+        || createCommissionRepository(createJsonCollection(config.dataDir, 'commissionRuns'), {
+            submissions,
+            quotes,
+            renewals,
+            ach: config.commissions.ach
+        });
+    const context = {
+        config,
+        mailTransport: createTransport(config.mail),
+        referrals,
+        quotes,
+        documents,
+        rateCards,
+        submissions,
+        commissions,
+        renewals,
+        ...overrides
+    };
+    const router = createRouter();
+    ROUTES.forEach(route => route.register(router, context));
+
+    return http.createServer(async (req, res) => {
+        if (await router.handle(req, res)) return;
+        if (req.url.startsWith('/api/')) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Not found.' }));
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Content-Type': 'text/plain' });
+            res.end('Method not allowed');
+            return;
+        }
+        serveStatic(req, res, config.rootDir, ['server']);
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(config.port, () => {
+        console.log('ShelterPoint portal running at http://localhost:' + config.port + '/');
+        console.log('Mail transport: ' + config.mail.transport);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,57 @@
+/**
+ * Employer Authorization Email Template - ShelterPoint Portal
+ * Renders the email that asks the employer contact to review and sign an
+ * application through its authorization link.
+ */
+
+const { PROPOSAL_COLORS } = require('../../StateApplications/shared/quote-proposal.js');
+const { escapeHtml, formatDate } = require('./quote-email');
+
+/**
+ * Render an employer authorization request
+ * @param {Object} record - Submission record awaiting authorization
+ * @param {string} link - Signing link including its token
+ * @returns {Object} { subject, html, text }
+ */
+function renderAuthorizationEmail(record, link) {
+    const business = record.businessName || 'your business';
+    const contactName = record.employerContact.name;
+    const expires = formatDate(record.authorization.expiresAt.slice(0, 10));
+    const subject = 'Please review and sign the ShelterPoint application for ' + business;
+
+    const text = [
+        'Hello ' + contactName + ',',
+        '',
+        'Your broker has completed a ShelterPoint ' + record.state + ' application for ' + business + ' and needs your authorization to submit it.',
+        '',
+        'Review the application and sign it electronically here:',
+        link,
+        '',
+        'Submission number: ' + record.submissionNumber,
+        'This link expires on ' + expires + '. Please do not forward this email; anyone with the link can sign.',
+        '',
+        'ShelterPoint Life Insurance Company',
+        'Sales: 800-365-4999 | sales@shelterpoint.com'
+    ].join('\n');
+
+    const html = '<!DOCTYPE html><html><body style="margin:0;background:' + PROPOSAL_COLORS.background + ';font-family:Arial,Helvetica,sans-serif;color:' + PROPOSAL_COLORS.text + ';">'
+        + '<div style="max-width:600px;margin:0 auto;background:#fff;">'
+        + '<div style="background:' + PROPOSAL_COLORS.primary + ';color:#fff;padding:24px;">'
+        + '<div style="font-size:20px;font-weight:bold;">Employer Authorization Requested</div>'
+        + '<div style="font-size:14px;margin-top:4px;">' + escapeHtml(business) + '</div>'
+        + '</div>'
+        + '<div style="padding:24px;font-size:14px;">'
+        + '<p style="margin:0 0 16px;">Hello ' + escapeHtml(contactName) + ',</p>'
+        + '<p style="margin:0 0 16px;">Your broker has completed a ShelterPoint ' + escapeHtml(record.state) + ' application for <strong>' + escapeHtml(business) + '</strong> and needs your authorization to submit it.</p>'
+        + '<p style="margin:24px 0;text-align:center;"><a href="' + escapeHtml(link) + '" style="display:inline-block;background:' + PROPOSAL_COLORS.secondary + ';color:#fff;text-decoration:none;font-weight:bold;padding:12px 24px;border-radius:6px;">Review and Sign</a></p>'
+        + '<p style="margin:0 0 8px;">Submission number: <strong>' + escapeHtml(record.submissionNumber) + '</strong></p>'
+        + '<p style="margin:0;font-size:12px;color:' + PROPOSAL_COLORS.light + ';">This link expires on ' + escapeHtml(expires) + '. Please do not forward this email; anyone with the link can sign.</p>'
+        + '</div>'
+        + '<div style="border-top:1px solid ' + PROPOSAL_COLORS.border + ';padding:16px 24px;font-size:12px;color:' + PROPOSAL_COLORS.light + ';">'
+        + 'ShelterPoint Life Insurance Company<br>Sales: 800-365-4999 | sales@shelterpoint.com'
+        + '</div></div></body></html>';
+
+    return { subject, html, text };
+}
+
+module.exports = { renderAuthorizationEmail };
@@ -0,0 +1,71 @@
+/**
+ * MIME Message Builder - ShelterPoint Portal
+ * Builds an RFC 5322 message with text and HTML alternatives and attachments.
+ */
+
+const crypto = require('crypto');
+
+function encodeHeader(value) {
+    const text = String(value || '');
+    // RFC 2047 encoded-word for anything outside printable ASCII
+    return /^[\x20-\x7E]*$/.test(text)
+        ? text
+        : '=?UTF-8?B?' + Buffer.from(text, 'utf8').toString('base64') + '?=';
+}
+
+function wrapBase64(buffer) {
+    return buffer.toString('base64').replace(/.{1,76}/g, '$&\r\n').replace(/\r\n$/, '');
+}
+
+/**
+ * Build a MIME message
+ * @param {Object} message - { from, to, subject, text, html, attachments: [{ filename, contentType, content }] }
+ * @returns {Object} { messageId, raw } where raw is the full message with CRLF line endings
+ */
+function buildMimeMessage(message) {
+    const boundary = 'sp-' + crypto.randomBytes(12).toString('hex');
+    const altBoundary = boundary + '-alt';
+    const domain = String(message.from || '').replace(/^.*@/, '').replace(/>.*$/, '') || 'localhost';
+    const messageId = '<' + crypto.randomUUID() + '@' + domain + '>';
+
+    const lines = [
+        'From: ' + message.from,
+        'To: ' + message.to,
+        'Subject: ' + encodeHeader(message.subject),
+        'Date: ' + new Date().toUTCString().replace('GMT', '+0000'),
+        'Message-ID: ' + messageId,
+        'MIME-Version: 1.0',
+        'Content-Type: multipart/mixed; boundary="' + boundary + '"',
+        '',
+        '--' + boundary,
+        'Content-Type: multipart/alternative; boundary="' + altBoundary + '"',
+        '',
+        '--' + altBoundary,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrapBase64(Buffer.from(message.text || '', 'utf8')),
+        '--' + altBoundary,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrapBase64(Buffer.from(message.html || '', 'utf8')),
+        '--' + altBoundary + '--'
+    ];
+
+    (message.attachments || []).forEach(attachment => {
+        lines.push(
+            '--' + boundary,
+            'Content-Type: ' + attachment.contentType + '; name="' + attachment.filename + '"',
+            'Content-Disposition: attachment; filename="' + attachment.filename + '"',
+            'Content-Transfer-Encoding: base64',
+            '',
+            wrapBase64(Buffer.from(attachment.content))
+        );
+    });
+    lines.push('--' + boundary + '--', '');
+
+    return { messageId, raw: lines.join('\r\n') };
+}
+
+module.exports = { buildMimeMessage };
@@ -0,0 +1,106 @@
+/**
+ * Quote Email Template - ShelterPoint Portal
+ * Renders the HTML and plain-text bodies of a quote email from the same
+ * sections used in the PDF proposal.
+ */
+
+const {
+    describeProposalQuote,
+    PROPOSAL_COLORS,
+    PROPOSAL_DISCLAIMER
+} = require('../../StateApplications/shared/quote-proposal.js');
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    return match ? match[2] + '/' + match[3] + '/' + match[1] : (value || '');
+}
+
+/**
+ * Render a quote email
+ * @param {Object} proposal - Proposal details (see buildQuoteProposal)
+ * @returns {Object} { subject, html, text }
+ */
+function renderQuoteEmail(proposal) {
+    const content = describeProposalQuote(proposal);
+    const business = proposal.businessName || 'your business';
+    const subject = 'Your ShelterPoint ' + proposal.productName + ' quote'
+        + (proposal.businessName ? ' for ' + proposal.businessName : '');
+
+    // Plain text
+    const text = [
+        'ShelterPoint ' + proposal.productName + ' Quote',
+        '',
+        'Prepared for: ' + business,
+        'Effective date: ' + formatDate(proposal.effectiveDate),
+        proposal.quoteId ? 'Quote ID: ' + proposal.quoteId : null,
+        '',
+        content.highlight.label + ': ' + content.highlight.value,
+        content.highlight.savings || null,
+        ''
+    ].filter(line => line !== null);
+    content.sections.forEach(section => {
+        text.push(section.title);
+        section.rows.forEach(row => text.push('  ' + row[0] + ': ' + row[1]));
+        text.push('');
+    });
+    text.push(
+        'The full proposal is attached as a PDF.',
+        '',
+        PROPOSAL_DISCLAIMER,
+        '',
+        'ShelterPoint Life Insurance Company',
+        'Sales: 800-365-4999 | sales@shelterpoint.com'
+    );
+
+    // HTML
+    const sectionsHtml = content.sections.map(section => {
+        const rows = section.rows.map(row =>
+            '<tr><td style="padding:6px 0;border-bottom:1px solid ' + PROPOSAL_COLORS.border + ';">' + escapeHtml(row[0]) + '</td>'
+            + '<td style="padding:6px 0;border-bottom:1px solid ' + PROPOSAL_COLORS.border + ';text-align:right;">' + escapeHtml(row[1]) + '</td></tr>'
+        ).join('');
+        return '<h3 style="color:' + PROPOSAL_COLORS.primary + ';font-size:15px;margin:24px 0 8px;">' + escapeHtml(section.title) + '</h3>'
+            + '<table style="width:100%;border-collapse:collapse;font-size:14px;">' + rows + '</table>';
+    }).join('');
+
+    const html = '<!DOCTYPE html><html><body style="margin:0;background:' + PROPOSAL_COLORS.background + ';font-family:Arial,Helvetica,sans-serif;color:' + PROPOSAL_COLORS.text + ';">'
+        + '<div style="max-width:600px;margin:0 auto;background:#fff;">'
+        + '<div style="background:' + PROPOSAL_COLORS.primary + ';color:#fff;padding:24px;">'
+        + '<div style="font-size:20px;font-weight:bold;">ShelterPoint Quote Proposal</div>'
+        + '<div style="font-size:14px;margin-top:4px;">' + escapeHtml(proposal.productName) + '</div>'
+        + '</div>'
+        + '<div style="padding:24px;">'
+        + '<p style="margin:0 0 4px;font-size:12px;color:' + PROPOSAL_COLORS.light + ';">Prepared for</p>'
+        + '<p style="margin:0 0 16px;font-size:18px;font-weight:bold;color:' + PROPOSAL_COLORS.primary + ';">' + escapeHtml(business) + '</p>'
+        + '<p style="margin:0 0 16px;font-size:14px;">Effective date: <strong>' + escapeHtml(formatDate(proposal.effectiveDate)) + '</strong>'
+        + (proposal.quoteId ? ' &nbsp;|&nbsp; Quote ID: <strong>' + escapeHtml(proposal.quoteId) + '</strong>' : '') + '</p>'
+        + '<div style="background:' + PROPOSAL_COLORS.background + ';border:1px solid ' + PROPOSAL_COLORS.border + ';border-radius:8px;padding:16px;">'
+        + '<div style="font-size:12px;color:' + PROPOSAL_COLORS.light + ';">' + escapeHtml(content.highlight.label) + '</div>'
+        + '<div style="font-size:24px;font-weight:bold;color:' + PROPOSAL_COLORS.primary + ';">' + escapeHtml(content.highlight.value) + '</div>'
+        + (content.highlight.savings
+            ? '<div style="font-size:14px;font-weight:bold;color:' + PROPOSAL_COLORS.success + ';margin-top:4px;">' + escapeHtml(content.highlight.savings) + '</div>'
+            : '')
+        + '</div>'
+        + sectionsHtml
+        + '<p style="margin:24px 0 0;font-size:14px;">The full proposal is attached as a PDF.</p>'
+        + '<p style="margin:16px 0 0;font-size:12px;color:' + PROPOSAL_COLORS.light + ';">' + escapeHtml(PROPOSAL_DISCLAIMER) + '</p>'
+        + '</div>'
+        + '<div style="border-top:1px solid ' + PROPOSAL_COLORS.border + ';padding:16px 24px;font-size:12px;color:' + PROPOSAL_COLORS.light + ';">'
+        + 'ShelterPoint Life Insurance Company<br>Sales: 800-365-4999 | sales@shelterpoint.com'
+        + '</div></div></body></html>';
+
+    return { subject, html, text: text.join('\n') };
+}
+
+module.exports = {
+    renderQuoteEmail,
+    escapeHtml,
+    formatDate
+};
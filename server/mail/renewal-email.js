@@ -0,0 +1,56 @@
+/**
+ * Renewal Notice Email Template - ShelterPoint Portal
+ * Renders the email that sends a released renewal notice to the employer,
+ * with the renewal comparison rows of the attached PDF notice.
+ */
+
+const { PROPOSAL_COLORS } = require('../../StateApplications/shared/quote-proposal.js');
+const { RENEWAL_DISCLAIMER, renewalSummaryRows } = require('../../StateApplications/shared/renewal-notice.js');
+const { escapeHtml, formatDate } = require('./quote-email');
+
+/**
+ * Render a renewal notice email
+ * @param {Object} record - Renewal notice record being released
+ * @returns {Object} { subject, html, text }
+ */
+function renderRenewalEmail(record) {
+    const business = record.businessName || 'your business';
+    const renewal = formatDate(record.renewalDate);
+    const subject = 'Your ShelterPoint ' + record.productName + ' renewal for ' + business + ' on ' + renewal;
+    const rows = renewalSummaryRows(record);
+
+    const text = [
+        'ShelterPoint ' + record.productName + ' Renewal',
+        '',
+        'The ' + record.productName + ' policy for ' + business + ' renews on ' + renewal + '. Your renewal notice is attached.',
+        '',
+        ...rows.map(row => row[0] + ': ' + row[1]),
+        '',
+        RENEWAL_DISCLAIMER,
+        '',
+        'ShelterPoint Life Insurance Company',
+        'Sales: 800-365-4999 | sales@shelterpoint.com'
+    ].join('\n');
+
+    const html = '<!DOCTYPE html><html><body style="margin:0;background:' + PROPOSAL_COLORS.background + ';font-family:Arial,Helvetica,sans-serif;color:' + PROPOSAL_COLORS.text + ';">'
+        + '<div style="max-width:600px;margin:0 auto;background:#fff;">'
+        + '<div style="background:' + PROPOSAL_COLORS.primary + ';color:#fff;padding:24px;">'
+        + '<div style="font-size:20px;font-weight:bold;">Renewal Notice</div>'
+        + '<div style="font-size:14px;margin-top:4px;">' + escapeHtml(record.productName) + ' – ' + escapeHtml(business) + '</div>'
+        + '</div>'
+        + '<div style="padding:24px;font-size:14px;">'
+        + '<p style="margin:0 0 16px;">The ' + escapeHtml(record.productName) + ' policy for <strong>' + escapeHtml(business) + '</strong> renews on <strong>' + escapeHtml(renewal) + '</strong>. Your renewal notice is attached.</p>'
+        + '<table style="width:100%;border-collapse:collapse;font-size:14px;">'
+        + rows.map(row => '<tr><td style="padding:6px 0;border-bottom:1px solid ' + PROPOSAL_COLORS.border + ';">' + escapeHtml(row[0]) + '</td>'
+            + '<td style="padding:6px 0;border-bottom:1px solid ' + PROPOSAL_COLORS.border + ';text-align:right;">' + escapeHtml(row[1]) + '</td></tr>').join('')
+        + '</table>'
+        + '<p style="margin:16px 0 0;font-size:12px;color:' + PROPOSAL_COLORS.light + ';">' + escapeHtml(RENEWAL_DISCLAIMER) + '</p>'
+        + '</div>'
+        + '<div style="border-top:1px solid ' + PROPOSAL_COLORS.border + ';padding:16px 24px;font-size:12px;color:' + PROPOSAL_COLORS.light + ';">'
+        + 'ShelterPoint Life Insurance Company<br>Sales: 800-365-4999 | sales@shelterpoint.com'
+        + '</div></div></body></html>';
+
+    return { subject, html, text };
+}
+
+module.exports = { renderRenewalEmail };
@@ -0,0 +1,136 @@
+/**
+ * Mail Transports - ShelterPoint Portal
+ * Every transport has the same interface:
+ *   send({ from, to, subject, text, html, attachments }) => Promise<{ messageId, transport }>
+ * 'file' writes each message as an .eml file (development and tests);
+ * 'smtp' relays to an SMTP server such as a local MailHog/Mailpit stand-in.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { buildMimeMessage } = require('./mime');
+
+const SMTP_TIMEOUT_MS = 15000;
+
+function extractAddress(value) {
+    const match = /<([^>]+)>/.exec(String(value || ''));
+    return match ? match[1] : String(value || '').trim();
+}
+
+/**
+ * Transport that writes messages to a directory as .eml files
+ * @param {Object} options - { outboxDir }
+ * @returns {Object} Transport
+ */
+function createFileTransport(options) {
+    return {
+        name: 'file',
+        async send(message) {
+            const { messageId, raw } = buildMimeMessage(message);
+            await fs.promises.mkdir(options.outboxDir, { recursive: true });
+            const fileName = new Date().toISOString().replace(/[:.]/g, '-') + '-'
+                + messageId.replace(/[<>@]/g, '').slice(0, 36) + '.eml';
+            const filePath = path.join(options.outboxDir, fileName);
+            await fs.promises.writeFile(filePath, raw);
+            return { messageId, transport: 'file', path: filePath };
+        }
+    };
+}
+
+/**
+ * Run one SMTP conversation (no auth or TLS; intended for a local relay)
+ * @param {Object} options - { host, port }
+ * @param {string} from - Envelope sender
+ * @param {string[]} recipients - Envelope recipients
+ * @param {string} raw - Full message
+ * @returns {Promise<void>}
+ */
+function smtpSend(options, from, recipients, raw) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: options.host, port: options.port });
+        // Each entry is [command to send, expected reply code]
+        const steps = [
+            [null, 220],
+            ['EHLO shelterpoint-portal', 250],
+            ['MAIL FROM:<' + from + '>', 250],
+            ...recipients.map(to => ['RCPT TO:<' + to + '>', 250]),
+            ['DATA', 354],
+            [raw.replace(/\r\n\./g, '\r\n..') + '\r\n.', 250],
+            ['QUIT', 221]
+        ];
+        let buffer = '';
+        let settled = false;
+
+        function finish(err) {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            if (err) reject(err); else resolve();
+        }
+
+        function next() {
+            const step = steps[0];
+            if (step && step[0] !== null) socket.write(step[0] + '\r\n');
+        }
+
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => finish(new Error('SMTP server timed out')));
+        socket.on('error', err => finish(err));
+        socket.on('close', () => finish(steps.length ? new Error('SMTP connection closed unexpectedly') : null));
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            // A complete reply ends with a line whose code is followed by a space
+            const lines = buffer.split('\r\n');
+            const last = lines.filter(Boolean).pop() || '';
+            if (!buffer.endsWith('\r\n') || !/^\d{3} /.test(last)) return;
+            buffer = '';
+
+            const code = Number(last.slice(0, 3));
+            const expected = steps.shift()[1];
+            if (code !== expected) {
+                finish(new Error('SMTP error: ' + last));
+                return;
+            }
+            if (steps.length === 0) finish(null); else next();
+        });
+    });
+}
+
+/**
+ * Transport that relays through an SMTP server
+ * @param {Object} options - { host, port }
+ * @returns {Object} Transport
+ */
+function createSmtpTransport(options) {
+    return {
+        name: 'smtp',
+        async send(message) {
+            const { messageId, raw } = buildMimeMessage(message);
+            const recipients = String(message.to).split(',').map(extractAddress).filter(Boolean);
+            await smtpSend(options, extractAddress(message.from), recipients, raw);
+            return { messageId, transport: 'smtp' };
+        }
+    };
+}
+
+/**
+ * Create the transport named in the mail configuration
+ * @param {Object} mailConfig - config.mail
+ * @returns {Object} Transport
+ */
+function createTransport(mailConfig) {
+    switch (mailConfig.transport) {
+        case 'file':
+            return createFileTransport({ outboxDir: mailConfig.outboxDir });
+        case 'smtp':
+            return createSmtpTransport({ host: mailConfig.smtpHost, port: mailConfig.smtpPort });
+        default:
+            throw new Error('Unknown mail transport: ' + mailConfig.transport);
+    }
+}
+
+module.exports = {
+    createTransport,
+    createFileTransport,
+    createSmtpTransport
+};
@@ -0,0 +1,87 @@
+/**
+ * Multipart Parser - ShelterPoint Portal
+ * Reads multipart/form-data request bodies (file uploads) into text fields
+ * and file buffers.
+ */
+
+const { HttpError, readBody } = require('./http-utils');
+
+const MAX_MULTIPART_BODY = 25 * 1024 * 1024;
+
+/**
+ * True when the request body is multipart/form-data
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean}
+ */
+function isMultipart(req) {
+    return /^multipart\/form-data/i.test(req.headers['content-type'] || '');
+}
+
+function parseHeaders(text) {
+    const headers = {};
+    text.split('\r\n').forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+    return headers;
+}
+
+function headerParam(header, name) {
+    const match = new RegExp('(?:^|;)\\s*' + name + '="([^"]*)"', 'i').exec(header || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Read and parse a multipart/form-data request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} { fields: { name: value }, files: [{ field, filename, contentType, data }] }
+ */
+async function readMultipartBody(req) {
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type'] || '');
+    if (!boundaryMatch) throw new HttpError(400, 'Upload is missing its multipart boundary.');
+    const boundary = Buffer.from('--' + (boundaryMatch[1] || boundaryMatch[2]).trim());
+    const body = await readBody(req, MAX_MULTIPART_BODY);
+
+    const fields = {};
+    const files = [];
+    let start = body.indexOf(boundary);
+    if (start < 0) throw new HttpError(400, 'Upload could not be read.');
+
+    while (start >= 0) {
+        const partStart = start + boundary.length;
+        // '--' after the boundary marks the end of the body
+        if (body.slice(partStart, partStart + 2).toString() === '--') break;
+        const next = body.indexOf(boundary, partStart);
+        if (next < 0) throw new HttpError(400, 'Upload could not be read.');
+
+        // Each part is CRLF, headers, blank line, content, CRLF
+        const part = body.slice(partStart + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd >= 0) {
+            const headers = parseHeaders(part.slice(0, headerEnd).toString('utf8'));
+            const content = part.slice(headerEnd + 4);
+            const disposition = headers['content-disposition'];
+            const name = headerParam(disposition, 'name');
+            const filename = headerParam(disposition, 'filename');
+            if (name && filename !== null) {
+                if (filename) {
+                    files.push({
+                        field: name,
+                        filename,
+                        contentType: headers['content-type'] || 'application/octet-stream',
+                        data: content
+                    });
+                }
+            } else if (name) {
+                fields[name] = content.toString('utf8');
+            }
+        }
+        start = next;
+    }
+    return { fields, files };
+}
+
+module.exports = {
+    isMultipart,
+    readMultipartBody
+};
@@ -0,0 +1,319 @@
+/**
+ * Quote Repository - ShelterPoint Portal
+ * Saved quotes with generated 9-digit Quote IDs. Each save re-rates the quote
+ * on the server so the stored premium always matches the stored census and
+ * selections. A quote naming a large-group referral is rated with the
+ * underwriter's rate from that referral.
+ *
+ * Once an application is submitted from a quote the quote is kept as it is,
+ * and the application keeps a copy of its premium for commissions. The
+ * browser that saves a new quote gets an access key for its documents.
+ */
+
+const { uniqueNumericId } = require('../store/json-store');
+const { proposalFromSavedQuote } = require('./saved-quote');
+const { HttpError, createAccessKey } = require('../http-utils');
+const { annualPremiumByProduct } = require('../../StateApplications/shared/commissions.js');
+const { isCalendarDate } = require('../../StateApplications/shared/application-rules.js');
+
+// Quotes can be used to start an application for this many days after they are saved
+const QUOTE_VALID_DAYS = 60;
+
+const QUOTE_STATUS = {
+    SAVED: 'saved',
+    APPLICATION: 'application',
+    EXPIRED: 'expired'
+};
+
+function addDays(date, days) {
+    const result = new Date(date.getTime());
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+/**
+ * Rate the quote payload with the underwriter's rate of the referral it names
+ * @param {string} state - Two-letter state code
+ * @param {Object} data - Saved quote payload
+ * @param {Object} referrals - Referral repository
+ * @returns {Object} Proposal (see proposalFromSavedQuote) with its rateOverride
+ */
+function rateProposal(state, data, referrals) {
+    const rateOverride = data.referralId ? referrals.rateOverrideFor(data.referralId, state, data) : null;
+    return { ...proposalFromSavedQuote(state, data, rateOverride), rateOverride };
+}
+
+/**
+ * Refuse a quote payload without a real effective date
+ * @param {Object} data - Saved quote payload
+ */
+function requireEffectiveDate(data) {
+    if (!isCalendarDate(data.effectiveDate)) {
+        throw new HttpError(400, 'Effective date must be a valid date.', { effectiveDate: 'Effective date must be a valid date.' });
+    }
+}
+
+/**
+ * Rate the quote payload and describe it for listings
+ * @param {string} state - Two-letter state code
+ * @param {Object} data - Saved quote payload
+ * @param {Object} referrals - Referral repository, for quotes naming a referralId
+ * @returns {Object} Rated fields stored on the record
+ */
+function rateQuoteData(state, data, referrals) {
+    const proposal = rateProposal(state, data, referrals);
+    const rateOverride = proposal.rateOverride;
+    const quote = proposal.quote;
+    return {
+        state: proposal.state,
+        productName: proposal.productName,
+        businessName: proposal.businessName,
+        effectiveDate: proposal.effectiveDate,
+        referralId: rateOverride ? data.referralId : null,
+        premium: {
+            amount: Math.round(quote.displayAmount * 100) / 100,
+            billingPeriod: quote.billingPeriod,
+            totalEmployees: proposal.state === 'NY'
+                ? quote.employeeInfo.total
+                : quote.breakdown.totalEmployees
+        },
+        annualPremiums: annualPremiumByProduct(proposal.state, quote, data)
+    };
+}
+
+/**
+ * The premium an application submitted from a quote is bound at
+ * Quotes saved before the premium was split by product are split on their
+ * current rating.
+ * @param {Object} record - Quote record
+ * @param {Object} referrals - Referral repository
+ * @returns {Object} { quoteId, businessName, effectiveDate, amount, billingPeriod, totalEmployees, annualPremiums }
+ */
+function submittedPremium(record, referrals) {
+    return {
+        quoteId: record.quoteId,
+        businessName: record.businessName,
+        effectiveDate: record.effectiveDate,
+        ...record.premium,
+        annualPremiums: record.annualPremiums || rateQuoteData(record.state, record.data, referrals).annualPremiums
+    };
+}
+
+/**
+ * Current status of a record; saved quotes past their expiry read as expired
+ * @param {Object} record - Quote record
+ * @returns {Object} Record with status resolved
+ */
+function withStatus(record) {
+    if (record && record.status === QUOTE_STATUS.SAVED && new Date(record.expiresAt) < new Date()) {
+        record.status = QUOTE_STATUS.EXPIRED;
+    }
+    return record;
+}
+
+function summarize(record) {
+    const { data, ...summary } = record;
+    return summary;
+}
+
+/**
+ * Create the repository
+ * @param {Object} collection - JSON store collection for quotes
+ * @param {Object} referrals - Large-group referral repository
+ * @returns {Object} Repository
+ */
+function createQuoteRepository(collection, referrals) {
+    function requireQuote(quoteId) {
+        const record = collection.get(quoteId);
+        if (!record) throw new HttpError(404, 'Quote ' + quoteId + ' was not found.');
+        return withStatus(record);
+    }
+
+    // Applications, commissions and renewals rely on the quote an application was submitted from
+    function requireNoSubmission(record) {
+        if (record.submissionNumber) {
+            throw new HttpError(409, 'Quote ' + record.quoteId + ' has a submitted application (' + record.submissionNumber + ') and can no longer be changed. Clone it to quote again.');
+        }
+    }
+
+    return {
+        /**
+         * Save a new quote
+         * @param {string} state - Two-letter state code
+         * @param {Object} data - Saved quote payload from the quote page
+         * @param {Object} extra - Additional record fields (e.g. clonedFrom)
+         * @returns {Promise<Object>} Quote record, with its accessKey
+         */
+        async create(state, data, extra = {}) {
+            requireEffectiveDate(data);
+            const now = new Date();
+            const quoteId = uniqueNumericId(collection, 9);
+            const { accessKey, accessKeyHash } = createAccessKey();
+            const record = {
+                quoteId,
+                ...rateQuoteData(state, data, referrals),
+                status: QUOTE_STATUS.SAVED,
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+                expiresAt: addDays(now, QUOTE_VALID_DAYS).toISOString(),
+                ...extra,
+                accessKeyHash,
+                data: { ...data, quoteId }
+            };
+            return { ...(await collection.put(quoteId, record)), accessKey };
+        },
+
+        /**
+         * Replace the census and selections of a quote and re-rate it
+         * @returns {Promise<Object>} Updated quote record
+         */
+        async update(quoteId, data) {
+            const record = requireQuote(quoteId);
+            requireNoSubmission(record);
+            if (record.status === QUOTE_STATUS.EXPIRED) {
+                throw new HttpError(409, 'Quote ' + quoteId + ' has expired. Clone it to quote again.');
+            }
+            requireEffectiveDate(data);
+            const updated = {
+                ...record,
+                ...rateQuoteData(record.state, data, referrals),
+                updatedAt: new Date().toISOString(),
+                data: { ...data, quoteId }
+            };
+            return collection.put(quoteId, updated);
+        },
+
+        /** @returns {Object} Full quote record */
+        get(quoteId) {
+            return requireQuote(quoteId);
+        },
+
+        /**
+         * Hash of a quote's access key, for the owner check
+         * @param {string} quoteId - Quote ID
+         * @returns {string|null} Hash, or null when there is no such quote or it has no key
+         */
+        accessKeyHash(quoteId) {
+            const record = collection.get(quoteId);
+            return (record && record.accessKeyHash) || null;
+        },
+
+        /**
+         * List quotes, newest first, without their payloads
+         * @param {Object} filter - { state, status }
+         * @returns {Object[]} Quote summaries
+         */
+        list(filter = {}) {
+            return collection.all()
+                .map(withStatus)
+                .filter(r => !filter.state || r.state === String(filter.state).toUpperCase())
+                .filter(r => !filter.status || r.status === filter.status)
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+                .map(summarize);
+        },
+
+        /**
+         * Rate a quote's census and selections as stored, e.g. to split its premium by product
+         * @param {string} quoteId - Quote ID
+         * @param {string} effectiveDate - Rate for this effective date instead, e.g. the renewal date (optional)
+         * @returns {Object} Proposal (see proposalFromSavedQuote)
+         */
+        proposal(quoteId, effectiveDate = null) {
+            const record = requireQuote(quoteId);
+            const data = effectiveDate ? { ...record.data, effectiveDate } : record.data;
+            return rateProposal(record.state, data, referrals);
+        },
+
+        /**
+         * Rate open quotes again without storing the result, for previewing a rate change
+         * Expired quotes are left out. Quotes that no longer rate (e.g. a referral
+         * that was declined) are listed with the error instead of a premium.
+         * @param {Object} filter - { state }
+         * @returns {Object[]} { quoteId, businessName, effectiveDate, status, stored, premium | error }
+         */
+        reprice(filter = {}) {
+            return collection.all()
+                .map(withStatus)
+                .filter(r => r.status !== QUOTE_STATUS.EXPIRED)
+                .filter(r => !filter.state || r.state === String(filter.state).toUpperCase())
+                .map(record => {
+                    const result = {
+                        quoteId: record.quoteId,
+                        businessName: record.businessName,
+                        effectiveDate: record.effectiveDate,
+                        status: record.status,
+                        stored: record.premium
+                    };
+                    try {
+                        result.premium = rateQuoteData(record.state, record.data, referrals).premium;
+                    } catch (err) {
+                        result.error = err.message;
+                    }
+                    return result;
+                });
+        },
+
+        /**
+         * Copy a quote to a new Quote ID, optionally for a different effective date
+         * @returns {Promise<Object>} New quote record, with its accessKey
+         */
+        async clone(quoteId, overrides = {}) {
+            const source = requireQuote(quoteId);
+            const data = { ...source.data };
+            if (overrides.effectiveDate) data.effectiveDate = overrides.effectiveDate;
+            if (overrides.businessName) data.businessName = overrides.businessName;
+            delete data.quoteId;
+            return this.create(source.state, data, { clonedFrom: quoteId });
+        },
+
+        /**
+         * Record that an application was started from a quote
+         * @returns {Promise<Object>} Updated quote record
+         */
+        async startApplication(quoteId) {
+            const record = requireQuote(quoteId);
+            if (record.status === QUOTE_STATUS.EXPIRED) {
+                throw new HttpError(409, 'Quote ' + quoteId + ' has expired. Clone it to quote again.');
+            }
+            record.status = QUOTE_STATUS.APPLICATION;
+            record.applicationStartedAt = record.applicationStartedAt || new Date().toISOString();
+            record.updatedAt = new Date().toISOString();
+            return collection.put(quoteId, record);
+        },
+
+        /** @returns {Promise<void>} */
+        async remove(quoteId) {
+            requireNoSubmission(requireQuote(quoteId));
+            await collection.remove(quoteId);
+        },
+
+        /**
+         * Record the application submitted from a quote; the quote can no longer be changed or deleted
+         * Quotes that are not stored on the server are left alone.
+         * @returns {Promise<Object|null>} The quote's premium for the application (see submittedPremium)
+         */
+        async recordSubmission(quoteId, submissionNumber) {
+            const record = collection.get(quoteId);
+            if (!record) return null;
+            record.submissionNumber = record.submissionNumber || submissionNumber;
+            record.updatedAt = new Date().toISOString();
+            await collection.put(quoteId, record);
+            return submittedPremium(record, referrals);
+        },
+
+        /**
+         * The premium of a quote as saved, split by product
+         * For applications submitted before they kept a copy of their premium.
+         * @returns {Object} See submittedPremium
+         */
+        submittedPremium(quoteId) {
+            return submittedPremium(requireQuote(quoteId), referrals);
+        }
+    };
+}
+
+module.exports = {
+    createQuoteRepository,
+    QUOTE_STATUS,
+    QUOTE_VALID_DAYS
+};
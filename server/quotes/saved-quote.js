@@ -0,0 +1,135 @@
+/**
+ * Saved Quote Rating - ShelterPoint Portal
+ * Re-rates a saved quote payload (the *SavedQuote record written by each
+ * state's quote page) with the shared calculators and returns the proposal
+ * details used for the PDF and email. Premiums sent by the browser are never
+ * trusted; only the census and plan selections are read. Quotes of large
+ * groups are rated with the rate underwriting stored on their referral. NY
+ * quotes can carry benefitAlternatives, other DBL options to price alongside
+ * the quoted one.
+ */
+
+const { rateQuote, PFML_RATE_TABLE } = require('../../StateApplications/shared/rating-engine.js');
+const { describeRateOverride } = require('../../StateApplications/shared/large-group-referral.js');
+const nyCalculator = require('../../StateApplications/ny/quote-calculator.js');
+const njCalculator = require('../../StateApplications/nj/NJ-quote-calculator.js');
+const { HttpError } = require('../http-utils');
+
+const QUOTE_STATES = ['NY', 'NJ', ...Object.keys(PFML_RATE_TABLE)];
+
+function cleanNumber(value) {
+    return Number(String(value === undefined || value === null ? '' : value).replace(/[^0-9.]/g, '')) || 0;
+}
+
+function isChecked(value) {
+    return value === true || value === 'on' || value === 'true';
+}
+
+function nyQuoteParams(saved) {
+    return {
+        effectiveDate: saved.effectiveDate,
+        maleEmployees: parseInt(saved.coveredMales) || 0,
+        femaleEmployees: parseInt(saved.coveredFemales) || 0,
+        employeesOverNYSAWW: parseInt(saved.employeesOverNYSAWW) || 0,
+        payrollBelowNYSAWW: cleanNumber(saved.payrollBelowNYSAWW),
+        dblBenefits: saved.dblBenefits || 'statutory',
+        billingOption: saved.billingOption || 'annual',
+        inHospitalRider: isChecked(saved.inHospitalRider),
+        adddBenefit: saved.addBenefit || null,
+        termLife15k: isChecked(saved.termLife15k),
+        eap: isChecked(saved.eap)
+    };
+}
+
+function njQuoteOptions(saved) {
+    return {
+        effectiveDate: saved.effectiveDate,
+        billingOption: 'quarterly',
+        contributionType: saved.contributionType,
+        otherPercentValue: cleanNumber(saved.otherPercentValue),
+        categoryD: saved.categoryD,
+        categoryE: saved.categoryE,
+        stateEmployerRate: cleanNumber(saved.stateEmployerRate)
+    };
+}
+
+function savedCensus(saved) {
+    return {
+        maleEmployees: saved.coveredMales,
+        femaleEmployees: saved.coveredFemales,
+        totalEmployees: saved.totalEmployees,
+        employeesOverCap: saved.employeesOverCap,
+        payrollBelowCap: cleanNumber(saved.payrollBelowCap)
+    };
+}
+
+function nySelections(params) {
+    const tier = nyCalculator.getBenefitDescription(params.dblBenefits);
+    const selections = [['DBL Benefit', tier.name + ' - ' + tier.description]];
+    if (params.inHospitalRider) selections.push(['In-Hospital Rider', 'Included']);
+    if (params.adddBenefit) selections.push(['AD&D', '$' + Number(params.adddBenefit).toLocaleString('en-US') + ' benefit']);
+    if (params.termLife15k) selections.push(['Non-Roster Life', 'Included']);
+    if (params.eap) selections.push(['EAP', 'Included']);
+    return selections;
+}
+
+/**
+ * Rate a saved quote and build its proposal details
+ * @param {string} state - Two-letter state code
+ * @param {Object} saved - Saved quote payload from the quote page
+ * @param {Object} rateOverride - Underwriter's rate from the quote's large-group referral (optional)
+ * @returns {Object} Proposal (see buildQuoteProposal)
+ */
+function proposalFromSavedQuote(state, saved, rateOverride = null) {
+    const code = String(state || '').toUpperCase();
+    if (!QUOTE_STATES.includes(code)) {
+        throw new HttpError(400, 'Quotes are not available for state: ' + state);
+    }
+    if (!saved || typeof saved !== 'object') {
+        throw new HttpError(400, 'Saved quote is missing.');
+    }
+
+    const proposal = {
+        state: code,
+        businessName: saved.businessName || '',
+        effectiveDate: saved.effectiveDate || '',
+        quoteId: saved.quoteId || ''
+    };
+
+    if (code === 'NY') {
+        const params = nyQuoteParams(saved);
+        params.rateOverride = rateOverride;
+        proposal.productName = 'New York DBL & PFL';
+        proposal.quote = nyCalculator.calculateQuote(params);
+        proposal.selections = nySelections(params);
+        proposal.alternatives = nyCalculator.benefitAlternativeRows(params, saved.benefitAlternatives);
+    } else if (code === 'NJ') {
+        const options = njQuoteOptions(saved);
+        proposal.productName = njCalculator.NJ_TDB_RATE_TABLE.name;
+        proposal.quote = njCalculator.calculateNJQuote(savedCensus(saved), options);
+        proposal.selections = njCalculator.njQuoteSelections(options);
+    } else {
+        proposal.productName = PFML_RATE_TABLE[code].name;
+        proposal.quote = rateQuote(code, savedCensus(saved), { effectiveDate: saved.effectiveDate, billingOption: 'quarterly', rateOverride });
+        proposal.selections = [];
+        if (isChecked(saved.termLife15k)) proposal.selections.push(['Non-Roster Life', '$9/quarter per person']);
+        if (isChecked(saved.eap)) proposal.selections.push(['EAP', '$9/quarter per person']);
+    }
+
+    if (rateOverride) {
+        proposal.selections.push(['Large-Group Rate', 'Referral ' + saved.referralId + ': ' + describeRateOverride(code, rateOverride)]);
+    }
+
+    const employees = code === 'NY'
+        ? (proposal.quote.employeeInfo || {}).total
+        : proposal.quote.breakdown.totalEmployees;
+    if (!employees) {
+        throw new HttpError(400, 'The saved quote has no covered employees.');
+    }
+    return proposal;
+}
+
+module.exports = {
+    proposalFromSavedQuote,
+    QUOTE_STATES
+};
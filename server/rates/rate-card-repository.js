@@ -0,0 +1,261 @@
+/**
+ * Rate Card Repository - ShelterPoint Portal
+ * Imported rate cards with generated RC- rate card IDs. An import is checked
+ * against the state's card fields and kept as a draft with its diff against
+ * the card in force and a preview of what the open saved quotes of the state
+ * would cost on it. Publishing adds the card to the rate tables; an earlier
+ * published card for the same state and effective date is marked superseded.
+ * Every version stays in the collection for audit, and published cards are
+ * applied again, in the order they were published, when the server starts.
+ * Saved quotes keep their stored premium until they are next updated.
+ */
+
+const { uniqueNumericId } = require('../store/json-store');
+const { HttpError } = require('../http-utils');
+const {
+    currentRateCard,
+    parseRateCard,
+    validateRateCard,
+    diffRateCards,
+    applyRateCard,
+    withRateCard
+} = require('../../StateApplications/shared/rate-cards.js');
+
+const RATE_CARD_STATUS = {
+    DRAFT: 'draft',
+    PUBLISHED: 'published',
+    SUPERSEDED: 'superseded'
+};
+
+const RATE_CARD_FORMATS = ['csv', 'json'];
+
+// Quote premiums are per billing period; totals compare them a year at a time
+const PERIODS_PER_YEAR = { year: 1, quarter: 4 };
+
+function annualAmount(premium) {
+    return premium ? premium.amount * (PERIODS_PER_YEAR[premium.billingPeriod] || 1) : 0;
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function summarize(record) {
+    const { card, diff, impact, ...summary } = record;
+    return summary;
+}
+
+/**
+ * Create the repository
+ * @param {Object} collection - JSON store collection for rate cards
+ * @param {Object} quotes - Quote repository, for the impact preview
+ * @returns {Object} Repository
+ */
+function createRateCardRepository(collection, quotes) {
+    function requireRateCard(rateCardId) {
+        const record = collection.get(rateCardId);
+        if (!record) throw new HttpError(404, 'Rate card ' + rateCardId + ' was not found.');
+        return record;
+    }
+
+    function publishedCards() {
+        return collection.all()
+            .filter(r => r.status !== RATE_CARD_STATUS.DRAFT)
+            .sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
+    }
+
+    /**
+     * Premium of each open saved quote of the card's state now and on the card
+     * @param {Object} card - Checked rate card
+     * @returns {Object} { quotes, totals } with annualized totals
+     */
+    function previewImpact(card) {
+        const current = quotes.reprice({ state: card.state });
+        const proposed = withRateCard(card, () => quotes.reprice({ state: card.state }));
+        const totals = { quotes: 0, changed: 0, unrated: 0, currentAnnual: 0, proposedAnnual: 0 };
+        const rows = current.map(before => {
+            const after = proposed.find(q => q.quoteId === before.quoteId) || {};
+            const row = {
+                quoteId: before.quoteId,
+                businessName: before.businessName,
+                effectiveDate: before.effectiveDate,
+                status: before.status,
+                billingPeriod: before.premium ? before.premium.billingPeriod : null,
+                current: before.premium ? before.premium.amount : null,
+                proposed: after.premium ? after.premium.amount : null,
+                change: null,
+                error: before.error || after.error || null
+            };
+            totals.quotes++;
+            if (row.error || !after.premium) {
+                totals.unrated++;
+                return row;
+            }
+            row.change = roundCents(row.proposed - row.current);
+            if (row.change !== 0) totals.changed++;
+            totals.currentAnnual += annualAmount(before.premium);
+            totals.proposedAnnual += annualAmount(after.premium);
+            return row;
+        });
+        totals.currentAnnual = roundCents(totals.currentAnnual);
+        totals.proposedAnnual = roundCents(totals.proposedAnnual);
+        totals.change = roundCents(totals.proposedAnnual - totals.currentAnnual);
+        return { quotes: rows, totals };
+    }
+
+    function compare(card) {
+        return {
+            diff: diffRateCards(currentRateCard(card.state, card.effectiveDate), card),
+            impact: previewImpact(card)
+        };
+    }
+
+    publishedCards()
+        .filter(r => r.status === RATE_CARD_STATUS.PUBLISHED)
+        .forEach(r => applyRateCard(r.card));
+
+    return {
+        /**
+         * Import a rate card as a draft
+         * The state and effective date may come from the request or the file;
+         * when both give one they must agree.
+         * @param {Object} request - { state, effectiveDate, format, content, fileName, importedBy, notes }
+         * @returns {Promise<Object>} Draft rate card record with its diff and impact preview
+         */
+        async import(request) {
+            const format = String(request.format || '').toLowerCase();
+            const fieldErrors = {};
+            if (!RATE_CARD_FORMATS.includes(format)) fieldErrors.format = 'Choose CSV or JSON.';
+            if (!String(request.content || '').trim()) fieldErrors.content = 'Choose a rate card file or paste its content.';
+            if (!String(request.importedBy || '').trim()) fieldErrors.importedBy = 'Required.';
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before importing.', fieldErrors);
+            }
+
+            let parsed;
+            try {
+                parsed = parseRateCard(request.content, format);
+            } catch (err) {
+                throw new HttpError(422, err.message, { content: err.message });
+            }
+            ['state', 'effectiveDate'].forEach(key => {
+                const requested = String(request[key] || '').trim();
+                const inFile = String(parsed[key] || '').trim();
+                if (requested && inFile && requested.toUpperCase() !== inFile.toUpperCase()) {
+                    fieldErrors[key] = 'The file gives ' + inFile + ' but ' + requested + ' was chosen.';
+                }
+                parsed[key] = inFile || requested;
+            });
+            const { card, errors } = validateRateCard(parsed);
+            Object.assign(fieldErrors, errors);
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'The rate card has errors. Nothing was imported.', fieldErrors);
+            }
+
+            const rateCardId = uniqueNumericId(collection, 8, 'RC-');
+            return collection.put(rateCardId, {
+                rateCardId,
+                state: card.state,
+                effectiveDate: card.effectiveDate,
+                status: RATE_CARD_STATUS.DRAFT,
+                format,
+                fileName: String(request.fileName || '').trim() || null,
+                importedBy: String(request.importedBy).trim(),
+                notes: String(request.notes || '').trim(),
+                importedAt: new Date().toISOString(),
+                publishedBy: null,
+                publishedAt: null,
+                supersededBy: null,
+                card,
+                ...compare(card)
+            });
+        },
+
+        /**
+         * Publish a draft: add it to the rate tables and supersede the card it replaces
+         * The diff and impact are worked out again and stored as published.
+         * @param {string} rateCardId - RC- rate card ID
+         * @param {Object} values - { publishedBy }
+         * @returns {Promise<Object>} Published rate card record
+         */
+        async publish(rateCardId, values) {
+            const record = requireRateCard(rateCardId);
+            if (record.status !== RATE_CARD_STATUS.DRAFT) {
+                throw new HttpError(409, 'Rate card ' + rateCardId + ' has already been ' + record.status + '.');
+            }
+            const publishedBy = String((values && values.publishedBy) || '').trim();
+            if (!publishedBy) {
+                throw new HttpError(422, 'Please enter who is publishing the rate card.', { publishedBy: 'Required.' });
+            }
+
+            const now = new Date().toISOString();
+            Object.assign(record, compare(record.card), {
+                status: RATE_CARD_STATUS.PUBLISHED,
+                publishedBy,
+                publishedAt: now
+            });
+            const replaced = collection.all().filter(r => r.status === RATE_CARD_STATUS.PUBLISHED
+                && r.state === record.state && r.effectiveDate === record.effectiveDate);
+            for (const previous of replaced) {
+                previous.status = RATE_CARD_STATUS.SUPERSEDED;
+                previous.supersededBy = rateCardId;
+                await collection.put(previous.rateCardId, previous);
+            }
+            applyRateCard(record.card);
+            return collection.put(rateCardId, record);
+        },
+
+        /**
+         * A rate card record; drafts have their diff and impact worked out again
+         * so the preview reflects the quotes saved since the import
+         * @returns {Object} Rate card record
+         */
+        get(rateCardId) {
+            const record = requireRateCard(rateCardId);
+            if (record.status !== RATE_CARD_STATUS.DRAFT) return record;
+            return { ...record, ...compare(record.card) };
+        },
+
+        /**
+         * The card in force for a state on a date
+         * @param {string} state - Two-letter state code
+         * @param {string} effectiveDate - Date (YYYY-MM-DD); defaults to the newest card
+         * @returns {Object} Rate card { state, effectiveDate, rates }
+         */
+        current(state, effectiveDate) {
+            try {
+                return currentRateCard(state, effectiveDate || undefined);
+            } catch (err) {
+                throw new HttpError(400, 'There is no rate card for ' + (state || 'that state') + '.');
+            }
+        },
+
+        /**
+         * Cards published and not superseded, in the order they were published
+         * @returns {Object[]} Rate cards { state, effectiveDate, rates }
+         */
+        published() {
+            return publishedCards()
+                .filter(r => r.status === RATE_CARD_STATUS.PUBLISHED)
+                .map(r => r.card);
+        },
+
+        /**
+         * List rate card versions, newest first, without their cards
+         * @param {Object} filter - { state, status }
+         * @returns {Object[]} Rate card summaries
+         */
+        list(filter = {}) {
+            return collection.all()
+                .filter(r => !filter.state || r.state === String(filter.state).toUpperCase())
+                .filter(r => !filter.status || r.status === filter.status)
+                .sort((a, b) => b.importedAt.localeCompare(a.importedAt))
+                .map(summarize);
+        }
+    };
+}
+
+module.exports = {
+    createRateCardRepository,
+    RATE_CARD_STATUS
+};
@@ -0,0 +1,297 @@
+/**
+ * Referral Repository - ShelterPoint Portal
+ * Large-group underwriting referrals with generated LG- referral IDs. A
+ * referral holds the quote the broker could not rate (headcount at or over
+ * the quote page's cap), the census file, the current carrier and the loss
+ * history. Underwriters either return a custom rate, which saved quotes that
+ * name the referral are then rated with, or decline the group. The rate only
+ * applies to quotes for the business and census that were referred. The
+ * browser that sent the referral gets an access key to read it back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { uniqueNumericId } = require('../store/json-store');
+const { HttpError, createAccessKey } = require('../http-utils');
+const { QUOTE_STATES } = require('../quotes/saved-quote');
+const {
+    REFERRAL_STATUS,
+    validateReferralRequest,
+    referralRateOverride
+} = require('../../StateApplications/shared/large-group-referral.js');
+const { validateApplication } = require('../../StateApplications/shared/application-rules.js');
+
+// NJ private plans are rated without a headcount cap
+const REFERRAL_STATES = QUOTE_STATES.filter(state => state !== 'NJ');
+
+function safeFileName(name) {
+    return path.basename(String(name)).replace(/[^A-Za-z0-9._-]+/g, '_').slice(-100) || 'upload';
+}
+
+function cleanNumber(value) {
+    return Number(String(value === undefined || value === null ? '' : value).replace(/[^0-9.]/g, '')) || 0;
+}
+
+function summarize(record) {
+    const { data, quoteData, ...summary } = record;
+    return summary;
+}
+
+/**
+ * Census of the referred quote, as a census summary the rating engine accepts
+ * (NY's NYSAWW counts stand in for the wage base ones)
+ * @param {Object} data - Request form values
+ * @param {Object} quoteData - Quote page values
+ * @returns {Object} Census summary
+ */
+function referralCensus(data, quoteData) {
+    return {
+        totalEmployees: parseInt(data.totalEmployees, 10) || 0,
+        maleEmployees: parseInt(quoteData.coveredMales, 10) || 0,
+        femaleEmployees: parseInt(quoteData.coveredFemales, 10) || 0,
+        employeesOverCap: parseInt(quoteData.employeesOverCap || quoteData.employeesOverNYSAWW, 10) || 0,
+        payrollBelowCap: cleanNumber(quoteData.payrollBelowCap || quoteData.payrollBelowNYSAWW)
+    };
+}
+
+// Census counts a quote must share with the referral to use its rate
+const CENSUS_LABELS = {
+    totalEmployees: 'total employees',
+    maleEmployees: 'covered males',
+    femaleEmployees: 'covered females',
+    employeesOverCap: 'employees over the wage cap',
+    payrollBelowCap: 'payroll below the wage cap'
+};
+
+function sameName(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * What a quote changed from the business and census that were referred
+ * NY quotes count covered males and females instead of total employees.
+ * @param {Object} record - Referral record
+ * @param {Object} quote - Saved quote payload
+ * @returns {string[]} Labels of the values that differ
+ */
+function referralDifferences(record, quote) {
+    const census = referralCensus(quote, quote);
+    const differences = sameName(quote.businessName, record.businessName) ? [] : ['business name'];
+    return differences.concat(Object.keys(CENSUS_LABELS)
+        .filter(key => key !== 'totalEmployees' || quote.totalEmployees !== undefined)
+        .filter(key => Math.abs(census[key] - record.census[key]) >= 0.005)
+        .map(key => CENSUS_LABELS[key]));
+}
+
+/**
+ * Create the repository
+ * @param {Object} collection - JSON store collection for referrals
+ * @param {string} uploadDir - Directory for uploaded files (one folder per referral)
+ * @returns {Object} Repository
+ */
+function createReferralRepository(collection, uploadDir) {
+    function requireReferral(referralId) {
+        const record = collection.get(referralId);
+        if (!record) throw new HttpError(404, 'Referral ' + referralId + ' was not found.');
+        return record;
+    }
+
+    function requireOpen(record) {
+        if (record.status !== REFERRAL_STATUS.REQUESTED) {
+            throw new HttpError(409, 'Referral ' + record.referralId + ' has already been ' + record.status + '.');
+        }
+    }
+
+    async function storeFiles(referralId, files) {
+        if (files.length === 0) return [];
+        const dir = path.join(uploadDir, referralId);
+        await fs.promises.mkdir(dir, { recursive: true });
+        return Promise.all(files.map(async (file, index) => {
+            const storedName = (index + 1) + '-' + safeFileName(file.filename);
+            await fs.promises.writeFile(path.join(dir, storedName), file.data);
+            return {
+                field: file.field,
+                filename: file.filename,
+                contentType: file.contentType,
+                size: file.data.length,
+                storedName
+            };
+        }));
+    }
+
+    return {
+        /**
+         * Validate and store a referral request
+         * @param {Object} request - { state, data, quoteData }
+         * @param {Object[]} files - Uploaded files from readMultipartBody (census, loss runs)
+         * @returns {Promise<Object>} Referral record, with the accessKey the broker reads it with
+         */
+        async create(request, files = []) {
+            const state = String(request.state || '').toUpperCase();
+            if (!REFERRAL_STATES.includes(state)) {
+                throw new HttpError(400, 'Large-group referrals are not available for state: ' + (request.state || 'none'));
+            }
+            if (!request.data || typeof request.data !== 'object') {
+                throw new HttpError(400, 'Referral details are missing.');
+            }
+            const fieldErrors = validateReferralRequest(request.data);
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before sending the referral.', fieldErrors);
+            }
+
+            const data = request.data;
+            const quoteData = request.quoteData && typeof request.quoteData === 'object' ? request.quoteData : {};
+            const now = new Date().toISOString();
+            const referralId = uniqueNumericId(collection, 8, 'LG-');
+            const { accessKey, accessKeyHash } = createAccessKey();
+            const record = {
+                referralId,
+                state,
+                status: REFERRAL_STATUS.REQUESTED,
+                businessName: data.businessName,
+                effectiveDate: data.effectiveDate,
+                census: referralCensus(data, quoteData),
+                currentCarrier: {
+                    name: data.currentCarrier,
+                    policyExpires: data.currentPolicyExpires || null,
+                    annualPremium: data.currentPremium ? cleanNumber(data.currentPremium) : null
+                },
+                lossHistory: {
+                    claimCount: parseInt(data.claimCount, 10),
+                    paidLosses: cleanNumber(data.paidLosses),
+                    openClaims: data.openClaims ? parseInt(data.openClaims, 10) : null,
+                    notes: data.lossNotes || ''
+                },
+                broker: { name: data.brokerName, email: data.brokerEmail },
+                requestedAt: now,
+                updatedAt: now,
+                decision: null,
+                files: await storeFiles(referralId, files),
+                data,
+                quoteData,
+                accessKeyHash
+            };
+            return { ...(await collection.put(referralId, record)), accessKey };
+        },
+
+        /**
+         * Return the underwriter's rate
+         * @param {string} referralId - LG- referral ID
+         * @param {Object} values - { underwriterName, shelterPointRate | dblMaleRate, dblFemaleRate, underwriterNotes }
+         * @returns {Promise<Object>} Updated referral record
+         */
+        async rate(referralId, values) {
+            const record = requireReferral(referralId);
+            requireOpen(record);
+            const { fieldErrors, rateOverride } = referralRateOverride(record.state, values);
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before returning the rate.', fieldErrors);
+            }
+            const now = new Date().toISOString();
+            record.status = REFERRAL_STATUS.RATED;
+            record.decision = {
+                rateOverride,
+                underwriterName: String(values.underwriterName).trim(),
+                notes: String(values.underwriterNotes || '').trim(),
+                decidedAt: now
+            };
+            record.updatedAt = now;
+            return collection.put(referralId, record);
+        },
+
+        /**
+         * Decline the group
+         * @param {string} referralId - LG- referral ID
+         * @param {Object} values - { underwriterName, declineReason }
+         * @returns {Promise<Object>} Updated referral record
+         */
+        async decline(referralId, values) {
+            const record = requireReferral(referralId);
+            requireOpen(record);
+            const fieldErrors = validateApplication('large-group-decline', values);
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before declining the referral.', fieldErrors);
+            }
+            const now = new Date().toISOString();
+            record.status = REFERRAL_STATUS.DECLINED;
+            record.decision = {
+                rateOverride: null,
+                underwriterName: String(values.underwriterName).trim(),
+                notes: String(values.declineReason).trim(),
+                decidedAt: now
+            };
+            record.updatedAt = now;
+            return collection.put(referralId, record);
+        },
+
+        /**
+         * Rate override a saved quote naming the referral is rated with
+         * @param {string} referralId - LG- referral ID
+         * @param {string} state - State of the quote
+         * @param {Object} quote - Saved quote payload; its business and census must be the referred ones
+         * @returns {Object} Rate override
+         */
+        rateOverrideFor(referralId, state, quote) {
+            const record = requireReferral(referralId);
+            if (record.state !== String(state || '').toUpperCase()) {
+                throw new HttpError(400, 'Referral ' + referralId + ' is for ' + record.state + ', not ' + state + '.');
+            }
+            if (record.status !== REFERRAL_STATUS.RATED) {
+                throw new HttpError(409, 'Underwriting has not returned a rate for referral ' + referralId + '.');
+            }
+            const differences = referralDifferences(record, quote || {});
+            if (differences.length > 0) {
+                throw new HttpError(409, 'The rate for referral ' + referralId + ' is for ' + record.businessName
+                    + ' as referred; this quote changed its ' + differences.join(', ') + '. Send a new referral to rate it.');
+            }
+            return record.decision.rateOverride;
+        },
+
+        /**
+         * An uploaded file of a referral
+         * @param {string} referralId - LG- referral ID
+         * @param {number} index - Position in the record's files (from 1)
+         * @returns {Promise<Object>} { filename, contentType, content }
+         */
+        async file(referralId, index) {
+            const record = requireReferral(referralId);
+            const file = record.files[index - 1];
+            if (!file) throw new HttpError(404, 'Referral ' + referralId + ' has no file ' + index + '.');
+            const content = await fs.promises.readFile(path.join(uploadDir, referralId, file.storedName));
+            return { filename: file.filename, contentType: file.contentType, content };
+        },
+
+        /** @returns {Object} Full referral record */
+        get(referralId) {
+            return requireReferral(referralId);
+        },
+
+        /**
+         * Hash of a referral's access key, for the owner check
+         * @param {string} referralId - LG- referral ID
+         * @returns {string|null} Hash, or null when there is no such referral or it has no key
+         */
+        accessKeyHash(referralId) {
+            const record = collection.get(referralId);
+            return (record && record.accessKeyHash) || null;
+        },
+
+        /**
+         * List referrals, newest first, without their payloads
+         * @param {Object} filter - { state, status }
+         * @returns {Object[]} Referral summaries
+         */
+        list(filter = {}) {
+            return collection.all()
+                .filter(r => !filter.state || r.state === String(filter.state).toUpperCase())
+                .filter(r => !filter.status || r.status === filter.status)
+                .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt))
+                .map(summarize);
+        }
+    };
+}
+
+module.exports = {
+    createReferralRepository,
+    REFERRAL_STATES
+};
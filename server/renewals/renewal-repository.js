@@ -0,0 +1,323 @@
+/**
+ * Renewal Repository - ShelterPoint Portal
+ * Renewal notices for bound cases, with generated RN- renewal IDs. The
+ * renewal job takes the cases whose policy anniversary falls in a month and
+ * rates each one's stored census and plan selections again for the renewal
+ * date, so the plan year in force then (including published rate cards)
+ * sets the premium. The renewal premium is compared with the premium of the
+ * term ending: the bound quote's, or that of the last renewal released.
+ *
+ * Notices start as drafts for the broker to review. Running the job again
+ * rates drafts again, e.g. once next year's rates are published; released
+ * notices are kept as sent. A notice can only be released once the renewal
+ * year has rates of its own. The premium of the last notice released is the
+ * one in force, e.g. for commissions.
+ *
+ * Saved quotes keep the census as a split around the wage base (NYSAWW in
+ * NY), not each employee's wages, so it cannot be split again. Cases whose
+ * split no longer holds at the renewal date are not rated automatically.
+ * Cases cancelled on or before the renewal date are not renewed.
+ */
+
+const { uniqueNumericId } = require('../store/json-store');
+const { HttpError } = require('../http-utils');
+const { PFML_RATE_TABLE } = require('../../StateApplications/shared/rating-engine.js');
+const { currentRateCard, diffRateCards } = require('../../StateApplications/shared/rate-cards.js');
+const { isValidEmail } = require('../../StateApplications/shared/quote-email.js');
+const { annualPremiumByProduct } = require('../../StateApplications/shared/commissions.js');
+const {
+    anniversaryDate,
+    anniversaryInMonth,
+    annualPremium,
+    formatRenewalRate
+} = require('../../StateApplications/shared/renewal-notice.js');
+
+const RENEWAL_STATUS = {
+    DRAFT: 'draft',
+    RELEASED: 'released'
+};
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function validMonth(value) {
+    return /^\d{4}-(0[1-9]|1[0-2])$/.test(String(value || ''));
+}
+
+// Rate card fields a census is split around (employees over, payroll below)
+const CENSUS_CAP_FIELDS = ['wageBase', 'pflRate.nysaww'];
+
+/**
+ * Refuse to rate a quote's census against a cap other than the one it was split around
+ * The split still holds when the cap goes up and no employee was over it.
+ * @param {Object} quote - Quote record
+ * @param {string} renewalDate - YYYY-MM-DD
+ * @throws {HttpError} 409 when the census has to be counted again
+ */
+function requireCensusSplit(quote, renewalDate) {
+    const change = diffRateCards(currentRateCard(quote.state, quote.effectiveDate), currentRateCard(quote.state, renewalDate))
+        .find(row => row.changed && CENSUS_CAP_FIELDS.includes(row.path));
+    if (!change) return;
+    const employeesOver = parseInt(quote.data.employeesOverCap || quote.data.employeesOverNYSAWW, 10) || 0;
+    if (employeesOver > 0 || change.proposed < change.current) {
+        throw new HttpError(409, change.label + ' changes from '
+            + formatRenewalRate(change.current, change.kind) + ' to ' + formatRenewalRate(change.proposed, change.kind)
+            + ' by ' + renewalDate + '. Quote ' + quote.quoteId + ' only has its census split at the old amount, '
+            + 'so this renewal has to be rated by hand.');
+    }
+}
+
+/**
+ * Employer email the notice is sent to, from the application
+ * @param {Object} submission - Bound application
+ * @returns {string} Email address, or ''
+ */
+function employerEmail(submission) {
+    const data = submission.data || {};
+    return (submission.employerContact && submission.employerContact.email)
+        || data.applicantEmail || data.repEmail || data.deptEmail || '';
+}
+
+function summarize(record) {
+    const { proposal, ...summary } = record;
+    return summary;
+}
+
+/**
+ * Create the repository
+ * @param {Object} collection - JSON store collection for renewal notices
+ * @param {Object} options - { submissions, quotes }
+ * @returns {Object} Repository
+ */
+function createRenewalRepository(collection, options) {
+    const { submissions, quotes } = options;
+
+    function requireRenewal(renewalId) {
+        const record = collection.get(renewalId);
+        if (!record) throw new HttpError(404, 'Renewal ' + renewalId + ' was not found.');
+        return record;
+    }
+
+    /**
+     * Premium of the term that ends on the renewal date
+     * @returns {Object} { effectiveDate, premium, annualPremium, renewalId }
+     */
+    function currentTerm(quote, termStart, renewalDate) {
+        const previous = collection.all()
+            .filter(r => r.quoteId === quote.quoteId && r.status === RENEWAL_STATUS.RELEASED && r.renewalDate < renewalDate)
+            .sort((a, b) => b.renewalDate.localeCompare(a.renewalDate))[0];
+        const premium = previous ? previous.premium : quote.premium;
+        return {
+            effectiveDate: previous ? previous.renewalDate : termStart,
+            premium: { amount: premium.amount, billingPeriod: premium.billingPeriod },
+            annualPremium: annualPremium(premium),
+            renewalId: previous ? previous.renewalId : null
+        };
+    }
+
+    /**
+     * Rate a bound case for its renewal date
+     * @param {Object} submission - Bound application
+     * @param {string} renewalDate - YYYY-MM-DD
+     * @param {number} years - Anniversary number
+     * @returns {Object} Rated notice fields
+     */
+    function rateRenewal(submission, renewalDate, years) {
+        const quote = quotes.get(submission.quoteId);
+        requireCensusSplit(quote, renewalDate);
+        const proposal = quotes.proposal(submission.quoteId, renewalDate);
+        const rated = proposal.quote;
+        const premium = {
+            amount: roundCents(rated.displayAmount),
+            billingPeriod: rated.billingPeriod,
+            totalEmployees: proposal.state === 'NY' ? rated.employeeInfo.total : rated.breakdown.totalEmployees
+        };
+        const term = currentTerm(quote, anniversaryDate(quote.effectiveDate, years - 1), renewalDate);
+        const termRates = currentRateCard(proposal.state, term.effectiveDate);
+        const renewalRates = currentRateCard(proposal.state, renewalDate);
+        const annual = annualPremium(premium);
+
+        return {
+            quoteId: submission.quoteId,
+            submissionNumber: submission.submissionNumber,
+            state: proposal.state,
+            productName: proposal.productName,
+            businessName: submission.businessName || proposal.businessName,
+            agencyNumber: String((submission.data || {}).agencyNumber || '').trim(),
+            employerEmail: employerEmail(submission),
+            anniversary: years,
+            renewalDate,
+            currentTerm: term,
+            premium,
+            annualPremium: annual,
+            annualPremiums: annualPremiumByProduct(proposal.state, rated, quote.data),
+            change: {
+                amount: roundCents(premium.amount - term.premium.amount),
+                annual: roundCents(annual - term.annualPremium),
+                percent: term.annualPremium > 0 ? Math.round((annual - term.annualPremium) / term.annualPremium * 1000) / 10 : null
+            },
+            statePlan: PFML_RATE_TABLE[proposal.state] ? {
+                annualPrice: annualPremium({ amount: rated.breakdown.statePlanPrice, billingPeriod: rated.billingPeriod }),
+                annualSavings: annualPremium({ amount: rated.breakdown.savings, billingPeriod: rated.billingPeriod })
+            } : null,
+            ratesEffectiveDate: renewalRates.effectiveDate,
+            // Rates that took effect after the ending term began are the renewal year's own
+            ratesPublished: renewalRates.effectiveDate > term.effectiveDate,
+            rateChanges: diffRateCards(termRates, renewalRates).filter(row => row.changed),
+            referralId: proposal.rateOverride ? quote.data.referralId : null,
+            proposal
+        };
+    }
+
+    function findNotice(quoteId, renewalDate) {
+        return collection.all().find(r => r.quoteId === quoteId && r.renewalDate === renewalDate);
+    }
+
+    return {
+        /**
+         * Run the renewal job for a month
+         * Bound cases renewing in the month get a draft notice; existing drafts
+         * are rated again and released notices are left as they are.
+         * @param {Object} request - { month (YYYY-MM), generatedBy }
+         * @returns {Promise<Object>} { month, created, updated, released, skipped, renewals }
+         */
+        async generate(request) {
+            const month = String(request.month || '').trim();
+            const fieldErrors = {};
+            if (!validMonth(month)) fieldErrors.month = 'Month must be YYYY-MM.';
+            if (!String(request.generatedBy || '').trim()) fieldErrors.generatedBy = 'Required.';
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before running renewals.', fieldErrors);
+            }
+
+            const result = { month, created: 0, updated: 0, released: 0, skipped: [], renewals: [] };
+            const now = new Date().toISOString();
+            for (const submission of submissions.bound()) {
+                let existing;
+                let rated;
+                try {
+                    const effectiveDate = quotes.get(submission.quoteId).effectiveDate;
+                    const years = anniversaryInMonth(effectiveDate, month);
+                    if (years < 1) continue;
+                    const renewalDate = anniversaryDate(effectiveDate, years);
+                    if (submission.cancellation && submission.cancellation.cancellationDate <= renewalDate) continue;
+                    existing = findNotice(submission.quoteId, renewalDate);
+                    if (existing && existing.status === RENEWAL_STATUS.RELEASED) {
+                        result.released++;
+                        result.renewals.push(summarize(existing));
+                        continue;
+                    }
+                    rated = rateRenewal(submission, renewalDate, years);
+                } catch (err) {
+                    result.skipped.push({
+                        submissionNumber: submission.submissionNumber,
+                        quoteId: submission.quoteId,
+                        businessName: submission.businessName,
+                        error: err.message
+                    });
+                    continue;
+                }
+
+                const renewalId = existing ? existing.renewalId : uniqueNumericId(collection, 8, 'RN-');
+                const record = await collection.put(renewalId, {
+                    renewalId,
+                    ...rated,
+                    status: RENEWAL_STATUS.DRAFT,
+                    generatedBy: String(request.generatedBy).trim(),
+                    generatedAt: existing ? existing.generatedAt : now,
+                    updatedAt: now
+                });
+                result[existing ? 'updated' : 'created']++;
+                result.renewals.push(summarize(record));
+            }
+            return result;
+        },
+
+        /** @returns {Object} Full renewal notice record */
+        get(renewalId) {
+            return requireRenewal(renewalId);
+        },
+
+        /**
+         * List renewal notices by renewal date
+         * @param {Object} filter - { month (YYYY-MM), state, status, agencyNumber }
+         * @returns {Object[]} Renewal summaries
+         */
+        list(filter = {}) {
+            return collection.all()
+                .filter(r => !filter.month || r.renewalDate.startsWith(filter.month + '-'))
+                .filter(r => !filter.state || r.state === String(filter.state).toUpperCase())
+                .filter(r => !filter.status || r.status === filter.status)
+                .filter(r => !filter.agencyNumber || r.agencyNumber === String(filter.agencyNumber).trim())
+                .sort((a, b) => a.renewalDate.localeCompare(b.renewalDate) || a.businessName.localeCompare(b.businessName))
+                .map(summarize);
+        },
+
+        /**
+         * Premium in force in a renewal year of a bound case
+         * @param {string} quoteId - Quote ID of the bound case
+         * @param {number} years - Anniversary the renewal year starts on
+         * @returns {Object|null} { renewalId, effectiveDate, amount, billingPeriod, totalEmployees, annualPremiums } of the
+         *          last notice released for that anniversary or before, or null when none was released
+         */
+        termPremium(quoteId, years) {
+            const notice = collection.all()
+                .filter(r => r.quoteId === quoteId && r.status === RENEWAL_STATUS.RELEASED && r.anniversary <= years)
+                .sort((a, b) => b.anniversary - a.anniversary)[0];
+            if (!notice) return null;
+            return {
+                renewalId: notice.renewalId,
+                effectiveDate: notice.renewalDate,
+                ...notice.premium,
+                annualPremiums: notice.annualPremiums
+                    || annualPremiumByProduct(notice.state, notice.proposal.quote, quotes.get(quoteId).data)
+            };
+        },
+
+        /**
+         * Release a draft notice to the employer
+         * The notice is rated again first so the employer gets today's figures.
+         * It is only sent to the employer email on file from the application.
+         * @param {string} renewalId - RN- renewal ID
+         * @param {Object} values - { releasedBy }
+         * @param {Function} sendNotice - async (record) => messageId, emails the notice
+         * @returns {Promise<Object>} Released renewal record
+         */
+        async release(renewalId, values, sendNotice) {
+            const record = requireRenewal(renewalId);
+            if (record.status !== RENEWAL_STATUS.DRAFT) {
+                throw new HttpError(409, 'Renewal ' + renewalId + ' was already released.');
+            }
+            if (!String(values.releasedBy || '').trim()) {
+                throw new HttpError(422, 'Please correct the highlighted information before releasing the notice.', { releasedBy: 'Required.' });
+            }
+
+            const rated = rateRenewal(submissions.get(record.submissionNumber), record.renewalDate, record.anniversary);
+            const email = rated.employerEmail;
+            if (!isValidEmail(email)) {
+                throw new HttpError(409, 'The application for renewal ' + renewalId + ' has no valid employer email to send the notice to.');
+            }
+            if (!rated.ratesPublished) {
+                throw new HttpError(409, 'Rates for ' + rated.renewalDate.slice(0, 4) + ' are not published yet; '
+                    + 'the renewal is still rated on the rates effective ' + rated.ratesEffectiveDate + '.');
+            }
+            const released = {
+                ...record,
+                ...rated,
+                status: RENEWAL_STATUS.RELEASED,
+                releasedBy: String(values.releasedBy).trim(),
+                releasedTo: email,
+                releasedAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            released.messageId = await sendNotice(released);
+            return collection.put(renewalId, released);
+        }
+    };
+}
+
+module.exports = {
+    createRenewalRepository,
+    RENEWAL_STATUS
+};
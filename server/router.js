@@ -0,0 +1,76 @@
+/**
+ * API Router - ShelterPoint Portal
+ * Matches method + path patterns such as '/api/quotes/:id' and runs the
+ * handler. Handlers may throw HttpError; anything else becomes a 500.
+ */
+
+const { HttpError, sendJson } = require('./http-utils');
+
+/**
+ * Create a router
+ * @returns {Object} Router with add(method, pattern, handler) and handle(req, res)
+ */
+function createRouter() {
+    const routes = [];
+
+    function compile(pattern) {
+        const keys = [];
+        const source = pattern
+            .replace(/\/:([A-Za-z]+)/g, (match, key) => {
+                keys.push(key);
+                return '/([^/]+)';
+            });
+        return { regex: new RegExp('^' + source + '/?$'), keys };
+    }
+
+    return {
+        /**
+         * Register a route
+         * @param {string} method - HTTP method
+         * @param {string} pattern - Path pattern with :param segments
+         * @param {Function} handler - async (req, res, params, query) => void
+         */
+        add(method, pattern, handler) {
+            routes.push({ method, handler, ...compile(pattern) });
+        },
+
+        /**
+         * Handle a request if a route matches
+         * @returns {Promise<boolean>} False when no route path matched
+         */
+        async handle(req, res) {
+            const url = new URL(req.url, 'http://localhost');
+            const pathMatches = routes.filter(route => route.regex.test(url.pathname));
+            if (pathMatches.length === 0) return false;
+
+            const route = pathMatches.find(r => r.method === req.method);
+            try {
+                if (!route) {
+                    throw new HttpError(405, 'Method not allowed.');
+                }
+                const match = route.regex.exec(url.pathname);
+                const params = {};
+                route.keys.forEach((key, i) => {
+                    try {
+                        params[key] = decodeURIComponent(match[i + 1]);
+                    } catch (err) {
+                        throw new HttpError(400, 'The address is not valid.');
+                    }
+                });
+                await route.handler(req, res, params, url.searchParams);
+            } catch (err) {
+                if (err instanceof HttpError) {
+                    const body = { error: err.message };
+                    if (err.fieldErrors) body.fieldErrors = err.fieldErrors;
+                    sendJson(res, err.status, body);
+                } else {
+                    console.error(err);
+                    sendJson(res, 500, { error: 'Something went wrong. Please try again.' });
+                }
+            }
+            return true;
+        }
+    };
+}
+
+module.exports = { createRouter };
@@ -0,0 +1,42 @@
+/**
+ * Employer Authorization Routes - ShelterPoint Portal
+ * GET  /api/authorizations/:token    application summary for the employer to review
+ * POST /api/authorizations/:token    { signerName, signerTitle, signature, consent } sign the application
+ * GET  /api/authorizations/:token/form    the signed official form package (PDF)
+ *
+ * The token comes from the link emailed when the application was submitted.
+ * Each view and the signature are logged with the client's IP address.
+ */
+
+const { sendJson, sendDownload, readJsonBody, clientAddress } = require('../http-utils');
+
+/**
+ * Register the routes
+ * @param {Object} router - API router
+ * @param {Object} context - { config, submissions }
+ */
+function register(router, context) {
+    const submissions = context.submissions;
+
+    function client(req) {
+        return {
+            ipAddress: clientAddress(req, context.config.trustProxy),
+            userAgent: String(req.headers['user-agent'] || '')
+        };
+    }
+
+    router.add('GET', '/api/authorizations/:token', async (req, res, params) => {
+        sendJson(res, 200, await submissions.viewAuthorization(params.token, client(req)));
+    });
+
+    router.add('POST', '/api/authorizations/:token', async (req, res, params) => {
+        const body = await readJsonBody(req);
+        sendJson(res, 200, await submissions.authorize(params.token, body, client(req)));
+    });
+
+    router.add('GET', '/api/authorizations/:token/form', async (req, res, params) => {
+        sendDownload(res, await submissions.officialFormByToken(params.token));
+    });
+}
+
+module.exports = { register };
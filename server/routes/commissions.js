@@ -0,0 +1,60 @@
+/**
+ * Commission Routes - ShelterPoint Portal
+ * GET  /api/commissions/statements?month=YYYY-MM              preview a month's producer statements
+ * GET  /api/commissions/runs                                  list closed months
+ * POST /api/commissions/runs                                  { month, runBy, effectiveEntryDate } close a month
+ * GET  /api/commissions/runs/:id                              retrieve a commission run
+ * GET  /api/commissions/runs/:id/statements/:producerId       one producer's statement
+ * GET  /api/commissions/runs/:id/ach                          the NACHA ACH file
+ * GET  /api/commissions/runs/:id/checks                       the paper check list (CSV)
+ *
+ * Every route is for staff and needs the admin token.
+ */
+
+const { sendJson, sendDownload, readJsonBody, requireAdmin } = require('../http-utils');
+
+/**
+ * Register the routes
+ * @param {Object} router - API router
+ * @param {Object} context - { config, commissions }
+ */
+function register(router, context) {
+    const commissions = context.commissions;
+
+    router.add('GET', '/api/commissions/statements', async (req, res, params, query) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, commissions.preview(query.get('month')));
+    });
+
+    router.add('GET', '/api/commissions/runs', async (req, res) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, { runs: commissions.list() });
+    });
+
+    router.add('POST', '/api/commissions/runs', async (req, res) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 201, await commissions.close(await readJsonBody(req)));
+    });
+
+    router.add('GET', '/api/commissions/runs/:id', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, commissions.get(params.id));
+    });
+
+    router.add('GET', '/api/commissions/runs/:id/statements/:producerId', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, commissions.statement(params.id, params.producerId));
+    });
+
+    router.add('GET', '/api/commissions/runs/:id/ach', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendDownload(res, commissions.achFile(params.id));
+    });
+
+    router.add('GET', '/api/commissions/runs/:id/checks', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendDownload(res, commissions.checkList(params.id));
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,69 @@
+/**
+ * Document Routes - ShelterPoint Portal
+ * GET  /api/documents?ownerKind=&ownerId=   list an application's or onboarding packet's documents (staff)
+ * POST /api/documents                       upload a document
+ * GET  /api/documents/:id                   retrieve a document's record (staff or uploader)
+ * GET  /api/documents/:id/content           the stored file, for preview (staff or uploader)
+ * POST /api/documents/:id/replace           upload a new file in place of a document (staff or uploader)
+ *
+ * Uploads are multipart/form-data with the file in a 'file' field; POST
+ * /api/documents also sends { documentType, ownerKind, state, ownerId } as
+ * fields. Rejected files return 422 with fieldErrors keyed <documentType>Name.
+ *
+ * Application documents can only be uploaded with the access key of the
+ * quote they belong to. Each document is returned with an accessKey of its
+ * own, which the uploader sends as X-Access-Key (or a key query parameter on
+ * preview links) to read or replace it. Staff use the admin token instead.
+ */
+
+const { HttpError, sendJson, sendDownload, requireAdmin, requireAdminOrOwner } = require('../http-utils');
+const { isMultipart, readMultipartBody } = require('../multipart');
+const { DOCUMENT_OWNER } = require('../../StateApplications/shared/document-upload.js');
+
+async function readDocumentUpload(req) {
+    if (!isMultipart(req)) throw new HttpError(415, 'Documents must be uploaded as multipart/form-data.');
+    return readMultipartBody(req);
+}
+
+/**
+ * Register the routes
+ * @param {Object} router - API router
+ * @param {Object} context - { config, documents, quotes }
+ */
+function register(router, context) {
+    const { documents, quotes } = context;
+
+    router.add('GET', '/api/documents', async (req, res, params, query) => {
+        requireAdmin(req, context.config);
+        const ownerKind = query.get('ownerKind');
+        const ownerId = query.get('ownerId');
+        if (!ownerKind || !ownerId) throw new HttpError(400, 'ownerKind and ownerId are required.');
+        sendJson(res, 200, { documents: documents.list({ ownerKind, ownerId }) });
+    });
+
+    router.add('POST', '/api/documents', async (req, res) => {
+        const { fields, files } = await readDocumentUpload(req);
+        if (fields.ownerKind === DOCUMENT_OWNER.APPLICATION) {
+            requireAdminOrOwner(req, context.config, quotes.accessKeyHash(String(fields.ownerId || '').trim()));
+        }
+        sendJson(res, 201, await documents.upload(fields, files));
+    });
+
+    router.add('GET', '/api/documents/:id', async (req, res, params) => {
+        requireAdminOrOwner(req, context.config, documents.accessKeyHash(params.id));
+        sendJson(res, 200, documents.get(params.id));
+    });
+
+    router.add('GET', '/api/documents/:id/content', async (req, res, params) => {
+        requireAdminOrOwner(req, context.config, documents.accessKeyHash(params.id));
+        sendDownload(res, await documents.content(params.id), { inline: true });
+    });
+
+    router.add('POST', '/api/documents/:id/replace', async (req, res, params) => {
+        requireAdminOrOwner(req, context.config, documents.accessKeyHash(params.id));
+        const { files } = await readDocumentUpload(req);
+        sendJson(res, 201, await documents.replace(params.id, files));
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,64 @@
+/**
+ * Quote Email Route - ShelterPoint Portal
+ * POST /api/quotes/email  { state, email, quote }
+ * Re-rates the saved quote, attaches the PDF proposal and sends it through
+ * the configured mail transport.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError, sendJson, readJsonBody } = require('../http-utils');
+const { proposalFromSavedQuote } = require('../quotes/saved-quote');
+const { renderQuoteEmail } = require('../mail/quote-email');
+const { buildQuoteProposal, proposalFileName } = require('../../StateApplications/shared/quote-proposal.js');
+const { isValidEmail } = require('../../StateApplications/shared/quote-email.js');
+
+const LOGO_PATH = path.join(__dirname, '../../StateApplications/assets/images/ShelterPoint.jpg');
+
+/**
+ * Register the route
+ * @param {Object} router - API router
+ * @param {Object} context - { config, mailTransport, referrals }
+ */
+function register(router, context) {
+    let logo = null;
+
+    router.add('POST', '/api/quotes/email', async (req, res) => {
+        const body = await readJsonBody(req);
+        const email = String(body.email || '').trim();
+        if (!isValidEmail(email)) {
+            throw new HttpError(400, 'Please enter a valid email address.', { email: 'Please enter a valid email address.' });
+        }
+
+        const rateOverride = body.quote && body.quote.referralId
+            ? context.referrals.rateOverrideFor(body.quote.referralId, body.state, body.quote)
+            : null;
+        const proposal = proposalFromSavedQuote(body.state, body.quote, rateOverride);
+        if (!logo) logo = fs.readFileSync(LOGO_PATH);
+        const pdf = buildQuoteProposal(proposal, new Uint8Array(logo));
+        const rendered = renderQuoteEmail(proposal);
+
+        let result;
+        try {
+            result = await context.mailTransport.send({
+                from: context.config.mail.from,
+                to: email,
+                subject: rendered.subject,
+                text: rendered.text,
+                html: rendered.html,
+                attachments: [{
+                    filename: proposalFileName(proposal),
+                    contentType: 'application/pdf',
+                    content: Buffer.from(pdf)
+                }]
+            });
+        } catch (err) {
+            console.error('Quote email failed:', err.message);
+            throw new HttpError(502, 'We could not send the quote email right now. Please try again later.');
+        }
+
+        sendJson(res, 200, { status: 'sent', messageId: result.messageId });
+    });
+}
+
+module.exports = { register };
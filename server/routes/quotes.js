@@ -0,0 +1,66 @@
+/**
+ * Quote Routes - ShelterPoint Portal
+ * GET    /api/quotes?state=&status=           list saved quotes (staff)
+ * POST   /api/quotes                          { state, quote } save a new quote
+ * GET    /api/quotes/:id                      retrieve a quote
+ * PUT    /api/quotes/:id                      { quote } update and re-rate a quote
+ * DELETE /api/quotes/:id                      delete a quote
+ * POST   /api/quotes/:id/clone                { effectiveDate?, businessName? } copy to a new Quote ID
+ * POST   /api/quotes/:id/application          record that an application was started
+ *
+ * Quotes an application was submitted from cannot be updated or deleted (409).
+ * Quotes without a real effective date are refused (400). New and cloned
+ * quotes are returned with an accessKey for uploading their application
+ * documents. Listing quotes needs the admin token.
+ */
+
+const { HttpError, sendJson, readJsonBody, requireAdmin } = require('../http-utils');
+
+/**
+ * Register the routes
+ * @param {Object} router - API router
+ * @param {Object} context - { config, quotes }
+ */
+function register(router, context) {
+    const quotes = context.quotes;
+
+    router.add('GET', '/api/quotes', async (req, res, params, query) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, { quotes: quotes.list({ state: query.get('state'), status: query.get('status') }) });
+    });
+
+    router.add('POST', '/api/quotes', async (req, res) => {
+        const body = await readJsonBody(req);
+        if (!body.quote || typeof body.quote !== 'object') {
+            throw new HttpError(400, 'Saved quote is missing.');
+        }
+        sendJson(res, 201, await quotes.create(body.state, body.quote));
+    });
+
+    router.add('GET', '/api/quotes/:id', async (req, res, params) => {
+        sendJson(res, 200, quotes.get(params.id));
+    });
+
+    router.add('PUT', '/api/quotes/:id', async (req, res, params) => {
+        const body = await readJsonBody(req);
+        if (!body.quote || typeof body.quote !== 'object') {
+            throw new HttpError(400, 'Saved quote is missing.');
+        }
+        sendJson(res, 200, await quotes.update(params.id, body.quote));
+    });
+
+    router.add('DELETE', '/api/quotes/:id', async (req, res, params) => {
+        await quotes.remove(params.id);
+        sendJson(res, 200, { deleted: params.id });
+    });
+
+    router.add('POST', '/api/quotes/:id/clone', async (req, res, params) => {
+        sendJson(res, 201, await quotes.clone(params.id, await readJsonBody(req)));
+    });
+
+    router.add('POST', '/api/quotes/:id/application', async (req, res, params) => {
+        sendJson(res, 200, await quotes.startApplication(params.id));
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,73 @@
+/**
+ * Rate Card Routes - ShelterPoint Portal
+ * GET  /api/rate-cards?state=&status=                       list rate card versions
+ * POST /api/rate-cards                                      { state, effectiveDate, format, content, fileName, importedBy, notes } import a draft
+ * GET  /api/rate-cards/current?state=&effectiveDate=&format= the card in force (format=csv downloads it as an import template)
+ * GET  /api/rate-cards/published.js                         script adding the published cards to the rate tables
+ * GET  /api/rate-cards/:id                                  retrieve a rate card with its diff and impact preview
+ * POST /api/rate-cards/:id/publish                          { publishedBy } publish a draft
+ *
+ * Imports with errors return 422 with fieldErrors keyed by rate card field
+ * path (or state, effectiveDate, format, content, importedBy).
+ *
+ * Listing, importing, previewing and publishing are for staff and need the
+ * admin token; the rates in force are public.
+ */
+
+const { sendJson, sendDownload, readJsonBody, requireAdmin } = require('../http-utils');
+const { rateCardCsv } = require('../../StateApplications/shared/rate-cards.js');
+
+/**
+ * Register the routes
+ * @param {Object} router - API router
+ * @param {Object} context - { config, rateCards }
+ */
+function register(router, context) {
+    const rateCards = context.rateCards;
+
+    router.add('GET', '/api/rate-cards', async (req, res, params, query) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, { rateCards: rateCards.list({ state: query.get('state'), status: query.get('status') }) });
+    });
+
+    router.add('POST', '/api/rate-cards', async (req, res) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 201, await rateCards.import(await readJsonBody(req)));
+    });
+
+    router.add('GET', '/api/rate-cards/current', async (req, res, params, query) => {
+        const card = rateCards.current(query.get('state'), query.get('effectiveDate'));
+        if (query.get('format') !== 'csv') {
+            sendJson(res, 200, card);
+            return;
+        }
+        sendDownload(res, {
+            filename: card.state + '-rate-card-' + card.effectiveDate + '.csv',
+            contentType: 'text/csv; charset=utf-8',
+            content: Buffer.from(rateCardCsv(card))
+        });
+    });
+
+    // Loaded by every rating page after its calculators
+    router.add('GET', '/api/rate-cards/published.js', async (req, res) => {
+        const script = "if (typeof applyRateCards === 'function') applyRateCards("
+            + JSON.stringify(rateCards.published()) + ');\n';
+        sendDownload(res, {
+            filename: 'published.js',
+            contentType: 'application/javascript; charset=utf-8',
+            content: Buffer.from(script)
+        }, { inline: true });
+    });
+
+    router.add('GET', '/api/rate-cards/:id', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, rateCards.get(params.id));
+    });
+
+    router.add('POST', '/api/rate-cards/:id/publish', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, await rateCards.publish(params.id, await readJsonBody(req)));
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,80 @@
+/**
+ * Large-Group Referral Routes - ShelterPoint Portal
+ * GET  /api/referrals?state=&status=        list referrals (staff)
+ * POST /api/referrals                       request large-group underwriting
+ * GET  /api/referrals/:id                   retrieve a referral (staff or the referring broker)
+ * GET  /api/referrals/:id/files/:index      an uploaded census or loss run file (staff)
+ * POST /api/referrals/:id/rate              { underwriterName, shelterPointRate | dblMaleRate, dblFemaleRate, underwriterNotes } (staff)
+ * POST /api/referrals/:id/decline           { underwriterName, declineReason } (staff)
+ *
+ * POST /api/referrals accepts multipart/form-data with { state, data, quoteData }
+ * as JSON in a 'payload' field plus the uploaded files, or that JSON as the body.
+ * Validation failures return 422 with fieldErrors keyed by form field.
+ *
+ * Staff routes need the admin token. The new referral is returned with an
+ * accessKey; the broker's browser sends it as X-Access-Key to read the
+ * referral back.
+ */
+
+const { HttpError, sendJson, sendDownload, readJsonBody, requireAdmin, requireAdminOrOwner } = require('../http-utils');
+const { isMultipart, readMultipartBody } = require('../multipart');
+
+/**
+ * Read a referral request from a JSON or multipart request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} { request, files }
+ */
+async function readReferralRequest(req) {
+    if (!isMultipart(req)) {
+        return { request: await readJsonBody(req), files: [] };
+    }
+    const { fields, files } = await readMultipartBody(req);
+    let request;
+    try {
+        request = JSON.parse(fields.payload || '');
+    } catch (err) {
+        throw new HttpError(400, 'Referral payload is missing or is not valid JSON.');
+    }
+    return { request, files };
+}
+
+/**
+ * Register the routes
+ * @param {Object} router - API router
+ * @param {Object} context - { config, referrals }
+ */
+function register(router, context) {
+    const referrals = context.referrals;
+
+    router.add('GET', '/api/referrals', async (req, res, params, query) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, { referrals: referrals.list({ state: query.get('state'), status: query.get('status') }) });
+    });
+
+    router.add('POST', '/api/referrals', async (req, res) => {
+        const { request, files } = await readReferralRequest(req);
+        sendJson(res, 201, await referrals.create(request, files));
+    });
+
+    router.add('GET', '/api/referrals/:id', async (req, res, params) => {
+        requireAdminOrOwner(req, context.config, referrals.accessKeyHash(params.id));
+        sendJson(res, 200, referrals.get(params.id));
+    });
+
+    router.add('GET', '/api/referrals/:id/files/:index', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendDownload(res, await referrals.file(params.id, parseInt(params.index, 10)));
+    });
+
+    router.add('POST', '/api/referrals/:id/rate', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, await referrals.rate(params.id, await readJsonBody(req)));
+    });
+
+    router.add('POST', '/api/referrals/:id/decline', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, await referrals.decline(params.id, await readJsonBody(req)));
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,90 @@
+/**
+ * Renewal Routes - ShelterPoint Portal
+ * GET  /api/renewals?month=&state=&status=&agencyNumber=   list renewal notices
+ * POST /api/renewals                                       { month, generatedBy } run the renewal job for a month
+ * GET  /api/renewals/:id                                   retrieve a renewal notice
+ * GET  /api/renewals/:id/notice                            the renewal notice (PDF)
+ * POST /api/renewals/:id/release                           { releasedBy } email the notice to the employer
+ *
+ * Every route is for staff and needs the admin token. Notices are only
+ * emailed to the employer address on the application.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError, sendJson, sendDownload, readJsonBody, requireAdmin } = require('../http-utils');
+const { renderRenewalEmail } = require('../mail/renewal-email');
+const { buildRenewalNotice, renewalNoticeFileName } = require('../../StateApplications/shared/renewal-notice.js');
+
+const LOGO_PATH = path.join(__dirname, '../../StateApplications/assets/images/ShelterPoint.jpg');
+
+/**
+ * Register the routes
+ * @param {Object} router - API router
+ * @param {Object} context - { config, mailTransport, renewals }
+ */
+function register(router, context) {
+    const renewals = context.renewals;
+    let logo = null;
+
+    function noticeFile(record) {
+        if (!logo) logo = fs.readFileSync(LOGO_PATH);
+        return {
+            filename: renewalNoticeFileName(record),
+            contentType: 'application/pdf',
+            content: Buffer.from(buildRenewalNotice(record, new Uint8Array(logo)))
+        };
+    }
+
+    async function sendRenewalNotice(record) {
+        const rendered = renderRenewalEmail(record);
+        try {
+            const result = await context.mailTransport.send({
+                from: context.config.mail.from,
+                to: record.releasedTo,
+                subject: rendered.subject,
+                text: rendered.text,
+                html: rendered.html,
+                attachments: [noticeFile(record)]
+            });
+            return result.messageId;
+        } catch (err) {
+            console.error('Renewal notice email failed:', err.message);
+            throw new HttpError(502, 'We could not send the renewal notice right now. Please try again later.');
+        }
+    }
+
+    router.add('GET', '/api/renewals', async (req, res, params, query) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, {
+            renewals: renewals.list({
+                month: query.get('month'),
+                state: query.get('state'),
+                status: query.get('status'),
+                agencyNumber: query.get('agencyNumber')
+            })
+        });
+    });
+
+    router.add('POST', '/api/renewals', async (req, res) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 201, await renewals.generate(await readJsonBody(req)));
+    });
+
+    router.add('GET', '/api/renewals/:id', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, renewals.get(params.id));
+    });
+
+    router.add('GET', '/api/renewals/:id/notice', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendDownload(res, noticeFile(renewals.get(params.id)), { inline: true });
+    });
+
+    router.add('POST', '/api/renewals/:id/release', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, await renewals.release(params.id, await readJsonBody(req), sendRenewalNotice));
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,100 @@
+/**
+ * Submission Routes - ShelterPoint Portal
+ * GET  /api/submissions?kind=&state=        list submissions (staff)
+ * POST /api/submissions                     submit an application or onboarding packet
+ * GET  /api/submissions/:number             retrieve a submission (staff)
+ * GET  /api/submissions/:number/form        the official state form package (PDF, staff)
+ * POST /api/submissions/:number/cancel      cancel a bound application (staff)
+ *
+ * Staff routes need the admin token. Submissions are returned with identity
+ * and bank account numbers masked to their last four digits.
+ *
+ * POST accepts a JSON body { kind, state, form, quoteId, data, quoteData, employerContact },
+ * or multipart/form-data with that JSON in a 'payload' field plus the uploaded files.
+ * Validation failures return 422 with fieldErrors keyed by application field.
+ * Applications with an employerContact are emailed to the employer for
+ * authorization before they are stored.
+ *
+ * Cancel accepts { cancellationDate, cancelledBy, reason }; only bound
+ * applications can be cancelled, and only once (409).
+ */
+
+const { HttpError, sendJson, sendDownload, readJsonBody, requireAdmin } = require('../http-utils');
+const { maskSubmission } = require('../submissions/submission-repository');
+const { isMultipart, readMultipartBody } = require('../multipart');
+const { renderAuthorizationEmail } = require('../mail/authorization-email');
+
+// Employer signing page, relative to config.publicUrl
+const AUTHORIZATION_PAGE = '/StateApplications/employer/authorize.html';
+
+/**
+ * Read a submission from a JSON or multipart request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} { submission, files }
+ */
+async function readSubmission(req) {
+    if (!isMultipart(req)) {
+        return { submission: await readJsonBody(req), files: [] };
+    }
+    const { fields, files } = await readMultipartBody(req);
+    let submission;
+    try {
+        submission = JSON.parse(fields.payload || '');
+    } catch (err) {
+        throw new HttpError(400, 'Submission payload is missing or is not valid JSON.');
+    }
+    return { submission, files };
+}
+
+/**
+ * Register the routes
+ * @param {Object} router - API router
+ * @param {Object} context - { config, mailTransport, submissions }
+ */
+function register(router, context) {
+    const submissions = context.submissions;
+
+    async function sendAuthorizationRequest(record, token) {
+        const link = context.config.publicUrl + AUTHORIZATION_PAGE + '?token=' + encodeURIComponent(token);
+        const rendered = renderAuthorizationEmail(record, link);
+        try {
+            await context.mailTransport.send({
+                from: context.config.mail.from,
+                to: record.employerContact.email,
+                subject: rendered.subject,
+                text: rendered.text,
+                html: rendered.html
+            });
+        } catch (err) {
+            console.error('Authorization email failed:', err.message);
+            throw new HttpError(502, 'We could not send the authorization email to the employer right now. Please try again later.');
+        }
+    }
+
+    router.add('GET', '/api/submissions', async (req, res, params, query) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, { submissions: submissions.list({ kind: query.get('kind'), state: query.get('state') }) });
+    });
+
+    router.add('POST', '/api/submissions', async (req, res) => {
+        const { submission, files } = await readSubmission(req);
+        sendJson(res, 201, maskSubmission(await submissions.submit(submission, files, sendAuthorizationRequest)));
+    });
+
+    router.add('GET', '/api/submissions/:number', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, maskSubmission(submissions.get(params.number)));
+    });
+
+    router.add('GET', '/api/submissions/:number/form', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendDownload(res, await submissions.officialForm(params.number));
+    });
+
+    router.add('POST', '/api/submissions/:number/cancel', async (req, res, params) => {
+        requireAdmin(req, context.config);
+        sendJson(res, 200, maskSubmission(await submissions.cancel(params.number, await readJsonBody(req))));
+    });
+}
+
+module.exports = { register };
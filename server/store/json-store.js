@@ -0,0 +1,104 @@
+/**
+ * JSON File Store - ShelterPoint Portal
+ * Each collection is one JSON file in the data directory, keyed by record ID.
+ * Records are kept in memory and written back atomically after every change.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function copy(record) {
+    return record === undefined || record === null ? null : JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Open a collection
+ * @param {string} dataDir - Data directory
+ * @param {string} name - Collection name (file name without .json)
+ * @returns {Object} Collection with all(), get(id), put(id, record), remove(id)
+ */
+function createJsonCollection(dataDir, name) {
+    const filePath = path.join(dataDir, name + '.json');
+    let records = null;
+    let writing = Promise.resolve();
+
+    function load() {
+        if (records) return records;
+        try {
+            records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            records = {};
+        }
+        return records;
+    }
+
+    function persist() {
+        const snapshot = JSON.stringify(records, null, 2);
+        // Writes are chained so a slow write never lands after a newer one
+        writing = writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(dataDir, { recursive: true });
+            const tempPath = filePath + '.' + process.pid + '.tmp';
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, filePath);
+        });
+        return writing;
+    }
+
+    return {
+        name,
+
+        /** @returns {Object[]} Copies of every record */
+        all() {
+            return Object.values(load()).map(copy);
+        },
+
+        /** @returns {Object|null} Copy of the record, or null */
+        get(id) {
+            return copy(load()[id]);
+        },
+
+        /** @returns {boolean} True when a record exists */
+        has(id) {
+            return Object.prototype.hasOwnProperty.call(load(), id);
+        },
+
+        /** Insert or replace a record */
+        async put(id, record) {
+            load()[id] = copy(record);
+            await persist();
+            return copy(record);
+        },
+
+        /** @returns {Promise<boolean>} True when a record was removed */
+        async remove(id) {
+            if (!this.has(id)) return false;
+            delete load()[id];
+            await persist();
+            return true;
+        }
+    };
+}
+
+/**
+ * Generate a random numeric ID that is not used in a collection
+ * @param {Object} collection - Collection from createJsonCollection
+ * @param {number} digits - ID length (first digit is never 0)
+ * @param {string} prefix - Optional prefix (e.g. 'SUB-')
+ * @returns {string} Unused ID
+ */
+function uniqueNumericId(collection, digits, prefix = '') {
+    const min = Math.pow(10, digits - 1);
+    const max = Math.pow(10, digits);
+    let id;
+    do {
+        id = prefix + String(crypto.randomInt(min, max));
+    } while (collection.has(id));
+    return id;
+}
+
+module.exports = {
+    createJsonCollection,
+    uniqueNumericId
+};
@@ -0,0 +1,458 @@
+/**
+ * Submission Repository - ShelterPoint Portal
+ * Submitted applications and producer onboarding packets. Each submission is
+ * validated against the shared application rules, given an SP- submission
+ * number and stored with its uploaded files.
+ *
+ * Applications sent with an employer contact wait for the employer to sign
+ * through a tokenized link. Only a hash of the token is stored; the signature,
+ * consent text, time and IP address are kept on the record as its audit trail.
+ *
+ * Applications with an official state form (NJ DP-1, NY DBL/PFL) get the
+ * filled form package as a PDF stored with their files once they are signed:
+ * when the employer authorizes the application, or on submission when the
+ * employer signed the form itself and no authorization is requested.
+ *
+ * Documents uploaded on the docs steps are stored by the document repository;
+ * a submission lists the ones its data names and they are attached to it.
+ *
+ * An application submitted from a saved quote keeps a copy of the quote's
+ * premium, split by product, as premium; commission is paid on that premium
+ * however the quote's rates change later.
+ *
+ * Staff cancel a bound application as of a cancellation date. It stays a
+ * bound case with the cancellation on the record, so commission can be
+ * clawed back, but it is not renewed.
+ *
+ * Records keep what was submitted; API responses mask identity and bank
+ * account numbers (see maskSubmission).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { uniqueNumericId } = require('../store/json-store');
+const { HttpError } = require('../http-utils');
+const { APPLICATION_RULES, validateApplication, isCalendarDate } = require('../../StateApplications/shared/application-rules.js');
+const { isValidEmail } = require('../../StateApplications/shared/quote-email.js');
+const { applicationSummary } = require('../../StateApplications/shared/application-summary.js');
+const {
+    officialFormFor,
+    buildOfficialFormPackage,
+    officialFormFileName
+} = require('../../StateApplications/shared/official-forms.js');
+const {
+    AUTHORIZATION_CONSENT,
+    AUTHORIZATION_AGREEMENTS,
+    validateEmployerSignature,
+    signedApplicationData
+} = require('../../StateApplications/shared/employer-authorization.js');
+
+// Employer authorization links can be used for this many days after they are sent
+const AUTHORIZATION_LINK_DAYS = 30;
+
+const SUBMISSION_KIND = {
+    APPLICATION: 'application',
+    PRODUCER_ONBOARDING: 'producer-onboarding'
+};
+
+const SUBMISSION_STATUS = {
+    SUBMITTED: 'submitted',
+    AWAITING_AUTHORIZATION: 'awaiting-authorization',
+    AUTHORIZED: 'authorized'
+};
+
+// Applications in force: sent without asking for the employer's signature, or signed by the employer
+const BOUND_STATUSES = [SUBMISSION_STATUS.SUBMITTED, SUBMISSION_STATUS.AUTHORIZED];
+
+// Entries of an authorization's audit trail
+const AUTHORIZATION_EVENT = {
+    REQUESTED: 'requested',
+    VIEWED: 'viewed',
+    SIGNED: 'signed'
+};
+
+/**
+ * Rule set for a submission: the form name when given, otherwise the state
+ * @param {Object} submission - { kind, state, form }
+ * @returns {string} Key of APPLICATION_RULES
+ */
+function rulesetFor(submission) {
+    if (submission.kind === SUBMISSION_KIND.PRODUCER_ONBOARDING) return 'producer-onboarding';
+    const ruleset = submission.form || String(submission.state || '').toUpperCase();
+    if (!APPLICATION_RULES[ruleset]) {
+        throw new HttpError(400, 'Applications are not accepted for ' + (submission.form || submission.state || 'this state') + '.');
+    }
+    return ruleset;
+}
+
+/**
+ * Field errors for the employer authorization contact
+ * @param {Object} contact - { name, email }
+ * @returns {Object} Field errors
+ */
+function validateEmployerContact(contact) {
+    const errors = {};
+    if (!String(contact.name || '').trim()) {
+        errors.employerContactName = 'Employer contact name is required.';
+    }
+    if (!isValidEmail(String(contact.email || '').trim())) {
+        errors.employerContactEmail = 'Please enter a valid employer contact email.';
+    }
+    return errors;
+}
+
+function safeFileName(name) {
+    return path.basename(String(name)).replace(/[^A-Za-z0-9._-]+/g, '_').slice(-100) || 'upload';
+}
+
+function summarize(record) {
+    const { data, quoteData, ...summary } = record;
+    return summary;
+}
+
+// Identity and bank account numbers; the API only returns their last four digits
+const MASKED_FORMATS = ['taxId', 'tin', 'routingNumber', 'bankAccount'];
+
+function lastFourOnly(value) {
+    return String(value).replace(/\d(?=(?:\D*\d){4})/g, '*');
+}
+
+/**
+ * A submission as the API returns it, with identity and bank account numbers
+ * (and the fields confirming them) masked
+ * @param {Object} record - Submission record
+ * @returns {Object} Masked copy of the record
+ */
+function maskSubmission(record) {
+    const ruleset = record.kind === SUBMISSION_KIND.PRODUCER_ONBOARDING ? 'producer-onboarding' : (record.form || record.state);
+    const fields = (APPLICATION_RULES[ruleset] || []).reduce((all, step) => all.concat(step.fields), []);
+    const sensitive = fields.filter(field => MASKED_FORMATS.includes(field.format)).map(field => field.key);
+    const keys = sensitive.concat(fields.filter(field => sensitive.includes(field.matches)).map(field => field.key));
+    const data = { ...record.data };
+    keys.filter(key => data[key]).forEach(key => {
+        data[key] = lastFourOnly(data[key]);
+    });
+    return { ...record, data };
+}
+
+function addDays(date, days) {
+    const result = new Date(date.getTime());
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * What the employer sees on the signing page
+ * @param {Object} record - Submission record awaiting or past authorization
+ * @returns {Object} { submissionNumber, state, businessName, employerContact, status, expiresAt, summary, agreements, consent, signature, officialForm }
+ */
+function authorizationView(record) {
+    const signed = record.authorization.signature;
+    return {
+        submissionNumber: record.submissionNumber,
+        state: record.state,
+        businessName: record.businessName,
+        employerContact: { name: record.employerContact.name },
+        status: record.status,
+        expiresAt: record.authorization.expiresAt,
+        summary: applicationSummary(record.state, record.data),
+        agreements: AUTHORIZATION_AGREEMENTS[record.state] || [],
+        consent: AUTHORIZATION_CONSENT,
+        signature: signed ? { signerName: signed.signerName, signerTitle: signed.signerTitle, signedAt: signed.signedAt } : null,
+        officialForm: record.officialForm ? { code: officialFormFor(record).code, filename: record.officialForm.filename } : null
+    };
+}
+
+/**
+ * Create the repository
+ * @param {Object} collection - JSON store collection for submissions
+ * @param {string} uploadDir - Directory for uploaded files (one folder per submission)
+ * @param {Object} documents - Document repository (optional)
+ * @param {Object} quotes - Quote repository, told when an application is submitted from a quote (optional)
+ * @returns {Object} Repository
+ */
+function createSubmissionRepository(collection, uploadDir, documents = null, quotes = null) {
+    async function storeFiles(submissionNumber, files) {
+        if (files.length === 0) return [];
+        const dir = path.join(uploadDir, submissionNumber);
+        await fs.promises.mkdir(dir, { recursive: true });
+        return Promise.all(files.map(async (file, index) => {
+            const storedName = (index + 1) + '-' + safeFileName(file.filename);
+            await fs.promises.writeFile(path.join(dir, storedName), file.data);
+            return {
+                field: file.field,
+                filename: file.filename,
+                contentType: file.contentType,
+                size: file.data.length,
+                storedName
+            };
+        }));
+    }
+
+    /**
+     * Build the official form package of a signed application and store it with its files
+     * @param {Object} record - Submission record; its officialForm is set
+     */
+    async function storeOfficialForm(record) {
+        if (record.kind !== SUBMISSION_KIND.APPLICATION || !officialFormFor(record)) return;
+        const dir = path.join(uploadDir, record.submissionNumber);
+        const filename = officialFormFileName(record);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, filename), buildOfficialFormPackage(record));
+        record.officialForm = { filename, contentType: 'application/pdf', generatedAt: new Date().toISOString() };
+    }
+
+    function findByNumber(submissionNumber) {
+        const record = collection.get(submissionNumber);
+        if (!record) throw new HttpError(404, 'Submission ' + submissionNumber + ' was not found.');
+        return record;
+    }
+
+    async function readOfficialForm(record) {
+        if (!record.officialForm) {
+            throw new HttpError(404, 'The official form is produced once the application is signed.');
+        }
+        const content = await fs.promises.readFile(path.join(uploadDir, record.submissionNumber, record.officialForm.filename));
+        return { filename: record.officialForm.filename, contentType: record.officialForm.contentType, content };
+    }
+
+    /**
+     * Find the submission an authorization link belongs to
+     * @param {string} token - Token from the signing link
+     * @returns {Object} Submission record
+     */
+    function findByToken(token) {
+        const tokenHash = hashToken(token);
+        const record = collection.all().find(r => r.authorization && r.authorization.tokenHash === tokenHash);
+        if (!record) throw new HttpError(404, 'This authorization link is not valid. Please use the link in your most recent email.');
+        if (!record.authorization.signature && new Date(record.authorization.expiresAt) < new Date()) {
+            throw new HttpError(410, 'This authorization link has expired. Please ask your broker to send the application again.');
+        }
+        return record;
+    }
+
+    return {
+        /**
+         * Validate and store a submission
+         * An application with an employer contact is stored awaiting authorization
+         * and requestAuthorization is called with its signing token first; if that
+         * fails (e.g. the email cannot be sent) nothing is stored.
+         * @param {Object} submission - { kind, state, form, quoteId, data, quoteData, employerContact }
+         * @param {Object[]} files - Uploaded files from readMultipartBody
+         * @param {Function} requestAuthorization - async (record, token) => void (optional)
+         * @returns {Promise<Object>} Submission record
+         */
+        async submit(submission, files = [], requestAuthorization = null) {
+            const kind = submission.kind || SUBMISSION_KIND.APPLICATION;
+            if (!Object.values(SUBMISSION_KIND).includes(kind)) {
+                throw new HttpError(400, 'Unknown submission type.');
+            }
+            if (!submission.data || typeof submission.data !== 'object') {
+                throw new HttpError(400, 'Application data is missing.');
+            }
+            const ruleset = rulesetFor({ ...submission, kind });
+            const fieldErrors = validateApplication(ruleset, submission.data);
+            if (submission.employerContact) {
+                Object.assign(fieldErrors, validateEmployerContact(submission.employerContact));
+            }
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before submitting.', fieldErrors);
+            }
+
+            const data = submission.data;
+            const quoteId = submission.quoteId || data.quoteId || null;
+            const state = kind === SUBMISSION_KIND.APPLICATION ? String(submission.state || '').toUpperCase() : null;
+            const attached = documents ? documents.forSubmission({ kind, state, quoteId, data }) : [];
+            const submissionNumber = uniqueNumericId(collection, 8, 'SP-');
+            const record = {
+                submissionNumber,
+                kind,
+                state,
+                form: submission.form || null,
+                quoteId,
+                businessName: data.businessName || data.employerName || data.policyholderName || null,
+                status: SUBMISSION_STATUS.SUBMITTED,
+                submittedAt: new Date().toISOString(),
+                employerContact: submission.employerContact || null,
+                files: [],
+                documents: attached,
+                data,
+                quoteData: submission.quoteData || null
+            };
+
+            if (record.employerContact && kind === SUBMISSION_KIND.APPLICATION) {
+                const token = crypto.randomBytes(32).toString('base64url');
+                const now = new Date();
+                record.status = SUBMISSION_STATUS.AWAITING_AUTHORIZATION;
+                record.authorization = {
+                    tokenHash: hashToken(token),
+                    requestedAt: now.toISOString(),
+                    expiresAt: addDays(now, AUTHORIZATION_LINK_DAYS).toISOString(),
+                    events: [{ type: AUTHORIZATION_EVENT.REQUESTED, at: now.toISOString(), email: record.employerContact.email }],
+                    signature: null
+                };
+                if (requestAuthorization) await requestAuthorization(record, token);
+            }
+
+            record.files = await storeFiles(submissionNumber, files);
+            if (quotes && quoteId && kind === SUBMISSION_KIND.APPLICATION) {
+                record.premium = await quotes.recordSubmission(quoteId, submissionNumber);
+            }
+            if (record.status === SUBMISSION_STATUS.SUBMITTED) await storeOfficialForm(record);
+            const stored = await collection.put(submissionNumber, record);
+            if (documents) await documents.attach(attached, submissionNumber);
+            return stored;
+        },
+
+        /**
+         * Open an authorization link; the first view and every later one is logged
+         * @param {string} token - Token from the signing link
+         * @param {Object} client - { ipAddress, userAgent }
+         * @returns {Promise<Object>} Signing page view (see authorizationView)
+         */
+        async viewAuthorization(token, client) {
+            const record = findByToken(token);
+            if (!record.authorization.signature) {
+                record.authorization.events.push({ type: AUTHORIZATION_EVENT.VIEWED, at: new Date().toISOString(), ...client });
+                await collection.put(record.submissionNumber, record);
+            }
+            return authorizationView(record);
+        },
+
+        /**
+         * Record the employer's signature and mark the application authorized
+         * @param {string} token - Token from the signing link
+         * @param {Object} values - { signerName, signerTitle, signature, consent }
+         * @param {Object} client - { ipAddress, userAgent }
+         * @returns {Promise<Object>} Signing page view (see authorizationView)
+         */
+        async authorize(token, values, client) {
+            const record = findByToken(token);
+            if (record.authorization.signature) {
+                throw new HttpError(409, 'This application has already been authorized.');
+            }
+            const fieldErrors = validateEmployerSignature(record.state, values);
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before signing.', fieldErrors);
+            }
+
+            const signedAt = new Date().toISOString();
+            record.authorization.signature = {
+                signerName: String(values.signerName).trim(),
+                signerTitle: String(values.signerTitle).trim(),
+                signature: String(values.signature).trim(),
+                consent: AUTHORIZATION_CONSENT,
+                agreements: AUTHORIZATION_AGREEMENTS[record.state] || [],
+                signedAt,
+                ipAddress: client.ipAddress,
+                userAgent: client.userAgent,
+                // Fingerprint of the application exactly as the employer reviewed it
+                documentHash: crypto.createHash('sha256').update(JSON.stringify(record.data)).digest('hex')
+            };
+            record.authorization.events.push({ type: AUTHORIZATION_EVENT.SIGNED, at: signedAt, ...client });
+            record.data = signedApplicationData(record.state, record.data, record.authorization.signature);
+            record.status = SUBMISSION_STATUS.AUTHORIZED;
+            record.authorizedAt = signedAt;
+            await storeOfficialForm(record);
+            await collection.put(record.submissionNumber, record);
+            return authorizationView(record);
+        },
+
+        /**
+         * The official form package of a signed submission
+         * @param {string} submissionNumber - SP- submission number
+         * @returns {Promise<Object>} { filename, contentType, content }
+         */
+        async officialForm(submissionNumber) {
+            return readOfficialForm(findByNumber(submissionNumber));
+        },
+
+        /**
+         * The official form package the employer signed through an authorization link
+         * @param {string} token - Token from the signing link
+         * @returns {Promise<Object>} { filename, contentType, content }
+         */
+        async officialFormByToken(token) {
+            return readOfficialForm(findByToken(token));
+        },
+
+        /**
+         * Cancel a bound application
+         * @param {string} submissionNumber - SP- submission number
+         * @param {Object} values - { cancellationDate (YYYY-MM-DD), cancelledBy, reason }
+         * @returns {Promise<Object>} Submission record
+         */
+        async cancel(submissionNumber, values) {
+            const record = findByNumber(submissionNumber);
+            if (record.kind !== SUBMISSION_KIND.APPLICATION || !BOUND_STATUSES.includes(record.status)) {
+                throw new HttpError(409, 'Only bound applications can be cancelled.');
+            }
+            if (record.cancellation) {
+                throw new HttpError(409, 'This application was already cancelled as of ' + record.cancellation.cancellationDate + '.');
+            }
+            const fieldErrors = {};
+            const cancellationDate = String(values.cancellationDate || '').trim();
+            if (!isCalendarDate(cancellationDate)) fieldErrors.cancellationDate = 'Cancellation date must be a date (YYYY-MM-DD).';
+            if (!String(values.cancelledBy || '').trim()) fieldErrors.cancelledBy = 'Required.';
+            if (!String(values.reason || '').trim()) fieldErrors.reason = 'Required.';
+            if (Object.keys(fieldErrors).length > 0) {
+                throw new HttpError(422, 'Please correct the highlighted information before cancelling.', fieldErrors);
+            }
+
+            record.cancellation = {
+                cancellationDate,
+                cancelledBy: String(values.cancelledBy).trim(),
+                reason: String(values.reason).trim(),
+                cancelledAt: new Date().toISOString()
+            };
+            return collection.put(record.submissionNumber, record);
+        },
+
+        /** @returns {Object} Full submission record */
+        get(submissionNumber) {
+            return findByNumber(submissionNumber);
+        },
+
+        /**
+         * List submissions, newest first, without their payloads
+         * @param {Object} filter - { kind, state }
+         * @returns {Object[]} Submission summaries
+         */
+        list(filter = {}) {
+            return collection.all()
+                .filter(r => !filter.kind || r.kind === filter.kind)
+                .filter(r => !filter.state || r.state === String(filter.state).toUpperCase())
+                .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))
+                .map(summarize);
+        },
+
+        /**
+         * Bound cases: the latest bound application started from each saved quote
+         * Cancelled applications are included with their cancellation.
+         * @returns {Object[]} Full submission records, newest first
+         */
+        bound() {
+            const byQuote = new Map();
+            collection.all()
+                .filter(r => r.kind === SUBMISSION_KIND.APPLICATION && r.quoteId && BOUND_STATUSES.includes(r.status))
+                .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))
+                .forEach(r => {
+                    if (!byQuote.has(r.quoteId)) byQuote.set(r.quoteId, r);
+                });
+            return [...byQuote.values()];
+        }
+    };
+}
+
+module.exports = {
+    createSubmissionRepository,
+    maskSubmission,
+    SUBMISSION_KIND,
+    SUBMISSION_STATUS,
+    AUTHORIZATION_EVENT
+};
@@ -0,0 +1,230 @@
+/**
+ * Commission Run Tests - ShelterPoint Portal
+ * Run with: node --test server/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonCollection } = require('../store/json-store');
+const { createCommissionRepository } = require('../commissions/commission-repository');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shelterpoint-commissions-'));
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+const ACH = { odfiRouting: '091000019', odfiName: 'First Origin Bank', companyId: '1234567890', companyName: 'ShelterPoint Life' };
+
+const PRODUCERS = [
+    {
+        submissionNumber: 'SP-20000001',
+        kind: 'producer-onboarding',
+        data: {
+            nipr: '1111111', firstName: 'Pat', lastName: 'Producer', licenseType: 'individual', workEmail: 'pat@example.com',
+            directDeposit: 'yes', authorizeACH: 'on', bankName: 'Chase', routingNumber: '021000021', accountNumber: '123456789'
+        }
+    },
+    {
+        submissionNumber: 'SP-20000002',
+        kind: 'producer-onboarding',
+        data: {
+            nipr: '2222222', firstName: 'Sam', lastName: 'Producer', licenseType: 'individual', workEmail: 'sam@example.com',
+            commStreet1: '1 Main St', commCity: 'Denver', commState: 'CO', commZip: '80202'
+        }
+    }
+];
+
+/**
+ * A bound CO application with its submitted premium
+ * @param {string} submissionNumber - SP- number
+ * @param {string} agencyNumber - Producer's NIPR number
+ * @param {Object} premium - { effectiveDate, billingPeriod, annualPremiums }
+ * @returns {Object} Submission record
+ */
+function boundApplication(submissionNumber, agencyNumber, premium) {
+    return {
+        submissionNumber,
+        kind: 'application',
+        state: 'CO',
+        quoteId: 'Q' + submissionNumber.slice(3),
+        businessName: 'Case ' + submissionNumber,
+        status: 'authorized',
+        submittedAt: '2026-02-01T00:00:00.000Z',
+        premium,
+        data: { agencyNumber }
+    };
+}
+
+/**
+ * A quarterly ACH case, an annual check case and a case whose producer was never onboarded
+ * @returns {Object[]} Submission records
+ */
+function defaultCases() {
+    return [
+        boundApplication('SP-10000001', '1111111', { effectiveDate: '2026-03-01', billingPeriod: 'quarter', annualPremiums: { PFML: 10000, OPTIONAL: 1000 } }),
+        boundApplication('SP-10000002', '2222222', { effectiveDate: '2026-03-15', billingPeriod: 'year', annualPremiums: { PFML: 5000 } }),
+        boundApplication('SP-10000003', '9999999', { effectiveDate: '2026-03-01', billingPeriod: 'year', annualPremiums: { PFML: 2000 } })
+    ];
+}
+
+/**
+ * A commission repository over stubbed bound cases and producers
+ * @param {string} name - Data directory for the runs
+ * @param {Object} options - { ach, cases } (optional)
+ * @returns {Object} Commission repository
+ */
+function repository(name, { ach = ACH, cases = defaultCases() } = {}) {
+    const records = [...PRODUCERS, ...cases];
+    const submissions = {
+        list: ({ kind }) => records.filter(r => r.kind === kind),
+        get: submissionNumber => records.find(r => r.submissionNumber === submissionNumber),
+        bound: () => cases
+    };
+    const renewals = { termPremium: () => null };
+    return createCommissionRepository(createJsonCollection(path.join(DATA_DIR, name), 'commissionRuns'), {
+        submissions,
+        quotes: {},
+        renewals,
+        ach
+    });
+}
+
+test('closing a month pays direct deposit producers by ACH and the rest by check', async () => {
+    const commissions = repository('close');
+    const run = await commissions.close({ month: '2026-03', runBy: 'Finance', effectiveEntryDate: '2026-04-02' });
+
+    assert.strictEqual(run.producerCount, 2);
+    assert.deepStrictEqual(run.totals, { premium: 7750, commission: 487.5 });
+    assert.deepStrictEqual(run.ach, { filename: 'commissions-2026-03.ach', entryCount: 1, totalCredit: 187.5 });
+    assert.deepStrictEqual(run.checks, [{ producerId: '2222222', payee: 'Sam Producer', address: '1 Main St, Denver, CO 80202', amount: 300 }]);
+    assert.strictEqual(run.unassigned.length, 1);
+    assert.match(run.unassigned[0].reason, /NIPR number 9999999/);
+
+    const statement = commissions.statement(run.runId, '1111111');
+    assert.strictEqual(statement.bank, undefined);
+    assert.deepStrictEqual(statement.payment, { method: 'ach', bankName: 'Chase', accountLast4: '6789' });
+    assert.deepStrictEqual(statement.cases[0].lines.map(line => [line.product, line.premium, line.commission]), [
+        ['PFML', 2500, 150],
+        ['OPTIONAL', 250, 37.5]
+    ]);
+
+    const entry = commissions.achFile(run.runId).content.toString('ascii').split('\r\n').find(line => line[0] === '6');
+    assert.strictEqual(entry.slice(3, 12), '021000021');
+    assert.strictEqual(entry.slice(29, 39), '0000018750');
+    assert.match(commissions.checkList(run.runId).content.toString(), /Sam Producer,2222222,"1 Main St, Denver, CO 80202",300\.00,Commissions 2026-03/);
+});
+
+test('a month is only billed the installments that fall in it', async () => {
+    const commissions = repository('installments');
+    const run = await commissions.close({ month: '2026-06', runBy: 'Finance', effectiveEntryDate: '2026-07-02' });
+
+    assert.strictEqual(run.producerCount, 1);
+    assert.strictEqual(run.statements[0].cases[0].installment, 2);
+    assert.deepStrictEqual(run.checks, []);
+    assert.strictEqual(run.ach.totalCredit, 187.5);
+});
+
+test('a month is not closed with a payment date that is not on the calendar', async () => {
+    const commissions = repository('bad-date');
+    await assert.rejects(
+        commissions.close({ month: '2026-13', runBy: '', effectiveEntryDate: '2026-02-30' }),
+        err => {
+            assert.strictEqual(err.status, 422);
+            assert.deepStrictEqual(Object.keys(err.fieldErrors).sort(), ['effectiveEntryDate', 'month', 'runBy']);
+            return true;
+        }
+    );
+    assert.deepStrictEqual(commissions.list(), []);
+});
+
+test('a month can only be closed once', async () => {
+    const commissions = repository('twice');
+    const run = await commissions.close({ month: '2026-03', runBy: 'Finance', effectiveEntryDate: '2026-04-02' });
+    await assert.rejects(
+        commissions.close({ month: '2026-03', runBy: 'Finance', effectiveEntryDate: '2026-04-03' }),
+        err => err.status === 409 && err.message.includes(run.runId)
+    );
+    assert.strictEqual(commissions.list().length, 1);
+});
+
+test('a month with direct deposit payments is not closed until ACH is set up', async () => {
+    const commissions = repository('no-ach', { ach: {} });
+    await assert.rejects(
+        commissions.close({ month: '2026-03', runBy: 'Finance', effectiveEntryDate: '2026-04-02' }),
+        { status: 503 }
+    );
+    assert.deepStrictEqual(commissions.list(), []);
+});
+
+function cancelled(submission, cancellationDate) {
+    return { ...submission, cancellation: { cancellationDate, cancelledBy: 'Ops', reason: 'Replaced coverage' } };
+}
+
+test('commission on the unearned part of a cancelled installment is clawed back', async () => {
+    const [quarterly, annual] = defaultCases();
+    const commissions = repository('clawback', { cases: [quarterly, cancelled(annual, '2026-09-14')] });
+    await commissions.close({ month: '2026-03', runBy: 'Finance', effectiveEntryDate: '2026-04-02' });
+
+    const run = await commissions.close({ month: '2026-09', runBy: 'Finance', effectiveEntryDate: '2026-10-02' });
+    const statement = run.statements.find(s => s.producerId === '2222222');
+    assert.deepStrictEqual(statement.cases.map(item => item.clawback), [{ cancellationDate: '2026-09-14' }]);
+    // 182 of the policy year's 365 days were left
+    assert.deepStrictEqual(statement.cases[0].lines.map(line => [line.premium, line.commission]), [[-2493.15, -149.59]]);
+    assert.strictEqual(statement.balance, -149.59);
+    assert.deepStrictEqual(run.checks, []);
+    assert.strictEqual(run.ach.totalCredit, 187.5);
+
+    // Nothing is billed after the cancellation, and the annual case is not billed again
+    assert.deepStrictEqual(commissions.preview('2027-03').statements.map(s => s.producerId), ['1111111']);
+});
+
+test('a case cancelled in the month it is billed earns only the days it was in force', async () => {
+    const [quarterly] = defaultCases();
+    const commissions = repository('same-month', { cases: [cancelled(quarterly, '2026-06-20')] });
+    const [statement] = (await commissions.close({ month: '2026-06', runBy: 'Finance', effectiveEntryDate: '2026-07-02' })).statements;
+
+    assert.deepStrictEqual(statement.cases.map(item => [item.installment, item.totals.commission, !!item.clawback]), [
+        [2, 187.5, false],
+        // 73 of the quarter's 92 days were left
+        [2, -148.78, true]
+    ]);
+    assert.strictEqual(statement.balance, 38.72);
+});
+
+test('a case cancelled on the day an installment starts is not billed or clawed back', async () => {
+    const [quarterly] = defaultCases();
+    const commissions = repository('on-start', { cases: [cancelled(quarterly, '2026-06-01')] });
+    assert.deepStrictEqual(commissions.preview('2026-06').statements, []);
+    assert.strictEqual(commissions.preview('2026-03').statements[0].totals.commission, 187.5);
+});
+
+test('what a producer owes is carried forward until their commission covers it', async () => {
+    const [quarterly, annual] = defaultCases();
+    const commissions = repository('carried', {
+        cases: [quarterly, cancelled({ ...annual, data: { agencyNumber: '1111111' } }, '2026-04-16')]
+    });
+    const closeMonth = (month, effectiveEntryDate) => commissions.close({ month, runBy: 'Finance', effectiveEntryDate });
+
+    const april = await closeMonth('2026-04', '2026-05-04');
+    // 333 of the policy year's 365 days were left
+    assert.strictEqual(april.statements[0].balance, -273.7);
+    assert.strictEqual(april.ach, null);
+
+    const june = await closeMonth('2026-06', '2026-07-02');
+    assert.strictEqual(june.statements[0].carriedForward, -273.7);
+    assert.strictEqual(june.statements[0].balance, -86.2);
+    assert.strictEqual(june.ach, null);
+
+    const september = await closeMonth('2026-09', '2026-10-02');
+    assert.strictEqual(september.statements[0].carriedForward, -86.2);
+    assert.strictEqual(september.statements[0].balance, 101.3);
+    assert.deepStrictEqual(september.ach, { filename: 'commissions-2026-09.ach', entryCount: 1, totalCredit: 101.3 });
+    const entry = commissions.achFile(september.runId).content.toString('ascii').split('\r\n').find(line => line[0] === '6');
+    assert.strictEqual(entry.slice(29, 39), '0000010130');
+
+    assert.strictEqual(commissions.preview('2026-12').statements[0].carriedForward, 0);
+});
@@ -0,0 +1,88 @@
+/**
+ * NACHA ACH File Tests - ShelterPoint Portal
+ * Run with: node --test server/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildAchFile } = require('../commissions/nacha');
+
+const ORIGIN = { odfiRouting: '091000019', odfiName: 'First Origin Bank', companyId: '1234567890', companyName: 'ShelterPoint Life' };
+const ENTRIES = [
+    { routingNumber: '021000021', accountNumber: '123456789', amount: 123.45, payeeId: '1111111', payeeName: 'Pat Producer', business: false },
+    { routingNumber: '011000015', accountNumber: '987654321', amount: 0.1, payeeId: '2222222', payeeName: 'Sam Producer', business: false },
+    { routingNumber: '021000021', accountNumber: '555000111', amount: 1000, payeeId: '3333333', payeeName: 'Front Range Agency', business: true }
+];
+const OPTIONS = { effectiveEntryDate: '2026-07-02', description: 'COMMISSION', descriptiveDate: 'Jun 26', createdAt: new Date('2026-07-01T14:30:00Z') };
+
+function records() {
+    const content = buildAchFile(ORIGIN, ENTRIES, OPTIONS);
+    assert.ok(content.endsWith('\r\n'));
+    return content.slice(0, -2).split('\r\n');
+}
+
+test('every record is 94 characters and the file is blocked in tens', () => {
+    const lines = records();
+    lines.forEach(line => assert.strictEqual(line.length, 94, line));
+    assert.strictEqual(lines.length, 10);
+    assert.deepStrictEqual(lines.map(line => line[0]).join(''), '1566856899');
+    assert.strictEqual(lines[9], '9'.repeat(94));
+});
+
+test('the file header names the ODFI and creation time', () => {
+    const header = records()[0];
+    assert.strictEqual(header.slice(0, 3), '101');
+    assert.strictEqual(header.slice(3, 13), ' 091000019');
+    assert.strictEqual(header.slice(13, 23), '1234567890');
+    assert.strictEqual(header.slice(23, 33), '2607011430');
+    assert.strictEqual(header.slice(34, 40), '094101');
+});
+
+test('individual producers are paid in a PPD batch and agencies in a CCD batch', () => {
+    const lines = records();
+    const batchHeaders = lines.filter(line => line[0] === '5');
+    assert.deepStrictEqual(batchHeaders.map(line => line.slice(50, 53)), ['PPD', 'CCD']);
+    batchHeaders.forEach((line, index) => {
+        assert.strictEqual(line.slice(1, 4), '220');
+        assert.strictEqual(line.slice(69, 75), '260702');
+        assert.strictEqual(line.slice(79, 87), '09100001');
+        assert.strictEqual(line.slice(87), String(index + 1).padStart(7, '0'));
+    });
+});
+
+test('entry details carry the account, the amount in cents and a trace number', () => {
+    const entries = records().filter(line => line[0] === '6');
+    assert.deepStrictEqual(entries.map(line => line.slice(1, 3)), ['22', '22', '22']);
+    assert.deepStrictEqual(entries.map(line => line.slice(3, 12)), ['021000021', '011000015', '021000021']);
+    assert.strictEqual(entries[0].slice(12, 29), '123456789        ');
+    assert.deepStrictEqual(entries.map(line => line.slice(29, 39)), ['0000012345', '0000000010', '0000100000']);
+    assert.strictEqual(entries[2].slice(54, 76), 'FRONT RANGE AGENCY    ');
+    assert.deepStrictEqual(entries.map(line => line.slice(79)), ['091000010000001', '091000010000002', '091000010000003']);
+});
+
+test('batch and file controls add up the entries', () => {
+    const lines = records();
+    const [ppd, ccd] = lines.filter(line => line[0] === '8');
+    assert.strictEqual(ppd.slice(4, 10), '000002');
+    assert.strictEqual(ppd.slice(10, 20), '0003200003');
+    assert.strictEqual(ppd.slice(20, 32), '000000000000');
+    assert.strictEqual(ppd.slice(32, 44), '000000012355');
+    assert.strictEqual(ccd.slice(4, 10), '000001');
+    assert.strictEqual(ccd.slice(10, 20), '0002100002');
+    assert.strictEqual(ccd.slice(32, 44), '000000100000');
+
+    const fileControl = lines[8];
+    assert.strictEqual(fileControl.slice(1, 7), '000002');
+    assert.strictEqual(fileControl.slice(7, 13), '000001');
+    assert.strictEqual(fileControl.slice(13, 21), '00000003');
+    assert.strictEqual(fileControl.slice(21, 31), '0005300005');
+    assert.strictEqual(fileControl.slice(31, 43), '000000000000');
+    assert.strictEqual(fileControl.slice(43, 55), '000000112355');
+});
+
+test('a file with only agency payments has just the CCD batch', () => {
+    const content = buildAchFile(ORIGIN, ENTRIES.filter(entry => entry.business), OPTIONS);
+    const lines = content.slice(0, -2).split('\r\n');
+    assert.deepStrictEqual(lines.filter(line => line[0] === '5').map(line => line.slice(50, 53)), ['CCD']);
+    assert.strictEqual(lines.find(line => line.startsWith('9') && line !== '9'.repeat(94)).slice(1, 7), '000001');
+});
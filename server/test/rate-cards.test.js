@@ -0,0 +1,16 @@
+/**
+ * Rate Card Tests - ShelterPoint Portal
+ * Run with: node --test server/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateRateCard } = require('../../StateApplications/shared/rate-cards.js');
+
+test('rate cards need an effective date on the calendar', () => {
+    for (const effectiveDate of ['2027-02-30', '2027-13-01', '2027-1-1']) {
+        const { errors } = validateRateCard({ state: 'CO', effectiveDate, values: {} });
+        assert.strictEqual(errors.effectiveDate, 'Effective date must be a date (YYYY-MM-DD).', effectiveDate);
+    }
+    assert.strictEqual(validateRateCard({ state: 'CO', effectiveDate: '2027-02-28', values: {} }).errors.effectiveDate, undefined);
+});
@@ -0,0 +1,32 @@
+/**
+ * Rating Engine Tests - ShelterPoint Portal
+ * Run with: node --test server/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { rateQuote } = require('../../StateApplications/shared/rating-engine.js');
+
+// 10 employees under the CT wage base: $500,000 of capped payroll
+const CT_CENSUS = { totalEmployees: 10, employeesOverCap: 0, payrollBelowCap: 500000 };
+
+test('CT contributory quote compares with employees paying the whole State Plan rate', () => {
+    const quote = rateQuote('CT', CT_CENSUS, { effectiveDate: '2026-01-01', contributory: true });
+    const { breakdown } = quote;
+
+    // ShelterPoint 0.4%: employees pay all of it, capped at the ShelterPoint rate
+    assert.strictEqual(breakdown.premium, 2000);
+    assert.strictEqual(breakdown.employeeContributions, 2000);
+    assert.strictEqual(quote.displayAmount, 0);
+    // State Plan 0.5%: employees pay all of it too, so the employer pays nothing either way
+    assert.strictEqual(breakdown.statePlanPrice, 0);
+    assert.strictEqual(breakdown.savings, 0);
+});
+
+test('CT non-contributory quote compares the full premiums', () => {
+    const { breakdown } = rateQuote('CT', CT_CENSUS, { effectiveDate: '2026-01-01' });
+
+    assert.strictEqual(breakdown.totalCost, 2000);
+    assert.strictEqual(breakdown.statePlanPrice, 2500);
+    assert.strictEqual(breakdown.savings, 500);
+});
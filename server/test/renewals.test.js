@@ -0,0 +1,117 @@
+/**
+ * Renewal Tests - ShelterPoint Portal
+ * Run with: node --test server/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonCollection } = require('../store/json-store');
+const { createQuoteRepository } = require('../quotes/quote-repository');
+const { createRateCardRepository } = require('../rates/rate-card-repository');
+const { createRenewalRepository } = require('../renewals/renewal-repository');
+const { rateCardCsv, currentRateCard } = require('../../StateApplications/shared/rate-cards.js');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shelterpoint-renewals-'));
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * A bound CO case renewing in March 2027, with the 2027 rates published
+ * @param {string} name - Data directory for the case
+ * @param {Object} census - Census fields of the saved quote
+ * @param {Function} cardChanges - (rates) => void, changes to the 2027 card (optional)
+ * @returns {Promise<Object>} { renewals, quotes, submission }
+ */
+async function boundCase(name, census, cardChanges = () => {}) {
+    const dir = path.join(DATA_DIR, name);
+    const quotes = createQuoteRepository(createJsonCollection(dir, 'quotes'), {});
+    const rateCards = createRateCardRepository(createJsonCollection(dir, 'rateCards'), quotes);
+    const quote = await quotes.create('CO', { businessName: 'Front Range Freight', effectiveDate: '2026-03-15', ...census });
+    const submission = {
+        submissionNumber: 'SP-10000001',
+        kind: 'application',
+        state: 'CO',
+        quoteId: quote.quoteId,
+        businessName: 'Front Range Freight',
+        status: 'authorized',
+        submittedAt: '2026-02-01T00:00:00.000Z',
+        employerContact: { name: 'Dana Owner', email: 'dana@frontrange.example' },
+        data: { agencyNumber: '111' }
+    };
+    const submissions = { bound: () => [submission], get: () => submission };
+    const renewals = createRenewalRepository(createJsonCollection(dir, 'renewals'), { submissions, quotes });
+
+    const card = currentRateCard('CO', '2026-06-01');
+    card.effectiveDate = '2027-01-01';
+    cardChanges(card.rates);
+    const draft = await rateCards.import({ state: 'CO', format: 'csv', content: rateCardCsv(card), importedBy: 'Rates Team' });
+    await rateCards.publish(draft.rateCardId, { publishedBy: 'Rates Team' });
+    return { renewals, quotes, submission };
+}
+
+test('a renewal notice is released to the employer email on the application', async () => {
+    const { renewals } = await boundCase('release', { totalEmployees: '12', employeesOverCap: '0', payrollBelowCap: '600000' });
+    const [notice] = (await renewals.generate({ month: '2027-03', generatedBy: 'Ops' })).renewals;
+    assert.strictEqual(notice.employerEmail, 'dana@frontrange.example');
+
+    const sentTo = [];
+    const released = await renewals.release(notice.renewalId, { releasedBy: 'Ops', email: 'someone@elsewhere.example' }, async record => {
+        sentTo.push(record.releasedTo);
+        return 'message-1';
+    });
+    assert.deepStrictEqual(sentTo, ['dana@frontrange.example']);
+    assert.strictEqual(released.releasedTo, 'dana@frontrange.example');
+});
+
+test('a renewal is not released when the application has no employer email', async () => {
+    const { renewals, submission } = await boundCase('no-email', { totalEmployees: '12', employeesOverCap: '0', payrollBelowCap: '600000' });
+    delete submission.employerContact;
+    const [notice] = (await renewals.generate({ month: '2027-03', generatedBy: 'Ops' })).renewals;
+
+    await assert.rejects(
+        renewals.release(notice.renewalId, { releasedBy: 'Ops', email: 'someone@elsewhere.example' }, async () => 'message-1'),
+        { status: 409 }
+    );
+});
+
+test('a case cancelled before its anniversary is not renewed', async () => {
+    const { renewals, submission } = await boundCase('cancelled', { totalEmployees: '12', employeesOverCap: '0', payrollBelowCap: '600000' });
+    submission.cancellation = { cancellationDate: '2026-12-31', cancelledBy: 'Ops', reason: 'Replaced coverage' };
+    const result = await renewals.generate({ month: '2027-03', generatedBy: 'Ops' });
+
+    assert.strictEqual(result.created, 0);
+    assert.deepStrictEqual(result.renewals, []);
+});
+
+test('a renewal is not rated when the wage base moves past the census split', async () => {
+    const raiseWageBase = rates => { rates.wageBase += 10000; };
+    const { renewals } = await boundCase('over-cap', { totalEmployees: '12', employeesOverCap: '2', payrollBelowCap: '500000' }, raiseWageBase);
+    const result = await renewals.generate({ month: '2027-03', generatedBy: 'Ops' });
+
+    assert.strictEqual(result.created, 0);
+    assert.strictEqual(result.skipped.length, 1);
+    assert.match(result.skipped[0].error, /wage base .* changes from .* rated by hand/);
+});
+
+test('a renewal is rated when the wage base goes up and no employee was over it', async () => {
+    const raiseWageBase = rates => { rates.wageBase += 10000; };
+    const { renewals } = await boundCase('under-cap', { totalEmployees: '12', employeesOverCap: '0', payrollBelowCap: '600000' }, raiseWageBase);
+    const result = await renewals.generate({ month: '2027-03', generatedBy: 'Ops' });
+
+    assert.strictEqual(result.created, 1);
+    assert.deepStrictEqual(result.skipped, []);
+});
+
+test('a renewal is not rated when the wage base goes down', async () => {
+    const lowerWageBase = rates => { rates.wageBase -= 10000; };
+    const { renewals } = await boundCase('lower-cap', { totalEmployees: '12', employeesOverCap: '0', payrollBelowCap: '600000' }, lowerWageBase);
+    const result = await renewals.generate({ month: '2027-03', generatedBy: 'Ops' });
+
+    assert.strictEqual(result.created, 0);
+    assert.strictEqual(result.skipped.length, 1);
+});
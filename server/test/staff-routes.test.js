@@ -0,0 +1,156 @@
+/**
+ * Staff Route Tests - ShelterPoint Portal
+ * Every staff route refuses requests without the admin token.
+ * Run with: node --test server/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shelterpoint-staff-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.ADMIN_TOKEN = 'staff-test-token';
+
+const { createServer } = require('../index');
+
+const STAFF_ROUTES = [
+    ['GET', '/api/quotes'],
+    ['GET', '/api/submissions'],
+    ['GET', '/api/submissions/SUB-12345678'],
+    ['GET', '/api/submissions/SUB-12345678/form'],
+    ['POST', '/api/submissions/SUB-12345678/cancel'],
+    ['GET', '/api/rate-cards'],
+    ['POST', '/api/rate-cards'],
+    ['GET', '/api/rate-cards/RC-12345678'],
+    ['POST', '/api/rate-cards/RC-12345678/publish'],
+    ['GET', '/api/referrals'],
+    ['GET', '/api/referrals/LG-12345678'],
+    ['GET', '/api/referrals/LG-12345678/files/1'],
+    ['POST', '/api/referrals/LG-12345678/rate'],
+    ['POST', '/api/referrals/LG-12345678/decline'],
+    ['GET', '/api/documents?ownerKind=application&ownerId=123456789'],
+    ['GET', '/api/documents/DOC-1234567890'],
+    ['GET', '/api/documents/DOC-1234567890/content'],
+    ['POST', '/api/documents/DOC-1234567890/replace'],
+    ['GET', '/api/commissions/statements?month=2026-01'],
+    ['GET', '/api/commissions/runs'],
+    ['POST', '/api/commissions/runs'],
+    ['GET', '/api/commissions/runs/CR-12345678'],
+    ['GET', '/api/commissions/runs/CR-12345678/statements/P-1'],
+    ['GET', '/api/commissions/runs/CR-12345678/ach'],
+    ['GET', '/api/commissions/runs/CR-12345678/checks'],
+    ['GET', '/api/renewals'],
+    ['POST', '/api/renewals'],
+    ['GET', '/api/renewals/RN-12345678'],
+    ['GET', '/api/renewals/RN-12345678/notice'],
+    ['POST', '/api/renewals/RN-12345678/release']
+];
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = createServer({ mailTransport: { send: async () => ({ messageId: 'test' }) } });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = 'http://127.0.0.1:' + server.address().port;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+function request(method, route, headers = {}, body = {}) {
+    return fetch(baseUrl + route, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: method === 'GET' ? undefined : JSON.stringify(body)
+    });
+}
+
+const REFERRAL_REQUEST = {
+    state: 'CO',
+    data: {
+        businessName: 'Front Range Freight',
+        effectiveDate: '2026-12-01',
+        totalEmployees: '600',
+        censusFileName: 'census.csv',
+        currentCarrier: 'State Plan',
+        claimCount: '0',
+        paidLosses: '0',
+        brokerName: 'Pat Broker',
+        brokerEmail: 'pat@example.com'
+    },
+    quoteData: { coveredMales: '300', coveredFemales: '300', employeesOverCap: '10', payrollBelowCap: '30000000' }
+};
+
+for (const [method, route] of STAFF_ROUTES) {
+    test(method + ' ' + route + ' needs the staff token', async () => {
+        const response = await request(method, route);
+        assert.strictEqual(response.status, 401);
+
+        const wrongToken = await request(method, route, { Authorization: 'Bearer not-the-token' });
+        assert.strictEqual(wrongToken.status, 401);
+    });
+}
+
+test('a referral can be read back with the access key it was created with', async () => {
+    const created = await request('POST', '/api/referrals', {}, REFERRAL_REQUEST);
+    assert.strictEqual(created.status, 201);
+    const { referralId, accessKey } = await created.json();
+    assert.ok(accessKey);
+
+    const route = '/api/referrals/' + referralId;
+    assert.strictEqual((await request('GET', route)).status, 401);
+    assert.strictEqual((await request('GET', route, { 'X-Access-Key': 'not-the-key' })).status, 401);
+    const owner = await request('GET', route, { 'X-Access-Key': accessKey });
+    assert.strictEqual(owner.status, 200);
+    assert.strictEqual((await owner.json()).referralId, referralId);
+
+    // The key reads the referral; rating it stays with staff
+    assert.strictEqual((await request('POST', route + '/rate', { 'X-Access-Key': accessKey })).status, 401);
+});
+
+function uploadPayroll(route, fields, headers = {}) {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    form.append('file', new Blob(['name,wages\nPat,50000\n'], { type: 'text/csv' }), 'payroll.csv');
+    return fetch(baseUrl + route, { method: 'POST', headers, body: form });
+}
+
+test('application documents are uploaded with the quote key and read with their own key', async () => {
+    const saved = await request('POST', '/api/quotes', {}, {
+        state: 'CO',
+        quote: { businessName: 'Front Range Freight', effectiveDate: '2026-12-01', totalEmployees: '10', employeesOverCap: '0', payrollBelowCap: '500000' }
+    });
+    assert.strictEqual(saved.status, 201);
+    const quote = await saved.json();
+    assert.ok(quote.accessKey);
+
+    const owner = { documentType: 'docPayroll', ownerKind: 'application', state: 'CO', ownerId: quote.quoteId };
+    assert.strictEqual((await uploadPayroll('/api/documents', owner)).status, 401);
+    const uploaded = await uploadPayroll('/api/documents', owner, { 'X-Access-Key': quote.accessKey });
+    assert.strictEqual(uploaded.status, 201);
+    const { documentId, accessKey } = await uploaded.json();
+
+    const route = '/api/documents/' + documentId;
+    assert.strictEqual((await request('GET', route + '/content')).status, 401);
+    assert.strictEqual((await request('GET', route + '/content?key=' + quote.accessKey)).status, 401);
+    const preview = await request('GET', route + '/content?key=' + encodeURIComponent(accessKey));
+    assert.strictEqual(preview.status, 200);
+    assert.match(await preview.text(), /Pat,50000/);
+
+    assert.strictEqual((await uploadPayroll(route + '/replace', {})).status, 401);
+    const replaced = await uploadPayroll(route + '/replace', {}, { 'X-Access-Key': accessKey });
+    assert.strictEqual(replaced.status, 201);
+    assert.ok((await replaced.json()).accessKey);
+});
+
+test('staff routes accept the staff token', async () => {
+    const response = await request('GET', '/api/commissions/runs', { Authorization: 'Bearer staff-test-token' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { runs: [] });
+});
@@ -0,0 +1,61 @@
+/**
+ * Submission Tests - ShelterPoint Portal
+ * Run with: node --test server/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonCollection } = require('../store/json-store');
+const { createSubmissionRepository } = require('../submissions/submission-repository');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shelterpoint-submissions-'));
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+async function storedApplication(submissionNumber, status) {
+    const collection = createJsonCollection(path.join(DATA_DIR, submissionNumber), 'submissions');
+    await collection.put(submissionNumber, {
+        submissionNumber,
+        kind: 'application',
+        state: 'CO',
+        quoteId: '123456789',
+        status,
+        submittedAt: '2026-02-01T00:00:00.000Z',
+        data: {}
+    });
+    return createSubmissionRepository(collection, path.join(DATA_DIR, 'uploads'));
+}
+
+test('a bound application is cancelled once, as of a date on the calendar', async () => {
+    const submissions = await storedApplication('SP-10000001', 'authorized');
+    await assert.rejects(
+        submissions.cancel('SP-10000001', { cancellationDate: '2026-02-30', cancelledBy: 'Ops', reason: '' }),
+        err => {
+            assert.strictEqual(err.status, 422);
+            assert.deepStrictEqual(Object.keys(err.fieldErrors).sort(), ['cancellationDate', 'reason']);
+            return true;
+        }
+    );
+
+    const record = await submissions.cancel('SP-10000001', { cancellationDate: '2026-06-20', cancelledBy: 'Ops', reason: 'Replaced coverage' });
+    assert.strictEqual(record.cancellation.cancellationDate, '2026-06-20');
+    assert.strictEqual(submissions.bound()[0].cancellation.reason, 'Replaced coverage');
+
+    await assert.rejects(
+        submissions.cancel('SP-10000001', { cancellationDate: '2026-07-01', cancelledBy: 'Ops', reason: 'Again' }),
+        { status: 409 }
+    );
+});
+
+test('an application waiting for the employer is not cancelled', async () => {
+    const submissions = await storedApplication('SP-10000002', 'awaiting-authorization');
+    await assert.rejects(
+        submissions.cancel('SP-10000002', { cancellationDate: '2026-06-20', cancelledBy: 'Ops', reason: 'Replaced coverage' }),
+        { status: 409 }
+    );
+});